@@ -18,7 +18,15 @@ export class TrueMultiAgentSystem extends EventEmitter {
     
     this.systemId = config.systemId || `multiagent_${Date.now()}`;
     this.orchestrator = new Orchestrator({
-      orchestratorId: `${this.systemId}_orchestrator`
+      orchestratorId: `${this.systemId}_orchestrator`,
+      maxRuntime: config.timeout,
+      scheduler: config.scheduler,
+      runStore: config.runStore,
+      runId: config.runId,
+      runConfig: config.runConfig,
+      outputSink: config.outputSink,
+      renderers: config.renderers,
+      compliance: config.compliance
     });
     this.agents = new Map();
     this.systemState = 'initialized';
@@ -45,12 +53,12 @@ export class TrueMultiAgentSystem extends EventEmitter {
       return false;
     }
     
-    this.agents.set(agent.id, agent);
-    
-    // Register with orchestrator for autonomous coordination
+    // Register with orchestrator for autonomous coordination (throws on dependency cycles)
     const registered = this.orchestrator.registerAgent(agent);
     
     if (registered) {
+      this.agents.set(agent.id, agent);
+      
       // Set up monitoring for coordination metrics
       this.setupAgentMonitoring(agent);
       
@@ -131,6 +139,9 @@ export class TrueMultiAgentSystem extends EventEmitter {
         coordinationEfficiency: this.metrics.agentInteractions / this.agents.size
       },
       
+      // Text provider usage (null when agents use template copy only)
+      textGeneration: this.getTextGenerationUsage(),
+      
       // Agent information
       agents: this.getAgentSummaries(),
       
@@ -155,6 +166,25 @@ export class TrueMultiAgentSystem extends EventEmitter {
     return results;
   }
   
+  /**
+   * Get token accounting for the text providers used by the agents
+   */
+  getTextGenerationUsage() {
+    const providers = new Set();
+    
+    for (const agent of this.agents.values()) {
+      if (agent.textProvider) {
+        providers.add(agent.textProvider);
+      }
+    }
+    
+    if (providers.size === 0) {
+      return null;
+    }
+    
+    return Array.from(providers).map(provider => provider.getUsage());
+  }
+  
   /**
    * Get agent summaries
    */
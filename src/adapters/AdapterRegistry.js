@@ -0,0 +1,137 @@
+/**
+ * AdapterRegistry - Creates the input adapter a product feed is read with
+ *
+ * This registry:
+ * 1. Describes every input adapter the system supports
+ * 2. Loads field-mapping config files ({ adapter, fields, defaults })
+ * 3. Reads a feed into products plus a mapping report (unmapped and lossy fields)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CsvAdapter } from './CsvAdapter.js';
+import { JsonAdapter } from './JsonAdapter.js';
+import { ShopifyAdapter } from './ShopifyAdapter.js';
+import { GoogleMerchantAdapter } from './GoogleMerchantAdapter.js';
+
+export const ADAPTER_DEFINITIONS = [
+  {
+    type: 'csv',
+    AdapterClass: CsvAdapter,
+    extensions: ['.csv'],
+    description: 'CSV catalog exports, columns matched by product field name or common alias'
+  },
+  {
+    type: 'json',
+    AdapterClass: JsonAdapter,
+    extensions: ['.json', '.jsonl', '.ndjson'],
+    description: 'JSON or JSONL records with their own field names'
+  },
+  {
+    type: 'shopify',
+    AdapterClass: ShopifyAdapter,
+    extensions: [],
+    description: 'Shopify-style product JSON (variants, metafields, body_html)'
+  },
+  {
+    type: 'google-merchant',
+    AdapterClass: GoogleMerchantAdapter,
+    extensions: ['.xml'],
+    description: 'Google Merchant Center feeds (RSS/Atom XML or Content API JSON)'
+  }
+];
+
+/**
+ * Get the types of all registered input adapters
+ */
+export function getAdapterTypes() {
+  return ADAPTER_DEFINITIONS.map(definition => definition.type);
+}
+
+/**
+ * Create an input adapter
+ *
+ * @param {Object} config
+ * @param {string} config.type - One of getAdapterTypes()
+ * @param {Object} [config.mapping] - Field-mapping config
+ * @returns {InputAdapter}
+ */
+export function createInputAdapter(config = {}) {
+  const { type, ...options } = config;
+  const definition = ADAPTER_DEFINITIONS.find(candidate => candidate.type === type);
+
+  if (!definition) {
+    throw new Error(`Unknown input adapter: ${type}. Available adapters: ${getAdapterTypes().join(', ')}`);
+  }
+
+  return new definition.AdapterClass(options);
+}
+
+/**
+ * Pick the adapter for a feed file from its extension
+ */
+export function detectAdapterType(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const definition = ADAPTER_DEFINITIONS.find(candidate => candidate.extensions.includes(extension));
+
+  if (!definition) {
+    throw new Error(`No input adapter reads "${extension}" files (${filePath}). Name one of: ${getAdapterTypes().join(', ')}`);
+  }
+
+  return definition.type;
+}
+
+/**
+ * Load a field-mapping config from a JSON file
+ */
+export function loadFieldMapping(filePath) {
+  let mapping;
+  try {
+    mapping = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read field mapping ${filePath}: ${error.message}`);
+  }
+
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error(`Invalid field mapping ${filePath}: expected an object with "fields" and/or "defaults"`);
+  }
+  if (mapping.adapter && !getAdapterTypes().includes(mapping.adapter)) {
+    throw new Error(`Invalid field mapping ${filePath}: unknown adapter "${mapping.adapter}". Available adapters: ${getAdapterTypes().join(', ')}`);
+  }
+
+  // Building an adapter checks every field mapping and transform name
+  try {
+    createInputAdapter({ type: mapping.adapter || 'json', mapping });
+  } catch (error) {
+    throw new Error(`Invalid field mapping ${filePath}: ${error.message}`);
+  }
+
+  return mapping;
+}
+
+/**
+ * Read a product feed through an input adapter
+ *
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {string} [options.adapter] - Adapter type; else the mapping's adapter, else by extension
+ * @param {Object} [options.mapping] - Field-mapping config (see loadFieldMapping)
+ * @returns {{ products: Object[], report: Object }}
+ */
+export function loadProductFeed(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Product feed not found: ${filePath}`);
+  }
+
+  const mapping = options.mapping || {};
+  const type = options.adapter || mapping.adapter || detectAdapterType(filePath);
+  const adapter = createInputAdapter({ type, mapping });
+
+  console.log(`📥 [${type}] Reading product feed: ${filePath}`);
+
+  const result = adapter.adapt(fs.readFileSync(filePath, 'utf8'), { source: filePath });
+
+  console.log(`📥 [${type}] Mapped ${result.products.length} products (${result.report.unmapped.length} unmapped source fields, ${result.report.lossy.length} lossy mappings)`);
+
+  return result;
+}
@@ -0,0 +1,23 @@
+/**
+ * CsvAdapter - Maps the rows of a CSV catalog export onto product fields
+ *
+ * Columns are matched by product field name or a common alias ("Title", "Product Name",
+ * "Ingredients", "Directions"); a mapping config names any other columns.
+ */
+
+import { InputAdapter, PRODUCT_FIELD_ALIASES } from './InputAdapter.js';
+import { parseCatalog } from '../batch/CatalogLoader.js';
+
+export class CsvAdapter extends InputAdapter {
+  constructor(config = {}) {
+    super({ ...config, type: 'csv' });
+  }
+
+  readRecords(text) {
+    return parseCatalog(text, 'csv');
+  }
+
+  getDefaultFields() {
+    return PRODUCT_FIELD_ALIASES;
+  }
+}
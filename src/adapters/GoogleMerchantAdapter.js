@@ -0,0 +1,142 @@
+/**
+ * GoogleMerchantAdapter - Maps Google Merchant Center product feeds onto product fields
+ *
+ * Reads:
+ * 1. XML feeds (RSS 2.0 <item> or Atom <entry> elements with g: attributes); the
+ *    namespace prefix is dropped, so <g:sale_price> is the `sale_price` field
+ * 2. Content API-style JSON ({ resources: [...] }, { products: [...] } or a list), with
+ *    camelCase keys read as their feed names (offerId -> id, salePrice -> sale_price) and
+ *    { value, currency } prices as "27.50 USD"
+ *
+ * product_detail attributes (section, attribute name, value) are read as
+ * details.<attribute name>, so "Key Ingredients" or "Skin Type" details map to product
+ * fields; product_highlight entries map to benefits.
+ */
+
+import { InputAdapter, decodeEntities } from './InputAdapter.js';
+
+// Content API names that differ from the feed attribute names
+const FEED_NAMES = {
+  offerId: 'id',
+  productTypes: 'product_type',
+  productHighlights: 'product_highlight',
+  productDetails: 'product_detail',
+  unitPricingMeasure: 'unit_pricing_measure'
+};
+
+export class GoogleMerchantAdapter extends InputAdapter {
+  constructor(config = {}) {
+    super({ ...config, type: 'google-merchant' });
+  }
+
+  readRecords(text) {
+    const records = text.trimStart().startsWith('<') ? readXmlItems(text) : readJsonItems(text);
+    return records.map(normalizeItem);
+  }
+
+  getDefaultFields() {
+    return {
+      sku: 'id',
+      productName: 'title',
+      brand: 'brand',
+      productType: { from: 'product_type', transform: 'first' },
+      description: { from: 'description', transform: 'stripHtml' },
+      concentration: 'details.concentration',
+      skinType: 'details.skin_type',
+      keyIngredients: ['details.key_ingredients', 'details.ingredients'],
+      benefits: ['details.benefits', 'product_highlight'],
+      howToUse: ['details.how_to_use', 'details.directions'],
+      sideEffects: ['details.warnings', 'details.side_effects'],
+      price: 'price',
+      salePrice: 'sale_price',
+      packSize: 'unit_pricing_measure'
+    };
+  }
+}
+
+/**
+ * Items of an RSS or Atom feed as plain objects
+ */
+function readXmlItems(text) {
+  const items = Array.from(text.matchAll(/<(item|entry)(?:\s[^>]*)?>([\s\S]*?)<\/\1>/g), match => readXmlElements(match[2]));
+
+  if (items.length === 0 && !/<(rss|feed)[\s>]/.test(text)) {
+    throw new Error('Google Merchant XML feed must be an RSS <channel> of <item> elements or an Atom feed of <entry> elements');
+  }
+
+  return items;
+}
+
+/**
+ * Child elements of an XML fragment; repeated elements become lists, elements with
+ * children become objects
+ */
+function readXmlElements(xml) {
+  const element = {};
+  const pattern = /<([\w.-]+:)?([\w.-]+)(?:\s[^>]*?)?(?:\/>|>([\s\S]*?)<\/\1\2>)/g;
+
+  for (const [, , name, content = ''] of xml.matchAll(pattern)) {
+    const value = /<[\w.:-]+[\s>/]/.test(content.replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, ''))
+      ? readXmlElements(content)
+      : readXmlText(content);
+
+    if (name in element) {
+      element[name] = [].concat(element[name], value);
+    } else {
+      element[name] = value;
+    }
+  }
+
+  return element;
+}
+
+function readXmlText(content) {
+  const cdata = content.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return cdata ? cdata[1].trim() : decodeEntities(content).trim();
+}
+
+function readJsonItems(text) {
+  const parsed = JSON.parse(text);
+  if (Array.isArray(parsed)) return parsed;
+  if (parsed && Array.isArray(parsed.resources)) return parsed.resources;
+  if (parsed && Array.isArray(parsed.products)) return parsed.products;
+  if (parsed && typeof parsed === 'object') return [parsed];
+
+  throw new Error('Google Merchant JSON feed must contain a list of products, { resources: [...] } or { products: [...] }');
+}
+
+/**
+ * Bring XML and JSON items to one shape: snake_case feed names, prices as text and
+ * product details keyed by attribute name
+ */
+function normalizeItem(item) {
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(item)) {
+    const name = FEED_NAMES[key] || key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+    normalized[name] = isMeasure(value, 'currency')
+      ? `${value.value} ${value.currency}`
+      : isMeasure(value, 'unit') ? `${value.value}${value.unit}` : value;
+  }
+
+  if (normalized.product_detail) {
+    normalized.details = {};
+    for (const detail of [].concat(normalized.product_detail)) {
+      // XML details use feed names, Content API details camelCase
+      const attribute = detail.attribute_name ?? detail.attributeName;
+      if (attribute) {
+        normalized.details[attribute.toLowerCase().replace(/[^a-z0-9]+/g, '_')] = detail.attribute_value ?? detail.attributeValue;
+      }
+    }
+    delete normalized.product_detail;
+  }
+
+  return normalized;
+}
+
+/**
+ * { value, currency } prices and { value, unit } measures
+ */
+function isMeasure(value, key) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && 'value' in value && key in value;
+}
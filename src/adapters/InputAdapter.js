@@ -0,0 +1,320 @@
+/**
+ * InputAdapter - Base class for adapters that turn catalog exports and product feeds
+ * into the product objects DataParserAgent expects
+ *
+ * An adapter:
+ * 1. Reads the records of a feed (readRecords() in a subclass)
+ * 2. Maps record fields onto product fields with the adapter's default mapping,
+ *    overridden by a field-mapping config ({ adapter, fields, defaults })
+ * 3. Reports the source fields no mapping used (unmapped) and the values that lost
+ *    information on the way (lossy: HTML stripped, extra variants dropped, ...)
+ *
+ * A field mapping is a source path, a list of candidate paths (the first one present
+ * wins), or { from, transform }; null drops a default mapping. Paths are dotted
+ * ("variants.0.price") and keys match case-, space- and underscore-insensitively, so
+ * "productName" finds "Product Name" and "product_name".
+ */
+
+// Product fields and the column names catalog exports commonly use for them
+export const PRODUCT_FIELD_ALIASES = {
+  sku: ['sku', 'id', 'handle'],
+  productName: ['productName', 'title', 'name'],
+  category: ['category'],
+  brand: ['brand', 'vendor'],
+  description: ['description', 'body'],
+  concentration: ['concentration', 'strength'],
+  skinType: ['skinType', 'skin'],
+  keyIngredients: ['keyIngredients', 'ingredients'],
+  benefits: ['benefits', 'highlights'],
+  howToUse: ['howToUse', 'usage', 'directions'],
+  sideEffects: ['sideEffects', 'warnings', 'cautions'],
+  price: ['price'],
+  salePrice: ['salePrice'],
+  currency: ['currency'],
+  packSize: ['packSize', 'size'],
+  specifications: ['specifications', 'specs']
+};
+
+const transforms = new Map();
+
+/**
+ * Register a value transform usable in mapping configs as `"transform": "<name>"`
+ *
+ * @param {string} name
+ * @param {Function} transform - (value, { record, get, note }) => new value (undefined
+ *   leaves the field out); note(reason) reports the value as lossy
+ */
+export function registerTransform(name, transform) {
+  if (typeof transform !== 'function') {
+    throw new Error(`Transform "${name}" must be a function`);
+  }
+  transforms.set(name, transform);
+}
+
+/**
+ * Get the names of all registered transforms
+ */
+export function getTransformNames() {
+  return Array.from(transforms.keys());
+}
+
+registerTransform('text', (value) => String(value).trim());
+
+registerTransform('stripHtml', (value, { note }) => {
+  const text = stripHtml(String(value));
+  if (text !== String(value).trim()) {
+    note('HTML markup removed');
+  }
+  return text;
+});
+
+registerTransform('first', (value, { note }) => {
+  if (!Array.isArray(value)) return value;
+  if (value.length > 1) {
+    note(`${value.length} values, only the first is kept`);
+  }
+  return value[0];
+});
+
+registerTransform('join', (value) => [].concat(value).map(item => String(item).trim()).filter(Boolean).join(', '));
+
+export class InputAdapter {
+  constructor(config = {}) {
+    this.type = config.type || 'input';
+    this.mapping = normalizeMapping(this.getDefaultFields(), config.mapping || {});
+  }
+
+  /**
+   * Read the records of a feed (implemented by subclasses)
+   *
+   * @param {string} text
+   * @returns {Object[]}
+   */
+  readRecords(text) {
+    throw new Error(`${this.constructor.name} must implement readRecords()`);
+  }
+
+  /**
+   * Default field mapping of the adapter: product field -> mapping
+   */
+  getDefaultFields() {
+    return {};
+  }
+
+  /**
+   * Report losses a field mapping cannot see (e.g. extra variants); override as needed
+   *
+   * @param {Object} record
+   * @param {Function} note - (field, reason)
+   */
+  inspectRecord(record, note) {}
+
+  /**
+   * Map a feed onto product objects
+   *
+   * @param {string} text - Feed contents
+   * @param {Object} [options]
+   * @param {string} [options.source] - Where the feed came from, for the report
+   * @returns {{ products: Object[], report: Object }}
+   */
+  adapt(text, { source = null } = {}) {
+    const records = this.readRecords(text);
+    const fields = new Map(); // product field -> { mapped, from }
+    const unmapped = new Map(); // generalized source path -> count
+    const lossy = new Map(); // field + reason -> { field, reason, count }
+
+    const products = records.map(record => {
+      const consumed = new Set();
+      const notedReasons = new Set();
+      const note = (field, reason) => {
+        const key = `${field}\u0000${reason}`;
+        if (notedReasons.has(key)) return;
+        notedReasons.add(key);
+
+        const entry = lossy.get(key) || { field, reason, count: 0 };
+        entry.count++;
+        lossy.set(key, entry);
+      };
+      const get = (path) => {
+        const found = resolvePath(record, path);
+        if (!found) return undefined;
+        consumed.add(generalizePath(found.path));
+        return found.value;
+      };
+
+      const product = {};
+      for (const [field, mapping] of Object.entries(this.mapping.fields)) {
+        const found = mapping.from.map(path => resolvePath(record, path)).find(Boolean);
+        if (!found) continue;
+        consumed.add(generalizePath(found.path));
+
+        let value = found.value;
+        for (const transform of mapping.transforms) {
+          if (value === undefined) break;
+          value = transform(value, { record, get, note: reason => note(field, reason) });
+        }
+        value = toProductValue(value);
+
+        if (!isEmpty(value)) {
+          product[field] = value;
+          const stats = fields.get(field) || { mapped: 0, from: new Set() };
+          stats.mapped++;
+          stats.from.add(generalizePath(found.path));
+          fields.set(field, stats);
+        }
+      }
+
+      for (const [field, value] of Object.entries(this.mapping.defaults)) {
+        if (isEmpty(product[field])) {
+          product[field] = value;
+        }
+      }
+
+      this.inspectRecord(record, note);
+
+      for (const path of collectLeafPaths(record)) {
+        const generalized = generalizePath(path);
+        const isConsumed = Array.from(consumed).some(used => generalized === used || generalized.startsWith(`${used}.`));
+        if (!isConsumed) {
+          unmapped.set(generalized, (unmapped.get(generalized) || 0) + 1);
+        }
+      }
+
+      return product;
+    });
+
+    return {
+      products: products,
+      report: {
+        adapter: this.type,
+        source: source,
+        products: products.length,
+        fields: Object.fromEntries(Array.from(fields, ([field, stats]) => [field, { mapped: stats.mapped, from: Array.from(stats.from) }])),
+        unmapped: Array.from(unmapped, ([path, count]) => ({ path, count })),
+        lossy: Array.from(lossy.values())
+      }
+    };
+  }
+}
+
+/**
+ * Strip HTML tags and decode the common entities
+ */
+export function stripHtml(html) {
+  return decodeEntities(html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<(br|\/p|\/li|\/div|\/h\d)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * Decode XML/HTML entities
+ */
+export function decodeEntities(text) {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const number = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(number);
+    }
+    return named[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Combine the adapter's default fields with a mapping config
+ */
+function normalizeMapping(defaultFields, config) {
+  const fields = {};
+
+  for (const [field, mapping] of Object.entries({ ...defaultFields, ...(config.fields || {}) })) {
+    if (mapping === null) continue;
+
+    const { from, transform } = typeof mapping === 'string' || Array.isArray(mapping) ? { from: mapping } : mapping;
+    if (!from || [].concat(from).some(path => typeof path !== 'string' || path === '')) {
+      throw new Error(`Invalid mapping for field "${field}": "from" must be a source path or a list of paths`);
+    }
+
+    fields[field] = {
+      from: [].concat(from),
+      transforms: [].concat(transform || []).map(name => {
+        if (typeof name === 'function') return name;
+        if (!transforms.has(name)) {
+          throw new Error(`Unknown transform "${name}" for field "${field}". Available transforms: ${getTransformNames().join(', ')}`);
+        }
+        return transforms.get(name);
+      })
+    };
+  }
+
+  return { fields, defaults: config.defaults || {} };
+}
+
+/**
+ * Find a dotted path in a record
+ *
+ * @returns {{ path: string, value: * }|null} The path with the record's own keys, or
+ *   null when the path is missing or empty
+ */
+function resolvePath(record, path) {
+  let value = record;
+  const keys = [];
+
+  for (const segment of path.split('.')) {
+    if (value === null || typeof value !== 'object') return null;
+
+    const key = Object.prototype.hasOwnProperty.call(value, segment)
+      ? segment
+      : Object.keys(value).find(candidate => toMatchKey(candidate) === toMatchKey(segment));
+    if (key === undefined) return null;
+
+    value = value[key];
+    keys.push(key);
+  }
+
+  return isEmpty(value) ? null : { path: keys.join('.'), value };
+}
+
+/**
+ * Paths of every non-empty value in a record; lists of plain values count as one value
+ */
+function collectLeafPaths(value, prefix = '', paths = []) {
+  if (Array.isArray(value) && value.some(item => item && typeof item === 'object')) {
+    value.forEach((item, index) => collectLeafPaths(item, `${prefix}.${index}`, paths));
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      collectLeafPaths(child, prefix ? `${prefix}.${key}` : key, paths);
+    }
+  } else if (!isEmpty(value)) {
+    paths.push(prefix);
+  }
+
+  return paths;
+}
+
+/**
+ * "variants.0.price" -> "variants[].price", so every variant's price is one source field
+ */
+function generalizePath(path) {
+  return path.replace(/\.\d+(?=\.|$)/g, '[]');
+}
+
+function toProductValue(value) {
+  if (typeof value === 'string') return value.trim();
+  if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+    return value.filter(item => !isEmpty(item)).map(item => String(item).trim()).join(', ');
+  }
+  return value;
+}
+
+function toMatchKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '') ||
+    (Array.isArray(value) && value.length === 0);
+}
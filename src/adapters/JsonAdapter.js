@@ -0,0 +1,28 @@
+/**
+ * JsonAdapter - Maps JSON or JSONL records with their own field names onto product fields
+ *
+ * Reads the same layouts as the catalog loader (an array, { products: [...] }, a single
+ * object, or one object per line) and maps fields like CsvAdapter.
+ */
+
+import { InputAdapter, PRODUCT_FIELD_ALIASES } from './InputAdapter.js';
+import { parseCatalog } from '../batch/CatalogLoader.js';
+
+export class JsonAdapter extends InputAdapter {
+  constructor(config = {}) {
+    super({ ...config, type: 'json' });
+  }
+
+  readRecords(text) {
+    try {
+      return parseCatalog(text, 'json');
+    } catch (error) {
+      // Not a single JSON document: one record per line
+      return parseCatalog(text, 'jsonl');
+    }
+  }
+
+  getDefaultFields() {
+    return PRODUCT_FIELD_ALIASES;
+  }
+}
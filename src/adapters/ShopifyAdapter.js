@@ -0,0 +1,109 @@
+/**
+ * ShopifyAdapter - Maps Shopify-style product JSON ({ products: [...] } as returned by
+ * the Admin API, or a list of products) onto product fields
+ *
+ * 1. title, vendor, product_type and body_html (HTML stripped) map directly
+ * 2. Price, SKU and pack size come from the first variant; when the variant's
+ *    compare_at_price is higher it is the regular price and `price` the sale price
+ * 3. Metafields ([{ namespace, key, value }]) are read as metafields.<namespace>.<key>,
+ *    so `custom.key_ingredients`, `custom.skin_type` and friends map to product fields
+ * 4. Tags map to benefits
+ *
+ * Shopify product JSON carries no currency: set one with `defaults.currency` in a
+ * mapping config (INR otherwise).
+ */
+
+import { InputAdapter } from './InputAdapter.js';
+import { parseCatalog } from '../batch/CatalogLoader.js';
+
+export class ShopifyAdapter extends InputAdapter {
+  constructor(config = {}) {
+    super({ ...config, type: 'shopify' });
+  }
+
+  readRecords(text) {
+    // { products: [...] }, a list, or a single { product: {...} } response
+    const parsed = JSON.parse(text);
+    const products = parsed && parsed.product ? [parsed.product] : parseCatalog(text, 'json');
+
+    return products.map(product => ({
+      ...product,
+      metafields: Array.isArray(product.metafields) ? groupMetafields(product.metafields) : product.metafields
+    }));
+  }
+
+  getDefaultFields() {
+    return {
+      sku: ['variants.0.sku', 'handle'],
+      productName: 'title',
+      brand: 'vendor',
+      category: 'metafields.custom.category',
+      productType: 'product_type',
+      description: { from: 'body_html', transform: 'stripHtml' },
+      concentration: 'metafields.custom.concentration',
+      skinType: 'metafields.custom.skin_type',
+      keyIngredients: ['metafields.custom.key_ingredients', 'metafields.custom.ingredients'],
+      benefits: ['metafields.custom.benefits', 'tags'],
+      howToUse: ['metafields.custom.how_to_use', 'metafields.custom.directions'],
+      sideEffects: ['metafields.custom.side_effects', 'metafields.custom.warnings'],
+      price: {
+        from: 'variants.0.price',
+        transform: (price, { get }) => {
+          const compareAt = get('variants.0.compare_at_price');
+          return isHigherPrice(compareAt, price) ? compareAt : price;
+        }
+      },
+      salePrice: {
+        from: 'variants.0.price',
+        transform: (price, { get }) => isHigherPrice(get('variants.0.compare_at_price'), price) ? price : undefined
+      },
+      packSize: {
+        from: ['variants.0.option1', 'variants.0.weight'],
+        transform: (value, { get }) => {
+          // "30ml" as a variant option, or a weight with its unit
+          if (/[a-z]/i.test(String(value))) return value;
+          const unit = get('variants.0.weight_unit');
+          return Number(value) > 0 && unit ? `${value} ${unit}` : undefined;
+        }
+      }
+    };
+  }
+
+  inspectRecord(record, note) {
+    const variants = Array.isArray(record.variants) ? record.variants : [];
+    if (variants.length > 1) {
+      note('price', `${variants.length} variants, only the first variant is used`);
+    }
+  }
+}
+
+/**
+ * [{ namespace: 'custom', key: 'skin_type', value: 'Oily' }] -> { custom: { skin_type: 'Oily' } }
+ */
+function groupMetafields(metafields) {
+  const grouped = {};
+  for (const { namespace = 'global', key, value } of metafields) {
+    if (!key) continue;
+    grouped[namespace] = grouped[namespace] || {};
+    grouped[namespace][key] = parseMetafieldValue(value);
+  }
+  return grouped;
+}
+
+/**
+ * List metafields hold JSON arrays ('["Vitamin C","Niacinamide"]')
+ */
+function parseMetafieldValue(value) {
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+}
+
+function isHigherPrice(candidate, price) {
+  return candidate !== undefined && candidate !== null && Number(candidate) > Number(price);
+}
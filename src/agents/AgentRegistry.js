@@ -0,0 +1,136 @@
+/**
+ * AgentRegistry - Catalog of the specialized agents that make up the system
+ *
+ * This registry:
+ * 1. Describes every agent type the system can run
+ * 2. Creates a fresh, independent set of agents for each run
+ * 3. Supports running a subset of agents by key
+ * 4. Passes shared configuration (e.g. output directory) to every agent
+ *
+ * `outputFile` names the file an agent writes; `requiredOutput` marks the
+ * content pages a run must produce to be considered complete; `template` names
+ * the page template a page agent renders.
+ */
+
+import { DataParserAgent } from './DataParserAgent.js';
+import { QuestionGeneratorAgent } from './QuestionGeneratorAgent.js';
+import { ComparisonDataAgent } from './ComparisonDataAgent.js';
+import { FaqPageAgent } from './FaqPageAgent.js';
+import { ProductPageAgent } from './ProductPageAgent.js';
+import { ComparisonPageAgent } from './ComparisonPageAgent.js';
+import { AnalyticsAgent } from './AnalyticsAgent.js';
+import { SeoOptimizationAgent } from './SeoOptimizationAgent.js';
+import { ComplianceAgent, COMPLIANCE_REPORT_FILE } from './ComplianceAgent.js';
+
+export const AGENT_DEFINITIONS = [
+  {
+    key: 'data_parser',
+    AgentClass: DataParserAgent,
+    description: 'Validates product data against its category schema and normalizes it (validation_report.json)',
+    outputFile: 'validation_report.json',
+    requiredOutput: false
+  },
+  {
+    key: 'question_generator',
+    AgentClass: QuestionGeneratorAgent,
+    description: 'Generates categorized questions and answers'
+  },
+  {
+    key: 'comparison_data',
+    AgentClass: ComparisonDataAgent,
+    description: 'Creates competitor data for comparisons'
+  },
+  {
+    key: 'faq_page',
+    AgentClass: FaqPageAgent,
+    description: 'Generates the FAQ page (faq.json)',
+    outputFile: 'faq.json',
+    template: 'faq_page',
+    requiredOutput: true
+  },
+  {
+    key: 'product_page',
+    AgentClass: ProductPageAgent,
+    description: 'Generates the product page (product_page.json)',
+    outputFile: 'product_page.json',
+    template: 'product_page',
+    requiredOutput: true
+  },
+  {
+    key: 'comparison_page',
+    AgentClass: ComparisonPageAgent,
+    description: 'Generates the comparison page (comparison_page.json)',
+    outputFile: 'comparison_page.json',
+    template: 'comparison_page',
+    requiredOutput: true
+  },
+  {
+    key: 'analytics',
+    AgentClass: AnalyticsAgent,
+    description: 'Analyzes content quality (analytics.json)',
+    outputFile: 'analytics.json',
+    requiredOutput: false
+  },
+  {
+    key: 'seo_optimization',
+    AgentClass: SeoOptimizationAgent,
+    description: 'Generates SEO metadata and recommendations (seo_optimization.json)',
+    outputFile: 'seo_optimization.json',
+    requiredOutput: false
+  },
+  {
+    key: 'compliance',
+    AgentClass: ComplianceAgent,
+    description: 'Checks the generated copy against compliance rule packs (compliance_report.json)',
+    outputFile: COMPLIANCE_REPORT_FILE,
+    requiredOutput: false
+  }
+];
+
+/**
+ * Get the keys of all registered agent types
+ */
+export function getAgentKeys() {
+  return AGENT_DEFINITIONS.map(definition => definition.key);
+}
+
+/**
+ * Get the agent definitions for a selection of agent keys (defaults to all)
+ */
+export function getAgentDefinitions(selection = null) {
+  if (selection) {
+    const unknownKeys = selection.filter(key => !getAgentKeys().includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`Unknown agent(s): ${unknownKeys.join(', ')}. Available agents: ${getAgentKeys().join(', ')}`);
+    }
+  }
+
+  return AGENT_DEFINITIONS.filter(definition => !selection || selection.includes(definition.key));
+}
+
+/**
+ * Get the content files a run with the selected agents must produce
+ */
+export function getRequiredOutputFiles(selection = null) {
+  return getAgentDefinitions(selection)
+    .filter(definition => definition.requiredOutput)
+    .map(definition => definition.outputFile);
+}
+
+/**
+ * Create a fresh set of agents
+ *
+ * @param {Object} options
+ * @param {string[]} [options.selection] - Agent keys to create (defaults to all)
+ * @param {Object} [options.agentConfig] - Config shared by every agent (e.g. outputDir)
+ */
+export function createAgents(options = {}) {
+  const { selection = null, agentConfig = {} } = options;
+
+  return getAgentDefinitions(selection)
+    .map(definition => new definition.AgentClass({
+      ...agentConfig,
+      id: `${definition.key}_001`,
+      outputFile: definition.outputFile
+    }));
+}
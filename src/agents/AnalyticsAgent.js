@@ -16,7 +16,10 @@ export class AnalyticsAgent extends BaseAgent {
       type: 'analytics',
       name: 'AnalyticsAgent',
       capabilities: ['content_analysis', 'performance_monitoring', 'quality_assessment'],
-      initialGoals: ['wait_for_content', 'analyze_content_quality', 'generate_insights', 'save_analytics']
+      initialGoals: ['wait_for_content', 'analyze_content_quality', 'generate_insights', 'save_analytics'],
+      wakeOn: ['content_generated', 'faq_content_available', 'product_content_available', 'comparison_content_available', 'data_share', 'data_response'],
+      consumes: ['faq_content', 'product_content', 'comparison_content'],
+      produces: ['analytics_data']
     });
 
     this.analyticsData = null;
@@ -66,33 +69,33 @@ export class AnalyticsAgent extends BaseAgent {
     console.log(`   Product in beliefs: ${!!productContent}`);
     console.log(`   Comparison in beliefs: ${!!comparisonContent}`);
     
-    // If no content in beliefs, try to read from output files
+    // If no content in beliefs, try to read the pages written during this run
     console.log(`📁 [${this.id}] Reading content from output files`);
     
     try {
-      const fs = await import('fs');
+      const outputSink = this.getOutputSink();
       
       console.log(`🔍 [${this.id}] Checking for output files...`);
-      console.log(`   FAQ exists: ${fs.existsSync('output/faq.json')}`);
-      console.log(`   Product exists: ${fs.existsSync('output/product_page.json')}`);
-      console.log(`   Comparison exists: ${fs.existsSync('output/comparison_page.json')}`);
+      console.log(`   FAQ exists: ${outputSink.has('faq.json')}`);
+      console.log(`   Product exists: ${outputSink.has('product_page.json')}`);
+      console.log(`   Comparison exists: ${outputSink.has('comparison_page.json')}`);
       
-      if (fs.existsSync('output/faq.json')) {
-        const faqData = JSON.parse(fs.readFileSync('output/faq.json', 'utf8'));
+      if (outputSink.has('faq.json')) {
+        const faqData = outputSink.readJson('faq.json');
         faqContent = faqData;
         this.beliefs.set('faq_content', faqContent);
         console.log(`📄 [${this.id}] Loaded FAQ content from file (${Object.keys(faqData).length} keys)`);
       }
       
-      if (fs.existsSync('output/product_page.json')) {
-        const productData = JSON.parse(fs.readFileSync('output/product_page.json', 'utf8'));
+      if (outputSink.has('product_page.json')) {
+        const productData = outputSink.readJson('product_page.json');
         productContent = productData;
         this.beliefs.set('product_content', productContent);
         console.log(`📄 [${this.id}] Loaded product content from file (${Object.keys(productData).length} keys)`);
       }
       
-      if (fs.existsSync('output/comparison_page.json')) {
-        const comparisonData = JSON.parse(fs.readFileSync('output/comparison_page.json', 'utf8'));
+      if (outputSink.has('comparison_page.json')) {
+        const comparisonData = outputSink.readJson('comparison_page.json');
         comparisonContent = comparisonData;
         this.beliefs.set('comparison_content', comparisonContent);
         console.log(`📄 [${this.id}] Loaded comparison content from file (${Object.keys(comparisonData).length} keys)`);
@@ -502,12 +505,7 @@ export class AnalyticsAgent extends BaseAgent {
     console.log(`💾 [${this.id}] Saving analytics data`);
     
     try {
-      const fs = await import('fs');
-      if (!fs.existsSync('output')) {
-        fs.mkdirSync('output', { recursive: true });
-      }
-      
-      fs.writeFileSync('output/analytics.json', JSON.stringify(this.analyticsData, null, 2));
+      await this.writeOutput('analytics.json', this.analyticsData);
       
       // Broadcast analytics completion
       await this.broadcastMessage('analytics_completed', {
@@ -10,6 +10,9 @@
  */
 
 import { EventEmitter } from 'events';
+import { generateCopy } from '../providers/LlmProvider.js';
+import { DirectorySink } from '../output/DirectorySink.js';
+import { createLocalizer, DEFAULT_LOCALE } from '../locales/Localizer.js';
 
 export class BaseAgent extends EventEmitter {
   constructor(config = {}) {
@@ -19,6 +22,35 @@ export class BaseAgent extends EventEmitter {
     this.name = config.name || this.id;
     this.type = config.type || 'generic';
     this.capabilities = new Set(config.capabilities || []);
+    this.outputDir = config.outputDir || 'output';
+    this.outputFile = config.outputFile || null; // File this agent writes to outputDir, if any
+    
+    // Where output files go (the orchestrator shares one sink per run; see src/output)
+    this.outputSink = config.outputSink || null;
+    
+    // Optional text provider for answer/copy generation (null keeps template copy)
+    this.textProvider = config.textProvider || null;
+    
+    // When the run ends (set by the orchestrator); provider requests do not outlive it
+    this.runDeadline = null;
+    
+    // Locale the agent writes copy in (questions, block copy, titles, number formatting)
+    this.locale = config.locale || DEFAULT_LOCALE;
+    this.localizer = createLocalizer(this.locale);
+    
+    // Fail page templates on unknown variables instead of rendering them empty or
+    // falling back to generic copy
+    this.strictTemplates = Boolean(config.strictTemplates);
+    
+    // Declared artifacts (beliefs) the agent needs and provides; the orchestrator builds the DAG from these
+    this.consumes = config.consumes || [];
+    this.produces = config.produces || [];
+    
+    // Event-driven scheduling: message types that wake the agent
+    this.wakeOn = new Set(config.wakeOn || []);
+    
+    // Message bus topics the agent receives broadcasts on (see MessageSchemas)
+    this.topics = config.topics || ['*'];
     
     // Autonomous agent state
     this.isRunning = false;
@@ -56,8 +88,11 @@ export class BaseAgent extends EventEmitter {
   
   /**
    * Start autonomous operation
+   *
+   * With `options.decisionLoop: false` the agent does not start its own timer and
+   * only makes decisions when a scheduler calls makeAutonomousDecision().
    */
-  async startAutonomousOperation(initialContext = {}) {
+  async startAutonomousOperation(initialContext = {}, options = {}) {
     if (this.isRunning) return;
     
     this.isRunning = true;
@@ -75,7 +110,9 @@ export class BaseAgent extends EventEmitter {
     await this.createInitialGoals();
     
     // Start autonomous decision-making loop
-    this.startDecisionLoop();
+    if (options.decisionLoop !== false) {
+      this.startDecisionLoop();
+    }
     
     // Initialize agent-specific behavior
     await this.initialize();
@@ -134,6 +171,10 @@ export class BaseAgent extends EventEmitter {
     if (this.capabilities.has('seo_optimization')) {
       this.createGoal('optimize_content_seo');
     }
+    
+    if (this.capabilities.has('compliance_review')) {
+      this.createGoal('review_content_compliance');
+    }
   }
   
   /**
@@ -193,8 +234,12 @@ export class BaseAgent extends EventEmitter {
   
   /**
    * Make autonomous decision (core autonomy)
+   *
+   * @param {Object} [options]
+   * @param {Set<string>} [options.skipActions] - Actions not to execute again (used by the event scheduler)
+   * @returns {Promise<Object|null>} The executed decision and its result, or null if nothing was done
    */
-  async makeAutonomousDecision() {
+  async makeAutonomousDecision(options = {}) {
     try {
       // Assess current situation
       const situation = this.assessSituation();
@@ -202,6 +247,10 @@ export class BaseAgent extends EventEmitter {
       // Decide what to do based on goals, beliefs, and situation
       const decision = await this.decideAction(situation);
       
+      if (decision && options.skipActions && options.skipActions.has(decision.action)) {
+        return null;
+      }
+      
       if (decision) {
         this.decisionsCount++;
         
@@ -230,11 +279,15 @@ export class BaseAgent extends EventEmitter {
         if (decision.action === 'work_on_goal' || this.decisionsCount % 10 === 1) {
           console.log(`🧠 [${this.id}] Made autonomous decision: ${decision.action}`);
         }
+        
+        return { decision, result };
       }
       
     } catch (error) {
       console.error(`❌ [${this.id}] Error in autonomous decision: ${error.message}`);
     }
+    
+    return null;
   }
   
   /**
@@ -396,16 +449,12 @@ export class BaseAgent extends EventEmitter {
       return true;
     }
     
-    // Check if output files exist (for analytics agent)
+    // Check if pages were written during this run (for analytics agent)
     if (this.capabilities.has('content_analysis')) {
-      try {
-        const fs = require('fs');
-        return fs.existsSync('output/faq.json') || 
-               fs.existsSync('output/product_page.json') || 
-               fs.existsSync('output/comparison_page.json');
-      } catch (error) {
-        return false;
-      }
+      const outputSink = this.getOutputSink();
+      return outputSink.has('faq.json') || 
+             outputSink.has('product_page.json') || 
+             outputSink.has('comparison_page.json');
     }
     
     return false;
@@ -529,6 +578,7 @@ export class BaseAgent extends EventEmitter {
     if (goal.description.includes('comparison')) return 'comparison_content';
     if (goal.description.includes('analyze')) return 'analysis_data';
     if (goal.description.includes('seo')) return 'seo_data';
+    if (goal.description.includes('compliance')) return 'compliance_report';
     return 'general_data';
   }
   
@@ -656,18 +706,12 @@ export class BaseAgent extends EventEmitter {
         break;
         
       case 'questions_available':
+      case 'question_bank_available':
         await this.handleQuestionsAvailable(message);
         break;
         
       case 'competitor_data_available':
-        await this.handleCompetitorDataAvailable(message);
-        break;
-        
-      case 'questions_available':
-        await this.handleQuestionsAvailable(message);
-        break;
-        
-      case 'competitor_data_available':
+      case 'comparison_data_available':
         await this.handleCompetitorDataAvailable(message);
         break;
         
@@ -711,10 +755,6 @@ export class BaseAgent extends EventEmitter {
         await this.handleSeoOptimizationCompleted(message);
         break;
         
-      case 'comparison_data_available':
-        await this.handleCompetitorDataAvailable(message);
-        break;
-        
       default:
         console.log(`🤷 [${this.id}] Unknown message type: ${message.type}`);
     }
@@ -749,6 +789,7 @@ export class BaseAgent extends EventEmitter {
         fromAgent: this.id,
         toAgent: message.from,
         type: 'data_response',
+        correlationId: message.correlationId,
         content: {
           requestedData: requestedData,
           data: dataToShare,
@@ -819,6 +860,7 @@ export class BaseAgent extends EventEmitter {
         fromAgent: this.id,
         toAgent: message.from,
         type: 'collaboration_accepted',
+        correlationId: message.correlationId,
         content: {
           myCapabilities: Array.from(this.capabilities),
           timestamp: Date.now()
@@ -1067,6 +1109,30 @@ export class BaseAgent extends EventEmitter {
     console.log(`📦 [${this.id}] Received resource: ${resourceType}`);
   }
   
+  /**
+   * Check if a message type should wake this agent (event-driven scheduling)
+   */
+  shouldWakeOn(messageType) {
+    return this.wakeOn.has(messageType);
+  }
+  
+  /**
+   * Check if the agent holds every artifact it consumes
+   */
+  isReadyToAct() {
+    return this.consumes.every(artifact => this.beliefs.get(artifact) !== undefined && this.beliefs.get(artifact) !== null);
+  }
+  
+  /**
+   * Get the declared artifact dependencies of this agent
+   */
+  getArtifacts() {
+    return {
+      consumes: [...this.consumes],
+      produces: [...this.produces]
+    };
+  }
+  
   /**
    * Check if agent is active
    */
@@ -1109,6 +1175,47 @@ export class BaseAgent extends EventEmitter {
     console.log(`📊 [${this.id}] Final stats: ${this.decisionsCount} decisions, ${this.interactionsCount} interactions, ${this.goalsAchieved} goals achieved`);
   }
   
+  /**
+   * Generate text through the configured provider
+   *
+   * Returns `request.fallback` (the agent's template copy) when no provider is
+   * configured or the provider fails.
+   */
+  async generateText(request) {
+    return generateCopy(this.textProvider, { ...request, deadline: this.runDeadline });
+  }
+  
+  /**
+   * Set the time the run ends (ms since the epoch), for the agent's provider requests and
+   * those of its template engine's blocks
+   */
+  setRunDeadline(deadline) {
+    this.runDeadline = deadline;
+    if (this.templateEngine) {
+      this.templateEngine.deadline = deadline;
+    }
+  }
+  
+  /**
+   * Write an output file through the agent's output sink
+   *
+   * @returns {Promise<Object>} The file's manifest entry (size and checksum)
+   */
+  async writeOutput(fileName, content) {
+    return this.getOutputSink().write(fileName, content, { writtenBy: this.id });
+  }
+  
+  /**
+   * Get the output sink, falling back to a directory sink on outputDir when the
+   * agent runs without an orchestrator
+   */
+  getOutputSink() {
+    if (!this.outputSink) {
+      this.outputSink = new DirectorySink({ directory: this.outputDir });
+    }
+    return this.outputSink;
+  }
+  
   /**
    * Utility: Sleep for specified milliseconds
    */
@@ -1,8 +1,18 @@
 /**
  * ComparisonDataAgent - Autonomous agent for generating competitor data
+ *
+ * This agent:
+ * 1. Waits for the clean product data
+ * 2. Picks the most similar competitors of the product's category from the competitor
+ *    catalog (ingredients, price band, skin type; see src/competitors/CompetitorCatalog.js)
+ * 3. Falls back to fictional competitors, flagged `fictional: true`, when the catalog has
+ *    none similar enough
+ * 4. Shares the competitors with the comparison page agent
  */
 
 import { BaseAgent } from './BaseAgent.js';
+import { selectCompetitors, createFictionalCompetitors, DEFAULT_COMPETITOR_COUNT } from '../competitors/CompetitorCatalog.js';
+import { DEFAULT_CATEGORY } from '../schemas/ProductSchemas.js';
 
 export class ComparisonDataAgent extends BaseAgent {
   constructor(config = {}) {
@@ -11,10 +21,16 @@ export class ComparisonDataAgent extends BaseAgent {
       type: 'comparison_data',
       name: 'ComparisonDataAgent',
       capabilities: ['competitor_generation', 'market_analysis'],
-      initialGoals: ['wait_for_clean_data', 'generate_competitors', 'share_comparison_data']
+      initialGoals: ['wait_for_clean_data', 'generate_competitors', 'share_comparison_data'],
+      wakeOn: ['clean_data_available', 'data_share', 'data_response'],
+      consumes: ['clean_data'],
+      produces: ['competitor_data']
     });
     
     this.competitorData = [];
+    // Catalog to pick from (null: the registered or shipped catalog) and how many to pick
+    this.competitorCatalog = config.competitorCatalog || null;
+    this.competitorCount = config.competitorCount || DEFAULT_COMPETITOR_COUNT;
   }
   
   /**
@@ -137,7 +153,7 @@ export class ComparisonDataAgent extends BaseAgent {
     
     console.log(`🏢 [${this.id}] Generating competitor data`);
     
-    const competitors = this.createFictionalCompetitors(cleanData);
+    const competitors = this.findCompetitors(cleanData);
     this.competitorData = competitors;
     
     // Store in beliefs and knowledge for other agents
@@ -173,37 +189,22 @@ export class ComparisonDataAgent extends BaseAgent {
   }
   
   /**
-   * Create fictional competitors based on product information
+   * Pick the product's competitors from the catalog, or fictional ones when none match
    */
-  createFictionalCompetitors(productData) {
-    const competitors = [
-      {
-        name: "Competitor A Vitamin C Serum",
-        price: "₹1299",
-        concentration: "15% Vitamin C",
-        keyIngredients: "Vitamin C, Vitamin E, Ferulic Acid",
-        benefits: "Brightening, Anti-aging",
-        rating: 4.2
-      },
-      {
-        name: "Competitor B Brightening Serum",
-        price: "₹699", 
-        concentration: "10% Vitamin C",
-        keyIngredients: "Vitamin C, Aloe Vera, Green Tea",
-        benefits: "Brightening, Hydration",
-        rating: 4.0
-      },
-      {
-        name: "Competitor C Advanced Serum",
-        price: "₹1599",
-        concentration: "25% Vitamin C",
-        keyIngredients: "Vitamin C, Retinol, Peptides",
-        benefits: "Anti-aging, Brightening, Firming",
-        rating: 4.5
-      }
-    ];
-    
-    return competitors;
+  findCompetitors(productData) {
+    const competitors = selectCompetitors(productData, {
+      catalog: this.competitorCatalog || undefined,
+      count: this.competitorCount
+    });
+
+    if (competitors.length > 0) {
+      const names = competitors.map(competitor => `${competitor.productName} (${competitor.similarity.score})`);
+      console.log(`📚 [${this.id}] Selected catalog competitors: ${names.join(', ')}`);
+      return competitors;
+    }
+
+    console.warn(`⚠️  [${this.id}] No catalog competitors match ${productData.productName || 'the product'} (${productData.category || DEFAULT_CATEGORY}), using fictional competitors`);
+    return createFictionalCompetitors(productData, { count: this.competitorCount, localizer: this.localizer });
   }
 
   async initialize() {
@@ -230,7 +231,7 @@ export class ComparisonDataAgent extends BaseAgent {
     
     // Generate competitor data
     console.log(`🏢 [${this.id}] Generating competitor data`);
-    this.competitorData = this.createCompetitorData(cleanData);
+    this.competitorData = this.findCompetitors(cleanData);
     
     // Store in shared data
     this.sharedData.set('comparison_data', this.competitorData);
@@ -249,40 +250,6 @@ export class ComparisonDataAgent extends BaseAgent {
     return result;
   }
   
-  /**
-   * Create competitor data based on product information (used by legacy methods)
-   */
-  createCompetitorData(productData) {
-    const competitors = [
-      {
-        name: "Competitor A Vitamin C Serum",
-        price: "₹1299",
-        concentration: "15% Vitamin C",
-        keyIngredients: "Vitamin C, Vitamin E, Ferulic Acid",
-        benefits: "Brightening, Anti-aging",
-        rating: 4.2
-      },
-      {
-        name: "Competitor B Brightening Serum",
-        price: "₹699", 
-        concentration: "10% Vitamin C",
-        keyIngredients: "Vitamin C, Aloe Vera, Green Tea",
-        benefits: "Brightening, Hydration",
-        rating: 4.0
-      },
-      {
-        name: "Competitor C Advanced Serum",
-        price: "₹1599",
-        concentration: "25% Vitamin C",
-        keyIngredients: "Vitamin C, Retinol, Peptides",
-        benefits: "Anti-aging, Brightening, Firming",
-        rating: 4.5
-      }
-    ];
-    
-    return competitors;
-  }
-  
   decideAction(situation) {
     // Priority 1: Work on goals if we have clean data
     const activeGoals = situation.goals.filter(goal => goal.status === 'active');
@@ -346,37 +313,13 @@ export class ComparisonDataAgent extends BaseAgent {
   async generateCompetitors(data) {
     console.log(`🏢 [${this.id}] Generating competitor data`);
     
-    const competitors = this.createFictionalCompetitors(data);
+    const competitors = this.findCompetitors(data);
     this.competitorData = competitors;
     
     this.goals.delete('generate_competitors');
     return { success: true, message: `Generated ${competitors.length} competitors` };
   }
   
-  createFictionalCompetitors(originalProduct) {
-    const competitorNames = ['RadiantGlow Serum', 'PureBright Formula', 'VitaLux Treatment'];
-    const competitors = [];
-    
-    for (let i = 0; i < 2; i++) {
-      const originalPrice = parseFloat((originalProduct.price || '₹699').replace(/[^\d.]/g, ''));
-      const competitorPrice = Math.round(originalPrice * (0.8 + Math.random() * 0.4));
-      
-      competitors.push({
-        productName: competitorNames[i],
-        concentration: '15% Vitamin C',
-        skinType: 'All skin types',
-        keyIngredients: 'Vitamin C, Niacinamide, Peptides',
-        benefits: 'Anti-aging, Hydration, Pore minimizing',
-        howToUse: 'Apply 3-4 drops in the evening',
-        sideEffects: 'May cause initial dryness',
-        price: `₹${competitorPrice}`,
-        fictional: true
-      });
-    }
-    
-    return competitors;
-  }
-  
   async shareComparisonData() {
     console.log(`📤 [${this.id}] Sharing comparison data`);
     
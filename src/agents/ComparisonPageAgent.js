@@ -1,7 +1,11 @@
 import { BaseAgent } from './BaseAgent.js';
 import { TemplateEngine } from '../templates/TemplateEngine.js';
-import { getAllTemplates } from '../templates/Templates.js';
-import * as ContentBlocks from '../blocks/ContentBlocks.js';
+import { registerAllTemplates } from '../templates/Templates.js';
+import { getTemplateInputFields } from '../templates/TemplateSchema.js';
+import { registerAllContentBlocks } from '../blocks/BlockRegistry.js';
+import { getPrice, parsePrice, getEffectiveAmount, comparePrices } from '../pricing/PriceModel.js';
+import { getIngredients, compareIngredients } from '../ingredients/IngredientParser.js';
+import { compareProducts } from '../comparison/ComparisonEngine.js';
 
 /**
  * ComparisonPageAgent - Autonomous agent for comparison page generation
@@ -10,7 +14,9 @@ import * as ContentBlocks from '../blocks/ContentBlocks.js';
  * 1. Autonomously generates product comparison pages
  * 2. Makes independent decisions about comparison structure
  * 3. Uses template engine with content blocks
- * 4. Shares comparison content with other agents
+ * 4. Scores the product and its competitors across weighted dimensions (config
+ *    comparisonWeights, see src/comparison/ComparisonEngine.js)
+ * 5. Shares comparison content with other agents
  */
 export class ComparisonPageAgent extends BaseAgent {
   constructor(config = {}) {
@@ -19,11 +25,17 @@ export class ComparisonPageAgent extends BaseAgent {
       type: 'comparison_page',
       name: 'ComparisonPageAgent',
       capabilities: ['comparison_generation', 'template_processing', 'competitive_analysis'],
-      initialGoals: ['wait_for_clean_data', 'wait_for_competitor_data', 'generate_comparison_page', 'save_comparison_content']
+      initialGoals: ['wait_for_clean_data', 'wait_for_competitor_data', 'generate_comparison_page', 'save_comparison_content'],
+      wakeOn: ['clean_data_available', 'competitor_data_available', 'comparison_data_available', 'data_share', 'data_response'],
+      topics: ['artifacts', 'data', 'collaboration', 'system'],
+      consumes: ['clean_data', 'competitor_data'],
+      produces: ['comparison_content']
     });
 
-    this.templateEngine = new TemplateEngine();
+    this.templateEngine = new TemplateEngine({ textProvider: this.textProvider, localizer: this.localizer, strict: this.strictTemplates, inputFields: getTemplateInputFields(config.productSchema) });
     this.comparisonContent = null;
+    // Dimension weights of the comparison scoring, over the template's
+    this.comparisonWeights = config.comparisonWeights || null;
     this.setupTemplateEngine();
   }
 
@@ -182,11 +194,14 @@ export class ComparisonPageAgent extends BaseAgent {
       // Combine data for template processing
       const templateData = {
         ...cleanData,
-        competitors: competitorData
+        competitors: competitorData,
+        ...(this.comparisonWeights && { comparisonWeights: this.comparisonWeights })
       };
       
       this.comparisonContent = await this.templateEngine.processTemplate('comparison_page', templateData);
     } catch (error) {
+      if (this.strictTemplates) throw error;
+
       // Fallback generation
       this.comparisonContent = {
         title: `${cleanData.productName || 'Product'} vs Competitors`,
@@ -247,17 +262,9 @@ export class ComparisonPageAgent extends BaseAgent {
   }
 
   setupTemplateEngine() {
-    const templates = getAllTemplates();
-    Object.entries(templates).forEach(([name, template]) => {
-      this.templateEngine.registerTemplate(name, template);
-    });
-    
-    const contentBlockMethods = Object.getOwnPropertyNames(ContentBlocks)
-      .filter(name => typeof ContentBlocks[name] === 'function');
-    
-    contentBlockMethods.forEach(methodName => {
-      this.templateEngine.registerContentBlock(methodName, ContentBlocks[methodName]);
-    });
+    // Blocks first: templates are checked against the registered blocks and their contracts
+    registerAllContentBlocks(this.templateEngine);
+    registerAllTemplates(this.templateEngine);
   }
   
   async initialize() {
@@ -286,7 +293,11 @@ export class ComparisonPageAgent extends BaseAgent {
     
     // Generate comparison page
     console.log(`⚖️ [${this.id}] Generating comparison page`);
-    const comparisonPageData = { ...cleanData, competitors: comparisonData };
+    const comparisonPageData = {
+      ...cleanData,
+      competitors: comparisonData,
+      ...(this.comparisonWeights && { comparisonWeights: this.comparisonWeights })
+    };
     this.comparisonContent = this.templateEngine.processTemplate('comparison_page', comparisonPageData);
     
     // Store in shared data
@@ -387,36 +398,41 @@ export class ComparisonPageAgent extends BaseAgent {
   
   
   generatePriceComparison(primaryProduct, competitors) {
-    const primaryPrice = parseFloat((primaryProduct.price || '₹699').replace(/[^\d]/g, ''));
-    const competitorPrices = competitors.map(comp => parseFloat((comp.price || '₹699').replace(/[^\d]/g, '')));
+    const primaryPrice = getPrice(primaryProduct) || parsePrice('₹699');
+    
+    // Only competitors priced in the same currency are averaged
+    const competitorPrices = competitors
+      .map(comp => getPrice(comp) || parsePrice('₹699'))
+      .filter(price => comparePrices(primaryPrice, price).comparable);
     
     const avgCompetitorPrice = competitorPrices.length > 0 ? 
-      competitorPrices.reduce((sum, price) => sum + price, 0) / competitorPrices.length : primaryPrice;
+      competitorPrices.reduce((sum, price) => sum + getEffectiveAmount(price), 0) / competitorPrices.length : getEffectiveAmount(primaryPrice);
+    const lower = getEffectiveAmount(primaryPrice) < avgCompetitorPrice;
     
     return {
       primary_price: primaryProduct.price,
-      competitor_avg: `₹${Math.round(avgCompetitorPrice)}`,
-      price_advantage: primaryPrice < avgCompetitorPrice ? 'lower' : 'higher',
-      value_assessment: primaryPrice < avgCompetitorPrice ? 'Better value' : 'Premium pricing'
+      competitor_avg: this.localizer.formatAmount(Math.round(avgCompetitorPrice * 100) / 100, primaryPrice.currency),
+      currency: primaryPrice.currency,
+      compared_competitors: competitorPrices.length,
+      price_advantage: lower ? 'lower' : 'higher',
+      value_assessment: lower ? 'Better value' : 'Premium pricing'
     };
   }
   
   generateIngredientComparison(primaryProduct, competitors) {
-    const primaryIngredients = (primaryProduct.keyIngredients || '').split(',').map(ing => ing.trim());
-    const competitorIngredients = competitors.flatMap(comp => 
-      (comp.keyIngredients || '').split(',').map(ing => ing.trim())
-    );
-    
-    const uniqueToPrimary = primaryIngredients.filter(ing => 
-      !competitorIngredients.some(compIng => compIng.toLowerCase().includes(ing.toLowerCase()))
-    );
+    // Ingredients match by INCI name or family, so "Vitamin C" and "L-Ascorbic Acid" are common
+    const primaryIngredients = getIngredients(primaryProduct);
+    const competitorIngredients = competitors.flatMap(comp => getIngredients(comp));
+    const comparison = compareIngredients(primaryIngredients, competitorIngredients);
     
     return {
-      primary_ingredients: primaryIngredients,
-      unique_to_primary: uniqueToPrimary,
-      common_ingredients: primaryIngredients.filter(ing => 
-        competitorIngredients.some(compIng => compIng.toLowerCase().includes(ing.toLowerCase()))
-      )
+      primary_ingredients: primaryIngredients.map(ingredient => ingredient.name),
+      unique_to_primary: comparison.onlyFirst,
+      common_ingredients: comparison.shared,
+      overlap_by_competitor: competitors.map(comp => ({
+        name: comp.name || comp.productName,
+        overlap: compareIngredients(primaryIngredients, getIngredients(comp)).overlap
+      }))
     };
   }
   
@@ -436,30 +452,17 @@ export class ComparisonPageAgent extends BaseAgent {
   }
   
   generateRecommendation(primaryProduct, competitors) {
-    const priceComparison = this.generatePriceComparison(primaryProduct, competitors);
-    const ingredientComparison = this.generateIngredientComparison(primaryProduct, competitors);
-    
-    let recommendation = `${primaryProduct.productName || 'This product'}`;
-    
-    if (priceComparison.price_advantage === 'lower') {
-      recommendation += ' offers excellent value with competitive pricing';
-    } else {
-      recommendation += ' provides premium quality';
-    }
-    
-    if (ingredientComparison.unique_to_primary.length > 0) {
-      recommendation += ` and unique ingredients like ${ingredientComparison.unique_to_primary.slice(0, 2).join(', ')}`;
-    }
-    
-    recommendation += `. Best for ${primaryProduct.skinType || 'various skin types'}.`;
+    const { verdict } = compareProducts(primaryProduct, competitors, {
+      weights: this.comparisonWeights || {},
+      localizer: this.localizer
+    });
     
     return {
-      summary: recommendation,
+      summary: verdict.summary,
       best_for: primaryProduct.skinType || 'Various skin types',
-      key_advantages: [
-        priceComparison.value_assessment,
-        ...ingredientComparison.unique_to_primary.slice(0, 2)
-      ].filter(Boolean)
+      winner: verdict.winner,
+      primary_rank: verdict.primaryRank,
+      key_advantages: verdict.reasons
     };
   }
   
@@ -467,12 +470,7 @@ export class ComparisonPageAgent extends BaseAgent {
     console.log(`💾 [${this.id}] Saving comparison content`);
     
     try {
-      const fs = await import('fs');
-      if (!fs.existsSync('output')) {
-        fs.mkdirSync('output', { recursive: true });
-      }
-      
-      fs.writeFileSync('output/comparison_page.json', JSON.stringify(this.comparisonContent, null, 2));
+      await this.writeOutput('comparison_page.json', this.comparisonContent);
       
       // Broadcast completion
       await this.broadcastMessage('content_generated', {
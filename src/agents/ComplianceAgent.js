@@ -0,0 +1,137 @@
+import { BaseAgent } from './BaseAgent.js';
+import { checkCompliance } from '../compliance/ComplianceChecker.js';
+
+export const COMPLIANCE_REPORT_FILE = 'compliance_report.json';
+
+/**
+ * Generated files the agent checks, with the artifact that carries each one and, for
+ * files that are not customer-facing copy throughout, the fields that are
+ */
+export const COMPLIANCE_SOURCES = [
+  { file: 'faq.json', artifact: 'faq_content' },
+  { file: 'product_page.json', artifact: 'product_content' },
+  { file: 'comparison_page.json', artifact: 'comparison_content' },
+  { file: 'seo_optimization.json', artifact: 'seo_data', paths: ['metadata'] }
+];
+
+/**
+ * ComplianceAgent - Autonomous agent that reviews generated copy for regulated claims
+ *
+ * This agent:
+ * 1. Waits for the pages and the SEO metadata of the run
+ * 2. Checks them against the configured rule packs (see src/compliance): forbidden medical
+ *    claims, required disclaimers such as patch-test and sunscreen advice, superlatives
+ * 3. Writes the compliance report, every violation with its file, JSON path and severity
+ * 4. Lets the orchestrator hold back the run's output when the report has errors
+ *    (compliance mode "block")
+ */
+export class ComplianceAgent extends BaseAgent {
+  constructor(config = {}) {
+    super({
+      ...config,
+      type: 'compliance',
+      name: 'ComplianceAgent',
+      capabilities: ['compliance_review', 'claims_checking'],
+      initialGoals: ['wait_for_content', 'review_content_compliance', 'save_compliance_report'],
+      wakeOn: ['clean_data_available', 'content_generated', 'faq_content_available', 'product_content_available', 'comparison_content_available', 'data_share', 'data_response'],
+      consumes: ['clean_data', ...COMPLIANCE_SOURCES.map(source => source.artifact)],
+      produces: ['compliance_report']
+    });
+
+    // Rule packs (names or loaded packs) to check against; null uses every known pack
+    this.rulePacks = config.rulePacks || null;
+    this.complianceReport = null;
+  }
+
+  /**
+   * Perform goal-specific work (autonomous agent implementation)
+   */
+  async performGoalWork(goal) {
+    console.log(`⚖️  [${this.id}] Working on goal: ${goal.description}`);
+
+    if (goal.description.includes('compliance')) {
+      return await this.reviewCompliance();
+    }
+
+    if (goal.description.includes('process_product')) {
+      // Nothing to do for the product itself; the review runs on the generated content
+      goal.status = 'completed';
+      goal.completedAt = Date.now();
+      this.goalsAchieved++;
+      this.goals.delete(goal);
+      return { success: true, message: 'Product processing completed' };
+    }
+
+    return { success: false, message: 'Unknown goal type' };
+  }
+
+  /**
+   * Check the generated content and write the compliance report
+   *
+   * Waits (whatever the scheduler) until every checked file is in: a review of part of the
+   * pages would pass copy the missing ones may break.
+   */
+  async reviewCompliance() {
+    if (!this.isReadyToAct()) {
+      const missing = COMPLIANCE_SOURCES.filter(({ file, artifact }) => !this.getOutputSink().has(file) && !this.beliefs.get(artifact));
+      return { success: false, message: `Still waiting for ${missing.length > 0 ? missing.map(source => source.file).join(', ') : 'clean data'}` };
+    }
+
+    const documents = this.collectDocuments();
+
+    console.log(`⚖️  [${this.id}] Checking ${documents.map(document => document.file).join(', ')} for compliance`);
+
+    const report = checkCompliance(documents, this.beliefs.get('clean_data') || {}, {
+      packs: this.rulePacks,
+      locale: this.locale
+    });
+
+    this.complianceReport = {
+      ...report,
+      generatedBy: this.id,
+      timestamp: new Date().toISOString()
+    };
+    this.beliefs.set('compliance_report', this.complianceReport);
+
+    await this.writeOutput(this.outputFile || COMPLIANCE_REPORT_FILE, this.complianceReport);
+
+    const { errors, warnings, info } = report.summary;
+    console.log(`${report.passed ? '✅' : '🚫'} [${this.id}] Compliance review ${report.passed ? 'passed' : 'failed'}: ${errors} error(s), ${warnings} warning(s), ${info} note(s)`);
+
+    return {
+      success: true,
+      message: `Compliance review found ${errors} error(s) and ${warnings} warning(s)`,
+      data: this.complianceReport
+    };
+  }
+
+  /**
+   * The generated files to check: as written to the output sink, else as shared by their agents
+   */
+  collectDocuments() {
+    const outputSink = this.getOutputSink();
+
+    return COMPLIANCE_SOURCES
+      .map(({ file, artifact, paths }) => ({
+        file: file,
+        content: outputSink.has(file) ? outputSink.readJson(file) : this.beliefs.get(artifact),
+        paths: paths
+      }))
+      .filter(document => document.content);
+  }
+
+  /**
+   * Ready once the clean data is in and every checked file was written or shared
+   * (pages count as soon as they are in the output sink)
+   */
+  isReadyToAct() {
+    const outputSink = this.getOutputSink();
+
+    return Boolean(this.beliefs.get('clean_data')) &&
+      COMPLIANCE_SOURCES.every(({ file, artifact }) => outputSink.has(file) || Boolean(this.beliefs.get(artifact)));
+  }
+
+  async initialize() {
+    console.log(`⚖️  [${this.id}] Compliance Agent initialized with ${this.rulePacks ? this.rulePacks.length : 'all'} rule pack(s)`);
+  }
+}
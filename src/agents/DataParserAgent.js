@@ -4,11 +4,19 @@
  * This agent:
  * 1. Validates and normalizes product data when executed by orchestrator
  * 2. Provides clean, structured data for dependent agents
- * 3. Implements quality assessment and validation rules
- * 4. Has no dependencies (executes first in DAG)
+ * 3. Validates against the product schema of the product's category (see src/schemas)
+ * 4. Writes the validation report (errors, warnings, per-field score contributions)
+ * 5. Parses the key ingredients into INCI names, percentages and roles (see src/ingredients)
+ * 6. Consumes only the initial product data (executes first in DAG)
  */
 
 import { BaseAgent } from './BaseAgent.js';
+import { resolveProductSchema } from '../schemas/ProductSchemas.js';
+import { validateAgainstSchema } from '../schemas/SchemaValidator.js';
+import { getPrice } from '../pricing/PriceModel.js';
+import { parseIngredients } from '../ingredients/IngredientParser.js';
+
+export const VALIDATION_REPORT_FILE = 'validation_report.json';
 
 export class DataParserAgent extends BaseAgent {
   constructor(config = {}) {
@@ -17,38 +25,22 @@ export class DataParserAgent extends BaseAgent {
       type: 'data_parser',
       name: 'DataParserAgent',
       capabilities: ['data_validation', 'data_normalization', 'quality_assessment'],
-      dependencies: [] // No dependencies - executes first
+      topics: ['data', 'collaboration', 'system'], // Source of the pipeline: no artifact or content broadcasts needed
+      consumes: ['product_data'], // Only needs the initial context - executes first
+      produces: ['clean_data']
     });
     
+    // Schema used for every product, or the default category for products without one
+    this.productSchema = config.productSchema || null;
+    this.category = config.category || null;
+    
+    // Currency of prices that name none (defaults to INR, see PriceModel)
+    this.currency = config.currency || null;
+    
     // Parser-specific state
-    this.validationRules = new Map();
+    this.validationReport = null;
     this.processedData = null;
     this.qualityScore = 0;
-    
-    this.initializeValidationRules();
-  }
-  
-  /**
-   * Initialize validation rules
-   */
-  initializeValidationRules() {
-    this.validationRules.set('productName', {
-      required: true,
-      type: 'string',
-      minLength: 3
-    });
-    
-    this.validationRules.set('price', {
-      required: true,
-      type: 'string',
-      pattern: /₹?\d+/
-    });
-    
-    this.validationRules.set('keyIngredients', {
-      required: true,
-      type: 'string',
-      minLength: 5
-    });
   }
   
   /**
@@ -76,12 +68,13 @@ export class DataParserAgent extends BaseAgent {
     
     console.log(`✅ [${this.id}] Validating product data`);
     const validationResult = this.validateData(initialContext);
+    await this.saveValidationReport(validationResult);
     
     if (!validationResult.isValid) {
       return { success: false, message: `Data validation failed: ${validationResult.errors.join(', ')}` };
     }
     
-    console.log(`📊 [${this.id}] Validation complete - Score: ${validationResult.score}/100`);
+    console.log(`📊 [${this.id}] Validation complete (${validationResult.schema} schema) - Score: ${validationResult.score}/100, ${validationResult.warnings.length} warning(s)`);
     this.qualityScore = validationResult.score;
     
     // Normalize data
@@ -136,12 +129,13 @@ export class DataParserAgent extends BaseAgent {
     // Step 1: Validate data
     console.log(`✅ [${this.id}] Validating product data`);
     const validationResult = this.validateData(task.data);
+    await this.saveValidationReport(validationResult);
     
     if (!validationResult.isValid) {
       throw new Error(`Data validation failed: ${validationResult.errors.join(', ')}`);
     }
     
-    console.log(`📊 [${this.id}] Validation complete - Score: ${validationResult.score}/100`);
+    console.log(`📊 [${this.id}] Validation complete (${validationResult.schema} schema) - Score: ${validationResult.score}/100, ${validationResult.warnings.length} warning(s)`);
     this.qualityScore = validationResult.score;
     
     // Step 2: Normalize data
@@ -159,7 +153,7 @@ export class DataParserAgent extends BaseAgent {
       type: 'clean_data',
       data: this.processedData,
       qualityScore: this.qualityScore,
-      validationRules: Array.from(this.validationRules.keys()),
+      validationReport: validationResult,
       timestamp: Date.now()
     };
     
@@ -169,43 +163,33 @@ export class DataParserAgent extends BaseAgent {
   }
   
   /**
-   * Validate data against rules
+   * Validate data against the product schema of its category
+   *
+   * @returns {Object} Report: category, schema, isValid, score, errors, warnings,
+   *   issues and per-field status and score contribution
    */
   validateData(data) {
-    const validation = {
-      isValid: true,
-      errors: [],
-      warnings: [],
-      score: 100
-    };
-    
-    // Validate against rules
-    for (const [field, rule] of this.validationRules.entries()) {
-      const value = data[field];
-      
-      if (rule.required && (!value || value === '')) {
-        validation.errors.push(`Missing required field: ${field}`);
-        validation.isValid = false;
-        validation.score -= 20;
-      } else if (value) {
-        if (rule.type === 'string' && typeof value !== 'string') {
-          validation.warnings.push(`Field ${field} should be string`);
-          validation.score -= 5;
-        }
-        
-        if (rule.minLength && value.length < rule.minLength) {
-          validation.warnings.push(`Field ${field} too short`);
-          validation.score -= 10;
-        }
-        
-        if (rule.pattern && !rule.pattern.test(value)) {
-          validation.warnings.push(`Field ${field} format invalid`);
-          validation.score -= 10;
-        }
-      }
-    }
+    const { category, schema, warnings } = resolveProductSchema(data, { schema: this.productSchema, category: this.category });
+    const report = validateAgainstSchema(data, schema);
     
-    return validation;
+    return {
+      productName: data?.productName || null,
+      category: category,
+      ...report,
+      warnings: [...warnings, ...report.warnings]
+    };
+  }
+  
+  /**
+   * Write the validation report to the run output
+   */
+  async saveValidationReport(report) {
+    this.validationReport = report;
+    await this.writeOutput(VALIDATION_REPORT_FILE, {
+      ...report,
+      generatedBy: this.id,
+      timestamp: new Date().toISOString()
+    });
   }
   
   /**
@@ -214,20 +198,34 @@ export class DataParserAgent extends BaseAgent {
   normalizeData(data) {
     const normalized = { ...data };
     
-    // Normalize price format
-    if (normalized.price) {
-      normalized.price = normalized.price.replace(/[^\d₹]/g, '');
-      if (!normalized.price.startsWith('₹')) {
-        normalized.price = '₹' + normalized.price.replace('₹', '');
-      }
+    // Parse the price (amount, currency, sale price, pack size); `price` becomes the
+    // formatted price a customer pays in the agent's locale, e.g. "$19.99" or "₹1,299"
+    const priceDetails = getPrice(data, { currency: this.currency });
+    if (priceDetails) {
+      normalized.priceDetails = priceDetails;
+      normalized.price = this.localizer.formatPrice(priceDetails);
+      normalized.currency = priceDetails.currency;
     }
     
-    // Normalize ingredient list
+    // Parse the ingredient list (schemas accept a comma-separated string or a list);
+    // `keyIngredients` stays the readable list, `ingredients` the structured one
     if (normalized.keyIngredients) {
-      normalized.keyIngredients = normalized.keyIngredients
-        .split(',')
-        .map(ingredient => ingredient.trim())
-        .join(', ');
+      normalized.ingredients = parseIngredients(normalized.keyIngredients, { concentration: data.concentration });
+      normalized.keyIngredients = normalized.ingredients.map(ingredient => ingredient.name).join(', ');
+    }
+    
+    // Join the lists of the other fields the schema takes as a separated string or a list
+    // (benefits, keyFeatures, ...): the pages and agents read them as strings
+    const { schema } = resolveProductSchema(data, { schema: this.productSchema, category: this.category });
+    for (const [field, definition] of Object.entries(schema.properties || {})) {
+      if (Array.isArray(normalized[field]) && [].concat(definition.type).includes('string') && definition.separator) {
+        normalized[field] = normalized[field].map(item => String(item).trim()).join(`${definition.separator.trim()} `);
+      }
+    }
+    
+    // Keep the category the product was validated as; later agents pick its question bank
+    if (!normalized.category && this.validationReport?.category) {
+      normalized.category = this.validationReport.category;
     }
     
     // Add processing metadata
@@ -4,8 +4,9 @@
 
 import { BaseAgent } from './BaseAgent.js';
 import { TemplateEngine } from '../templates/TemplateEngine.js';
-import { getAllTemplates } from '../templates/Templates.js';
-import * as ContentBlocks from '../blocks/ContentBlocks.js';
+import { registerAllTemplates } from '../templates/Templates.js';
+import { getTemplateInputFields } from '../templates/TemplateSchema.js';
+import { registerAllContentBlocks } from '../blocks/BlockRegistry.js';
 
 export class FaqPageAgent extends BaseAgent {
   constructor(config = {}) {
@@ -14,10 +15,14 @@ export class FaqPageAgent extends BaseAgent {
       type: 'faq_page',
       name: 'FaqPageAgent',
       capabilities: ['faq_generation', 'template_processing'],
-      initialGoals: ['wait_for_questions', 'generate_faq_page', 'save_faq_content']
+      initialGoals: ['wait_for_questions', 'generate_faq_page', 'save_faq_content'],
+      wakeOn: ['clean_data_available', 'questions_available', 'data_share', 'data_response'],
+      topics: ['artifacts', 'data', 'collaboration', 'system'],
+      consumes: ['clean_data', 'questions'],
+      produces: ['faq_content']
     });
     
-    this.templateEngine = new TemplateEngine();
+    this.templateEngine = new TemplateEngine({ textProvider: this.textProvider, localizer: this.localizer, strict: this.strictTemplates, inputFields: getTemplateInputFields(config.productSchema) });
     this.faqContent = null;
     this.setupTemplateEngine();
   }
@@ -154,6 +159,8 @@ export class FaqPageAgent extends BaseAgent {
         questions: questionBank
       });
     } catch (error) {
+      if (this.strictTemplates) throw error;
+
       // Fallback generation
       this.faqContent = {
         title: `FAQ - ${cleanData.productName || 'Product'}`,
@@ -199,17 +206,9 @@ export class FaqPageAgent extends BaseAgent {
   }
 
   setupTemplateEngine() {
-    const templates = getAllTemplates();
-    Object.entries(templates).forEach(([name, template]) => {
-      this.templateEngine.registerTemplate(name, template);
-    });
-    
-    const contentBlockMethods = Object.getOwnPropertyNames(ContentBlocks)
-      .filter(name => typeof ContentBlocks[name] === 'function');
-    
-    contentBlockMethods.forEach(methodName => {
-      this.templateEngine.registerContentBlock(methodName, ContentBlocks[methodName]);
-    });
+    // Blocks first: templates are checked against the registered blocks and their contracts
+    registerAllContentBlocks(this.templateEngine);
+    registerAllTemplates(this.templateEngine);
   }
   
   async initialize() {
@@ -343,6 +342,8 @@ export class FaqPageAgent extends BaseAgent {
       this.goals.delete('generate_faq_page');
       return { success: true, message: 'FAQ page generated' };
     } catch (error) {
+      if (this.strictTemplates) throw error;
+
       // Fallback generation
       this.faqContent = {
         title: `FAQ - ${cleanData.productName || 'Product'}`,
@@ -360,12 +361,8 @@ export class FaqPageAgent extends BaseAgent {
     console.log(`💾 [${this.id}] Saving FAQ content`);
     
     try {
-      const fs = await import('fs');
-      if (!fs.existsSync('output')) {
-        fs.mkdirSync('output', { recursive: true });
-      }
-      
-      fs.writeFileSync('output/faq.json', JSON.stringify(this.faqContent, null, 2));
+      await this.writeOutput('faq.json', this.faqContent);
+      this.beliefs.set('faq_content', this.faqContent);
       
       // Broadcast completion
       await this.broadcastMessage('content_generated', {
@@ -1,7 +1,8 @@
 import { BaseAgent } from './BaseAgent.js';
 import { TemplateEngine } from '../templates/TemplateEngine.js';
-import { getAllTemplates } from '../templates/Templates.js';
-import * as ContentBlocks from '../blocks/ContentBlocks.js';
+import { registerAllTemplates } from '../templates/Templates.js';
+import { getTemplateInputFields } from '../templates/TemplateSchema.js';
+import { registerAllContentBlocks } from '../blocks/BlockRegistry.js';
 
 /**
  * ProductPageAgent - Autonomous agent for product page generation
@@ -19,10 +20,14 @@ export class ProductPageAgent extends BaseAgent {
       type: 'product_page',
       name: 'ProductPageAgent',
       capabilities: ['product_page_generation', 'template_processing', 'content_structuring'],
-      initialGoals: ['wait_for_clean_data', 'generate_product_page', 'save_product_content']
+      initialGoals: ['wait_for_clean_data', 'generate_product_page', 'save_product_content'],
+      wakeOn: ['clean_data_available', 'data_share', 'data_response'],
+      topics: ['artifacts', 'data', 'collaboration', 'system'],
+      consumes: ['clean_data'],
+      produces: ['product_content']
     });
 
-    this.templateEngine = new TemplateEngine();
+    this.templateEngine = new TemplateEngine({ textProvider: this.textProvider, localizer: this.localizer, strict: this.strictTemplates, inputFields: getTemplateInputFields(config.productSchema) });
     this.productContent = null;
     this.setupTemplateEngine();
   }
@@ -61,6 +66,8 @@ export class ProductPageAgent extends BaseAgent {
     try {
       this.productContent = await this.templateEngine.processTemplate('product_page', cleanData);
     } catch (error) {
+      if (this.strictTemplates) throw error;
+
       // Fallback generation
       this.productContent = {
         title: `${cleanData.productName || 'Product'} - Complete Guide`,
@@ -133,17 +140,9 @@ export class ProductPageAgent extends BaseAgent {
   }
 
   setupTemplateEngine() {
-    const templates = getAllTemplates();
-    Object.entries(templates).forEach(([name, template]) => {
-      this.templateEngine.registerTemplate(name, template);
-    });
-    
-    const contentBlockMethods = Object.getOwnPropertyNames(ContentBlocks)
-      .filter(name => typeof ContentBlocks[name] === 'function');
-    
-    contentBlockMethods.forEach(methodName => {
-      this.templateEngine.registerContentBlock(methodName, ContentBlocks[methodName]);
-    });
+    // Blocks first: templates are checked against the registered blocks and their contracts
+    registerAllContentBlocks(this.templateEngine);
+    registerAllTemplates(this.templateEngine);
   }
   
   async initialize() {
@@ -263,6 +262,8 @@ export class ProductPageAgent extends BaseAgent {
       this.goals.delete('generate_product_page');
       return { success: true, message: 'Product page generated' };
     } catch (error) {
+      if (this.strictTemplates) throw error;
+
       // Fallback generation
       this.productContent = {
         title: `${cleanData.productName || 'Product'} - Complete Guide`,
@@ -307,12 +308,8 @@ export class ProductPageAgent extends BaseAgent {
     console.log(`💾 [${this.id}] Saving product content`);
     
     try {
-      const fs = await import('fs');
-      if (!fs.existsSync('output')) {
-        fs.mkdirSync('output', { recursive: true });
-      }
-      
-      fs.writeFileSync('output/product_page.json', JSON.stringify(this.productContent, null, 2));
+      await this.writeOutput('product_page.json', this.productContent);
+      this.beliefs.set('product_content', this.productContent);
       
       // Broadcast completion
       await this.broadcastMessage('content_generated', {
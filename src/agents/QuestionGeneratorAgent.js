@@ -2,13 +2,17 @@
  * QuestionGeneratorAgent - Dynamic agent for generating categorized questions
  * 
  * This agent:
- * 1. Generates 15+ questions across 5 categories when assigned tasks
+ * 1. Generates 15+ questions across 5 categories when assigned tasks, from the
+ *    question bank of the product's vertical, in its locale
  * 2. Interacts with other agents to get clean data
  * 3. Adapts question generation based on product data characteristics
  * 4. Shares question bank with content generation agents
  */
 
 import { BaseAgent } from './BaseAgent.js';
+import { buildPrompt, COPY_SYSTEM_PROMPT } from '../providers/prompts.js';
+import { buildQuestions, resolveQuestionBank } from '../questions/QuestionBank.js';
+import { validateGrounding, generateGroundedCopy } from '../grounding/GroundingValidator.js';
 
 export class QuestionGeneratorAgent extends BaseAgent {
   constructor(config = {}) {
@@ -16,7 +20,10 @@ export class QuestionGeneratorAgent extends BaseAgent {
       ...config,
       type: 'question_generator',
       name: 'QuestionGeneratorAgent',
-      capabilities: ['question_generation', 'categorization', 'content_analysis']
+      capabilities: ['question_generation', 'categorization', 'content_analysis'],
+      wakeOn: ['clean_data_available', 'data_share', 'data_response'],
+      consumes: ['clean_data'],
+      produces: ['questions']
     });
     
     // Question-specific state
@@ -25,48 +32,8 @@ export class QuestionGeneratorAgent extends BaseAgent {
     this.questionBank = new Map();
     this.targetQuestionCount = 18;
     
-    this.initializeQuestionTemplates();
-  }
-  
-  /**
-   * Initialize question templates
-   */
-  initializeQuestionTemplates() {
-    this.questionTemplates = new Map();
-    
-    this.questionTemplates.set('informational', [
-      'What is {productName}?',
-      'What are the key ingredients in {productName}?',
-      'What skin type is {productName} designed for?',
-      'What is the concentration of active ingredients?'
-    ]);
-    
-    this.questionTemplates.set('usage', [
-      'How do I use {productName}?',
-      'When should I use {productName}?',
-      'How often should I use {productName}?',
-      'Can I use {productName} with other products?'
-    ]);
-    
-    this.questionTemplates.set('safety', [
-      'Are there any side effects with {productName}?',
-      'Is {productName} safe for sensitive skin?',
-      'Should I do a patch test before using {productName}?',
-      'What precautions should I take?'
-    ]);
-    
-    this.questionTemplates.set('purchase', [
-      'What is the price of {productName}?',
-      'What benefits does {productName} provide?',
-      'Is {productName} worth the investment?',
-      'Who should consider buying {productName}?'
-    ]);
-    
-    this.questionTemplates.set('comparison', [
-      'How does {productName} compare to other products?',
-      'What makes {productName} different from competitors?',
-      'Why should I choose {productName} over alternatives?'
-    ]);
+    // Vertical of products that do not name their own category
+    this.category = config.category || null;
   }
   
   /**
@@ -197,19 +164,7 @@ export class QuestionGeneratorAgent extends BaseAgent {
     
     console.log(`❓ [${this.id}] Generating question bank for ${cleanData.productName || 'product'}`);
     
-    const questions = [];
-    
-    // Generate questions for each category
-    for (const category of this.questionCategories) {
-      const categoryQuestions = this.generateQuestionsForCategory(cleanData, category);
-      questions.push(...categoryQuestions);
-    }
-    
-    // Ensure we have enough questions
-    while (questions.length < this.targetQuestionCount) {
-      const additionalQuestion = this.generateGenericQuestion(cleanData, questions.length);
-      questions.push(additionalQuestion);
-    }
+    const questions = await this.generateQuestions(cleanData);
     
     this.generatedQuestions = questions;
     
@@ -275,7 +230,7 @@ export class QuestionGeneratorAgent extends BaseAgent {
     
     // Generate questions
     console.log(`❓ [${this.id}] Generating question bank for ${cleanData.productName}`);
-    this.generatedQuestions = this.generateQuestions(cleanData);
+    this.generatedQuestions = await this.generateQuestions(cleanData);
     
     // Categorize questions
     console.log(`📋 [${this.id}] Categorizing ${this.generatedQuestions.length} questions`);
@@ -378,21 +333,49 @@ export class QuestionGeneratorAgent extends BaseAgent {
   }
   
   /**
-   * Generate questions for specific category
+   * Generate the question bank in the agent's locale, with provider-written answers
+   * where a text provider is configured (see QuestionBank); each answer lists its
+   * source fields, and provider answers that are not grounded in the data are rejected
    */
-  generateQuestionsForCategory(data, category) {
-    const templates = this.questionTemplates.get(category) || [];
+  async generateQuestions(data) {
+    const { vertical, bank, warnings } = resolveQuestionBank(data, { vertical: this.category });
+    warnings.forEach(warning => console.log(`⚠️  [${this.id}] ${warning}`));
+    console.log(`❓ [${this.id}] Using the ${vertical} question bank`);
+    
+    const templates = buildQuestions(data, {
+      localizer: this.localizer,
+      bank: bank,
+      categories: this.questionCategories,
+      minQuestions: this.targetQuestionCount
+    });
     const questions = [];
     
-    for (const template of templates) {
-      const question = this.fillQuestionTemplate(template, data);
-      const answer = this.generateAnswerForQuestion(question, data, category);
+    for (const { id, category, question, answer, importance, sources, fallback } of templates) {
+      // A bank answer asserting facts the product data does not have is left out
+      const templateCheck = validateGrounding(answer, data);
+      if (!templateCheck.grounded) {
+        console.log(`⚠️  [${this.id}] Skipping question "${id}": ${templateCheck.issues.map(issue => issue.message).join('; ')}`);
+        continue;
+      }
+      
+      const copy = await generateGroundedCopy(this.textProvider, {
+        task: 'faq_answer',
+        key: `faq_answer:${question}`,
+        system: COPY_SYSTEM_PROMPT,
+        prompt: buildPrompt(`Answer this customer question in one or two sentences: ${question}`, data, { language: this.localizer.language }),
+        variables: { question: question, category: category, productName: data.productName, locale: this.locale },
+        fallback: answer,
+        deadline: this.runDeadline
+      }, data);
       
       questions.push({
         category: category,
         question: question,
-        answer: answer,
-        importance: this.assessQuestionImportance(question, category),
+        answer: copy.text,
+        importance: importance,
+        sources: sources,
+        fallback: fallback || copy.fallback,
+        ...(copy.issues.length > 0 && { groundingIssues: copy.issues.map(issue => issue.message) }),
         generatedBy: this.id
       });
     }
@@ -400,93 +383,6 @@ export class QuestionGeneratorAgent extends BaseAgent {
     return questions;
   }
   
-  /**
-   * Fill question template with data
-   */
-  fillQuestionTemplate(template, data) {
-    return template.replace(/\{(\w+)\}/g, (match, field) => {
-      return data[field] || match;
-    });
-  }
-  
-  /**
-   * Generate answer for question
-   */
-  generateAnswerForQuestion(question, data, category) {
-    // Simple answer generation based on category and available data
-    if (category === 'informational') {
-      if (question.includes('What is')) {
-        return `${data.productName || 'This product'} is a ${data.concentration || 'skincare'} product with ${data.keyIngredients || 'premium ingredients'}.`;
-      }
-      if (question.includes('key ingredients')) {
-        return `The key ingredients include ${data.keyIngredients || 'carefully selected components'}.`;
-      }
-    }
-    
-    if (category === 'usage') {
-      if (question.includes('How do I use')) {
-        return data.howToUse || 'Follow the product instructions for best results.';
-      }
-    }
-    
-    if (category === 'safety') {
-      if (question.includes('side effects')) {
-        return data.sideEffects ? `Some users may experience ${data.sideEffects.toLowerCase()}. Always patch test before first use.` : 'Always patch test before first use.';
-      }
-    }
-    
-    if (category === 'purchase') {
-      if (question.includes('price')) {
-        return `${data.productName || 'This product'} is available for ${data.price || 'competitive pricing'}.`;
-      }
-      if (question.includes('benefits')) {
-        return `${data.productName || 'This product'} provides ${data.benefits || 'skincare benefits'}.`;
-      }
-    }
-    
-    // Default answer
-    return `This question relates to ${data.productName || 'the product'} and its characteristics.`;
-  }
-  
-  /**
-   * Assess question importance
-   */
-  assessQuestionImportance(question, category) {
-    const highImportanceKeywords = ['what is', 'how to use', 'side effects', 'price'];
-    const mediumImportanceKeywords = ['when', 'how often', 'benefits'];
-    
-    const questionLower = question.toLowerCase();
-    
-    if (highImportanceKeywords.some(keyword => questionLower.includes(keyword))) {
-      return 'high';
-    } else if (mediumImportanceKeywords.some(keyword => questionLower.includes(keyword))) {
-      return 'medium';
-    } else {
-      return 'low';
-    }
-  }
-  
-  /**
-   * Generate generic question
-   */
-  generateGenericQuestion(data, index) {
-    const genericQuestions = [
-      `Who should use ${data.productName || 'this product'}?`,
-      `How long does it take to see results with ${data.productName || 'this product'}?`,
-      `Can I use ${data.productName || 'this product'} with other skincare products?`
-    ];
-    
-    const question = genericQuestions[index % genericQuestions.length];
-    
-    return {
-      category: 'general',
-      question: question,
-      answer: `This question about ${data.productName || 'the product'} requires individual consideration.`,
-      importance: 'low',
-      generatedBy: this.id
-    };
-  }
-  
   /**
    * Categorize questions
    */
@@ -1,4 +1,7 @@
 import { BaseAgent } from './BaseAgent.js';
+import { getPrice, parsePrice, toSchemaOffer } from '../pricing/PriceModel.js';
+import { getIngredients } from '../ingredients/IngredientParser.js';
+import { buildQuestions } from '../questions/QuestionBank.js';
 
 /**
  * SeoOptimizationAgent - Autonomous agent for SEO optimization
@@ -16,7 +19,10 @@ export class SeoOptimizationAgent extends BaseAgent {
       type: 'seo_optimization',
       name: 'SeoOptimizationAgent',
       capabilities: ['keyword_analysis', 'seo_optimization', 'metadata_generation'],
-      initialGoals: ['wait_for_content', 'analyze_seo_opportunities', 'generate_seo_data', 'save_seo_optimization']
+      initialGoals: ['wait_for_content', 'analyze_seo_opportunities', 'generate_seo_data', 'save_seo_optimization'],
+      wakeOn: ['clean_data_available', 'content_generated', 'faq_content_available', 'product_content_available', 'comparison_content_available', 'data_share', 'data_response'],
+      consumes: ['clean_data', 'faq_content', 'product_content', 'comparison_content'],
+      produces: ['seo_data']
     });
 
     this.seoData = null;
@@ -380,10 +386,15 @@ export class SeoOptimizationAgent extends BaseAgent {
       keywords.semantic_keywords.push(`${productData.concentration} serum`);
     }
     
-    if (productData.keyIngredients) {
-      const ingredients = productData.keyIngredients.split(',').map(ing => ing.trim().toLowerCase());
-      keywords.primary_keywords.push(...ingredients);
-      keywords.semantic_keywords.push(...ingredients.map(ing => `${ing} skincare`));
+    const ingredients = getIngredients(productData);
+    if (ingredients.length > 0) {
+      const names = ingredients.map(ing => ing.name.toLowerCase());
+      keywords.primary_keywords.push(...names);
+      keywords.semantic_keywords.push(...names.map(name => `${name} skincare`));
+      // INCI names are what label-reading shoppers search for ("ascorbic acid serum")
+      keywords.semantic_keywords.push(...ingredients
+        .filter(ing => ing.known && ing.inci.toLowerCase() !== ing.name.toLowerCase())
+        .map(ing => ing.inci.toLowerCase()));
     }
     
     if (productData.benefits) {
@@ -505,69 +516,88 @@ export class SeoOptimizationAgent extends BaseAgent {
   }
   
   generateTitleTags(productData, keywords) {
-    const primaryKeyword = keywords[0] || 'skincare product';
+    const copy = this.getSeoCopyVariables(productData, keywords);
     
     return {
-      faq: `${productData.productName || 'Product'} FAQ - ${primaryKeyword} Questions Answered`,
-      product_page: `${productData.productName || 'Product'} - ${primaryKeyword} | ${productData.price || 'Buy Now'}`,
-      comparison_page: `${productData.productName || 'Product'} vs Competitors - ${primaryKeyword} Comparison`
+      faq: this.localizer.t('seo.faqTitle', copy),
+      product_page: this.localizer.t('seo.productTitle', { ...copy, price: productData.price || this.localizer.t('seo.buyNow') }),
+      comparison_page: this.localizer.t('seo.comparisonTitle', copy)
     };
   }
   
   generateMetaDescriptions(productData, keywords) {
-    const primaryKeyword = keywords[0] || 'skincare';
-    const secondaryKeyword = keywords[1] || 'benefits';
+    const copy = this.getSeoCopyVariables(productData, keywords);
     
     return {
-      faq: `Get answers about ${productData.productName || 'our product'}. Learn about ${primaryKeyword}, ${secondaryKeyword}, and more. Expert skincare guidance.`,
-      product_page: `${productData.productName || 'Premium skincare'} with ${productData.keyIngredients || 'quality ingredients'}. ${productData.benefits || 'Amazing benefits'} for ${productData.skinType || 'all skin types'}.`,
-      comparison_page: `Compare ${productData.productName || 'our product'} with competitors. See ${primaryKeyword} benefits, ingredients, and pricing. Find your perfect match.`
+      faq: this.localizer.t('seo.faqDescription', copy),
+      product_page: this.localizer.t('seo.productDescription', copy),
+      comparison_page: this.localizer.t('seo.comparisonDescription', copy)
     };
   }
   
   generateOpenGraphTags(productData, keywords) {
+    const copy = this.getSeoCopyVariables(productData, keywords);
+    
     return {
-      'og:title': `${productData.productName || 'Premium Skincare'} - ${keywords[0] || 'Quality Products'}`,
-      'og:description': `${productData.benefits || 'Amazing skincare benefits'} with ${productData.keyIngredients || 'premium ingredients'}. Perfect for ${productData.skinType || 'all skin types'}.`,
+      'og:title': this.localizer.t('seo.ogTitle', copy),
+      'og:description': this.localizer.t('seo.ogDescription', copy),
       'og:type': 'product',
+      'og:locale': this.localizer.numberLocale.replace('-', '_'),
       'og:image': `/images/${(productData.productName || 'product').toLowerCase().replace(/\s+/g, '-')}.jpg`,
       'og:url': `https://example.com/products/${(productData.productName || 'product').toLowerCase().replace(/\s+/g, '-')}`
     };
   }
   
   generateSchemaMarkup(productData) {
+    // The bank's "what is" question, else its first informational one
+    const informational = buildQuestions(productData, { localizer: this.localizer, categories: ['informational'] });
+    const whatIs = informational.find(question => question.id === 'what_is') || informational[0];
+    
     return {
       product_schema: {
         '@context': 'https://schema.org/',
         '@type': 'Product',
         'name': productData.productName || 'Skincare Product',
-        'description': `${productData.benefits || 'Premium skincare'} with ${productData.keyIngredients || 'quality ingredients'}`,
+        'description': this.localizer.t('seo.schemaDescription', this.getSeoCopyVariables(productData, [])),
+        'inLanguage': this.locale,
         'brand': { '@type': 'Brand', 'name': 'Skincare Brand' },
-        'offers': {
-          '@type': 'Offer',
-          'price': (productData.price || '₹699').replace(/[^\d]/g, ''),
-          'priceCurrency': 'INR',
-          'availability': 'https://schema.org/InStock'
-        }
+        'offers': toSchemaOffer(getPrice(productData) || parsePrice('₹699'))
       },
       
       faq_schema: {
         '@context': 'https://schema.org',
         '@type': 'FAQPage',
-        'mainEntity': [
+        'inLanguage': this.locale,
+        'mainEntity': whatIs ? [
           {
             '@type': 'Question',
-            'name': `What is ${productData.productName || 'this product'}?`,
+            'name': whatIs.question,
             'acceptedAnswer': {
               '@type': 'Answer',
-              'text': `${productData.productName || 'This product'} is a ${productData.concentration || 'premium'} skincare solution with ${productData.keyIngredients || 'quality ingredients'}.`
+              'text': whatIs.answer
             }
           }
-        ]
+        ] : []
       }
     };
   }
   
+  /**
+   * Values for the locale's SEO copy, with its defaults for missing fields
+   */
+  getSeoCopyVariables(productData, keywords) {
+    const defaults = this.localizer.get('defaults');
+    
+    return {
+      productName: productData.productName || this.localizer.t('seo.defaultProductName'),
+      keyword: keywords[0] || this.localizer.t('seo.defaultKeyword'),
+      secondaryKeyword: keywords[1] || this.localizer.t('seo.defaultSecondaryKeyword'),
+      keyIngredients: productData.keyIngredients || defaults.keyIngredients,
+      benefits: productData.benefits || defaults.benefits,
+      skinType: productData.skinType || defaults.skinType
+    };
+  }
+  
   generateContentRecommendations(keywords) {
     return [
       `Include primary keyword "${keywords[0] || 'main keyword'}" in the first 100 words`,
@@ -678,12 +708,7 @@ export class SeoOptimizationAgent extends BaseAgent {
     console.log(`💾 [${this.id}] Saving SEO optimization data`);
     
     try {
-      const fs = await import('fs');
-      if (!fs.existsSync('output')) {
-        fs.mkdirSync('output', { recursive: true });
-      }
-      
-      fs.writeFileSync('output/seo_optimization.json', JSON.stringify(this.seoData, null, 2));
+      await this.writeOutput('seo_optimization.json', this.seoData);
       
       // Broadcast SEO completion
       await this.broadcastMessage('seo_optimization_completed', {
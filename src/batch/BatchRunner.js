@@ -0,0 +1,296 @@
+/**
+ * BatchRunner - Runs the multi-agent pipeline over a whole product catalog
+ *
+ * For every product the runner:
+ * 1. Creates a fresh multi-agent system with its own set of agents
+ * 2. Validates the product up front so invalid rows fail fast (a row that is not an object,
+ *    such as null in a JSON catalog, fails at the validation stage)
+ * 3. Writes the generated content into a per-product output directory
+ * 4. Records success/failure and quality scores in a batch summary
+ * 5. With a run store in systemConfig, records every product as its own resumable run
+ * 6. With an outputSinkFactory, writes every product through its own output sink
+ *    (called with the product ID and its output directory)
+ * 7. With systemConfig.compliance "block", fails products whose compliance review blocked
+ *    their pages (failed stage "compliance")
+ *
+ * Products are processed by a fixed pool of workers (configurable concurrency).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { TrueMultiAgentSystem } from '../TrueMultiAgentSystem.js';
+import { createAgents, getRequiredOutputFiles } from '../agents/AgentRegistry.js';
+
+export class BatchRunner {
+  constructor(config = {}) {
+    this.batchId = config.batchId || `batch_${Date.now()}`;
+    this.outputDir = config.outputDir || path.join('output', 'batch');
+    this.concurrency = Math.max(1, parseInt(config.concurrency, 10) || 1);
+    this.agentSelection = config.agentSelection || null;
+    this.systemConfig = config.systemConfig || {};
+    this.agentConfig = config.agentConfig || {};
+    this.summaryFile = config.summaryFile || 'batch_summary.json';
+    this.outputSinkFactory = config.outputSinkFactory || null;
+
+    console.log(`📦 [BatchRunner] Initialized ${this.batchId} (concurrency: ${this.concurrency}, output: ${this.outputDir})`);
+  }
+
+  /**
+   * Run the pipeline for every product and write the batch summary
+   */
+  async run(products) {
+    if (!Array.isArray(products)) {
+      throw new Error(`BatchRunner.run expects an array of products, got ${typeof products}`);
+    }
+
+    const startedAt = Date.now();
+    const entries = this.assignProductIds(products);
+    const results = new Array(entries.length);
+    let nextIndex = 0;
+
+    console.log(`\n📦 [BatchRunner] Processing ${entries.length} products with ${this.concurrency} worker(s)`);
+
+    const worker = async () => {
+      while (nextIndex < entries.length) {
+        const index = nextIndex++;
+        results[index] = await this.runProduct(entries[index], index);
+      }
+    };
+
+    const workerCount = Math.min(this.concurrency, entries.length);
+    await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+    const summary = this.buildSummary(results, startedAt);
+    this.writeSummary(summary);
+
+    console.log(`\n📦 [BatchRunner] Batch complete: ${summary.totals.succeeded} succeeded, ${summary.totals.failed} failed`);
+
+    return summary;
+  }
+
+  /**
+   * Give every product a unique, filesystem-safe ID
+   */
+  assignProductIds(products) {
+    const usedIds = new Map();
+
+    return products.map((product, index) => {
+      const fields = isProductRow(product) ? product : {};
+      const baseId = slugify(fields.sku || fields.id || fields.productName || '') || `product_${index + 1}`;
+      const seen = usedIds.get(baseId) || 0;
+      usedIds.set(baseId, seen + 1);
+
+      return {
+        productId: seen === 0 ? baseId : `${baseId}_${seen + 1}`,
+        product: product
+      };
+    });
+  }
+
+  /**
+   * Run the full agent pipeline for a single product
+   */
+  async runProduct(entry, index) {
+    const { productId, product } = entry;
+    const productOutputDir = path.join(this.outputDir, productId);
+    const startedAt = Date.now();
+
+    const result = {
+      index: index,
+      productId: productId,
+      productName: (isProductRow(product) && product.productName) || null,
+      status: 'failed',
+      outputDir: productOutputDir,
+      qualityScores: {},
+      errors: [],
+      durationMs: 0
+    };
+
+    const { runStore, runConfig = {} } = this.systemConfig;
+    if (runStore) {
+      result.runId = runStore.createRunId();
+    }
+
+    console.log(`\n📦 [BatchRunner] [${index + 1}] Starting ${productId}`);
+
+    let system = null;
+
+    try {
+      if (!isProductRow(product)) {
+        result.errors.push(`Row ${index + 1} is ${describeRow(product)}, not a product object`);
+        result.failedStage = 'validation';
+        return result;
+      }
+
+      const agents = createAgents({
+        selection: this.agentSelection,
+        agentConfig: { ...this.agentConfig, outputDir: productOutputDir }
+      });
+
+      // Fail fast on invalid products instead of letting agents retry until timeout
+      const parser = agents.find(agent => agent.getType() === 'data_parser');
+      if (parser) {
+        const validation = parser.validateData(product);
+        result.qualityScores.data = validation.score;
+
+        if (!validation.isValid) {
+          result.errors.push(...validation.errors);
+          result.failedStage = 'validation';
+          return result;
+        }
+      }
+
+      system = new TrueMultiAgentSystem({
+        ...this.systemConfig,
+        systemId: `${this.batchId}_${productId}`,
+        runId: result.runId,
+        runConfig: { ...runConfig, outputDir: productOutputDir, batchId: this.batchId },
+        outputSink: this.outputSinkFactory ? this.outputSinkFactory(productId, productOutputDir) : undefined
+      });
+
+      for (const agent of agents) {
+        system.registerAgent(agent);
+      }
+
+      const results = await system.start(product);
+
+      Object.assign(result.qualityScores, this.collectQualityScores(agents));
+
+      const compliance = results.orchestration.compliance;
+      if (compliance?.blocked) {
+        result.errors.push(`Compliance review blocked the output: ${compliance.summary ? `${compliance.summary.errors} error(s), see ${compliance.reportFile}` : 'no compliance report'}`);
+        result.failedStage = 'compliance';
+        return result;
+      }
+
+      const writtenFiles = system.orchestrator.getWrittenFiles();
+      const missingFiles = getRequiredOutputFiles(this.agentSelection).filter(file => !writtenFiles.includes(file));
+      if (missingFiles.length > 0) {
+        result.errors.push(`Missing required output: ${missingFiles.join(', ')}`);
+        result.failedStage = 'generation';
+        return result;
+      }
+
+      const renderErrors = results.orchestration.templates?.errors || [];
+      if (renderErrors.length > 0) {
+        result.errors.push(...renderErrors);
+        result.failedStage = 'generation';
+        return result;
+      }
+
+      result.status = 'succeeded';
+      return result;
+    } catch (error) {
+      console.error(`❌ [BatchRunner] [${index + 1}] ${productId} failed: ${error.message}`);
+      result.errors.push(error.message);
+      result.failedStage = result.failedStage || 'execution';
+      return result;
+    } finally {
+      if (system) {
+        await system.stop();
+      }
+
+      result.durationMs = Date.now() - startedAt;
+      const statusIcon = result.status === 'succeeded' ? '✅' : '❌';
+      console.log(`${statusIcon} [BatchRunner] [${index + 1}] ${productId} ${result.status} in ${Math.round(result.durationMs / 1000)}s`);
+    }
+  }
+
+  /**
+   * Collect quality scores reported by the agents after a run
+   */
+  collectQualityScores(agents) {
+    const scores = {};
+
+    for (const agent of agents) {
+      switch (agent.getType()) {
+        case 'data_parser':
+          scores.data = agent.qualityScore;
+          break;
+        case 'analytics':
+          if (agent.analyticsData) {
+            scores.content = agent.analyticsData.overall_performance.overall_score;
+          }
+          break;
+        case 'seo_optimization':
+          if (agent.seoData) {
+            scores.seo = agent.seoData.performance.seo_score;
+          }
+          break;
+      }
+    }
+
+    return scores;
+  }
+
+  /**
+   * Build the batch summary from per-product results
+   */
+  buildSummary(results, startedAt) {
+    const succeeded = results.filter(result => result.status === 'succeeded');
+    const contentScores = succeeded
+      .map(result => result.qualityScores.content)
+      .filter(score => typeof score === 'number');
+
+    return {
+      batchId: this.batchId,
+      startedAt: new Date(startedAt).toISOString(),
+      completedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      concurrency: this.concurrency,
+      outputDir: this.outputDir,
+      totals: {
+        products: results.length,
+        succeeded: succeeded.length,
+        failed: results.length - succeeded.length
+      },
+      averageContentScore: contentScores.length > 0
+        ? Math.round(contentScores.reduce((sum, score) => sum + score, 0) / contentScores.length)
+        : null,
+      // The text provider is shared by every product, so usage covers the whole batch
+      textGeneration: this.agentConfig.textProvider ? this.agentConfig.textProvider.getUsage() : null,
+      products: results
+    };
+  }
+
+  /**
+   * Write the batch summary next to the per-product directories
+   */
+  writeSummary(summary) {
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+
+    const summaryPath = path.join(this.outputDir, this.summaryFile);
+    fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
+
+    console.log(`💾 [BatchRunner] Batch summary written to ${summaryPath}`);
+  }
+}
+
+/**
+ * Turn a product identifier into a filesystem-safe slug
+ */
+function slugify(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 64);
+}
+
+/**
+ * Whether a catalog row is a product object (JSON and JSONL catalogs may hold null, lists or scalars)
+ */
+export function isProductRow(row) {
+  return Boolean(row) && typeof row === 'object' && !Array.isArray(row);
+}
+
+/**
+ * What a row that is not a product holds, for error messages ("null", "a list", "a string")
+ */
+export function describeRow(row) {
+  if (row === null || row === undefined) return String(row);
+  if (Array.isArray(row)) return 'a list';
+  return `a ${typeof row}`;
+}
@@ -0,0 +1,196 @@
+/**
+ * CatalogLoader - Reads product catalogs for batch processing
+ *
+ * Supported formats:
+ * 1. JSON - an array of products, a { products: [...] } object or a single product
+ * 2. JSONL / NDJSON - one product object per line
+ * 3. CSV - a header row with product field names, one product per row; dotted names
+ *    ("specifications.batteryLife") fill nested objects
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const FORMAT_BY_EXTENSION = {
+  '.json': 'json',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.csv': 'csv'
+};
+
+/**
+ * Load a product catalog from disk
+ *
+ * @param {string} filePath - Path to the catalog file
+ * @param {Object} [options]
+ * @param {string} [options.format] - Force a format instead of detecting it from the extension
+ * @returns {Object[]} - Product objects in catalog order
+ */
+export function loadCatalog(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Catalog file not found: ${filePath}`);
+  }
+
+  const format = options.format || detectCatalogFormat(filePath);
+  const text = fs.readFileSync(filePath, 'utf8');
+
+  console.log(`📦 [CatalogLoader] Loading ${format.toUpperCase()} catalog: ${filePath}`);
+
+  const products = parseCatalog(text, format);
+
+  console.log(`📦 [CatalogLoader] Loaded ${products.length} products`);
+
+  return products;
+}
+
+/**
+ * Detect catalog format from the file extension
+ */
+export function detectCatalogFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const format = FORMAT_BY_EXTENSION[extension];
+
+  if (!format) {
+    throw new Error(`Unsupported catalog format "${extension}" for ${filePath}. Supported: ${Object.keys(FORMAT_BY_EXTENSION).join(', ')}`);
+  }
+
+  return format;
+}
+
+/**
+ * Parse catalog text in the given format
+ */
+export function parseCatalog(text, format) {
+  switch (format) {
+    case 'json':
+      return parseJsonCatalog(text);
+    case 'jsonl':
+      return parseJsonLinesCatalog(text);
+    case 'csv':
+      return parseCsvCatalog(text);
+    default:
+      throw new Error(`Unsupported catalog format: ${format}`);
+  }
+}
+
+/**
+ * Parse a JSON catalog
+ */
+function parseJsonCatalog(text) {
+  const parsed = JSON.parse(text);
+
+  if (Array.isArray(parsed)) return parsed;
+  if (parsed && Array.isArray(parsed.products)) return parsed.products;
+  if (parsed && typeof parsed === 'object') return [parsed];
+
+  throw new Error('JSON catalog must contain an array of products, a { products: [...] } object or a single product');
+}
+
+/**
+ * Parse a JSONL catalog (blank lines are ignored)
+ */
+function parseJsonLinesCatalog(text) {
+  const products = [];
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((line, index) => {
+    if (line.trim() === '') return;
+
+    try {
+      products.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+    }
+  });
+
+  return products;
+}
+
+/**
+ * Parse a CSV catalog - empty cells are left out of the product object, and a dotted header
+ * ("specifications.display.size") sets a nested field
+ */
+function parseCsvCatalog(text) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(header => header.trim());
+
+  return rows.slice(1)
+    .filter(row => row.some(cell => cell.trim() !== ''))
+    .map(row => {
+      const product = {};
+      headers.forEach((header, index) => {
+        const value = (row[index] || '').trim();
+        if (header && value !== '') {
+          setField(product, header.split('.'), value);
+        }
+      });
+      return product;
+    });
+}
+
+/**
+ * Set a field by its path segments, creating the objects on the way (a plain value already
+ * at a segment is kept under the dotted name instead)
+ */
+function setField(product, segments, value) {
+  let target = product;
+  for (const [index, segment] of segments.slice(0, -1).entries()) {
+    if (target[segment] === undefined) {
+      target[segment] = {};
+    } else if (typeof target[segment] !== 'object') {
+      target[segments.slice(index).join('.')] = value;
+      return;
+    }
+    target = target[segment];
+  }
+  target[segments[segments.length - 1]] = value;
+}
+
+/**
+ * Parse CSV text into rows of cells
+ *
+ * Handles quoted cells containing commas, newlines and escaped quotes ("").
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
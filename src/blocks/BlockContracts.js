@@ -0,0 +1,99 @@
+/**
+ * BlockContracts - Declared parameters, defaults and outputs of content blocks
+ *
+ * A contract ({ description, params, output }) declares:
+ * 1. params: a schema per parameter, in the SchemaValidator keywords, with the parameter's
+ *    `default` and `description`; a block takes no other params
+ * 2. output: the schema of the block's result
+ *
+ * The TemplateEngine checks template params and block configs against the contract when they
+ * are registered, fills in the defaults and checks the output each time the block runs.
+ */
+
+import { assertValidSchema, validateAgainstSchema } from '../schemas/SchemaValidator.js';
+
+/**
+ * Check that a contract is well formed: its schemas are valid and the defaults match them
+ *
+ * @param {string} name - Block name
+ * @param {Object} contract
+ * @throws {Error} On an invalid schema or default
+ */
+export function assertValidBlockContract(name, contract) {
+  const source = `content block "${name}"`;
+
+  if (!isObject(contract)) {
+    throw new Error(`Invalid contract of ${source}: expected an object`);
+  }
+  if (contract.params !== undefined && !isObject(contract.params)) {
+    throw new Error(`Invalid contract of ${source}: "params" must map parameter names to schemas`);
+  }
+
+  for (const [param, schema] of Object.entries(contract.params || {})) {
+    assertValidSchema(schema, source, `params.${param}`, 'block contract');
+
+    if (schema.default !== undefined) {
+      const problems = checkParamValues({ [param]: schema.default }, contract);
+      if (problems.length > 0) {
+        throw new Error(`Invalid contract of ${source}: default of "${param}" does not match its schema (${problems.join('; ')})`);
+      }
+    }
+  }
+
+  if (contract.output !== undefined) {
+    assertValidSchema(contract.output, source, 'output', 'block contract');
+  }
+}
+
+/**
+ * Problems of param values against the contract's parameter schemas (declared params only)
+ *
+ * @returns {string[]} e.g. "Field minQuestions must be at least 1"
+ */
+export function checkParamValues(params, contract) {
+  const properties = Object.fromEntries(Object.entries(contract.params || {}).filter(([param]) => param in params));
+
+  return validateAgainstSchema(params, { type: 'object', properties: properties }).issues.map(issue => issue.message);
+}
+
+/**
+ * Problems of a block's output against the contract's output schema
+ *
+ * @returns {string[]} e.g. "Field output[2].answer should be string"
+ */
+export function checkBlockOutput(output, contract) {
+  if (!contract?.output) return [];
+
+  return validateAgainstSchema({ output: output }, { type: 'object', properties: { output: contract.output } }).issues.map(issue => issue.message);
+}
+
+/**
+ * Default params of a contract ({ minQuestions: 15, ... })
+ */
+export function getParamDefaults(contract) {
+  return Object.fromEntries(
+    Object.entries(contract?.params || {})
+      .filter(([, schema]) => schema.default !== undefined)
+      .map(([param, schema]) => [param, schema.default])
+  );
+}
+
+/**
+ * Short description of a schema's type: "integer", "array of string", "object (name, price)"
+ */
+export function describeSchemaType(schema = {}) {
+  const types = [].concat(schema.type || 'any').join(' or ');
+
+  if (schema.items) {
+    return `${types} of ${describeSchemaType(schema.items)}`;
+  }
+  if (schema.properties) {
+    const fields = schema.required || Object.keys(schema.properties);
+    return fields.length > 0 ? `${types} (${fields.join(', ')})` : types;
+  }
+  return schema.enum ? `${types}: ${schema.enum.join(' | ')}` : types;
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,315 @@
+/**
+ * BlockRegistry - The content blocks templates can use, with their contracts
+ *
+ * This registry:
+ * 1. Describes every content block (CONTENT_BLOCK_DEFINITIONS): its function in
+ *    ContentBlocks.js, a description, its params (schema, default and description per
+ *    parameter) and the schema of its output (see BlockContracts.js)
+ * 2. Registers the blocks with a TemplateEngine, which checks params against the contracts
+ *    when templates are registered and outputs when the blocks run
+ * 3. Builds the block catalog (`list-blocks`): every block with its contract
+ *
+ * Add blocks with registerContentBlockDefinition(definition).
+ */
+
+import * as ContentBlocks from './ContentBlocks.js';
+import { assertValidBlockContract, describeSchemaType } from './BlockContracts.js';
+import { registerValidator } from '../schemas/SchemaValidator.js';
+import { getComparisonDimensions, parseComparisonWeights } from '../comparison/ComparisonEngine.js';
+import { QUESTION_CATEGORIES } from '../questions/QuestionBank.js';
+import { DEFAULT_COMPETITOR_COUNT } from '../competitors/CompetitorCatalog.js';
+
+registerValidator('comparisonDimension', (value) => {
+  return getComparisonDimensions().includes(value) ? null : `is not a comparison dimension (${getComparisonDimensions().join(', ')})`;
+});
+
+registerValidator('comparisonWeights', (value) => {
+  try {
+    parseComparisonWeights(value);
+    return null;
+  } catch (error) {
+    return `is invalid: ${error.message}`;
+  }
+});
+
+const TEXT = { type: 'string', minLength: 1 };
+const TEXT_LIST = { type: 'array', items: TEXT };
+
+// Params of the blocks that score the comparison
+const COMPARISON_PARAMS = {
+  count: { type: 'integer', minimum: 1, maximum: 10, default: DEFAULT_COMPETITOR_COUNT, description: 'Competitors compared with the product' },
+  weights: { type: 'object', validator: 'comparisonWeights', description: 'Weight by comparison dimension, over the defaults (the run\'s --comparison-weights win)' }
+};
+
+// Fields of a section attributed to its input (see GroundingValidator)
+const SECTION_SOURCES = {
+  sources: { type: 'array', items: TEXT },
+  fallback: { type: 'boolean' }
+};
+
+export const CONTENT_BLOCK_DEFINITIONS = [
+  {
+    name: 'generateFaqQuestions',
+    execute: ContentBlocks.generateFaqQuestions,
+    description: 'FAQ questions and answers from the question bank of the product\'s vertical',
+    params: {
+      minQuestions: { type: 'integer', minimum: 0, maximum: 100, default: 15, description: 'Questions asked at least (general questions fill up)' },
+      categories: { type: 'array', minItems: 1, uniqueItems: true, items: TEXT, default: ['informational', 'usage', 'safety'], description: `Question bank categories to ask, in order (${QUESTION_CATEGORIES.join(', ')})` }
+    },
+    output: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['question', 'answer', 'category'],
+        properties: { question: TEXT, answer: TEXT, category: TEXT, fallback: { type: 'boolean' } }
+      }
+    }
+  },
+  {
+    name: 'generateFaqSummary',
+    execute: ContentBlocks.generateFaqSummary,
+    description: 'Coverage areas and target audience of the FAQ',
+    output: {
+      type: 'object',
+      required: ['totalCategories', 'coverageAreas', 'targetAudience'],
+      properties: { totalCategories: { type: 'integer', minimum: 0 }, coverageAreas: TEXT_LIST, targetAudience: TEXT }
+    }
+  },
+  {
+    name: 'extractQuestionCategories',
+    execute: ContentBlocks.extractQuestionCategories,
+    description: 'The question categories of the FAQ',
+    output: TEXT_LIST
+  },
+  {
+    name: 'countQuestions',
+    execute: ContentBlocks.countQuestions,
+    description: 'Number of questions in the data',
+    output: { type: 'integer', minimum: 0 }
+  },
+  {
+    name: 'generateProductOverview',
+    execute: ContentBlocks.generateProductOverview,
+    description: 'Product name, description and key features',
+    output: {
+      type: 'object',
+      required: ['name', 'description', 'keyFeatures'],
+      properties: { name: TEXT, description: TEXT, keyFeatures: TEXT_LIST, ...SECTION_SOURCES }
+    }
+  },
+  {
+    name: 'generateBenefitsSection',
+    execute: ContentBlocks.generateBenefitsSection,
+    description: 'Benefits of the product with their descriptions and overall value',
+    output: {
+      type: 'object',
+      required: ['title', 'primaryBenefits', 'detailedBenefits', 'overallValue'],
+      properties: { title: TEXT, primaryBenefits: TEXT_LIST, detailedBenefits: { type: 'array', items: { type: 'object', required: ['benefit', 'description'] } }, overallValue: TEXT, ...SECTION_SOURCES }
+    }
+  },
+  {
+    name: 'generateUsageSection',
+    execute: ContentBlocks.generateUsageSection,
+    description: 'How to use the product: instructions, steps and precautions',
+    output: {
+      type: 'object',
+      required: ['title', 'instructions', 'steps', 'precautions'],
+      properties: { title: TEXT, instructions: { ...TEXT_LIST, minItems: 1 }, steps: { type: 'array', items: { type: 'object', required: ['step', 'instruction'] } }, precautions: TEXT_LIST, ...SECTION_SOURCES }
+    }
+  },
+  {
+    name: 'generateIngredientsSection',
+    execute: ContentBlocks.generateIngredientsSection,
+    description: 'Active ingredients with INCI names, roles and concentrations',
+    output: {
+      type: 'object',
+      required: ['title', 'activeIngredients', 'ingredientDetails', 'formulation'],
+      properties: { title: TEXT, activeIngredients: TEXT_LIST, ingredientDetails: { type: 'array', items: { type: 'object', required: ['name', 'role'] } }, formulation: TEXT, ...SECTION_SOURCES }
+    }
+  },
+  {
+    name: 'generateSafetySection',
+    execute: ContentBlocks.generateSafetySection,
+    description: 'Side effects, precautions, suitability and warnings',
+    output: {
+      type: 'object',
+      required: ['title', 'sideEffects', 'precautions', 'suitability'],
+      properties: { title: TEXT, sideEffects: TEXT_LIST, precautions: TEXT_LIST, suitability: { type: 'object', required: ['skinTypes'] }, warnings: TEXT_LIST, ...SECTION_SOURCES }
+    }
+  },
+  {
+    name: 'generatePricingSection',
+    execute: ContentBlocks.generatePricingSection,
+    description: 'Price, price band and value proposition, formatted for the locale',
+    output: {
+      type: 'object',
+      required: ['title', 'currentPrice', 'priceCategory', 'valueProposition'],
+      properties: { title: TEXT, currentPrice: TEXT, currency: TEXT, priceCategory: TEXT, valueProposition: TEXT, budgetAnalysis: { type: 'object' }, ...SECTION_SOURCES }
+    }
+  },
+  {
+    name: 'generateProductSpecs',
+    execute: ContentBlocks.generateProductSpecs,
+    description: 'Product type, concentration, skin compatibility and storage',
+    output: {
+      type: 'object',
+      required: ['productType', 'concentration', 'skinCompatibility'],
+      properties: { productType: TEXT, concentration: TEXT, skinCompatibility: TEXT }
+    }
+  },
+  {
+    name: 'generateRecommendations',
+    execute: ContentBlocks.generateRecommendations,
+    description: 'Who the product suits and how to combine it',
+    output: { ...TEXT_LIST, minItems: 1 }
+  },
+  {
+    name: 'generateComparisonOverview',
+    execute: ContentBlocks.generateComparisonOverview,
+    description: 'Title, purpose and methodology of the comparison',
+    output: {
+      type: 'object',
+      required: ['title', 'purpose', 'methodology'],
+      properties: { title: TEXT, purpose: TEXT, methodology: TEXT, scope: TEXT }
+    }
+  },
+  {
+    name: 'formatPrimaryProduct',
+    execute: ContentBlocks.formatPrimaryProduct,
+    description: 'The compared product\'s fields for the comparison table',
+    output: {
+      type: 'object',
+      required: ['name', 'price', 'keyIngredients'],
+      properties: { name: TEXT, price: TEXT, keyIngredients: TEXT, benefits: TEXT, skinType: TEXT }
+    }
+  },
+  {
+    name: 'generateCompetitorProducts',
+    execute: ContentBlocks.generateCompetitorProducts,
+    description: 'The competitors picked for the product (fictional ones flagged when the catalog has none)',
+    params: {
+      count: COMPARISON_PARAMS.count
+    },
+    output: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'price', 'source'],
+        properties: { name: TEXT, price: TEXT, source: { type: 'string', enum: ['catalog', 'fictional'] }, fictional: { type: 'boolean' } }
+      }
+    }
+  },
+  {
+    name: 'generateDetailedComparison',
+    execute: ContentBlocks.generateDetailedComparison,
+    description: 'Per comparison dimension: each product\'s value, the leader and an analysis',
+    params: {
+      dimensions: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', validator: 'comparisonDimension' }, default: null, description: 'Dimensions to show (all without)' },
+      ...COMPARISON_PARAMS
+    },
+    output: { type: 'object' }
+  },
+  {
+    name: 'generateComparisonScoring',
+    execute: ContentBlocks.generateComparisonScoring,
+    description: 'Weighted dimensions, normalized score matrix and ranked verdict',
+    params: COMPARISON_PARAMS,
+    output: {
+      type: 'object',
+      required: ['dimensions', 'matrix', 'verdict'],
+      properties: { dimensions: { type: 'array', items: { type: 'object', required: ['name', 'weight'] } }, matrix: { type: 'array', items: { type: 'object', required: ['product', 'rank'] } }, verdict: { type: 'object' } }
+    }
+  },
+  {
+    name: 'generateComparisonAnalysis',
+    execute: ContentBlocks.generateComparisonAnalysis,
+    description: 'Methodology, criteria and conclusion of the comparison',
+    output: {
+      type: 'object',
+      required: ['methodology', 'criteria', 'conclusion'],
+      properties: { methodology: TEXT, criteria: TEXT_LIST, conclusion: TEXT, recommendation: TEXT }
+    }
+  },
+  {
+    name: 'generateComparisonSummary',
+    execute: ContentBlocks.generateComparisonSummary,
+    description: 'Overall assessment, strengths and considerations',
+    output: {
+      type: 'object',
+      required: ['overallAssessment', 'keyStrengths', 'considerations'],
+      properties: { overallAssessment: TEXT, keyStrengths: TEXT_LIST, considerations: TEXT_LIST }
+    }
+  },
+  {
+    name: 'generateComparisonRecommendations',
+    execute: ContentBlocks.generateComparisonRecommendations,
+    description: 'Who the product is best for and what to weigh',
+    output: {
+      type: 'object',
+      required: ['bestFor', 'decisionFactors'],
+      properties: { bestFor: TEXT, alternatives: TEXT, decisionFactors: TEXT_LIST }
+    }
+  }
+];
+
+const blocks = new Map();
+CONTENT_BLOCK_DEFINITIONS.forEach(definition => registerContentBlockDefinition(definition));
+
+/**
+ * Add a content block (or replace one of the same name)
+ *
+ * @param {Object} definition - { name, execute(data, params, context), description?, params?, output? }
+ * @throws {Error} Without a name or function, or with an invalid contract
+ */
+export function registerContentBlockDefinition(definition) {
+  if (!definition?.name || typeof definition.execute !== 'function') {
+    throw new Error('A content block needs a "name" and an "execute" function');
+  }
+  const { name, execute, ...contract } = definition;
+  assertValidBlockContract(name, contract);
+
+  blocks.set(name, { name, execute, description: '', ...contract });
+}
+
+/**
+ * Get the names of all content blocks
+ */
+export function getContentBlockNames() {
+  return Array.from(blocks.keys());
+}
+
+/**
+ * Get a content block definition by name (null for an unknown block)
+ */
+export function getContentBlockDefinition(name) {
+  return blocks.get(name) || null;
+}
+
+/**
+ * Register every content block, with its contract, with a template engine
+ */
+export function registerAllContentBlocks(engine) {
+  for (const { name, execute, ...contract } of blocks.values()) {
+    engine.registerContentBlock(name, execute, contract);
+  }
+}
+
+/**
+ * The block catalog: every block with its description, params and output
+ *
+ * @returns {Array<Object>} { name, description, params: [{ name, type, default, description }],
+ *   output: { type, schema } }
+ */
+export function getContentBlockCatalog() {
+  return Array.from(blocks.values()).map(({ name, description, params = {}, output }) => ({
+    name: name,
+    description: description,
+    params: Object.entries(params).map(([param, schema]) => ({
+      name: param,
+      type: describeSchemaType(schema),
+      ...(schema.default !== undefined && { default: schema.default }),
+      description: schema.description || ''
+    })),
+    output: output ? { type: describeSchemaType(output), schema: output } : null
+  }));
+}
@@ -3,186 +3,76 @@
  * 
  * These blocks provide specialized content generation logic that can be
  * used across different templates and agents for consistent output.
+ *
+ * Blocks receive `(data, params, context)`. When `context.textProvider` is set,
+ * prose fields are written by the provider (by `context.deadline`, if set), with the template
+ * copy as fallback.
+ * Copy comes from the locale bundle of `context.localizer` (English without one),
+ * and prices and percentages are formatted for that locale.
+ *
+ * FAQ answers and product sections carry `sources` (the input fields they were derived
+ * from) and `fallback` (some text stands in for missing input or rejected provider text);
+ * provider text that asserts facts absent from the input is rejected (see GroundingValidator).
  */
 
+import { buildPrompt, COPY_SYSTEM_PROMPT } from '../providers/prompts.js';
+import { getPrice, getPriceBand } from '../pricing/PriceModel.js';
+import { getIngredients } from '../ingredients/IngredientParser.js';
+import { buildQuestions } from '../questions/QuestionBank.js';
+import { createLocalizer, DEFAULT_LOCALE } from '../locales/Localizer.js';
+import { attributeSources, validateGrounding, generateGroundedCopy } from '../grounding/GroundingValidator.js';
+import { createFictionalCompetitors, getCompetitorFields, DEFAULT_COMPETITOR_COUNT } from '../competitors/CompetitorCatalog.js';
+import { DEFAULT_CATEGORY } from '../schemas/ProductSchemas.js';
+import { compareProducts } from '../comparison/ComparisonEngine.js';
+
 /**
- * Generate FAQ questions across multiple categories
+ * Generate FAQ questions across multiple categories (from the locale's question bank)
  */
-export async function generateFaqQuestions(data, params = {}) {
+export async function generateFaqQuestions(data, params = {}, context = {}) {
   const { minQuestions = 15, categories = ['informational', 'usage', 'safety'] } = params;
-  const questions = [];
   
   console.log(`❓ [ContentBlocks] Generating FAQ questions for ${data.productName || 'product'}`);
   
-  // Generate questions for each category
-  for (const category of categories) {
-    const categoryQuestions = generateQuestionsForCategory(data, category);
-    questions.push(...categoryQuestions);
-  }
-  
-  // Ensure minimum number of questions
-  while (questions.length < minQuestions) {
-    const additionalQuestion = generateGenericQuestion(data, questions.length);
-    questions.push(additionalQuestion);
-  }
-  
-  return questions;
-}
-
-/**
- * Generate questions for specific category
- */
-function generateQuestionsForCategory(data, category) {
   const questions = [];
   
-  switch (category) {
-    case 'informational':
-      questions.push(
-        {
-          category: category,
-          question: `What is ${data.productName || 'this product'}?`,
-          answer: `${data.productName || 'This product'} is a ${data.concentration || 'skincare'} product with ${data.keyIngredients || 'premium ingredients'}, designed for ${data.skinType || 'various skin types'}.`,
-          importance: 'high'
-        },
-        {
-          category: category,
-          question: `What are the key ingredients in ${data.productName || 'this product'}?`,
-          answer: `The key ingredients include ${data.keyIngredients || 'carefully selected components'}.`,
-          importance: 'high'
-        },
-        {
-          category: category,
-          question: `What skin type is ${data.productName || 'this product'} designed for?`,
-          answer: `${data.productName || 'This product'} is specifically formulated for ${data.skinType || 'various skin types'}.`,
-          importance: 'medium'
-        }
-      );
-      break;
-      
-    case 'usage':
-      questions.push(
-        {
-          category: category,
-          question: `How do I use ${data.productName || 'this product'}?`,
-          answer: data.howToUse || 'Follow the product instructions for best results.',
-          importance: 'high'
-        },
-        {
-          category: category,
-          question: `When should I use ${data.productName || 'this product'}?`,
-          answer: `Use ${data.productName || 'this product'} ${data.howToUse && data.howToUse.includes('morning') ? 'in the morning' : 'as part of your skincare routine'}.`,
-          importance: 'medium'
-        },
-        {
-          category: category,
-          question: `How often should I use ${data.productName || 'this product'}?`,
-          answer: `For best results, use ${data.productName || 'this product'} consistently as directed.`,
-          importance: 'medium'
-        }
-      );
-      break;
-      
-    case 'safety':
-      questions.push(
-        {
-          category: category,
-          question: `Are there any side effects with ${data.productName || 'this product'}?`,
-          answer: data.sideEffects ? `Some users may experience ${data.sideEffects.toLowerCase()}. Always patch test before first use.` : 'Always patch test before first use.',
-          importance: 'high'
-        },
-        {
-          category: category,
-          question: `Is ${data.productName || 'this product'} safe for sensitive skin?`,
-          answer: `${data.productName || 'This product'} is formulated for ${data.skinType || 'various skin types'}. We recommend patch testing before first use.`,
-          importance: 'high'
-        },
-        {
-          category: category,
-          question: `What precautions should I take?`,
-          answer: `When using ${data.productName || 'this product'}, ${data.howToUse && data.howToUse.includes('sunscreen') ? 'always apply sunscreen during the day' : 'follow usage instructions carefully'}.`,
-          importance: 'medium'
-        }
-      );
-      break;
-      
-    case 'purchase':
-      questions.push(
-        {
-          category: category,
-          question: `What is the price of ${data.productName || 'this product'}?`,
-          answer: `${data.productName || 'This product'} is available for ${data.price || 'competitive pricing'}.`,
-          importance: 'high'
-        },
-        {
-          category: category,
-          question: `What benefits does ${data.productName || 'this product'} provide?`,
-          answer: `${data.productName || 'This product'} provides ${data.benefits || 'skincare benefits'}.`,
-          importance: 'high'
-        },
-        {
-          category: category,
-          question: `Is ${data.productName || 'this product'} worth the investment?`,
-          answer: `${data.productName || 'This product'} offers ${data.benefits || 'valuable benefits'} with ${data.keyIngredients || 'quality ingredients'} at ${data.price || 'a competitive price'}.`,
-          importance: 'medium'
-        }
-      );
-      break;
-      
-    case 'comparison':
-      questions.push(
-        {
-          category: category,
-          question: `How does ${data.productName || 'this product'} compare to other products?`,
-          answer: `${data.productName || 'This product'} offers ${data.benefits || 'unique benefits'} with ${data.keyIngredients || 'quality ingredients'} at ${data.price || 'a competitive price'}.`,
-          importance: 'medium'
-        },
-        {
-          category: category,
-          question: `What makes ${data.productName || 'this product'} different?`,
-          answer: `${data.productName || 'This product'} stands out with its ${data.concentration || 'effective formulation'} and ${data.keyIngredients || 'quality ingredients'}.`,
-          importance: 'medium'
-        }
-      );
-      break;
+  for (const { id, ...question } of buildQuestions(data, { localizer: getLocalizer(context), categories, minQuestions })) {
+    // A bank answer asserting facts the product data does not have is left out
+    const { grounded, issues } = validateGrounding(question.answer, data);
+    if (!grounded) {
+      console.warn(`⚠️  [ContentBlocks] Skipping question "${id}": ${issues.map(issue => issue.message).join('; ')}`);
+      continue;
+    }
+    
+    const answer = await writeCopy(context, data, {
+      task: 'faq_answer',
+      key: `faq_answer:${question.question}`,
+      instruction: `Answer this customer question in one or two sentences: ${question.question}`,
+      variables: { question: question.question, category: question.category },
+      fallback: question.answer
+    });
+    
+    questions.push({
+      ...question,
+      answer: answer.text,
+      fallback: question.fallback || answer.fallback,
+      ...groundingIssues([answer])
+    });
   }
   
   return questions;
 }
 
-/**
- * Generate generic question
- */
-function generateGenericQuestion(data, index) {
-  const genericQuestions = [
-    {
-      question: `Who should use ${data.productName || 'this product'}?`,
-      answer: `${data.productName || 'This product'} is suitable for people with ${data.skinType || 'various skin types'}.`
-    },
-    {
-      question: `How long does it take to see results?`,
-      answer: `Results may vary, but many users notice improvements within a few weeks of consistent use.`
-    },
-    {
-      question: `Can I use this with other skincare products?`,
-      answer: `Yes, ${data.productName || 'this product'} can typically be incorporated into your existing routine.`
-    }
-  ];
-  
-  return {
-    category: 'general',
-    importance: 'low',
-    ...genericQuestions[index % genericQuestions.length]
-  };
-}
-
 /**
  * Generate FAQ summary
  */
-export async function generateFaqSummary(data) {
+export async function generateFaqSummary(data, params = {}, context = {}) {
+  const localizer = getLocalizer(context);
+  const coverageAreas = localizer.list('blocks.faqSummary.coverageAreas');
+  
   return {
-    totalCategories: 5,
-    coverageAreas: ['Product Information', 'Usage Instructions', 'Safety Guidelines', 'Purchase Details', 'Comparisons'],
-    targetAudience: `Users interested in ${data.productName || 'skincare products'}`,
+    totalCategories: coverageAreas.length,
+    coverageAreas: coverageAreas,
+    targetAudience: localizer.t('blocks.faqSummary.targetAudience', { productName: data.productName || localizer.t('blocks.faqSummary.defaultProductName') }),
     lastUpdated: new Date().toISOString()
   };
 }
@@ -190,249 +80,286 @@ export async function generateFaqSummary(data) {
 /**
  * Generate product overview
  */
-export async function generateProductOverview(data) {
+export async function generateProductOverview(data, params = {}, context = {}) {
+  const localizer = getLocalizer(context);
+  const copy = getCopyVariables(data, localizer);
+  const description = await writeCopy(context, data, {
+    task: 'product_overview',
+    instruction: 'Write a two-sentence product description.',
+    fallback: sentence(localizer.t('blocks.overview.description', { ...copy, concentration: data.concentration || '' }))
+  });
+  
   return {
-    name: data.productName || 'Product',
-    description: `${data.productName || 'This product'} is a ${data.concentration || ''} skincare solution featuring ${data.keyIngredients || 'premium ingredients'}. Designed for ${data.skinType || 'various skin types'}, it delivers ${data.benefits || 'exceptional results'}.`,
+    name: data.productName || localizer.t('blocks.overview.defaultName'),
+    description: description.text,
     keyFeatures: [
-      data.concentration && `${data.concentration} active ingredient`,
-      data.skinType && `Suitable for ${data.skinType} skin`,
-      data.benefits && `Provides ${data.benefits}`,
-      data.keyIngredients && `Contains ${data.keyIngredients}`
+      data.concentration && localizer.t('blocks.overview.concentrationFeature', copy),
+      data.skinType && localizer.t('blocks.overview.skinTypeFeature', copy),
+      data.benefits && localizer.t('blocks.overview.benefitsFeature', copy),
+      data.keyIngredients && localizer.t('blocks.overview.ingredientsFeature', copy)
     ].filter(Boolean),
-    category: 'Skincare',
-    type: 'Serum'
+    category: localizer.t('blocks.overview.category'),
+    type: localizer.t('blocks.overview.type'),
+    ...attributeSection(data, ['productName', 'keyIngredients', 'skinType', 'benefits'], ['concentration'], [description])
   };
 }
 
 /**
  * Generate benefits section
  */
-export async function generateBenefitsSection(data) {
+export async function generateBenefitsSection(data, params = {}, context = {}) {
+  const localizer = getLocalizer(context);
   const benefits = data.benefits ? data.benefits.split(',').map(b => b.trim()) : [];
+  const overallValue = await writeCopy(context, data, {
+    task: 'benefits_summary',
+    instruction: 'Summarize the overall value of the product benefits in one sentence.',
+    fallback: sentence(localizer.t('blocks.benefits.overallValue', getCopyVariables(data, localizer)))
+  });
   
   return {
-    title: 'Key Benefits',
+    title: localizer.t('blocks.benefits.title'),
     primaryBenefits: benefits,
     detailedBenefits: benefits.map(benefit => ({
       benefit: benefit,
-      description: `Experience ${benefit.toLowerCase()} with regular use`,
-      timeline: 'Results may be visible within 2-4 weeks',
-      intensity: 'Moderate to significant improvement'
+      description: localizer.t('blocks.benefits.description', { benefit: benefit.toLowerCase() }),
+      timeline: localizer.t('blocks.benefits.timeline'),
+      intensity: localizer.t('blocks.benefits.intensity')
     })),
-    overallValue: `${data.productName || 'This product'} provides comprehensive skincare benefits for ${data.skinType || 'your skin type'}`
+    overallValue: overallValue.text,
+    ...attributeSection(data, ['benefits', 'productName', 'skinType'], [], [overallValue])
   };
 }
 
 /**
  * Generate usage section
  */
-export async function generateUsageSection(data) {
-  const instructions = data.howToUse ? [data.howToUse] : ['Follow product instructions'];
+export async function generateUsageSection(data, params = {}, context = {}) {
+  const localizer = getLocalizer(context);
+  const instructions = data.howToUse ? [data.howToUse] : [localizer.t('blocks.usage.defaultInstruction')];
   
   return {
-    title: 'How to Use',
+    title: localizer.t('blocks.usage.title'),
     instructions: instructions,
     steps: instructions.map((instruction, index) => ({
       step: index + 1,
       instruction: instruction,
       importance: 'high',
-      duration: 'As directed'
+      duration: localizer.t('blocks.usage.duration')
     })),
-    frequency: 'Daily use recommended',
-    precautions: data.sideEffects ? [data.sideEffects] : ['Patch test before first use']
+    frequency: localizer.t('blocks.usage.frequency'),
+    precautions: data.sideEffects ? [data.sideEffects] : [localizer.t('blocks.usage.defaultPrecaution')],
+    ...attributeSection(data, ['howToUse', 'sideEffects'])
   };
 }
 
 /**
  * Generate ingredients section
  */
-export async function generateIngredientsSection(data) {
-  const ingredients = data.keyIngredients ? data.keyIngredients.split(',').map(i => i.trim()) : [];
+export async function generateIngredientsSection(data, params = {}, context = {}) {
+  const localizer = getLocalizer(context);
+  const ingredients = getIngredients(data);
+  const formulation = await writeCopy(context, data, {
+    task: 'formulation_summary',
+    instruction: 'Describe the formulation and its key ingredients in one sentence.',
+    fallback: localizer.t('blocks.ingredients.formulation', { count: localizer.formatNumber(ingredients.length) })
+  });
   
   return {
-    title: 'Key Ingredients',
-    activeIngredients: ingredients,
+    title: localizer.t('blocks.ingredients.title'),
+    activeIngredients: ingredients.map(ingredient => ingredient.name),
     ingredientDetails: ingredients.map(ingredient => ({
-      name: ingredient,
-      purpose: 'Skincare benefit',
-      concentration: data.concentration && ingredient.toLowerCase().includes('vitamin c') ? data.concentration : 'Effective level',
-      safety: 'Generally well-tolerated'
+      name: ingredient.name,
+      inci: ingredient.inci,
+      role: ingredient.role,
+      purpose: localizer.t(`ingredients.roles.${ingredient.role}.purpose`),
+      concentration: ingredient.percentage !== null ? localizer.formatPercent(ingredient.percentage) : localizer.t('blocks.ingredients.effectiveLevel'),
+      safety: localizer.t('blocks.ingredients.safety')
     })),
-    formulation: `Carefully balanced formula with ${ingredients.length} key ingredients`
+    formulation: formulation.text,
+    ...attributeSection(data, ['keyIngredients'], ['concentration'], [formulation])
   };
 }
 
 /**
  * Generate safety section
  */
-export async function generateSafetySection(data) {
+export async function generateSafetySection(data, params = {}, context = {}) {
+  const localizer = getLocalizer(context);
+  
   return {
-    title: 'Safety Information',
+    title: localizer.t('blocks.safety.title'),
     sideEffects: data.sideEffects ? [data.sideEffects] : [],
-    precautions: [
-      'Patch test before first use',
-      'Avoid contact with eyes',
-      'Discontinue use if irritation occurs'
-    ],
+    precautions: localizer.list('blocks.safety.precautions'),
     suitability: {
-      skinTypes: data.skinType ? [data.skinType] : ['Various skin types'],
-      ageGroups: ['Adults'],
-      conditions: ['Normal skin conditions']
+      skinTypes: data.skinType ? [data.skinType] : [localizer.t('blocks.safety.defaultSkinType')],
+      ageGroups: localizer.list('blocks.safety.ageGroups'),
+      conditions: localizer.list('blocks.safety.conditions')
     },
-    warnings: data.sideEffects ? [`May cause ${data.sideEffects.toLowerCase()}`] : []
+    warnings: data.sideEffects ? [localizer.t('blocks.safety.warning', { sideEffects: data.sideEffects.toLowerCase() })] : [],
+    ...attributeSection(data, ['skinType'], ['sideEffects'])
   };
 }
 
 /**
- * Generate pricing section
+ * Generate pricing section (price bands depend on the currency, see PriceModel)
  */
-export async function generatePricingSection(data) {
-  const price = data.price || 'Contact for pricing';
-  const numericPrice = parseFloat(price.replace(/[^\d.]/g, '')) || 0;
+export async function generatePricingSection(data, params = {}, context = {}) {
+  const localizer = getLocalizer(context);
+  const priceDetails = getPrice(data);
+  const price = priceDetails ? localizer.formatPrice(priceDetails) : data.price || localizer.t('blocks.pricing.contactForPricing');
   
-  let priceCategory = 'Standard';
-  if (numericPrice < 500) priceCategory = 'Budget-friendly';
-  else if (numericPrice > 1000) priceCategory = 'Premium';
+  const priceBand = priceDetails ? getPriceBand(priceDetails) : 'standard';
+  const priceCategory = localizer.t(`blocks.pricing.categories.${priceBand}`);
+  const valueProposition = await writeCopy(context, data, {
+    task: 'value_proposition',
+    instruction: 'Write a one-sentence value proposition that mentions the price.',
+    fallback: sentence(localizer.t('blocks.pricing.valueProposition', { ...getCopyVariables(data, localizer), price }))
+  });
   
   return {
-    title: 'Pricing',
+    title: localizer.t('blocks.pricing.title'),
     currentPrice: price,
+    ...(priceDetails && {
+      currency: priceDetails.currency,
+      regularPrice: localizer.formatAmount(priceDetails.amount, priceDetails.currency),
+      salePrice: priceDetails.salePrice !== null ? localizer.formatAmount(priceDetails.salePrice, priceDetails.currency) : null,
+      packSize: priceDetails.packSize ? `${localizer.formatNumber(priceDetails.packSize.quantity)} ${priceDetails.packSize.unit}` : null,
+      unitPrice: priceDetails.unitPrice
+        ? localizer.t('blocks.pricing.unitPrice', {
+          amount: localizer.formatAmount(priceDetails.unitPrice.amount, priceDetails.currency),
+          unit: priceDetails.unitPrice.unit.replace(/(?<!s)s$/, '')
+        })
+        : null
+    }),
     priceCategory: priceCategory,
-    valueProposition: `${data.productName || 'This product'} offers excellent value with ${data.benefits || 'quality benefits'} at ${price}`,
-    costEffectiveness: `Competitive pricing for ${data.keyIngredients || 'quality ingredients'}`,
+    valueProposition: valueProposition.text,
+    costEffectiveness: localizer.t('blocks.pricing.costEffectiveness', getCopyVariables(data, localizer)),
     budgetAnalysis: {
       category: priceCategory,
-      comparison: 'Competitive with similar products',
-      recommendation: 'Good value for money'
-    }
+      comparison: localizer.t('blocks.pricing.comparison'),
+      recommendation: localizer.t('blocks.pricing.recommendation')
+    },
+    ...attributeSection(data, ['price', 'productName', 'benefits', 'keyIngredients'], ['salePrice', 'packSize'], [valueProposition])
   };
 }
 
 /**
  * Generate comparison overview
  */
-export async function generateComparisonOverview(data) {
+export async function generateComparisonOverview(data, params = {}, context = {}) {
+  const localizer = getLocalizer(context);
+  
   return {
-    title: `${data.productName || 'Product'} Comparison`,
-    purpose: 'Compare key features and benefits with similar products',
-    methodology: 'Side-by-side analysis of important product attributes',
-    scope: 'Price, ingredients, benefits, usage, and suitability comparison'
+    title: localizer.t('blocks.comparisonOverview.title', { productName: data.productName || localizer.t('blocks.comparisonOverview.defaultName') }),
+    purpose: localizer.t('blocks.comparisonOverview.purpose'),
+    methodology: localizer.t('blocks.comparisonOverview.methodology'),
+    scope: localizer.t('blocks.comparisonOverview.scope')
   };
 }
 
 /**
  * Format primary product for comparison
  */
-export async function formatPrimaryProduct(data) {
+export async function formatPrimaryProduct(data, params = {}, context = {}) {
+  const localizer = getLocalizer(context);
+  const notSpecified = localizer.t('blocks.primaryProduct.notSpecified');
+  
   return {
-    name: data.productName || 'Primary Product',
-    price: data.price || 'N/A',
-    keyIngredients: data.keyIngredients || 'Not specified',
-    benefits: data.benefits || 'Not specified',
-    skinType: data.skinType || 'Not specified',
-    usage: data.howToUse || 'Follow instructions',
-    sideEffects: data.sideEffects || 'None reported',
-    concentration: data.concentration || 'Not specified'
+    name: data.productName || localizer.t('blocks.primaryProduct.defaultName'),
+    price: data.price || localizer.t('blocks.primaryProduct.noPrice'),
+    keyIngredients: data.keyIngredients || notSpecified,
+    benefits: data.benefits || notSpecified,
+    skinType: data.skinType || notSpecified,
+    usage: data.howToUse || localizer.t('blocks.primaryProduct.defaultUsage'),
+    sideEffects: data.sideEffects || localizer.t('blocks.primaryProduct.noSideEffects'),
+    concentration: data.concentration || notSpecified
   };
 }
 
 /**
- * Generate competitor products
+ * Generate competitor products: the competitors picked for the product (`data.competitors`,
+ * see CompetitorCatalog), else fictional ones flagged `fictional: true`
  */
-export async function generateCompetitorProducts(data, params = {}) {
+export async function generateCompetitorProducts(data, params = {}, context = {}) {
   const { count = 2 } = params;
-  const competitors = [];
-  
-  const competitorNames = ['RadiantGlow Serum', 'PureBright Formula', 'VitaLux Treatment', 'GlowMax Essence'];
-  const basePrice = parseFloat((data.price || '₹699').replace(/[^\d.]/g, ''));
-  
-  for (let i = 0; i < count; i++) {
-    const competitorPrice = Math.round(basePrice * (0.7 + Math.random() * 0.6));
-    
-    competitors.push({
-      name: competitorNames[i % competitorNames.length],
-      price: `₹${competitorPrice}`,
-      keyIngredients: 'Vitamin C, Niacinamide, Peptides',
-      benefits: 'Anti-aging, Hydration, Brightening',
-      skinType: 'All skin types',
-      usage: 'Apply 2-3 drops daily',
-      sideEffects: 'May cause initial dryness',
-      concentration: '15% Vitamin C',
-      fictional: true
-    });
-  }
+  const localizer = getLocalizer(context);
+  const notSpecified = localizer.t('blocks.primaryProduct.notSpecified');
+  // Fields that do not fit the category (e.g. skin type for electronics) are left out
+  const fields = getCompetitorFields(data.category || DEFAULT_CATEGORY);
+  const fit = (field, entry) => fields.includes(field) ? entry : {};
   
-  return competitors;
+  return getCompetitors(data, count, localizer).map(competitor => ({
+    name: competitor.productName || competitor.name,
+    ...(competitor.brand && { brand: competitor.brand }),
+    price: competitor.priceDetails ? localizer.formatPrice(competitor.priceDetails) : competitor.price || notSpecified,
+    priceDetails: competitor.priceDetails || null,
+    ...fit('keyIngredients', { keyIngredients: competitor.keyIngredients || notSpecified }),
+    ...fit('benefits', { benefits: competitor.benefits || notSpecified }),
+    ...fit('skinType', { skinType: competitor.skinType || notSpecified }),
+    ...fit('howToUse', { usage: competitor.howToUse || competitor.usage || notSpecified }),
+    ...fit('sideEffects', { sideEffects: competitor.sideEffects || (competitor.fictional ? notSpecified : localizer.t('blocks.primaryProduct.noSideEffects')) }),
+    ...fit('concentration', { concentration: competitor.concentration || notSpecified }),
+    ...(competitor.rating !== undefined && { rating: competitor.rating }),
+    similarity: competitor.similarity || null,
+    source: competitor.source || (competitor.fictional ? 'fictional' : 'catalog'),
+    fictional: Boolean(competitor.fictional)
+  }));
 }
 
 /**
- * Generate detailed comparison
+ * Generate detailed comparison: per dimension, each product's value, the leader and an analysis
+ * (see ComparisonEngine)
  */
-export async function generateDetailedComparison(data, params = {}) {
-  const { comparisonPoints = ['price', 'ingredients', 'benefits'] } = params;
+export async function generateDetailedComparison(data, params = {}, context = {}) {
+  const { dimensions = null } = params;
+  const localizer = getLocalizer(context);
+  const { dimensions: compared, matrix } = scoreComparison(data, params, localizer);
   const comparison = {};
   
-  // Generate competitor for comparison
-  const competitor = {
-    name: 'Competitor Product',
-    price: '₹799',
-    keyIngredients: 'Vitamin C, Niacinamide',
-    benefits: 'Anti-aging, Hydration'
-  };
-  
-  for (const point of comparisonPoints) {
-    comparison[point] = compareProducts(data, competitor, point);
+  for (const dimension of compared.filter(candidate => !dimensions || dimensions.includes(candidate.name))) {
+    const rows = matrix.filter(row => row.display[dimension.name] !== null);
+    const leaders = rows.filter(row => row.scores[dimension.name] === 1);
+    let analysis;
+    if (!dimension.compared) {
+      analysis = localizer.t('comparison.analysis.notCompared', { dimension: dimension.label });
+    } else if (leaders.length === rows.length) {
+      analysis = localizer.t('comparison.analysis.level', { dimension: dimension.label });
+    } else {
+      analysis = localizer.t('comparison.analysis.leader', { product: leaders[0].product, dimension: dimension.label, value: leaders[0].display[dimension.name] });
+    }
+    
+    comparison[dimension.name] = {
+      ...Object.fromEntries(rows.map(row => [row.product, row.display[dimension.name]])),
+      ...(dimension.compared && leaders.length < rows.length && { winner: leaders[0].product }),
+      analysis: analysis
+    };
   }
   
   return comparison;
 }
 
 /**
- * Compare products on specific point
+ * Generate the comparison scoring: weighted dimensions, normalized matrix and ranked verdict
  */
-function compareProducts(product1, product2, point) {
-  switch (point) {
-    case 'price':
-      const price1 = parseFloat((product1.price || '0').replace(/[^\d.]/g, ''));
-      const price2 = parseFloat((product2.price || '0').replace(/[^\d.]/g, ''));
-      return {
-        [product1.productName || 'Product 1']: product1.price,
-        [product2.name || 'Product 2']: product2.price,
-        winner: price1 < price2 ? product1.productName : product2.name,
-        analysis: price1 < price2 ? 'More affordable option' : 'Premium pricing'
-      };
-      
-    case 'ingredients':
-      return {
-        [product1.productName || 'Product 1']: product1.keyIngredients,
-        [product2.name || 'Product 2']: product2.keyIngredients,
-        analysis: 'Both products feature vitamin C as primary ingredient'
-      };
-      
-    case 'benefits':
-      return {
-        [product1.productName || 'Product 1']: product1.benefits,
-        [product2.name || 'Product 2']: product2.benefits,
-        analysis: 'Different focus areas for skincare benefits'
-      };
-      
-    default:
-      return {
-        analysis: `Comparison for ${point} requires additional data`
-      };
-  }
+export async function generateComparisonScoring(data, params = {}, context = {}) {
+  return scoreComparison(data, params, getLocalizer(context));
 }
 
 /**
  * Generate comparison analysis
  */
-export async function generateComparisonAnalysis(data) {
+export async function generateComparisonAnalysis(data, params = {}, context = {}) {
+  const localizer = getLocalizer(context);
+  
   return {
-    methodology: 'Comprehensive feature-by-feature comparison',
-    criteria: ['Price competitiveness', 'Ingredient quality', 'Benefit alignment', 'Usage convenience'],
-    conclusion: `${data.productName || 'This product'} offers competitive advantages in key areas`,
-    recommendation: 'Consider individual skin needs and preferences when choosing'
+    methodology: localizer.t('blocks.comparisonAnalysis.methodology'),
+    criteria: localizer.list('blocks.comparisonAnalysis.criteria'),
+    conclusion: (await writeCopy(context, data, {
+      task: 'comparison_conclusion',
+      instruction: 'Write a one-sentence conclusion comparing this product with its alternatives.',
+      fallback: sentence(localizer.t('blocks.comparisonAnalysis.conclusion', getCopyVariables(data, localizer)))
+    })).text,
+    recommendation: localizer.t('blocks.comparisonAnalysis.recommendation')
   };
 }
 
@@ -453,54 +380,150 @@ export async function countQuestions(data) {
 /**
  * Generate product specifications
  */
-export async function generateProductSpecs(data) {
+export async function generateProductSpecs(data, params = {}, context = {}) {
+  const localizer = getLocalizer(context);
+  
   return {
-    productType: 'Serum',
-    volume: 'Standard size',
-    concentration: data.concentration || 'Effective level',
-    skinCompatibility: data.skinType || 'Various skin types',
-    applicationMethod: 'Topical',
-    storageRequirements: 'Store in cool, dry place'
+    productType: localizer.t('blocks.specs.productType'),
+    volume: localizer.t('blocks.specs.volume'),
+    concentration: data.concentration || localizer.t('blocks.ingredients.effectiveLevel'),
+    skinCompatibility: data.skinType || localizer.t('defaults.skinType'),
+    applicationMethod: localizer.t('blocks.specs.applicationMethod'),
+    storageRequirements: localizer.t('blocks.specs.storage')
   };
 }
 
 /**
  * Generate recommendations
  */
-export async function generateRecommendations(data) {
+export async function generateRecommendations(data, params = {}, context = {}) {
+  const localizer = getLocalizer(context);
+  const howToUse = data.howToUse || '';
+  
   return [
-    `Ideal for ${data.skinType || 'various skin types'}`,
-    `Best used ${data.howToUse && data.howToUse.includes('morning') ? 'in morning routine' : 'as directed'}`,
-    `Combine with ${data.howToUse && data.howToUse.includes('sunscreen') ? 'sunscreen for optimal results' : 'complementary products'}`
+    localizer.t('blocks.recommendations.idealFor', getCopyVariables(data, localizer)),
+    localizer.t(howToUse.includes('morning') ? 'blocks.recommendations.morningUse' : 'blocks.recommendations.defaultUse'),
+    localizer.t(howToUse.includes('sunscreen') ? 'blocks.recommendations.withSunscreen' : 'blocks.recommendations.defaultCombine')
   ];
 }
 
 /**
  * Generate comparison summary
  */
-export async function generateComparisonSummary(data) {
+export async function generateComparisonSummary(data, params = {}, context = {}) {
+  const localizer = getLocalizer(context);
+  const copy = getCopyVariables(data, localizer);
+  
   return {
-    overallAssessment: `${data.productName || 'This product'} provides competitive value`,
+    overallAssessment: sentence(localizer.t('blocks.comparisonSummary.overallAssessment', copy)),
     keyStrengths: [
-      data.benefits && `Effective ${data.benefits}`,
-      data.keyIngredients && `Quality ingredients: ${data.keyIngredients}`,
-      data.price && `Competitive pricing at ${data.price}`
+      data.benefits && localizer.t('blocks.comparisonSummary.benefitsStrength', copy),
+      data.keyIngredients && localizer.t('blocks.comparisonSummary.ingredientsStrength', copy),
+      data.price && localizer.t('blocks.comparisonSummary.priceStrength', copy)
     ].filter(Boolean),
-    considerations: [
-      'Individual skin sensitivity may vary',
-      'Results depend on consistent use',
-      'Patch testing recommended'
-    ]
+    considerations: localizer.list('blocks.comparisonSummary.considerations')
   };
 }
 
 /**
  * Generate comparison recommendations
  */
-export async function generateComparisonRecommendations(data) {
+export async function generateComparisonRecommendations(data, params = {}, context = {}) {
+  const localizer = getLocalizer(context);
+  
+  return {
+    bestFor: localizer.t('blocks.comparisonRecommendations.bestFor', {
+      ...getCopyVariables(data, localizer),
+      skinType: data.skinType || localizer.t('blocks.comparisonRecommendations.defaultSkinType')
+    }),
+    alternatives: localizer.t('blocks.comparisonRecommendations.alternatives'),
+    decisionFactors: localizer.list('blocks.comparisonRecommendations.decisionFactors')
+  };
+}
+
+/**
+ * Write a prose field through the block context's text provider (template copy without one,
+ * or when the provider's text is not grounded in the product data)
+ *
+ * @returns {Promise<{ text, fallback, issues }>} See generateGroundedCopy
+ */
+async function writeCopy(context, data, { task, key, instruction, variables = {}, fallback }) {
+  const localizer = getLocalizer(context);
+  
+  return generateGroundedCopy(context.textProvider, {
+    task: task,
+    key: key || `${task}:${data.productName || 'product'}`,
+    system: COPY_SYSTEM_PROMPT,
+    prompt: buildPrompt(instruction, data, { language: localizer.language }),
+    variables: { productName: data.productName, locale: localizer.locale, ...variables },
+    fallback: fallback,
+    deadline: context.deadline
+  }, data);
+}
+
+/**
+ * Source attribution of a section: the fields it was built from, whether it used fallback
+ * text (for a missing field, or in place of rejected provider copy) and the rejected claims
+ */
+function attributeSection(data, fields, optional = [], copies = []) {
   return {
-    bestFor: `Users with ${data.skinType || 'specific skin needs'} seeking ${data.benefits || 'skincare benefits'}`,
-    alternatives: 'Consider other products if specific ingredients are preferred',
-    decisionFactors: ['Skin type compatibility', 'Budget considerations', 'Ingredient preferences', 'Usage convenience']
+    ...attributeSources(data, fields, { optional, fallback: copies.some(copy => copy.fallback) }),
+    ...groundingIssues(copies)
   };
-}
\ No newline at end of file
+}
+
+/**
+ * `groundingIssues` for provider copy that was rejected (nothing when all was grounded)
+ */
+function groundingIssues(copies) {
+  const issues = copies.flatMap(copy => copy.issues.map(issue => issue.message));
+  return issues.length > 0 ? { groundingIssues: issues } : {};
+}
+
+/**
+ * Score the product against its competitors; weights come from the block params and
+ * `data.comparisonWeights` (the run's, e.g. --comparison-weights)
+ */
+function scoreComparison(data, params, localizer) {
+  return compareProducts(data, getCompetitors(data, params.count || DEFAULT_COMPETITOR_COUNT, localizer), {
+    weights: { ...params.weights, ...data.comparisonWeights },
+    localizer: localizer
+  });
+}
+
+/**
+ * The competitors picked for a product, or fictional ones priced around it
+ */
+function getCompetitors(data, count, localizer) {
+  if (Array.isArray(data.competitors) && data.competitors.length > 0) {
+    return data.competitors.slice(0, count);
+  }
+  return createFictionalCompetitors(data, { count, localizer });
+}
+
+/**
+ * The block context's localizer (English without one)
+ */
+function getLocalizer(context) {
+  return context.localizer || createLocalizer(DEFAULT_LOCALE);
+}
+
+/**
+ * Product values for block copy, with the locale's defaults for missing fields
+ */
+function getCopyVariables(data, localizer) {
+  const defaults = localizer.get('defaults');
+  
+  return {
+    productName: data.productName || defaults.productName,
+    concentration: data.concentration || defaults.concentration,
+    keyIngredients: data.keyIngredients || defaults.keyIngredients,
+    skinType: data.skinType || defaults.skinType,
+    benefits: data.benefits || defaults.benefits,
+    price: data.price || defaults.price
+  };
+}
+
+function sentence(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,84 @@
+/**
+ * CLI argument parsing
+ *
+ * Supports:
+ *   <command> [positionals...] --option value --option=value --flag
+ */
+
+/**
+ * Error raised for invalid command-line usage (maps to the usage exit code)
+ */
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse raw argv (without the node/script entries)
+ *
+ * @param {string[]} argv
+ * @param {Object} [spec]
+ * @param {string[]} [spec.flags] - Options that never take a value
+ * @returns {{ command: string|null, positionals: string[], options: Object }}
+ */
+export function parseArguments(argv, spec = {}) {
+  const flags = new Set(spec.flags || []);
+  const result = { command: null, positionals: [], options: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg.startsWith('--')) {
+      const [rawName, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      const name = toCamelCase(rawName);
+
+      if (inlineValue !== undefined) {
+        result.options[name] = inlineValue;
+      } else if (flags.has(rawName)) {
+        result.options[name] = true;
+      } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+        result.options[name] = argv[++i];
+      } else {
+        throw new UsageError(`Option --${rawName} requires a value`);
+      }
+    } else if (result.command === null) {
+      result.command = arg;
+    } else {
+      result.positionals.push(arg);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse a comma-separated option value into a list
+ */
+export function parseList(value) {
+  if (value === undefined || value === null || value === true) return null;
+
+  return String(value)
+    .split(',')
+    .map(item => item.trim())
+    .filter(item => item.length > 0);
+}
+
+/**
+ * Parse a positive integer option value
+ */
+export function parsePositiveInteger(value, optionName) {
+  if (value === undefined) return undefined;
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new UsageError(`Option --${optionName} must be a positive integer, got "${value}"`);
+  }
+
+  return parsed;
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
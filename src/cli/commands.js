@@ -0,0 +1,1293 @@
+/**
+ * CLI commands for the multi-agent content generator
+ *
+ * Commands:
+ * 1. generate       - Run the agents for a product file (or a whole catalog)
+ * 2. validate       - Validate product data without generating content
+ * 3. list-templates - Show the registered page templates
+ * 4. list-blocks    - Show the content block catalog: params, defaults and output schemas
+ * 5. list-agents    - Show the agents that can be selected
+ * 6. inspect-output - Summarize (and check) a directory of generated content
+ * 7. list-runs      - List runs recorded in the run store
+ * 8. resume         - Resume an interrupted run from its checkpoints
+ * 9. replay         - Print a recorded run message-by-message
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { TrueMultiAgentSystem } from '../TrueMultiAgentSystem.js';
+import { SCHEDULER_MODES, COMPLIANCE_MODES, EXTERNAL_ARTIFACTS, RENDER_REPORT_FILE } from '../core/Orchestrator.js';
+import { DependencyGraph } from '../core/DependencyGraph.js';
+import { RunStore } from '../core/RunStore.js';
+import { AGENT_DEFINITIONS, createAgents, getAgentKeys, getAgentDefinitions, getRequiredOutputFiles } from '../agents/AgentRegistry.js';
+import { DataParserAgent } from '../agents/DataParserAgent.js';
+import { BatchRunner, isProductRow, describeRow } from '../batch/BatchRunner.js';
+import { loadCatalog } from '../batch/CatalogLoader.js';
+import { loadProductFeed, loadFieldMapping, getAdapterTypes } from '../adapters/AdapterRegistry.js';
+import { TemplateEngine } from '../templates/TemplateEngine.js';
+import { registerAllTemplates, registerTemplateDirectory } from '../templates/Templates.js';
+import { loadTemplateDirectory, watchTemplateDirectory } from '../templates/TemplateLoader.js';
+import { getTemplateInputFields, TemplateValidationError } from '../templates/TemplateSchema.js';
+import { registerAllContentBlocks, getContentBlockCatalog } from '../blocks/BlockRegistry.js';
+import { createTextProvider, getProviderTypes } from '../providers/ProviderRegistry.js';
+import { createOutputSink, getSinkTypes } from '../output/SinkRegistry.js';
+import { MANIFEST_FILE, computeChecksum } from '../output/OutputSink.js';
+import { createRenderer, getRendererTypes } from '../renderers/RendererRegistry.js';
+import { getSchemaCategories, loadSchemaFile } from '../schemas/ProductSchemas.js';
+import { getLocaleCodes, DEFAULT_LOCALE } from '../locales/Localizer.js';
+import { loadQuestionBankFile, registerQuestionBank } from '../questions/QuestionBank.js';
+import { getRulePackNames, loadRulePackFile, registerRulePack } from '../compliance/RulePacks.js';
+import { loadCompetitorCatalogFile, registerCompetitorCatalog } from '../competitors/CompetitorCatalog.js';
+import { parseComparisonWeights, resolveComparisonWeights } from '../comparison/ComparisonEngine.js';
+import { setLogLevel, writeOutput, writeError, LOG_LEVELS } from '../core/Logger.js';
+import { parseArguments, parseList, parsePositiveInteger, UsageError } from './arguments.js';
+
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  RUNTIME_ERROR: 1,
+  USAGE_ERROR: 2,
+  VALIDATION_FAILED: 3,
+  MISSING_CONTENT: 4,
+  COMPLIANCE_FAILED: 5
+};
+
+const DEFAULT_OUTPUT_DIR = 'output';
+const DEFAULT_SCHEDULER = 'event';
+const DEFAULT_RUNS_DIR = 'runs';
+const DEFAULT_COMPLIANCE_MODE = 'warn';
+
+export const COMMANDS = {
+  generate: {
+    description: 'Generate content for a product file (JSON, JSONL, CSV or a Shopify/Google Merchant feed; several products run as a batch)',
+    usage: 'generate --input <file> [--adapter <csv|json|shopify|google-merchant>] [--mapping <file>] [--input-report <file>] [--output <dir>] [--agents <a,b>] [--timeout <ms>] [--scheduler <event|polling>] [--concurrency <n>] [--provider <none|fixture|http>] [--fixtures <file>] [--provider-url <url>] [--provider-model <name>] [--sink <directory|memory|tar|webhook>] [--bundle <file>] [--webhook-url <url>] [--render <html,md,mdx>] [--layouts <file>] [--locales <en,hi,es>] [--category <name>] [--schema <file>] [--questions <file>] [--competitors <file>] [--comparison-weights <dimension=weight,...>] [--templates <dir>] [--watch] [--strict-templates] [--compliance <warn|block>] [--rule-packs <names,files>] [--runs-dir <dir>] [--no-store] [--log-level <level>]',
+    defaultLogLevel: 'info',
+    run: runGenerate
+  },
+  validate: {
+    description: 'Validate product data against its category schema (DataParserAgent rules)',
+    usage: 'validate --input <file> [--adapter <csv|json|shopify|google-merchant>] [--mapping <file>] [--input-report <file>] [--category <name>] [--schema <file>] [--log-level <level>]',
+    defaultLogLevel: 'warn',
+    run: runValidate
+  },
+  'list-templates': {
+    description: 'List the registered page templates and the content blocks they use',
+    usage: 'list-templates',
+    defaultLogLevel: 'warn',
+    run: runListTemplates
+  },
+  'list-blocks': {
+    description: 'List the content blocks with their params, defaults, output schemas and the templates using them',
+    usage: 'list-blocks [--json]',
+    defaultLogLevel: 'warn',
+    run: runListBlocks
+  },
+  'list-agents': {
+    description: 'List the agents available for --agents selection',
+    usage: 'list-agents',
+    defaultLogLevel: 'warn',
+    run: runListAgents
+  },
+  'inspect-output': {
+    description: 'Summarize generated content, check that required pages exist and verify manifest checksums',
+    usage: 'inspect-output [<dir>] [--agents <a,b>]',
+    defaultLogLevel: 'warn',
+    run: runInspectOutput
+  },
+  'list-runs': {
+    description: 'List the runs recorded in the run store',
+    usage: 'list-runs [--runs-dir <dir>]',
+    defaultLogLevel: 'warn',
+    run: runListRuns
+  },
+  resume: {
+    description: 'Resume a run, re-running only the agents whose artifacts were not checkpointed',
+    usage: 'resume <run-id> [--runs-dir <dir>] [--timeout <ms>] [--log-level <level>]',
+    defaultLogLevel: 'info',
+    run: runResume
+  },
+  replay: {
+    description: 'Print a recorded run message-by-message, with artifact checkpoints',
+    usage: 'replay <run-id> [--runs-dir <dir>] [--type <message-type>] [--until <sequence>] [--verbose]',
+    defaultLogLevel: 'warn',
+    run: runReplay
+  }
+};
+
+/**
+ * Run the CLI and resolve to a process exit code
+ */
+export async function runCli(argv) {
+  let parsed;
+
+  try {
+    parsed = parseArguments(argv, { flags: ['help', 'no-store', 'verbose', 'strict-templates', 'watch', 'json'] });
+  } catch (error) {
+    return reportUsageError(error);
+  }
+
+  const { command, options } = parsed;
+
+  if (command === 'help' || (command === null && options.help)) {
+    printUsage();
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (command === null) {
+    printUsage();
+    return EXIT_CODES.USAGE_ERROR;
+  }
+
+  const commandSpec = COMMANDS[command];
+  if (!commandSpec) {
+    return reportUsageError(new UsageError(`Unknown command "${command}"`));
+  }
+
+  if (options.help) {
+    writeOutput(`Usage: node src/index.js ${commandSpec.usage}`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  try {
+    const logLevel = options.logLevel || commandSpec.defaultLogLevel;
+    if (!(logLevel in LOG_LEVELS)) {
+      throw new UsageError(`Unknown log level "${logLevel}". Available levels: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+    setLogLevel(logLevel);
+
+    return await commandSpec.run(parsed);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      return reportUsageError(error);
+    }
+
+    writeError(`❌ ${command} failed: ${error.message}`);
+    return EXIT_CODES.RUNTIME_ERROR;
+  }
+}
+
+/**
+ * generate: run the agent pipeline
+ */
+async function runGenerate({ positionals, options }) {
+  const inputPath = requireInputPath(positionals, options);
+  const outputDir = options.output || DEFAULT_OUTPUT_DIR;
+  const selection = parseAgentSelection(options.agents);
+  assertRunnableSelection(selection);
+  const timeout = parsePositiveInteger(options.timeout, 'timeout');
+  const scheduler = options.scheduler || DEFAULT_SCHEDULER;
+  const concurrency = parsePositiveInteger(options.concurrency, 'concurrency');
+  const locales = parseLocales(options.locales);
+
+  if (!SCHEDULER_MODES.includes(scheduler)) {
+    throw new UsageError(`Unknown scheduler "${scheduler}". Available schedulers: ${SCHEDULER_MODES.join(', ')}`);
+  }
+  if (options.watch && !options.templates) {
+    throw new UsageError('--watch re-renders pages when template files change; it needs --templates <dir>');
+  }
+
+  const textProvider = createProviderFromOptions(options, timeout);
+  const products = loadProductsFromOptions(inputPath, options);
+
+  if (products.length > 1 && options.bundle) {
+    throw new UsageError('--bundle names a single archive; batch runs write one bundle per product into --output');
+  }
+  if (locales.length > 1 && options.bundle) {
+    throw new UsageError('--bundle names a single archive; runs in several locales write one output directory per locale into --output');
+  }
+  // Check the sink and render options before any run starts
+  createSinkFromOptions(options, outputDir);
+  const renderersByLocale = new Map();
+  for (const locale of locales) {
+    renderersByLocale.set(locale, await createRenderersFromOptions(options, locale));
+  }
+  const schemaConfig = createSchemaConfigFromOptions(options);
+  registerQuestionBankFromOptions(options);
+  registerCompetitorCatalogFromOptions(options);
+  if (!registerTemplatesFromOptions(options, schemaConfig)) {
+    return EXIT_CODES.VALIDATION_FAILED;
+  }
+  const comparisonWeights = createComparisonWeightsFromOptions(options);
+  const strictTemplates = Boolean(options.strictTemplates);
+  const compliance = createComplianceConfigFromOptions(options, selection);
+
+  // A single product is checked up front; a batch checks each product when it runs it, so an
+  // invalid row fails on its own in batch_summary.json and the other products still run
+  if (products.length <= 1 && !validateProducts(products, { schemaConfig })) {
+    return EXIT_CODES.VALIDATION_FAILED;
+  }
+
+  // Everything needed to resume a run later (the API key stays in the environment)
+  const runStore = options.noStore ? null : new RunStore({ rootDir: options.runsDir || DEFAULT_RUNS_DIR });
+  const runConfig = {
+    agents: selection,
+    outputDir: outputDir,
+    scheduler: scheduler,
+    timeout: timeout,
+    provider: pickProviderOptions(options),
+    sink: pickSinkOptions(options),
+    render: pickRenderOptions(options),
+    validation: pickSchemaOptions(options),
+    questions: options.questions,
+    competitors: options.competitors,
+    comparisonWeights: options.comparisonWeights,
+    templates: options.templates,
+    strictTemplates: Boolean(options.strictTemplates),
+    compliance: pickComplianceOptions(options)
+  };
+
+  // One run per locale; with several locales each writes into <output>/<locale>
+  const generateAll = async () => {
+    let exitCode = EXIT_CODES.SUCCESS;
+    for (const locale of locales) {
+      const localeOutputDir = locales.length > 1 ? path.join(outputDir, locale) : outputDir;
+      const renderers = renderersByLocale.get(locale);
+      const localeRunConfig = { ...runConfig, outputDir: localeOutputDir, locale: locale };
+      if (locales.length > 1) {
+        writeOutput(`\n🌐 Generating ${locale} content into ${localeOutputDir}`);
+      }
+
+      let localeExitCode;
+      if (products.length > 1) {
+        const outputSinkFactory = (productId, productOutputDir) => createSinkFromOptions(options, productOutputDir, productId);
+        localeExitCode = await runBatchGenerate(products, { outputDir: localeOutputDir, selection, timeout, scheduler, concurrency, textProvider, schemaConfig, comparisonWeights, strictTemplates, compliance, outputSinkFactory, renderers, runStore, runConfig: localeRunConfig, locale });
+      } else {
+        const outputSink = createSinkFromOptions(options, localeOutputDir);
+        localeExitCode = await runSingleGenerate(products[0], { outputDir: localeOutputDir, selection, timeout, scheduler, textProvider, schemaConfig, comparisonWeights, strictTemplates, compliance, outputSink, renderers, runStore, runConfig: localeRunConfig, locale });
+      }
+
+      if (exitCode === EXIT_CODES.SUCCESS) {
+        exitCode = localeExitCode;
+      }
+    }
+
+    return exitCode;
+  };
+
+  const exitCode = await generateAll();
+  if (!options.watch) {
+    return exitCode;
+  }
+
+  return watchTemplates(options.templates, { selection, productSchema: schemaConfig.productSchema, generate: generateAll, exitCode });
+}
+
+/**
+ * Resolve --locales to the locales to generate content in (English by default)
+ */
+function parseLocales(value) {
+  const locales = parseList(value) || [DEFAULT_LOCALE];
+
+  const unknownLocales = locales.filter(locale => !getLocaleCodes().includes(locale));
+  if (unknownLocales.length > 0) {
+    throw new UsageError(`Unknown locale(s): ${unknownLocales.join(', ')}. Available locales: ${getLocaleCodes().join(', ')}`);
+  }
+
+  return Array.from(new Set(locales));
+}
+
+/**
+ * resume: continue a recorded run from its checkpoints
+ */
+async function runResume({ positionals, options }) {
+  const runId = requireRunId(positionals);
+  const runStore = new RunStore({ rootDir: options.runsDir || DEFAULT_RUNS_DIR });
+  const { run } = loadStoredRun(runStore, runId);
+  const runConfig = run.config;
+  const timeout = parsePositiveInteger(options.timeout, 'timeout') || runConfig.timeout;
+  const outputDir = runConfig.outputDir || DEFAULT_OUTPUT_DIR;
+
+  if (run.status === 'completed') {
+    writeOutput(`Run ${runId} already completed; agents with checkpointed output will be restored`);
+  }
+  const schemaConfig = createSchemaConfigFromOptions(runConfig.validation || {});
+  registerQuestionBankFromOptions(runConfig);
+  registerCompetitorCatalogFromOptions(runConfig);
+  if (!registerTemplatesFromOptions(runConfig, schemaConfig)) {
+    return EXIT_CODES.VALIDATION_FAILED;
+  }
+
+  return runSingleGenerate(run.input, {
+    outputDir: outputDir,
+    selection: runConfig.agents || null,
+    timeout: timeout,
+    scheduler: runConfig.scheduler || DEFAULT_SCHEDULER,
+    textProvider: createProviderFromOptions(runConfig.provider || {}, timeout),
+    outputSink: createSinkFromOptions(runConfig.sink || {}, outputDir),
+    renderers: await createRenderersFromOptions(runConfig.render || {}, runConfig.locale),
+    schemaConfig: schemaConfig,
+    comparisonWeights: createComparisonWeightsFromOptions(runConfig),
+    strictTemplates: Boolean(runConfig.strictTemplates),
+    compliance: createComplianceConfigFromOptions(runConfig.compliance || {}, runConfig.agents || null),
+    runStore: runStore,
+    runId: runId,
+    runConfig: runConfig,
+    locale: runConfig.locale || DEFAULT_LOCALE
+  });
+}
+
+/**
+ * replay: print a recorded run in delivery order
+ */
+async function runReplay({ positionals, options }) {
+  const runId = requireRunId(positionals);
+  const runStore = new RunStore({ rootDir: options.runsDir || DEFAULT_RUNS_DIR });
+  const { run } = loadStoredRun(runStore, runId);
+  const until = parsePositiveInteger(options.until, 'until') || Infinity;
+  const typeFilter = parseList(options.type);
+
+  writeOutput(`Run ${run.runId} (${run.status}, ${run.attempts.length} attempt(s)) - ${run.input?.productName || 'unknown product'}`);
+
+  for (const event of runStore.getReplay(runId)) {
+    if (event.sequence > until) break;
+
+    if (event.kind !== 'message') {
+      if (!typeFilter) {
+        const owner = event.kind === 'artifact' ? event.producer : event.agentId;
+        writeOutput(`        📦 ${event.kind} ${event.name} checkpointed from ${owner} (attempt ${event.attempt})`);
+      }
+      continue;
+    }
+
+    if (typeFilter && !typeFilter.includes(event.type)) continue;
+
+    const correlation = event.correlationId && event.correlationId !== event.messageId ? ` (re: ${event.correlationId})` : '';
+    writeOutput(`  #${String(event.sequence).padStart(3)} [attempt ${event.attempt}] ${event.type}: ${event.from} → ${event.to}${correlation}`);
+    if (options.verbose) {
+      writeOutput(JSON.stringify(event.content, null, 2).split('\n').map(line => `        ${line}`).join('\n'));
+    }
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * list-runs: show recorded runs
+ */
+async function runListRuns({ options }) {
+  const runStore = new RunStore({ rootDir: options.runsDir || DEFAULT_RUNS_DIR });
+  const runs = runStore.listRuns();
+
+  if (runs.length === 0) {
+    writeOutput(`No runs recorded in ${runStore.rootDir}/`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  for (const run of runs) {
+    writeOutput(`${run.runId}  ${run.status.padEnd(9)} ${run.createdAt}  ${run.productName || '-'}`);
+    writeOutput(`  ${run.attempts} attempt(s), ${run.artifacts} artifacts, ${run.outputs} outputs`);
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+function requireRunId(positionals) {
+  if (!positionals[0]) {
+    throw new UsageError('Missing <run-id> (see "list-runs")');
+  }
+  return positionals[0];
+}
+
+function loadStoredRun(runStore, runId) {
+  try {
+    return runStore.loadRun(runId);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Keep the provider options a run needs to be resumed with the same provider
+ */
+function pickProviderOptions(options) {
+  return {
+    provider: options.provider,
+    fixtures: options.fixtures,
+    providerUrl: options.providerUrl,
+    providerModel: options.providerModel
+  };
+}
+
+/**
+ * Create the text provider selected with --provider (null for template copy only)
+ */
+function createProviderFromOptions(options, timeout) {
+  const type = options.provider || 'none';
+
+  if (!getProviderTypes().includes(type)) {
+    throw new UsageError(`Unknown provider "${type}". Available providers: ${getProviderTypes().join(', ')}`);
+  }
+  if (type === 'fixture' && !options.fixtures) {
+    throw new UsageError('--provider fixture requires --fixtures <file>');
+  }
+  if (type === 'http' && !options.providerUrl) {
+    throw new UsageError('--provider http requires --provider-url <url>');
+  }
+
+  return createTextProvider({
+    type: type,
+    fixturesFile: options.fixtures,
+    url: options.providerUrl,
+    model: options.providerModel,
+    apiKey: process.env.LLM_API_KEY,
+    // Leave room for several provider calls within one agent run
+    timeout: timeout ? Math.max(1000, Math.floor(timeout / 10)) : undefined
+  });
+}
+
+/**
+ * The output sink options stored with a run, so resume writes to the same place
+ */
+function pickSinkOptions(options) {
+  return {
+    sink: options.sink,
+    bundle: options.bundle,
+    webhookUrl: options.webhookUrl
+  };
+}
+
+/**
+ * Create the output sink selected with --sink (a directory sink by default)
+ *
+ * @param {Object} options - CLI options (or stored sink options)
+ * @param {string} directory - Output directory of the run (or of one batch product)
+ * @param {string} [source] - Identifies the product to webhook receivers
+ */
+function createSinkFromOptions(options, directory, source) {
+  const type = options.sink || 'directory';
+
+  if (!getSinkTypes().includes(type)) {
+    throw new UsageError(`Unknown sink "${type}". Available sinks: ${getSinkTypes().join(', ')}`);
+  }
+  if (type === 'webhook' && !options.webhookUrl) {
+    throw new UsageError('--sink webhook requires --webhook-url <url>');
+  }
+
+  return createOutputSink({
+    type: type,
+    directory: directory,
+    file: options.bundle,
+    url: options.webhookUrl,
+    source: source
+  });
+}
+
+/**
+ * The render options stored with a run
+ */
+function pickRenderOptions(options) {
+  return {
+    render: options.render,
+    layouts: options.layouts
+  };
+}
+
+/**
+ * Create the renderers selected with --render (none by default), ready to render
+ *
+ * @param {Object} options - CLI options (or stored render options)
+ * @param {string} [locale] - Language of the rendered pages (html lang attribute)
+ */
+async function createRenderersFromOptions(options, locale = DEFAULT_LOCALE) {
+  const types = parseList(options.render) || [];
+
+  const unknownTypes = types.filter(type => !getRendererTypes().includes(type));
+  if (unknownTypes.length > 0) {
+    throw new UsageError(`Unknown render format(s): ${unknownTypes.join(', ')}. Available formats: ${getRendererTypes().join(', ')}`);
+  }
+  if (options.layouts && !types.includes('html')) {
+    throw new UsageError('--layouts requires --render html');
+  }
+  if (options.layouts && !fs.existsSync(options.layouts)) {
+    throw new UsageError(`Layouts file not found: ${options.layouts}`);
+  }
+
+  const renderers = types.map(type => createRenderer(type === 'html' ? { type, layoutsFile: options.layouts, lang: locale } : { type }));
+  for (const renderer of renderers) {
+    try {
+      await renderer.prepare?.();
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  }
+
+  return renderers;
+}
+
+/**
+ * Read the products of --input: through an input adapter when --adapter or --mapping is
+ * given (or the file is an XML feed), else as a product catalog
+ */
+function loadProductsFromOptions(inputPath, options) {
+  if (!options.adapter && !options.mapping && path.extname(inputPath).toLowerCase() !== '.xml') {
+    if (options.inputReport) {
+      throw new UsageError('--input-report requires --adapter or --mapping');
+    }
+    return loadCatalog(inputPath);
+  }
+
+  if (options.adapter && !getAdapterTypes().includes(options.adapter)) {
+    throw new UsageError(`Unknown adapter "${options.adapter}". Available adapters: ${getAdapterTypes().join(', ')}`);
+  }
+  if (options.mapping && !fs.existsSync(options.mapping)) {
+    throw new UsageError(`Mapping file not found: ${options.mapping}`);
+  }
+
+  let mapping = {};
+  try {
+    mapping = options.mapping ? loadFieldMapping(options.mapping) : {};
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { products, report } = loadProductFeed(inputPath, { adapter: options.adapter, mapping });
+  reportInputMapping(report);
+
+  if (options.inputReport) {
+    fs.writeFileSync(options.inputReport, JSON.stringify(report, null, 2));
+    writeOutput(`📝 Input report written to ${options.inputReport}`);
+  }
+
+  return products;
+}
+
+/**
+ * Print the source fields an input adapter did not map and the values it mapped lossily
+ */
+function reportInputMapping(report) {
+  if (report.unmapped.length > 0) {
+    writeOutput(`⚠️  ${report.unmapped.length} unmapped source field(s): ${report.unmapped.map(field => field.path).join(', ')}`);
+  }
+  report.lossy.forEach(entry => writeOutput(`⚠️  ${entry.field}: ${entry.reason} (${entry.count} product(s))`));
+}
+
+/**
+ * The product schema options stored with a run
+ */
+function pickSchemaOptions(options) {
+  return {
+    category: options.category,
+    schema: options.schema
+  };
+}
+
+/**
+ * Resolve --category and --schema to the DataParserAgent config
+ */
+function createSchemaConfigFromOptions(options) {
+  if (options.category && !getSchemaCategories().includes(options.category)) {
+    throw new UsageError(`Unknown category "${options.category}". Available categories: ${getSchemaCategories().join(', ')}`);
+  }
+  if (options.schema && !fs.existsSync(options.schema)) {
+    throw new UsageError(`Schema file not found: ${options.schema}`);
+  }
+
+  let productSchema = null;
+  if (options.schema) {
+    try {
+      productSchema = loadSchemaFile(options.schema);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  }
+
+  return { category: options.category || null, productSchema };
+}
+
+/**
+ * Use the --questions bank file in place of the shipped bank of its vertical
+ */
+function registerQuestionBankFromOptions(options) {
+  if (!options.questions) return;
+
+  if (!fs.existsSync(options.questions)) {
+    throw new UsageError(`Question bank file not found: ${options.questions}`);
+  }
+
+  let bank;
+  try {
+    bank = registerQuestionBank(loadQuestionBankFile(options.questions));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const count = Object.values(bank.categories).reduce((sum, category) => sum + category.questions.length, 0);
+  writeOutput(`❓ Using ${options.questions} for ${bank.vertical} questions (${count} questions)`);
+}
+
+/**
+ * Use the competitor catalog of --competitors in place of the shipped one
+ */
+function registerCompetitorCatalogFromOptions(options) {
+  if (!options.competitors) return;
+
+  if (!fs.existsSync(options.competitors)) {
+    throw new UsageError(`Competitor catalog file not found: ${options.competitors}`);
+  }
+
+  let catalog;
+  try {
+    catalog = registerCompetitorCatalog(loadCompetitorCatalogFile(options.competitors));
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  writeOutput(`📚 Using ${options.competitors} as competitor catalog (${catalog.competitors.length} competitors)`);
+}
+
+/**
+ * Use the templates, partials and block configs of --templates alongside the shipped ones,
+ * checking them against the template schema and that every hierarchy resolves
+ *
+ * @returns {boolean} False when a template is invalid (its problems are reported)
+ */
+function registerTemplatesFromOptions(options, schemaConfig = {}) {
+  if (!options.templates) return true;
+
+  let loaded;
+  try {
+    loaded = loadTemplateDirectory(options.templates);
+    registerTemplateDirectory(loaded);
+    snapshotTemplates(schemaConfig.productSchema);
+  } catch (error) {
+    registerTemplateDirectory(null);
+    if (!(error instanceof TemplateValidationError)) {
+      throw new UsageError(error.message);
+    }
+
+    writeError(`❌ Invalid ${error.subject}:`);
+    error.problems.forEach(problem => writeError(`   ${problem}`));
+    return false;
+  }
+
+  const count = Object.keys(loaded.templates).length;
+  writeOutput(`📐 Using ${options.templates} for templates (${count} template${count === 1 ? '' : 's'}, ${Object.keys(loaded.partials).length} partials, ${Object.keys(loaded.blockConfigs).length} block configs)`);
+  return true;
+}
+
+/**
+ * Re-run the whole generation whenever files of the template directory change in a way
+ * that affects the pages of the selected agents, until interrupted (SIGINT/SIGTERM)
+ *
+ * @returns {Promise<number>} Exit code of the last run
+ */
+function watchTemplates(directory, { selection, productSchema, generate, exitCode }) {
+  const pageAgents = getAgentDefinitions(selection).filter(definition => definition.template);
+  let snapshot = snapshotTemplates(productSchema);
+  let lastExitCode = exitCode;
+  let queue = Promise.resolve();
+
+  const rerender = async (files) => {
+    let next;
+    try {
+      const loaded = loadTemplateDirectory(directory);
+      registerTemplateDirectory(loaded);
+      next = snapshotTemplates(productSchema);
+    } catch (error) {
+      writeError(`❌ ${error.message}; pages keep the previous templates`);
+      return;
+    }
+
+    const changed = Array.from(next.keys()).filter(name => next.get(name) !== snapshot.get(name));
+    const affected = pageAgents.filter(definition => changed.includes(definition.template));
+    snapshot = next;
+
+    const label = files.map(file => path.relative(directory, file)).join(', ');
+    if (affected.length === 0) {
+      writeOutput(`
+♻️  ${label} changed; no page template of this run is affected`);
+      return;
+    }
+
+    writeOutput(`
+♻️  ${label} changed (affects ${affected.map(definition => `${definition.outputFile} (${definition.template})`).join(', ')}); regenerating all pages`);
+    lastExitCode = await generate();
+    writeOutput(`👀 Watching ${directory} for template changes`);
+  };
+
+  writeOutput(`
+👀 Watching ${directory} for template changes (Ctrl+C to stop)`);
+
+  return new Promise(resolve => {
+    const stopWatching = watchTemplateDirectory(directory, files => {
+      queue = queue.then(() => rerender(files));
+    });
+
+    const stop = () => {
+      stopWatching();
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+      queue.then(() => resolve(lastExitCode));
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+}
+
+/**
+ * The registered templates, resolved, by name (JSON including the block configs they use),
+ * to tell which templates a change of the template directory affects
+ *
+ * @throws {Error} When a template does not match the template schema or a hierarchy does not resolve
+ */
+function snapshotTemplates(productSchema = null) {
+  const engine = createTemplateEngine(productSchema);
+
+  return new Map(engine.getAvailableTemplates().map(name => {
+    const { structure, slots, fieldMappings, contentBlocks } = engine.getTemplate(name);
+    const blockConfigs = collectTemplateBlocks({ structure, slots, contentBlocks }).map(block => engine.blockConfigs.get(block) || null);
+    return [name, JSON.stringify({ structure, slots, fieldMappings, contentBlocks, blockConfigs })];
+  }));
+}
+
+/**
+ * Dimension weights of the comparison scoring from --comparison-weights (null: the defaults)
+ */
+function createComparisonWeightsFromOptions(options) {
+  if (!options.comparisonWeights) return null;
+
+  try {
+    const weights = parseComparisonWeights(String(options.comparisonWeights));
+    resolveComparisonWeights(weights);
+    return weights;
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * The compliance options stored with a run
+ */
+function pickComplianceOptions(options) {
+  return {
+    compliance: options.compliance,
+    rulePacks: options.rulePacks
+  };
+}
+
+/**
+ * Resolve --compliance and --rule-packs; rule pack files are registered under their name
+ *
+ * @returns {{ mode: string, rulePacks: string[]|null }} Orchestrator mode and the packs the
+ *   compliance agent checks (null: every pack)
+ */
+function createComplianceConfigFromOptions(options, selection) {
+  const mode = options.compliance || DEFAULT_COMPLIANCE_MODE;
+  const runsCompliance = !selection || selection.includes('compliance');
+
+  if (!COMPLIANCE_MODES.includes(mode)) {
+    throw new UsageError(`Unknown compliance mode "${mode}". Available modes: ${COMPLIANCE_MODES.join(', ')}`);
+  }
+  if (!runsCompliance && (options.compliance === 'block' || options.rulePacks)) {
+    throw new UsageError(`${options.rulePacks ? '--rule-packs' : '--compliance block'} requires the compliance agent (add it to --agents)`);
+  }
+
+  const rulePacks = (parseList(options.rulePacks) || []).map(entry => {
+    if (!/\.(json|ya?ml)$/i.test(entry)) {
+      if (!getRulePackNames().includes(entry)) {
+        throw new UsageError(`Unknown rule pack "${entry}". Available rule packs: ${getRulePackNames().join(', ')} (or a .json/.yaml file)`);
+      }
+      return entry;
+    }
+
+    if (!fs.existsSync(entry)) {
+      throw new UsageError(`Rule pack file not found: ${entry}`);
+    }
+    try {
+      const pack = registerRulePack(loadRulePackFile(entry));
+      writeOutput(`⚖️  Using ${entry} as rule pack "${pack.name}" (${pack.rules.length} rules)`);
+      return pack.name;
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+  });
+
+  return { mode, rulePacks: rulePacks.length > 0 ? Array.from(new Set(rulePacks)) : null };
+}
+
+/**
+ * Print the compliance review of a run
+ */
+function reportCompliance(compliance) {
+  if (!compliance) return;
+
+  const counts = compliance.summary
+    ? `${compliance.summary.errors} error(s), ${compliance.summary.warnings} warning(s), ${compliance.summary.info} note(s)`
+    : 'no report';
+  const status = compliance.blocked ? 'output blocked' : compliance.passed ? 'passed' : 'failed';
+  writeOutput(`  Compliance (${compliance.mode}): ${status}, ${counts}${compliance.reportFile ? ` - see ${compliance.reportFile}` : ''}`);
+}
+
+/**
+ * Print the render report totals of a run's page templates
+ */
+function reportTemplates(templates) {
+  if (!templates) return;
+
+  const { pages, failedPages, blocks, null: empty, failed, invalid, fallback } = templates.summary;
+  writeOutput(`  Templates: ${pages} page(s), ${failedPages} failed; ${blocks} blocks, ${empty} null, ${failed} failed, ${invalid} invalid, ${fallback} fallback - see ${templates.reportFile}`);
+}
+
+/**
+ * Print the token accounting of a provider
+ */
+function reportTextGeneration(textProvider) {
+  if (!textProvider) return;
+
+  const usage = textProvider.getUsage();
+  writeOutput(`  Text provider: ${usage.provider}${usage.model ? ` (${usage.model})` : ''}, ${usage.requests} requests, ${usage.failures} failed, ${usage.totalTokens} tokens`);
+}
+
+/**
+ * Generate content for a single product through the output sink
+ */
+async function runSingleGenerate(product, { outputDir, selection, timeout, scheduler, textProvider, schemaConfig, comparisonWeights, strictTemplates, compliance, outputSink, renderers, runStore, runId, runConfig, locale }) {
+  const requiredFiles = getRequiredOutputFiles(selection);
+
+  const system = new TrueMultiAgentSystem({ systemId: `cli_${Date.now()}`, timeout, scheduler, runStore, runId, runConfig, outputSink, renderers, compliance: compliance.mode });
+  const agents = createAgents({ selection, agentConfig: { outputDir, textProvider, locale, ...schemaConfig, comparisonWeights, strictTemplates, rulePacks: compliance.rulePacks } });
+
+  for (const agent of agents) {
+    system.registerAgent(agent);
+  }
+
+  let results;
+  try {
+    results = await system.start(product);
+  } finally {
+    await system.stop();
+  }
+
+  const writtenFiles = system.orchestrator.getWrittenFiles();
+  const missingFiles = requiredFiles.filter(file => !writtenFiles.includes(file));
+
+  writeOutput(`\nGenerated content for ${product.productName} in ${outputSink.describe()} (${outputSink.type} sink, ${writtenFiles.length} files + ${MANIFEST_FILE})`);
+  writeOutput(`  Agents: ${agents.length}, scheduler: ${scheduler}, runtime: ${(results.systemMetrics.runtime / 1000).toFixed(1)}s`);
+  reportTextGeneration(textProvider);
+  if (results.orchestration.run) {
+    const { run } = results.orchestration;
+    const restored = run.restoredAgents.length > 0 ? `, restored: ${run.restoredAgents.join(', ')}` : '';
+    writeOutput(`  Run: ${run.runId} (${run.storeDir}${restored})`);
+  }
+  for (const deadLetter of results.orchestration.messageBus.deadLetters) {
+    writeOutput(`  ☠️  Dead letter: ${deadLetter.type} from ${deadLetter.from} (${deadLetter.reason}: ${deadLetter.errors.join('; ')})`);
+  }
+  reportTemplates(results.orchestration.templates);
+  reportCompliance(results.orchestration.compliance);
+
+  if (results.orchestration.compliance?.blocked) {
+    writeError(`❌ Compliance review blocked the output${results.orchestration.compliance.reportFile ? ` (see ${results.orchestration.compliance.reportFile})` : ''}`);
+    return EXIT_CODES.COMPLIANCE_FAILED;
+  }
+
+  for (const file of requiredFiles) {
+    writeOutput(`  ${missingFiles.includes(file) ? '❌' : '✅'} ${file}`);
+  }
+
+  if (missingFiles.length > 0) {
+    writeError(`❌ Required content missing: ${missingFiles.join(', ')}`);
+    return EXIT_CODES.MISSING_CONTENT;
+  }
+
+  const renderErrors = results.orchestration.templates?.errors || [];
+  if (renderErrors.length > 0) {
+    writeError(`❌ Page generation failed: ${renderErrors.join('; ')}`);
+    return EXIT_CODES.MISSING_CONTENT;
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Generate content for several products with the batch runner
+ */
+async function runBatchGenerate(products, { outputDir, selection, timeout, scheduler, concurrency, textProvider, schemaConfig, comparisonWeights, strictTemplates, compliance, outputSinkFactory, renderers, runStore, runConfig, locale }) {
+  const runner = new BatchRunner({
+    outputDir: outputDir,
+    concurrency: concurrency || 2,
+    agentSelection: selection,
+    systemConfig: { timeout, scheduler, runStore, runConfig, renderers, compliance: compliance.mode },
+    agentConfig: { textProvider, locale, ...schemaConfig, comparisonWeights, strictTemplates, rulePacks: compliance.rulePacks },
+    outputSinkFactory: outputSinkFactory
+  });
+
+  const summary = await runner.run(products);
+
+  writeOutput(`\nBatch ${summary.batchId}: ${summary.totals.succeeded}/${summary.totals.products} products succeeded`);
+  for (const product of summary.products) {
+    const scores = Object.entries(product.qualityScores).map(([name, score]) => `${name} ${score}`).join(', ');
+    writeOutput(`  ${product.status === 'succeeded' ? '✅' : '❌'} ${product.productId}${scores ? ` (${scores})` : ''}${product.runId ? ` [${product.runId}]` : ''}`);
+    product.errors.forEach(error => writeOutput(`      ${error}`));
+  }
+  reportTextGeneration(textProvider);
+  writeOutput(`Summary: ${path.join(outputDir, runner.summaryFile)}`);
+
+  const failedStages = summary.products.filter(product => product.status !== 'succeeded').map(product => product.failedStage);
+  if (failedStages.includes('execution')) return EXIT_CODES.RUNTIME_ERROR;
+  if (failedStages.includes('generation')) return EXIT_CODES.MISSING_CONTENT;
+  if (failedStages.includes('compliance')) return EXIT_CODES.COMPLIANCE_FAILED;
+  if (failedStages.includes('validation')) return EXIT_CODES.VALIDATION_FAILED;
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * validate: check product data without running the agents
+ */
+async function runValidate({ positionals, options }) {
+  const products = loadProductsFromOptions(requireInputPath(positionals, options), options);
+  const schemaConfig = createSchemaConfigFromOptions(options);
+  return validateProducts(products, { verbose: true, schemaConfig }) ? EXIT_CODES.SUCCESS : EXIT_CODES.VALIDATION_FAILED;
+}
+
+/**
+ * Validate every product with DataParserAgent.validateData and report the results
+ */
+function validateProducts(products, { verbose = false, schemaConfig = {} } = {}) {
+  if (products.length === 0) {
+    writeError('❌ Input contains no products');
+    return false;
+  }
+
+  const parser = new DataParserAgent({ ...schemaConfig, id: 'cli_validator' });
+  let allValid = true;
+
+  products.forEach((product, index) => {
+    if (!isProductRow(product)) {
+      allValid = false;
+      writeError(`❌ product #${index + 1}: is ${describeRow(product)}, not a product object`);
+      return;
+    }
+
+    const validation = parser.validateData(product);
+    const label = product.productName || `product #${index + 1}`;
+
+    if (!validation.isValid) {
+      allValid = false;
+      writeError(`❌ ${label}: ${validation.errors.join(', ')}`);
+    } else if (verbose) {
+      writeOutput(`✅ ${label}: valid (${validation.schema} schema, score ${validation.score}/100)`);
+    }
+
+    if (verbose || !validation.isValid) {
+      validation.warnings.forEach(warning => writeOutput(`   ⚠️  ${warning}`));
+    }
+  });
+
+  return allValid;
+}
+
+/**
+ * list-templates: show registered templates
+ */
+async function runListTemplates() {
+  const engine = createTemplateEngine();
+
+  for (const name of engine.getAvailableTemplates()) {
+    const template = engine.getTemplate(name);
+    const { extends: parents, partials } = template.resolution;
+    writeOutput(`${name}${template.abstract ? ' (abstract)' : ''}`);
+    writeOutput(`  ${template.description}`);
+    if (parents.length > 0) writeOutput(`  Extends: ${parents.join(' → ')}`);
+    if (Object.keys(template.slots).length > 0) writeOutput(`  Slots: ${describeSlots(template.slots)}`);
+    if (partials.length > 0) writeOutput(`  Partials: ${partials.join(', ')}`);
+    writeOutput(`  Blocks: ${collectTemplateBlocks(template).join(', ') || 'none'}`);
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * list-blocks: show the content block catalog
+ */
+async function runListBlocks({ options }) {
+  const engine = createTemplateEngine();
+  const usedBy = {};
+  for (const name of engine.getAvailableTemplates()) {
+    for (const block of new Set(collectTemplateBlocks(engine.getTemplate(name)))) {
+      (usedBy[block] = usedBy[block] || []).push(name);
+    }
+  }
+
+  const catalog = getContentBlockCatalog().map(entry => ({ ...entry, usedBy: usedBy[entry.name] || [] }));
+
+  if (options.json) {
+    writeOutput(JSON.stringify(catalog, null, 2));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  for (const entry of catalog) {
+    writeOutput(entry.name);
+    writeOutput(`  ${entry.description}`);
+    if (entry.params.length === 0) writeOutput('  Params: none');
+    for (const param of entry.params) {
+      const defaultValue = param.default !== undefined ? `, default ${JSON.stringify(param.default)}` : '';
+      writeOutput(`  Param ${param.name} (${param.type}${defaultValue}) - ${param.description}`);
+    }
+    writeOutput(`  Output: ${entry.output ? entry.output.type : 'unchecked'}`);
+    writeOutput(`  Used by: ${entry.usedBy.join(', ') || 'no shipped template'}`);
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * A template engine with the content blocks and the templates the page agents use
+ */
+function createTemplateEngine(productSchema = null) {
+  const engine = new TemplateEngine({ inputFields: getTemplateInputFields(productSchema) });
+
+  registerAllContentBlocks(engine);
+  registerAllTemplates(engine);
+
+  return engine;
+}
+
+/**
+ * Collect the names of all content blocks a template uses
+ */
+function collectTemplateBlocks(template) {
+  const blocks = [];
+
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'block' && node.block) {
+      blocks.push(node.block);
+      return;
+    }
+    Object.values(node).forEach(visit);
+  };
+
+  visit(template.structure);
+  Object.values(template.slots || {}).forEach(slot => visit(slot.value));
+
+  for (const blockConfig of Object.values(template.contentBlocks || {})) {
+    blocks.push(typeof blockConfig === 'string' ? blockConfig : blockConfig.block);
+  }
+
+  return blocks;
+}
+
+/**
+ * Slots of a template with the template that filled each ("title (faq_page)", "description (open)")
+ */
+function describeSlots(slots) {
+  return Object.entries(slots)
+    .map(([name, slot]) => `${name} (${slot.filledBy || (slot.required ? 'required' : 'open')})`)
+    .join(', ');
+}
+
+/**
+ * list-agents: show selectable agents
+ */
+async function runListAgents() {
+  const agents = createAgents();
+
+  AGENT_DEFINITIONS.forEach((definition, index) => {
+    const agent = agents[index];
+    writeOutput(`${definition.key}`);
+    writeOutput(`  ${definition.description}`);
+    writeOutput(`  Capabilities: ${agent.getCapabilities().join(', ')}`);
+    writeOutput(`  Consumes: ${agent.consumes.join(', ') || '-'}  Produces: ${agent.produces.join(', ') || '-'}`);
+  });
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * inspect-output: summarize generated content files
+ */
+async function runInspectOutput({ positionals, options }) {
+  const outputDir = positionals[0] || options.output || DEFAULT_OUTPUT_DIR;
+  const selection = parseAgentSelection(options.agents);
+  const requiredFiles = getRequiredOutputFiles(selection);
+  const problems = [];
+
+  if (!fs.existsSync(outputDir)) {
+    writeError(`❌ Output directory not found: ${outputDir}`);
+    return EXIT_CODES.MISSING_CONTENT;
+  }
+
+  writeOutput(`Output directory: ${outputDir}`);
+
+  // The render report is written by the orchestrator, after the agents' files
+  const files = [...AGENT_DEFINITIONS.filter(definition => definition.outputFile).map(definition => definition.outputFile), RENDER_REPORT_FILE];
+  const manifestFiles = readManifestFiles(outputDir);
+
+  for (const file of files) {
+    const filePath = path.join(outputDir, file);
+    const required = requiredFiles.includes(file);
+
+    if (!fs.existsSync(filePath)) {
+      writeOutput(`  ${required ? '❌' : '⏳'} ${file} (missing)`);
+      if (required) problems.push(`${file} is missing`);
+      continue;
+    }
+
+    // A file the last run did not write (e.g. a page of an earlier run it blocked)
+    if (manifestFiles && !manifestFiles.includes(file)) {
+      writeOutput(`  ❌ ${file} (not in ${MANIFEST_FILE}, left by an earlier run)`);
+      problems.push(`${file} is not listed in ${MANIFEST_FILE}`);
+      continue;
+    }
+
+    try {
+      const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const sizeKb = Math.max(1, Math.round(fs.statSync(filePath).size / 1024));
+      writeOutput(`  ✅ ${file} (${sizeKb}KB) - ${describeOutput(file, content)}`);
+    } catch (error) {
+      writeOutput(`  ❌ ${file} (unreadable: ${error.message})`);
+      if (required) problems.push(`${file} is not valid JSON`);
+    }
+  }
+
+  problems.push(...verifyManifest(outputDir));
+
+  if (problems.length > 0) {
+    writeError(`❌ Output check failed: ${problems.join(', ')}`);
+    return EXIT_CODES.MISSING_CONTENT;
+  }
+
+  return EXIT_CODES.SUCCESS;
+}
+
+/**
+ * The files listed in an output directory's manifest (null without a readable manifest)
+ */
+function readManifestFiles(outputDir) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+    return (manifest.files || []).map(entry => entry.file);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check the files listed in an output directory's manifest against their checksums
+ *
+ * @returns {string[]} Problems found (none when there is no manifest)
+ */
+function verifyManifest(outputDir) {
+  const manifestPath = path.join(outputDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    writeOutput(`  ⏳ ${MANIFEST_FILE} (missing, checksums not verified)`);
+    return [];
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    writeOutput(`  ❌ ${MANIFEST_FILE} (unreadable: ${error.message})`);
+    return [`${MANIFEST_FILE} is not valid JSON`];
+  }
+
+  const problems = [];
+  for (const entry of manifest.files || []) {
+    const filePath = path.join(outputDir, entry.file);
+
+    if (!fs.existsSync(filePath)) {
+      problems.push(`${entry.file} is listed in ${MANIFEST_FILE} but missing`);
+    } else if (computeChecksum(fs.readFileSync(filePath)) !== entry.sha256) {
+      problems.push(`${entry.file} does not match its ${MANIFEST_FILE} checksum`);
+    }
+  }
+
+  const fileCount = (manifest.files || []).length;
+  writeOutput(`  ${problems.length > 0 ? '❌' : '✅'} ${MANIFEST_FILE} (${fileCount} files, ${problems.length > 0 ? `${problems.length} failed verification` : 'checksums match'})`);
+  return problems;
+}
+
+/**
+ * Describe the contents of a generated file in one line
+ */
+function describeOutput(file, content) {
+  switch (file) {
+    case 'faq.json': {
+      const questions = content.questions || [];
+      const categories = new Set(questions.map(question => question.category));
+      return `${questions.length} questions in ${categories.size} categories`;
+    }
+    case 'product_page.json':
+      return `${Object.keys(content.sections || {}).length} sections`;
+    case 'comparison_page.json': {
+      const competitors = content.products?.competitors || content.comparison?.competitors || [];
+      const fictional = competitors.filter(competitor => competitor.fictional).length;
+      return `${competitors.length} competitors${fictional > 0 ? ` (${fictional} fictional)` : ''}`;
+    }
+    case 'validation_report.json':
+      return `${content.schema} schema, score ${content.score ?? 'n/a'}/100, ${(content.errors || []).length} errors, ${(content.warnings || []).length} warnings`;
+    case RENDER_REPORT_FILE:
+      return `${content.summary?.pages ?? 0} page(s), ${content.summary?.failedPages ?? 0} failed, ${content.summary?.null ?? 0} null, ${content.summary?.failed ?? 0} failed, ${content.summary?.invalid ?? 0} invalid and ${content.summary?.fallback ?? 0} fallback blocks`;
+    case 'analytics.json':
+      return `overall score ${content.overall_performance?.overall_score ?? 'n/a'}/100`;
+    case 'seo_optimization.json':
+      return `SEO score ${content.performance?.seo_score ?? 'n/a'}/100, ${(content.keywords?.primary || []).length} primary keywords`;
+    default:
+      return `${Object.keys(content).length} keys`;
+  }
+}
+
+/**
+ * Resolve the input path from --input or the first positional argument
+ */
+function requireInputPath(positionals, options) {
+  const inputPath = options.input || positionals[0];
+  if (!inputPath) {
+    throw new UsageError('Missing --input <file>');
+  }
+  if (!fs.existsSync(inputPath)) {
+    throw new UsageError(`Input file not found: ${inputPath}`);
+  }
+  return inputPath;
+}
+
+/**
+ * Parse and check --agents
+ */
+function parseAgentSelection(value) {
+  const selection = parseList(value);
+  if (!selection) return null;
+
+  const unknownKeys = selection.filter(key => !getAgentKeys().includes(key));
+  if (unknownKeys.length > 0) {
+    throw new UsageError(`Unknown agent(s): ${unknownKeys.join(', ')}. Run "list-agents" to see available agents`);
+  }
+
+  return selection;
+}
+
+/**
+ * Check that every selected agent can receive the artifacts it consumes
+ */
+function assertRunnableSelection(selection) {
+  if (!selection) return;
+
+  const graph = new DependencyGraph();
+  createAgents({ selection }).forEach(agent => graph.addAgent(agent.id, agent.getArtifacts()));
+
+  const unsatisfied = graph.findUnsatisfiedInputs(EXTERNAL_ARTIFACTS);
+  if (unsatisfied.length > 0) {
+    const details = unsatisfied.map(({ agentId, artifact }) => `${agentId} needs ${artifact}`).join(', ');
+    throw new UsageError(`Agent selection cannot run: ${details}. Run "list-agents" to see which agents produce them`);
+  }
+}
+
+function reportUsageError(error) {
+  writeError(`❌ ${error.message}`);
+  writeError('Run "node src/index.js help" for usage');
+  return EXIT_CODES.USAGE_ERROR;
+}
+
+function printUsage() {
+  writeOutput('Usage: node src/index.js <command> [options]');
+  writeOutput('');
+  writeOutput('Commands:');
+  for (const [name, spec] of Object.entries(COMMANDS)) {
+    writeOutput(`  ${name.padEnd(16)} ${spec.description}`);
+    writeOutput(`  ${''.padEnd(16)} ${spec.usage}`);
+  }
+  writeOutput('');
+  writeOutput(`Log levels: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  writeOutput('Exit codes: 0 success, 1 runtime error, 2 usage error, 3 validation failed, 4 required content missing, 5 compliance failed');
+}
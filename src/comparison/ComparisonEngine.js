@@ -0,0 +1,375 @@
+/**
+ * ComparisonEngine - Scores a product and its competitors across weighted dimensions
+ *
+ * 1. Each dimension measures every product (null when its data is missing):
+ *    - price: price per ml (per unit of the pack size) when every priced product has the
+ *      same pack unit, else the price paid; products priced in another currency are not scored
+ *    - concentration: the percentage of one active, the compared product's strongest (e.g. 20%
+ *      Ascorbic Acid); products without that INCI active are not scored
+ *    - ingredientOverlap: mean share of ingredients a product has in common with each other product
+ *    - rating: customer rating out of 5
+ *    - skinTypeFit: mean match of a product's skin types with each other product's
+ * 2. Values are normalized per dimension to 0..1 (best 1, worst 0, all level 1); a dimension
+ *    known for fewer than two products is not compared, and one where they are all level is tied
+ * 3. A product's total is the weighted sum of its normalized scores over all compared
+ *    dimensions, a dimension it has no value for scoring 0, so partly known products never
+ *    outrank fully scored ones on the strength of fewer dimensions; products are ranked by total
+ * 4. The verdict names the winner, the compared product's rank and the dimensions each of
+ *    them leads or trails on (tied dimensions are neither)
+ *
+ * Weights are relative (they are normalized to sum 1); a weight of 0 leaves a dimension out.
+ * Add dimensions with registerComparisonDimension(definition).
+ */
+
+import { getPrice, getEffectiveAmount, formatAmount } from '../pricing/PriceModel.js';
+import { getIngredients, compareIngredients } from '../ingredients/IngredientParser.js';
+import { compareSkinTypes } from '../competitors/CompetitorCatalog.js';
+import { createLocalizer, DEFAULT_LOCALE } from '../locales/Localizer.js';
+
+export const COMPARISON_DIRECTIONS = ['higher', 'lower'];
+
+export const COMPARISON_DIMENSION_DEFINITIONS = [
+  {
+    name: 'price',
+    description: 'Price per ml (per pack unit), else the price paid; lower is better',
+    direction: 'lower',
+    weight: 0.3,
+    measure: measurePrice
+  },
+  {
+    name: 'concentration',
+    description: "Percentage of the compared product's strongest active (same INCI name)",
+    direction: 'higher',
+    weight: 0.2,
+    measure: (product, { active, localizer }) => {
+      const ingredient = active && getIngredients(product)
+        .find(candidate => candidate.percentage !== null && candidate.inci.toLowerCase() === active.inci.toLowerCase());
+      if (!ingredient) return null;
+
+      return {
+        value: ingredient.percentage,
+        display: localizer.t('ingredients.withPercentage', { name: ingredient.name, percentage: localizer.formatPercent(ingredient.percentage) })
+      };
+    }
+  },
+  {
+    name: 'ingredientOverlap',
+    description: 'Mean share of ingredients a product has in common with each other product',
+    direction: 'higher',
+    weight: 0.2,
+    measure: (product, { products, localizer }) => {
+      const ingredients = getIngredients(product);
+      const others = products.filter(other => other !== product).map(getIngredients).filter(other => other.length > 0);
+      if (ingredients.length === 0 || others.length === 0) return null;
+
+      const value = mean(others.map(other => compareIngredients(ingredients, other).overlap));
+      return { value, display: localizer.formatPercent(Math.round(value * 100)) };
+    }
+  },
+  {
+    name: 'rating',
+    description: 'Customer rating out of 5',
+    direction: 'higher',
+    weight: 0.15,
+    measure: (product, { localizer }) => {
+      const rating = Number(product.rating);
+      if (product.rating === undefined || product.rating === null || !Number.isFinite(rating)) return null;
+
+      return { value: rating, display: localizer.t('comparison.values.rating', { rating: localizer.formatNumber(rating) }) };
+    }
+  },
+  {
+    name: 'skinTypeFit',
+    description: "Mean match of a product's skin types with each other product's",
+    direction: 'higher',
+    weight: 0.15,
+    measure: (product, { products, localizer }) => {
+      const others = products.filter(other => other !== product && other.skinType);
+      if (!product.skinType || others.length === 0) return null;
+
+      const value = mean(others.map(other => compareSkinTypes(product.skinType, other.skinType)));
+      return { value, display: localizer.formatPercent(Math.round(value * 100)) };
+    }
+  }
+];
+
+const dimensions = new Map(COMPARISON_DIMENSION_DEFINITIONS.map(definition => [definition.name, definition]));
+
+/**
+ * Add (or replace) a comparison dimension
+ *
+ * @param {Object} definition - { name, description?, direction: 'higher'|'lower', weight,
+ *   measure(product, { primary, products, localizer, priceBasis, active }) => { value: number, display: string } | null }
+ */
+export function registerComparisonDimension(definition) {
+  if (!definition?.name || typeof definition.measure !== 'function') {
+    throw new Error('A comparison dimension needs a "name" and a "measure" function');
+  }
+  if (!COMPARISON_DIRECTIONS.includes(definition.direction)) {
+    throw new Error(`Comparison dimension "${definition.name}" needs a direction: ${COMPARISON_DIRECTIONS.join(' or ')}`);
+  }
+  if (!(Number(definition.weight) >= 0)) {
+    throw new Error(`Comparison dimension "${definition.name}" needs a weight of 0 or more`);
+  }
+
+  dimensions.set(definition.name, { description: '', ...definition, weight: Number(definition.weight) });
+}
+
+/**
+ * Get the names of the comparison dimensions
+ */
+export function getComparisonDimensions() {
+  return Array.from(dimensions.keys());
+}
+
+/**
+ * Read dimension weights from "price=3,rating=1" or { price: 3, rating: 1 }
+ *
+ * @returns {Object} Weight by dimension name
+ */
+export function parseComparisonWeights(input) {
+  const entries = typeof input === 'string'
+    ? input.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+      const [name, weight] = item.split('=').map(part => part.trim());
+      if (weight === undefined) {
+        throw new Error(`Invalid comparison weight "${item}": expected <dimension>=<weight>`);
+      }
+      return [name, weight];
+    })
+    : Object.entries(input || {});
+
+  const weights = {};
+  for (const [name, weight] of entries) {
+    if (!dimensions.has(name)) {
+      throw new Error(`Unknown comparison dimension: ${name}. Available dimensions: ${getComparisonDimensions().join(', ')}`);
+    }
+    if (weight === '' || !(Number(weight) >= 0)) {
+      throw new Error(`Invalid comparison weight for ${name}: "${weight}" (expected a number of 0 or more)`);
+    }
+    weights[name] = Number(weight);
+  }
+
+  return weights;
+}
+
+/**
+ * Score a product against its competitors
+ *
+ * @param {Object} primary - The compared product (clean product data)
+ * @param {Object[]} competitors - Competitors (as picked by CompetitorCatalog)
+ * @param {Object} [options]
+ * @param {Object} [options.weights] - Weight by dimension name, over the defaults
+ * @param {Object} [options.localizer] - Localizer for displayed values and reasons
+ * @returns {{ dimensions: Object[], matrix: Object[], verdict: Object }}
+ */
+export function compareProducts(primary, competitors, options = {}) {
+  const localizer = options.localizer || createLocalizer(DEFAULT_LOCALE);
+  const weights = resolveComparisonWeights(options.weights);
+  const products = [primary, ...competitors];
+  const context = { primary, products, localizer };
+  context.priceBasis = getPriceBasis(context);
+  context.active = getComparedActive(products);
+
+  const rows = products.map((product, index) => ({
+    product: getProductName(product, localizer),
+    primary: index === 0,
+    fictional: Boolean(product.fictional),
+    values: {},
+    display: {},
+    scores: {},
+    total: null,
+    coverage: 0,
+    rank: null
+  }));
+
+  const compared = [];
+  for (const [name, definition] of dimensions) {
+    const weight = weights[name];
+    const measurements = products.map(product => definition.measure(product, context));
+    const known = measurements.filter(measurement => measurement && Number.isFinite(measurement.value)).map(measurement => measurement.value);
+    const isCompared = weight > 0 && known.length >= 2;
+    const isTied = isCompared && known.every(value => value === known[0]);
+
+    measurements.forEach((measurement, index) => {
+      const value = measurement && Number.isFinite(measurement.value) ? measurement.value : null;
+      rows[index].values[name] = value;
+      rows[index].display[name] = value === null ? null : measurement.display;
+      rows[index].scores[name] = isCompared && value !== null ? normalize(value, known, definition.direction) : null;
+    });
+
+    compared.push({
+      name: name,
+      label: getDimensionLabel(name, localizer),
+      description: definition.description,
+      direction: definition.direction,
+      weight: weight,
+      compared: isCompared,
+      tied: isTied,
+      ...(name === 'price' && { basis: context.priceBasis.unit ? `per ${context.priceBasis.unit}` : 'price' }),
+      ...(name === 'concentration' && { basis: context.active?.inci || null }),
+      ...(!isCompared && { reason: weight === 0 ? 'weight 0' : 'known for fewer than two products' })
+    });
+  }
+
+  // Unknown dimensions score 0 against the weight of every compared dimension
+  const comparedDimensions = compared.filter(dimension => dimension.compared);
+  const totalWeight = comparedDimensions.reduce((sum, dimension) => sum + dimension.weight, 0);
+  for (const row of rows) {
+    const scored = comparedDimensions.filter(dimension => row.scores[dimension.name] !== null);
+
+    row.total = scored.length > 0
+      ? round(scored.reduce((sum, dimension) => sum + row.scores[dimension.name] * dimension.weight, 0) / totalWeight)
+      : null;
+    row.coverage = comparedDimensions.length > 0 ? round(scored.length / comparedDimensions.length) : 0;
+  }
+
+  // Products with equal totals share a rank; products with no scores come last
+  const ranked = [...rows].sort((a, b) => (b.total ?? -1) - (a.total ?? -1));
+  ranked.forEach((row, index) => {
+    row.rank = index > 0 && row.total === ranked[index - 1].total ? ranked[index - 1].rank : index + 1;
+  });
+
+  return {
+    dimensions: compared,
+    matrix: rows,
+    verdict: buildVerdict(rows, ranked, compared, localizer)
+  };
+}
+
+/**
+ * Weights of the dimensions (defaults, overridden by the given ones), normalized to sum 1
+ */
+export function resolveComparisonWeights(overrides = {}) {
+  const weights = Object.fromEntries(Array.from(dimensions, ([name, definition]) => [name, definition.weight]));
+  Object.assign(weights, parseComparisonWeights(overrides || {}));
+
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) {
+    throw new Error('Comparison weights must give at least one dimension a weight above 0');
+  }
+
+  return Object.fromEntries(Object.entries(weights).map(([name, weight]) => [name, round(weight / total)]));
+}
+
+function normalize(value, known, direction) {
+  const min = Math.min(...known);
+  const max = Math.max(...known);
+  if (max === min) return 1;
+
+  return round(direction === 'higher' ? (value - min) / (max - min) : (max - value) / (max - min));
+}
+
+function buildVerdict(rows, ranked, compared, localizer) {
+  const winner = ranked[0];
+  const primary = rows[0];
+  const count = rows.length;
+
+  if (winner.total === null) {
+    return {
+      winner: null,
+      primaryRank: null,
+      ranking: [],
+      summary: localizer.t('comparison.verdict.notScored'),
+      reasons: []
+    };
+  }
+
+  const reasons = [
+    ...describeStanding(winner, compared, localizer),
+    ...(primary !== winner ? describeStanding(primary, compared, localizer) : [])
+  ];
+  const summary = [
+    localizer.t('comparison.verdict.winner', { product: winner.product, score: toPoints(winner.total) }),
+    primary !== winner && primary.total !== null &&
+      localizer.t('comparison.verdict.rank', { product: primary.product, rank: primary.rank, count, score: toPoints(primary.total) })
+  ].filter(Boolean).join('. ');
+
+  return {
+    winner: winner.product,
+    primaryRank: primary.rank,
+    ranking: ranked.map(row => ({ product: row.product, score: row.total, rank: row.rank })),
+    summary: summary,
+    reasons: reasons
+  };
+}
+
+/**
+ * The dimensions a product leads (score 1) and trails (score 0) on, heaviest first; tied
+ * dimensions are neither
+ */
+function describeStanding(row, compared, localizer) {
+  const scored = compared
+    .filter(dimension => dimension.compared && !dimension.tied && row.scores[dimension.name] !== null)
+    .sort((a, b) => b.weight - a.weight);
+  const describe = dimension => `${dimension.label} (${row.display[dimension.name]})`;
+
+  const leads = scored.filter(dimension => row.scores[dimension.name] === 1);
+  const trails = scored.filter(dimension => row.scores[dimension.name] === 0);
+
+  return [
+    leads.length > 0 && localizer.t('comparison.verdict.leads', { product: row.product, dimensions: localizer.formatList(leads.map(describe)) }),
+    trails.length > 0 && localizer.t('comparison.verdict.trails', { product: row.product, dimensions: localizer.formatList(trails.map(describe)) })
+  ].filter(Boolean);
+}
+
+/**
+ * Price of a product on the comparison's basis: per pack unit when every priced product in
+ * the compared product's currency has the same pack unit, else the price paid
+ */
+function measurePrice(product, context) {
+  const { currency, unit } = context.priceBasis;
+  const price = getPrice(product);
+  if (!price || price.currency !== currency) return null;
+
+  if (unit) {
+    return {
+      value: price.unitPrice.amount,
+      display: context.localizer.t('comparison.values.perUnit', { price: formatAmount(price.unitPrice.amount, price.currency, context.localizer.currencyLocale), unit })
+    };
+  }
+  return { value: getEffectiveAmount(price), display: context.localizer.formatPrice(price) };
+}
+
+function getPriceBasis({ primary, products }) {
+  const currency = getPrice(primary)?.currency || null;
+  const prices = products.map(product => getPrice(product)).filter(price => price && price.currency === currency);
+  const units = new Set(prices.map(price => price.unitPrice?.unit || null));
+  const [unit] = units;
+
+  return { currency, unit: units.size === 1 && unit ? unit : null };
+}
+
+/**
+ * The active the concentration dimension compares: the compared product's strongest active
+ * with a percentage, else the first competitor's
+ */
+function getComparedActive(products) {
+  for (const product of products) {
+    const [strongest] = getIngredients(product)
+      .filter(ingredient => ingredient.percentage !== null)
+      .sort((a, b) => b.percentage - a.percentage);
+    if (strongest) return strongest;
+  }
+  return null;
+}
+
+function getDimensionLabel(name, localizer) {
+  const key = `comparison.dimensions.${name}`;
+  return localizer.has(key) ? localizer.t(key) : name;
+}
+
+function getProductName(product, localizer) {
+  return product.productName || product.name || localizer.t('blocks.competitor.defaultName');
+}
+
+function toPoints(total) {
+  return Math.round(total * 100);
+}
+
+function mean(values) {
+  return round(values.reduce((sum, value) => sum + value, 0) / values.length);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,298 @@
+/**
+ * CompetitorCatalog - Picks the competitors a product is compared with from a local catalog
+ *
+ * The catalog (src/competitors/catalog.json, or any JSON/YAML file) lists competitor products
+ * with { id, productName, category?, price, keyIngredients, brand?, concentration?, skinType?,
+ * benefits?, howToUse?, sideEffects?, rating? }. Selecting competitors for a product:
+ * 1. Keeps the catalog entries of the product's category (entries without one are skincare)
+ *    priced in the product's currency (any currency for a product without a price) and drops
+ *    the product itself
+ * 2. Scores each entry's similarity to the product (0..1):
+ *    - ingredients: share of distinct ingredients both list (INCI name or family)
+ *    - price: same price band 1, neighbouring band 0.5
+ *    - skinType: overlap of the skin types both name ("all skin types" suits every type, 0.75)
+ * 3. Returns the most similar entries at or above the minimum similarity, with their scores
+ *
+ * Without catalog competitors the fictional generator stands in; its competitors are
+ * flagged `fictional: true` (source "fictional") so pages and reports can tell them apart.
+ * They are named after the product's category (neutral "Competitor Product A" names for a
+ * category without fictional names) and carry only the fields of the category
+ * (getCompetitorFields); only skincare ones get the skincare copy.
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { parseYaml } from '../questions/YamlParser.js';
+import { DEFAULT_CATEGORY, getSchemaCategories, loadProductSchema } from '../schemas/ProductSchemas.js';
+import { parsePrice, getPrice, scalePrice, getPriceBand, formatPrice } from '../pricing/PriceModel.js';
+import { getIngredients, compareIngredients } from '../ingredients/IngredientParser.js';
+
+export const DEFAULT_COMPETITOR_COUNT = 2;
+
+export const DEFAULT_MIN_SIMILARITY = 0.2;
+
+export const SIMILARITY_WEIGHTS = {
+  ingredients: 0.5,
+  price: 0.3,
+  skinType: 0.2
+};
+
+const PRICE_BANDS = ['budget', 'standard', 'premium'];
+
+const SKIN_TYPES = ['normal', 'dry', 'oily', 'combination', 'sensitive', 'acne-prone', 'mature', 'dull'];
+
+// Fictional competitors by category, priced around the product, in its currency
+const FICTIONAL_COMPETITORS = {
+  skincare: [
+    { productName: 'RadiantGlow Serum', priceFactor: 0.85 },
+    { productName: 'PureBright Formula', priceFactor: 1.15 },
+    { productName: 'VitaLux Treatment', priceFactor: 1.3 },
+    { productName: 'GlowMax Essence', priceFactor: 0.7 }
+  ],
+  supplements: [
+    { productName: 'VitaCore Daily Complex', priceFactor: 0.85 },
+    { productName: 'NutriPeak Essentials', priceFactor: 1.15 },
+    { productName: 'PureForm Wellness Blend', priceFactor: 1.3 },
+    { productName: 'DailyBalance Formula', priceFactor: 0.7 }
+  ],
+  electronics: [
+    { productName: 'Aurix Pulse', priceFactor: 0.85 },
+    { productName: 'Voltra Edge', priceFactor: 1.15 },
+    { productName: 'Zenbit One', priceFactor: 1.3 },
+    { productName: 'Sonora Lite', priceFactor: 0.7 }
+  ]
+};
+
+const GENERIC_PRICE_FACTORS = [0.85, 1.15, 1.3, 0.7];
+
+// Fields that fit a product of any category
+const GENERAL_FIELDS = ['productName', 'brand', 'price', 'benefits', 'howToUse', 'rating'];
+
+const FIELDS = ['id', 'brand', 'productName', 'category', 'price', 'concentration', 'skinType', 'keyIngredients', 'benefits', 'howToUse', 'sideEffects', 'rating'];
+
+const REQUIRED_FIELDS = ['id', 'productName', 'price', 'keyIngredients'];
+
+let shippedCatalog = null;
+let registeredCatalog = null;
+
+/**
+ * The catalog competitors are picked from: a registered catalog, else the shipped one
+ */
+export function getCompetitorCatalog() {
+  if (registeredCatalog) {
+    return registeredCatalog;
+  }
+
+  if (!shippedCatalog) {
+    shippedCatalog = loadCompetitorCatalogFile(fileURLToPath(new URL('./catalog.json', import.meta.url)));
+  }
+
+  return shippedCatalog;
+}
+
+/**
+ * Load a competitor catalog from a JSON or YAML (.yaml, .yml) file and check it
+ */
+export function loadCompetitorCatalogFile(filePath) {
+  let catalog;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    catalog = /\.ya?ml$/i.test(filePath) ? parseYaml(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not read competitor catalog ${filePath}: ${error.message}`);
+  }
+
+  return normalizeCatalog(catalog, filePath);
+}
+
+/**
+ * Use a competitor catalog (e.g. from --competitors) in place of the shipped one
+ *
+ * @param {Object} catalog - Raw catalog ({ competitors }) or one from loadCompetitorCatalogFile
+ * @returns {Object} The registered catalog
+ */
+export function registerCompetitorCatalog(catalog) {
+  registeredCatalog = catalog.normalized ? catalog : normalizeCatalog(catalog, 'competitor catalog');
+  return registeredCatalog;
+}
+
+/**
+ * Pick the catalog competitors most similar to a product
+ *
+ * @param {Object} product - Clean product data
+ * @param {Object} [options]
+ * @param {Object} [options.catalog] - Catalog to pick from (default: getCompetitorCatalog())
+ * @param {number} [options.count] - Competitors to pick at most
+ * @param {number} [options.minSimilarity] - Lowest similarity score a competitor may have
+ * @returns {Array<Object>} Competitors (catalog fields, `priceDetails`, `similarity`,
+ *   source "catalog"), most similar first
+ */
+export function selectCompetitors(product, options = {}) {
+  const {
+    catalog = getCompetitorCatalog(),
+    count = DEFAULT_COMPETITOR_COUNT,
+    minSimilarity = DEFAULT_MIN_SIMILARITY
+  } = options;
+  const category = product?.category || DEFAULT_CATEGORY;
+  const name = String(product?.productName || '').toLowerCase();
+  const currency = getPrice(product)?.currency || null;
+
+  return catalog.competitors
+    .filter(entry => entry.category === category && entry.productName.toLowerCase() !== name)
+    .filter(entry => !currency || getPrice(entry)?.currency === currency)
+    .map(entry => ({ entry, similarity: scoreSimilarity(product, entry) }))
+    .filter(candidate => candidate.similarity.score >= minSimilarity)
+    .sort((a, b) => b.similarity.score - a.similarity.score || a.entry.id.localeCompare(b.entry.id))
+    .slice(0, count)
+    .map(({ entry, similarity }) => ({
+      ...entry,
+      priceDetails: getPrice(entry),
+      similarity: similarity,
+      source: 'catalog',
+      fictional: false
+    }));
+}
+
+/**
+ * Fictional competitors of the product's category for a product with no catalog
+ * competitors, priced around it
+ *
+ * @param {Object} product - Clean product data
+ * @param {Object} [options]
+ * @param {number} [options.count]
+ * @param {Object} [options.localizer] - Localizer for the prices and copy (English without one)
+ * @returns {Array<Object>} Competitors flagged `fictional: true`, source "fictional"
+ */
+export function createFictionalCompetitors(product, { count = DEFAULT_COMPETITOR_COUNT, localizer = null } = {}) {
+  const basePrice = getPrice(product) || parsePrice('₹699');
+  const t = (key, fallback) => localizer ? localizer.t(`blocks.competitor.${key}`) : fallback;
+  const category = product?.category || DEFAULT_CATEGORY;
+  const competitors = FICTIONAL_COMPETITORS[category] || GENERIC_PRICE_FACTORS.map((priceFactor, index) => ({
+    productName: `${t('defaultName', 'Competitor Product')} ${String.fromCharCode(65 + index)}`,
+    priceFactor: priceFactor
+  }));
+  const fields = getCompetitorFields(category);
+  // The localized competitor copy describes a skincare product
+  const copy = (key, fallback) => category === 'skincare' ? t(key, fallback) : '';
+  const details = {
+    concentration: product?.concentration || '',
+    skinType: copy('skinType', 'All skin types'),
+    keyIngredients: product?.keyIngredients || '',
+    benefits: copy('benefits', 'Anti-aging, Hydration, Brightening'),
+    howToUse: copy('usage', 'Apply 2-3 drops daily'),
+    sideEffects: copy('sideEffects', 'May cause initial dryness')
+  };
+
+  return competitors.slice(0, count).map(({ productName, priceFactor }) => {
+    const price = scalePrice(basePrice, priceFactor);
+
+    return {
+      productName: productName,
+      price: localizer ? localizer.formatPrice(price) : formatPrice(price),
+      priceDetails: price,
+      ...Object.fromEntries(Object.entries(details).filter(([field]) => fields.includes(field))),
+      similarity: null,
+      source: 'fictional',
+      fictional: true
+    };
+  });
+}
+
+/**
+ * The competitor fields that fit a category: the fields of its product schema plus the
+ * general ones (name, brand, price, benefits, usage, rating); only the general ones for a
+ * category without a schema
+ */
+export function getCompetitorFields(category) {
+  if (!getSchemaCategories().includes(category)) {
+    return GENERAL_FIELDS;
+  }
+
+  return [...new Set([...GENERAL_FIELDS, ...Object.keys(loadProductSchema(category).properties || {})])];
+}
+
+/**
+ * Similarity of a catalog entry to a product, overall and per criterion (see SIMILARITY_WEIGHTS)
+ */
+export function scoreSimilarity(product, entry) {
+  const scores = {
+    ingredients: compareIngredients(getIngredients(product), getIngredients(entry)).overlap,
+    price: scorePriceBands(getPrice(product), getPrice(entry)),
+    skinType: compareSkinTypes(product?.skinType, entry.skinType)
+  };
+  const score = Object.entries(SIMILARITY_WEIGHTS).reduce((sum, [criterion, weight]) => sum + scores[criterion] * weight, 0);
+
+  return { score: Math.round(score * 100) / 100, ...scores };
+}
+
+function scorePriceBands(first, second) {
+  if (!first || !second || first.currency !== second.currency) return 0;
+
+  const distance = Math.abs(PRICE_BANDS.indexOf(getPriceBand(first)) - PRICE_BANDS.indexOf(getPriceBand(second)));
+  return distance === 0 ? 1 : distance === 1 ? 0.5 : 0;
+}
+
+/**
+ * How well two skin-type descriptions match (0..1)
+ */
+export function compareSkinTypes(first, second) {
+  const a = parseSkinTypes(first);
+  const b = parseSkinTypes(second);
+  if (a.all && b.all) return 1;
+  if (a.all || b.all) return a.all ? (b.types.length > 0 ? 0.75 : 0) : (a.types.length > 0 ? 0.75 : 0);
+  if (a.types.length === 0 || b.types.length === 0) return 0;
+
+  const shared = a.types.filter(type => b.types.includes(type)).length;
+  return Math.round((shared / new Set([...a.types, ...b.types]).size) * 100) / 100;
+}
+
+/**
+ * Skin types named in a text ("All skin types, especially dull and uneven skin")
+ */
+function parseSkinTypes(text) {
+  const value = String(text || '').toLowerCase();
+
+  return {
+    all: /\ball skin types?\b/.test(value),
+    types: SKIN_TYPES.filter(type => new RegExp(`\\b${type.replace('-', '[- ]')}\\b`).test(value))
+  };
+}
+
+function normalizeCatalog(catalog, source) {
+  const list = Array.isArray(catalog) ? catalog : catalog?.competitors;
+  if (!Array.isArray(list)) {
+    throw new Error(`Invalid competitor catalog ${source}: expected a list of competitors or an object with "competitors"`);
+  }
+
+  const ids = new Set();
+  const competitors = list.map((entry, index) => {
+    const at = `${source} competitors[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`Invalid competitor catalog ${at}: a competitor must be an object`);
+    }
+
+    const missing = REQUIRED_FIELDS.filter(field => entry[field] === undefined || entry[field] === null || entry[field] === '');
+    if (missing.length > 0) {
+      throw new Error(`Invalid competitor catalog ${at}: missing ${missing.join(', ')}`);
+    }
+    if (ids.has(String(entry.id))) {
+      throw new Error(`Invalid competitor catalog ${at}: duplicate id "${entry.id}"`);
+    }
+    if (!parsePrice(entry.price, { currency: entry.currency })) {
+      throw new Error(`Invalid competitor catalog ${at}: price "${entry.price}" has no amount`);
+    }
+    ids.add(String(entry.id));
+
+    const normalized = { category: DEFAULT_CATEGORY };
+    for (const field of [...FIELDS, 'currency']) {
+      if (entry[field] !== undefined && entry[field] !== null) normalized[field] = field === 'id' ? String(entry[field]) : entry[field];
+    }
+    return normalized;
+  });
+
+  return {
+    description: catalog.description || '',
+    competitors: competitors,
+    normalized: true
+  };
+}
@@ -0,0 +1,158 @@
+/**
+ * ComplianceChecker - Scans generated copy against compliance rule packs
+ *
+ * 1. Collects every text of the generated files with its location (file and JSON path,
+ *    e.g. faq.json questions[3].answer); attribution fields are not copy and are skipped
+ * 2. Forbidden rules report each match, unless it sits inside one of the rule's exceptions
+ * 3. Required rules report each checked file none of whose texts match
+ * 4. Rules only apply to the product's vertical, its locale and data they have conditions on;
+ *    forbidden rules also apply their English patterns to copy in other locales, since product
+ *    fields are not translated
+ *
+ * The report passes when no rule of severity "error" was violated.
+ */
+
+import { ATTRIBUTION_FIELDS } from '../grounding/GroundingValidator.js';
+import { DEFAULT_CATEGORY } from '../schemas/ProductSchemas.js';
+import { DEFAULT_LOCALE } from '../locales/Localizer.js';
+import { meetsConditions } from '../questions/QuestionBank.js';
+import { COMPLIANCE_SEVERITIES, loadRulePack, getRulePackNames, getRulePatterns } from './RulePacks.js';
+
+// Characters of context around a match in a violation's excerpt
+const EXCERPT_CONTEXT = 40;
+
+/**
+ * Check generated files against rule packs
+ *
+ * @param {Array<{ file: string, content: Object, paths?: string[] }>} documents - Generated
+ *   files; `paths` limits the check to those top-level fields (e.g. the SEO metadata)
+ * @param {Object} data - Clean product data (category and `when` conditions)
+ * @param {Object} [options]
+ * @param {Array<string|Object>} [options.packs] - Rule packs or their names (default: all)
+ * @param {string} [options.locale] - Locale the copy is written in
+ * @returns {{ passed: boolean, vertical, locale, packs, filesChecked, summary, violations }}
+ */
+export function checkCompliance(documents, data = {}, { packs = null, locale = DEFAULT_LOCALE } = {}) {
+  const rulePacks = (packs || getRulePackNames()).map(pack => typeof pack === 'string' ? loadRulePack(pack) : pack);
+  const vertical = data?.category || DEFAULT_CATEGORY;
+  const texts = documents.flatMap(document => collectTexts(document));
+  const violations = [];
+
+  for (const rule of rulePacks.flatMap(pack => pack.rules)) {
+    if (rule.verticals && !rule.verticals.includes(vertical)) continue;
+    if (!meetsConditions(data, rule.when)) continue;
+
+    // Product fields (benefits, ...) keep their source language inside translated copy, so
+    // forbidden phrases are looked for in English as well as in the copy's locale
+    const locales = rule.type === 'forbidden' ? [...new Set([locale, DEFAULT_LOCALE])] : [locale];
+    const patterns = [...new Set(locales.flatMap(code => getRulePatterns(rule.patterns, code)))];
+    if (patterns.length === 0) continue;
+
+    const files = documents.map(document => document.file).filter(file => !rule.files || rule.files.includes(file));
+    const ruleTexts = texts.filter(text => files.includes(text.file));
+
+    if (rule.type === 'forbidden') {
+      const exceptions = [...new Set(locales.flatMap(code => getRulePatterns(rule.except, code)))];
+      for (const text of ruleTexts) {
+        for (const match of findMatches(text.value, patterns, exceptions)) {
+          violations.push(createViolation(rule, text, match));
+        }
+      }
+    } else {
+      for (const file of files) {
+        if (!ruleTexts.some(text => text.file === file && findMatches(text.value, patterns).length > 0)) {
+          violations.push(createViolation(rule, { file, path: null, value: '' }, null));
+        }
+      }
+    }
+  }
+
+  violations.sort((a, b) => COMPLIANCE_SEVERITIES.indexOf(a.severity) - COMPLIANCE_SEVERITIES.indexOf(b.severity));
+
+  const count = severity => violations.filter(violation => violation.severity === severity).length;
+  const summary = { errors: count('error'), warnings: count('warning'), info: count('info') };
+
+  return {
+    passed: summary.errors === 0,
+    vertical: vertical,
+    locale: locale,
+    packs: rulePacks.map(pack => pack.name),
+    filesChecked: documents.map(document => document.file),
+    summary: summary,
+    violations: violations
+  };
+}
+
+/**
+ * Every string of a document with its JSON path
+ */
+function collectTexts({ file, content, paths = null }) {
+  const texts = [];
+
+  const collect = (value, at) => {
+    if (typeof value === 'string') {
+      if (value.trim() !== '') texts.push({ file, path: at, value });
+    } else if (Array.isArray(value)) {
+      value.forEach((item, index) => collect(item, `${at}[${index}]`));
+    } else if (value && typeof value === 'object') {
+      for (const [key, item] of Object.entries(value)) {
+        if (!ATTRIBUTION_FIELDS.includes(key)) collect(item, joinPath(at, key));
+      }
+    }
+  };
+
+  if (paths) {
+    paths.forEach(field => collect(content?.[field], field));
+  } else {
+    collect(content, '');
+  }
+
+  return texts;
+}
+
+/**
+ * JSON path of a field (keys that are not identifiers are quoted: comparison.benefits["Serum X"])
+ */
+function joinPath(at, key) {
+  if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${at}[${JSON.stringify(key)}]`;
+  return at ? `${at}.${key}` : key;
+}
+
+/**
+ * Matches of the patterns in a text that do not lie inside a match of an exception
+ */
+function findMatches(text, patterns, exceptions = []) {
+  const excepted = exceptions.flatMap(pattern => Array.from(text.matchAll(pattern), match => [match.index, match.index + match[0].length]));
+  const matches = [];
+
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (match[0] === '' || excepted.some(([from, to]) => start >= from && end <= to)) continue;
+      if (matches.some(other => other.start === start)) continue;
+      matches.push({ text: match[0], start, end });
+    }
+  }
+
+  return matches;
+}
+
+function createViolation(rule, text, match) {
+  return {
+    rule: rule.key,
+    severity: rule.severity,
+    type: rule.type,
+    file: text.file,
+    path: text.path,
+    match: match ? match.text : null,
+    excerpt: match ? getExcerpt(text.value, match) : null,
+    message: rule.message
+  };
+}
+
+function getExcerpt(text, { start, end }) {
+  const from = Math.max(0, start - EXCERPT_CONTEXT);
+  const to = Math.min(text.length, end + EXCERPT_CONTEXT);
+  return `${from > 0 ? '…' : ''}${text.slice(from, to)}${to < text.length ? '…' : ''}`;
+}
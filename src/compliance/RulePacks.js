@@ -0,0 +1,221 @@
+/**
+ * RulePacks - Configurable compliance rules for generated copy
+ *
+ * A rule pack (src/compliance/rules/<name>.json, or any JSON/YAML file) lists rules with:
+ *   id          - unique within the pack; reported as <pack>/<id>
+ *   type        - forbidden: the copy must not match the patterns
+ *                 required: every file the rule checks must match one of the patterns
+ *   severity    - error, warning or info; errors can block a run's output
+ *   message     - why the rule exists, shown with every violation
+ *   patterns    - case-insensitive regular expressions: a list used for every locale, or a
+ *                 map of locale code to list (the rule is skipped in locales it has none for)
+ *   except      - patterns (same shapes) of phrases a forbidden match may sit inside
+ *                 ("for best results" is not a superlative)
+ *   files       - output files the rule checks (default: all checked files)
+ *   verticals   - product categories the rule applies to (default: all; also on the pack)
+ *   when        - conditions on the product data, as in question banks (anyOf, allOf,
+ *                 noneOf, matches)
+ *
+ * Packs with the same name as a shipped pack replace it once registered (registerRulePack).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseYaml } from '../questions/YamlParser.js';
+import { normalizeConditions } from '../questions/QuestionBank.js';
+
+const RULES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'rules');
+
+export const COMPLIANCE_SEVERITIES = ['error', 'warning', 'info'];
+
+export const COMPLIANCE_RULE_TYPES = ['forbidden', 'required'];
+
+export const RULE_PACK_DEFINITIONS = [
+  {
+    name: 'medical_claims',
+    file: 'medical-claims.json',
+    description: 'Claims that present a cosmetic or supplement as a medicine'
+  },
+  {
+    name: 'disclaimers',
+    file: 'disclaimers.json',
+    description: 'Safety advice the product pages must carry (patch test, sunscreen, medical advice)'
+  },
+  {
+    name: 'superlatives',
+    file: 'superlatives.json',
+    description: 'Superlative and absolute claims ("best", "#1", "guaranteed results")'
+  }
+];
+
+// Patterns given as a list apply in every locale
+const ANY_LOCALE = '*';
+
+const loadedPacks = new Map();
+const registeredPacks = new Map();
+
+/**
+ * Get the names of the rule packs (shipped or registered)
+ */
+export function getRulePackNames() {
+  return [...new Set([...RULE_PACK_DEFINITIONS.map(definition => definition.name), ...registeredPacks.keys()])];
+}
+
+/**
+ * Load a rule pack by name (cached); a registered pack replaces the shipped one
+ */
+export function loadRulePack(name) {
+  if (registeredPacks.has(name)) {
+    return registeredPacks.get(name);
+  }
+
+  const definition = RULE_PACK_DEFINITIONS.find(candidate => candidate.name === name);
+  if (!definition) {
+    throw new Error(`Unknown rule pack: ${name}. Available rule packs: ${getRulePackNames().join(', ')}`);
+  }
+
+  if (!loadedPacks.has(name)) {
+    loadedPacks.set(name, loadRulePackFile(path.join(RULES_DIR, definition.file)));
+  }
+
+  return loadedPacks.get(name);
+}
+
+/**
+ * Load a rule pack from a JSON or YAML (.yaml, .yml) file and check it
+ */
+export function loadRulePackFile(filePath) {
+  let pack;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    pack = /\.ya?ml$/i.test(filePath) ? parseYaml(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not read rule pack ${filePath}: ${error.message}`);
+  }
+
+  return normalizeRulePack(pack, filePath);
+}
+
+/**
+ * Make a rule pack available by its name (e.g. from --rule-packs)
+ *
+ * @param {Object} pack - Raw pack ({ name, rules }) or one from loadRulePackFile
+ * @returns {Object} The registered pack
+ */
+export function registerRulePack(pack) {
+  const normalized = pack.normalized ? pack : normalizeRulePack(pack, `rule pack ${pack?.name || '(unnamed)'}`);
+  registeredPacks.set(normalized.name, normalized);
+  return normalized;
+}
+
+/**
+ * The compiled patterns of a rule for a locale (none when it has no patterns for it)
+ */
+export function getRulePatterns(patterns, locale) {
+  return patterns.get(ANY_LOCALE) || patterns.get(locale) || [];
+}
+
+function normalizeRulePack(pack, source) {
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    throw new Error(`Invalid rule pack ${source}: expected an object with "name" and "rules"`);
+  }
+  if (typeof pack.name !== 'string' || !/^[\w-]+$/.test(pack.name)) {
+    throw new Error(`Invalid rule pack ${source}: "name" must be a word (letters, digits, _ or -)`);
+  }
+  if (!Array.isArray(pack.rules) || pack.rules.length === 0) {
+    throw new Error(`Invalid rule pack ${source}: "rules" must be a non-empty list`);
+  }
+
+  const ids = new Set();
+  const rules = pack.rules.map((rule, index) => {
+    const at = `${source} rules[${index}]`;
+    const normalized = normalizeRule(rule, at, pack);
+    if (ids.has(normalized.id)) {
+      throw new Error(`Invalid rule pack ${at}: duplicate rule id "${normalized.id}"`);
+    }
+    ids.add(normalized.id);
+    return normalized;
+  });
+
+  return {
+    name: pack.name,
+    description: pack.description || '',
+    rules: rules,
+    normalized: true
+  };
+}
+
+function normalizeRule(rule, at, pack) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`Invalid rule pack ${at}: a rule must be an object`);
+  }
+  if (typeof rule.id !== 'string' || rule.id === '') {
+    throw new Error(`Invalid rule pack ${at}: "id" is required`);
+  }
+  if (!COMPLIANCE_RULE_TYPES.includes(rule.type)) {
+    throw new Error(`Invalid rule pack ${at}: "type" must be one of ${COMPLIANCE_RULE_TYPES.join(', ')}`);
+  }
+  if (!COMPLIANCE_SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Invalid rule pack ${at}: "severity" must be one of ${COMPLIANCE_SEVERITIES.join(', ')}`);
+  }
+  if (typeof rule.message !== 'string' || rule.message === '') {
+    throw new Error(`Invalid rule pack ${at}: "message" is required`);
+  }
+
+  return {
+    id: rule.id,
+    key: `${pack.name}/${rule.id}`,
+    pack: pack.name,
+    type: rule.type,
+    severity: rule.severity,
+    message: rule.message,
+    patterns: compilePatterns(rule.patterns, at, 'patterns', true),
+    except: compilePatterns(rule.except, at, 'except', false),
+    files: toList(rule.files, at, 'files'),
+    verticals: toList(rule.verticals, at, 'verticals') || toList(pack.verticals, at, 'verticals'),
+    when: normalizeConditions(rule.when, at, 'rule pack')
+  };
+}
+
+/**
+ * Patterns by locale (ANY_LOCALE for a plain list), compiled to RegExps
+ */
+function compilePatterns(value, at, field, required) {
+  if (value === undefined || value === null) {
+    if (required) throw new Error(`Invalid rule pack ${at}: "${field}" is required`);
+    return new Map();
+  }
+
+  const byLocale = Array.isArray(value) || typeof value === 'string' ? { [ANY_LOCALE]: value } : value;
+  if (typeof byLocale !== 'object') {
+    throw new Error(`Invalid rule pack ${at}: "${field}" must be a list of patterns or a map of locale to patterns`);
+  }
+
+  const compiled = new Map();
+  for (const [locale, patterns] of Object.entries(byLocale)) {
+    const list = Array.isArray(patterns) ? patterns : [patterns];
+    if (list.length === 0 || list.some(pattern => typeof pattern !== 'string' || pattern === '')) {
+      throw new Error(`Invalid rule pack ${at}: "${field}" must list pattern strings${locale === ANY_LOCALE ? '' : ` for ${locale}`}`);
+    }
+    compiled.set(locale, list.map(pattern => {
+      try {
+        return new RegExp(pattern, 'giu');
+      } catch (error) {
+        throw new Error(`Invalid rule pack ${at}: bad pattern ${pattern}: ${error.message}`);
+      }
+    }));
+  }
+
+  return compiled;
+}
+
+function toList(value, at, field) {
+  if (value === undefined || value === null) return null;
+
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some(item => typeof item !== 'string')) {
+    throw new Error(`Invalid rule pack ${at}: "${field}" must list names`);
+  }
+  return list;
+}
@@ -0,0 +1,210 @@
+/**
+ * DependencyGraph - Declarative artifact graph between agents
+ *
+ * Each agent declares the artifacts it consumes and produces. The graph:
+ * 1. Links every consumer to the producers of the artifacts it needs
+ * 2. Rejects registrations that would introduce a dependency cycle
+ * 3. Reports inputs that no registered agent (or the initial context) provides
+ * 4. Computes an execution plan: ordered stages whose agents can run in parallel
+ */
+
+export class DependencyGraph {
+  constructor() {
+    this.nodes = new Map();
+  }
+
+  /**
+   * Add an agent to the graph, rejecting it if it would create a cycle
+   */
+  addAgent(agentId, { consumes = [], produces = [] } = {}) {
+    if (this.nodes.has(agentId)) {
+      throw new Error(`Agent ${agentId} is already part of the dependency graph`);
+    }
+
+    this.nodes.set(agentId, { consumes: [...consumes], produces: [...produces] });
+
+    const cycle = this.findCycle();
+    if (cycle) {
+      this.nodes.delete(agentId);
+      throw new Error(`Registering ${agentId} would create a dependency cycle: ${cycle.join(' → ')}`);
+    }
+  }
+
+  /**
+   * Get the agents that produce an artifact, in registration order
+   */
+  getProducers(artifact) {
+    return Array.from(this.nodes.entries())
+      .filter(([, node]) => node.produces.includes(artifact))
+      .map(([agentId]) => agentId);
+  }
+
+  /**
+   * Get the agents an agent depends on (producers of its consumed artifacts)
+   */
+  getDependencies(agentId) {
+    const node = this.nodes.get(agentId);
+    const dependencies = new Set();
+
+    for (const artifact of node.consumes) {
+      for (const producerId of this.getProducers(artifact)) {
+        if (producerId !== agentId) {
+          dependencies.add(producerId);
+        }
+      }
+    }
+
+    return Array.from(dependencies);
+  }
+
+  /**
+   * Get all dependency edges (producer → consumer, labelled with the artifact)
+   */
+  getEdges() {
+    const edges = [];
+
+    for (const [agentId, node] of this.nodes.entries()) {
+      for (const artifact of node.consumes) {
+        for (const producerId of this.getProducers(artifact)) {
+          edges.push({ from: producerId, to: agentId, artifact: artifact });
+        }
+      }
+    }
+
+    return edges;
+  }
+
+  /**
+   * Find a dependency cycle, returning the agent path or null
+   */
+  findCycle() {
+    const state = new Map(); // agentId -> 'visiting' | 'done'
+    const path = [];
+
+    const visit = (agentId) => {
+      state.set(agentId, 'visiting');
+      path.push(agentId);
+
+      for (const dependencyId of this.getDependencies(agentId)) {
+        if (state.get(dependencyId) === 'visiting') {
+          return [...path.slice(path.indexOf(dependencyId)), dependencyId];
+        }
+        if (!state.has(dependencyId)) {
+          const cycle = visit(dependencyId);
+          if (cycle) return cycle;
+        }
+      }
+
+      path.pop();
+      state.set(agentId, 'done');
+      return null;
+    };
+
+    // A consumer that also produces its own input can never start
+    for (const [agentId, node] of this.nodes.entries()) {
+      const selfDependency = node.consumes.find(artifact => node.produces.includes(artifact));
+      if (selfDependency) {
+        return [agentId, agentId];
+      }
+    }
+
+    for (const agentId of this.nodes.keys()) {
+      if (!state.has(agentId)) {
+        const cycle = visit(agentId);
+        if (cycle) return cycle.reverse();
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * List consumed artifacts that nothing provides
+   *
+   * @param {string[]} externalArtifacts - Artifacts supplied from outside (e.g. product_data)
+   * @returns {Array<{agentId: string, artifact: string}>}
+   */
+  findUnsatisfiedInputs(externalArtifacts = []) {
+    const unsatisfied = [];
+
+    for (const [agentId, node] of this.nodes.entries()) {
+      for (const artifact of node.consumes) {
+        if (!externalArtifacts.includes(artifact) && this.getProducers(artifact).length === 0) {
+          unsatisfied.push({ agentId, artifact });
+        }
+      }
+    }
+
+    return unsatisfied;
+  }
+
+  /**
+   * Throw if any agent consumes an artifact that nothing provides
+   */
+  assertSatisfiable(externalArtifacts = []) {
+    const unsatisfied = this.findUnsatisfiedInputs(externalArtifacts);
+
+    if (unsatisfied.length > 0) {
+      const details = unsatisfied.map(({ agentId, artifact }) => `${agentId} needs ${artifact}`).join(', ');
+      throw new Error(`Unsatisfiable agent inputs (no registered agent produces them): ${details}`);
+    }
+  }
+
+  /**
+   * Compute the execution plan
+   *
+   * Agents are grouped into stages: every agent runs after all of its dependencies'
+   * stages, and agents within a stage are independent of each other.
+   */
+  computePlan(externalArtifacts = []) {
+    const stageOf = new Map();
+    const remaining = new Set(this.nodes.keys());
+    let stage = 0;
+
+    // Cycles are rejected at registration, so every pass places at least one agent
+    while (remaining.size > 0) {
+      stage++;
+      const ready = Array.from(remaining).filter(agentId =>
+        this.getDependencies(agentId).every(dependencyId => stageOf.has(dependencyId))
+      );
+
+      ready.forEach(agentId => {
+        stageOf.set(agentId, stage);
+        remaining.delete(agentId);
+      });
+    }
+
+    const stages = [];
+    for (const [agentId, stage] of stageOf.entries()) {
+      if (!stages[stage - 1]) {
+        stages[stage - 1] = { stage: stage, agents: [], produces: [] };
+      }
+      stages[stage - 1].agents.push(agentId);
+      stages[stage - 1].produces.push(...this.nodes.get(agentId).produces);
+    }
+
+    const artifacts = {};
+    for (const [agentId, node] of this.nodes.entries()) {
+      for (const artifact of node.produces) {
+        artifacts[artifact] = artifacts[artifact] || { producers: [], consumers: [] };
+        artifacts[artifact].producers.push(agentId);
+      }
+    }
+    for (const [agentId, node] of this.nodes.entries()) {
+      for (const artifact of node.consumes) {
+        artifacts[artifact] = artifacts[artifact] || { producers: [], consumers: [] };
+        artifacts[artifact].consumers.push(agentId);
+      }
+    }
+
+    return {
+      externalInputs: externalArtifacts.filter(artifact => artifacts[artifact]),
+      artifacts: artifacts,
+      edges: this.getEdges(),
+      stages: stages,
+      parallelGroups: stages.filter(stage => stage.agents.length > 1).map(stage => stage.agents),
+      order: stages.flatMap(stage => stage.agents),
+      unsatisfiedInputs: this.findUnsatisfiedInputs(externalArtifacts)
+    };
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * EventScheduler - Deterministic, event-driven alternative to the polling loops
+ *
+ * Instead of timers, the scheduler:
+ * 1. Delivers queued agent messages in FIFO order (broadcasts to topic subscribers,
+ *    in registration order)
+ * 2. Wakes an agent as soon as it receives a message type listed in its `wakeOn` set
+ * 3. Runs one agent decision at a time, only for agents holding every artifact
+ *    they consume
+ * 4. Keeps giving an agent turns while it completes goals or picks an action it has
+ *    not taken since its last completed goal or wake-up (e.g. saving a generated page)
+ * 5. Gives agents that never became ready one final turn once everything else is idle
+ * 6. Ends the run as soon as no messages are pending and no agent is waiting to run
+ *
+ * Because nothing depends on wall-clock timing, the same input always produces
+ * the same message ordering (recorded in the orchestrator's message log).
+ */
+
+export class EventScheduler {
+  constructor(orchestrator, config = {}) {
+    this.orchestrator = orchestrator;
+    this.maxTurns = config.maxTurns || 500;
+    this.maxRuntime = config.maxRuntime || null;
+    this.initialOrder = config.initialOrder || Array.from(orchestrator.agents.keys());
+
+    this.runQueue = [];
+    this.idleTurnsGiven = new Set();
+    this.pendingIdleTurns = new Set();
+    this.actionsSinceProgress = new Map();
+    this.turns = 0;
+    this.messagesDelivered = 0;
+  }
+
+  /**
+   * Run until the agent graph settles
+   */
+  async run() {
+    console.log('\n⚡ [EventScheduler] Beginning event-driven coordination...');
+
+    const startedAt = Date.now();
+
+    // Every agent gets a first look at the initial context, in execution plan order
+    for (const agentId of this.initialOrder) {
+      this.wake(agentId);
+    }
+
+    while (this.turns < this.maxTurns) {
+      if (this.maxRuntime && Date.now() - startedAt >= this.maxRuntime) {
+        console.log(`⏰ [EventScheduler] Run timeout of ${this.maxRuntime}ms reached, ending coordination`);
+        break;
+      }
+
+      if (this.orchestrator.messageQueue.length > 0) {
+        await this.deliverNextMessage();
+        continue;
+      }
+
+      if (this.runQueue.length > 0) {
+        await this.runAgentTurn(this.runQueue.shift());
+        continue;
+      }
+
+      if (!this.scheduleIdleTurns()) {
+        break;
+      }
+    }
+
+    if (this.turns >= this.maxTurns) {
+      console.warn(`⚠️  [EventScheduler] Stopped after reaching the limit of ${this.maxTurns} agent turns`);
+    }
+
+    console.log(`🏁 [EventScheduler] Graph settled after ${this.turns} agent turns and ${this.messagesDelivered} messages`);
+
+    return {
+      turns: this.turns,
+      messagesDelivered: this.messagesDelivered
+    };
+  }
+
+  /**
+   * Deliver the oldest pending message and wake interested recipients
+   */
+  async deliverNextMessage() {
+    const message = this.orchestrator.messageQueue.shift();
+    const recipients = this.orchestrator.getRecipients(message);
+
+    this.orchestrator.recordMessage(message);
+    await this.orchestrator.deliverMessage(message, recipients);
+    this.orchestrator.metrics.agentInteractions++;
+    this.messagesDelivered++;
+
+    for (const agentId of recipients) {
+      const agent = this.orchestrator.agents.get(agentId);
+      if (agent.shouldWakeOn(message.type)) {
+        // New information may make previously fruitless actions worthwhile again
+        this.actionsSinceProgress.delete(agentId);
+        this.wake(agentId);
+      }
+    }
+  }
+
+  /**
+   * Queue an agent for a decision turn (at most once at a time)
+   */
+  wake(agentId) {
+    if (!this.runQueue.includes(agentId)) {
+      this.runQueue.push(agentId);
+    }
+  }
+
+  /**
+   * Let an agent make a single autonomous decision
+   */
+  async runAgentTurn(agentId) {
+    const agent = this.orchestrator.agents.get(agentId);
+    const idleTurn = this.pendingIdleTurns.delete(agentId);
+
+    if (!agent.isRunning || (!idleTurn && !agent.isReadyToAct())) {
+      return;
+    }
+
+    if (!this.actionsSinceProgress.has(agentId)) {
+      this.actionsSinceProgress.set(agentId, new Set());
+    }
+    const takenActions = this.actionsSinceProgress.get(agentId);
+    const goalsBefore = agent.goalsAchieved;
+
+    // Repeating an action without progress is what the polling loop did every tick; skip it
+    const outcome = await agent.makeAutonomousDecision({ skipActions: takenActions });
+    if (!outcome) {
+      return;
+    }
+
+    this.turns++;
+
+    if (agent.goalsAchieved > goalsBefore) {
+      takenActions.clear();
+    } else {
+      takenActions.add(outcome.decision.action);
+    }
+
+    // The agent may have follow-up work (further goals, saving results), so give it another turn
+    this.wake(agentId);
+  }
+
+  /**
+   * Give each agent with active goals that never became ready one last turn
+   * (e.g. an analytics agent running without one of the page agents)
+   *
+   * @returns {boolean} Whether any agent was scheduled
+   */
+  scheduleIdleTurns() {
+    for (const [agentId, agent] of this.orchestrator.agents.entries()) {
+      if (agent.isActive() && !agent.isReadyToAct() && !this.idleTurnsGiven.has(agentId)) {
+        this.idleTurnsGiven.add(agentId);
+        this.pendingIdleTurns.add(agentId);
+        this.runQueue.push(agentId);
+      }
+    }
+
+    if (this.runQueue.length === 0) {
+      return false;
+    }
+
+    console.log(`💤 [EventScheduler] Graph idle, giving waiting agents a final turn: [${this.runQueue.join(', ')}]`);
+    return true;
+  }
+}
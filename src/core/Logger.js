@@ -0,0 +1,70 @@
+/**
+ * Logger - Log level control for the console-based logging used across the system
+ *
+ * Agents, the orchestrator and the template engine log through console.* directly.
+ * Instead of threading a logger through every component, the log level is applied
+ * by silencing the console methods above the selected level:
+ *
+ *   debug → console.debug
+ *   info  → console.log, console.info
+ *   warn  → console.warn
+ *   error → console.error
+ */
+
+export const LOG_LEVELS = {
+  silent: 0,
+  error: 1,
+  warn: 2,
+  info: 3,
+  debug: 4
+};
+
+const CONSOLE_METHOD_LEVELS = {
+  error: LOG_LEVELS.error,
+  warn: LOG_LEVELS.warn,
+  log: LOG_LEVELS.info,
+  info: LOG_LEVELS.info,
+  debug: LOG_LEVELS.debug
+};
+
+const originalConsole = Object.fromEntries(
+  Object.keys(CONSOLE_METHOD_LEVELS).map(method => [method, console[method].bind(console)])
+);
+
+let currentLevel = 'debug';
+
+/**
+ * Apply a log level to the global console
+ */
+export function setLogLevel(level) {
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`Unknown log level "${level}". Available levels: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+
+  for (const [method, methodLevel] of Object.entries(CONSOLE_METHOD_LEVELS)) {
+    console[method] = methodLevel <= LOG_LEVELS[level] ? originalConsole[method] : () => {};
+  }
+
+  currentLevel = level;
+}
+
+/**
+ * Get the active log level
+ */
+export function getLogLevel() {
+  return currentLevel;
+}
+
+/**
+ * Write a line to stdout regardless of the active log level (for command output)
+ */
+export function writeOutput(line = '') {
+  process.stdout.write(`${line}\n`);
+}
+
+/**
+ * Write a line to stderr regardless of the active log level (for command errors)
+ */
+export function writeError(line = '') {
+  process.stderr.write(`${line}\n`);
+}
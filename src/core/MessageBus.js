@@ -0,0 +1,210 @@
+/**
+ * MessageBus - Typed, topic-based message routing between agents
+ *
+ * The bus sits between agents and the orchestrator's delivery and:
+ * 1. Validates every message on send against its registered schema
+ * 2. Stamps accepted messages with a message ID and a correlation ID
+ *    (replies carry the correlation ID of the message they answer)
+ * 3. Routes broadcasts only to agents subscribed to the message's topic;
+ *    direct messages go to the named agent
+ * 4. Moves unknown, invalid and undeliverable messages to a dead-letter queue
+ *
+ * Message and correlation IDs come from a per-bus counter, so identical runs
+ * produce identical IDs.
+ */
+
+import { EventEmitter } from 'events';
+import { MESSAGE_SCHEMAS, MESSAGE_TOPICS } from './MessageSchemas.js';
+
+export const DEAD_LETTER_REASONS = ['unknown_type', 'invalid_message', 'unknown_recipient', 'delivery_failed'];
+
+export class MessageBus extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.schemas = new Map();
+    this.topics = new Set(Object.keys(MESSAGE_TOPICS));
+    this.subscriptions = new Map(); // agentId -> Set of topics
+    this.deadLetters = [];
+    this.sequence = 0;
+    this.stats = {
+      published: 0,
+      rejected: 0,
+      delivered: 0
+    };
+
+    const schemas = config.schemas || MESSAGE_SCHEMAS;
+    for (const [type, schema] of Object.entries(schemas)) {
+      this.registerSchema(type, schema);
+    }
+  }
+
+  /**
+   * Register (or replace) the schema of a message type
+   */
+  registerSchema(type, schema) {
+    if (!schema.topic) {
+      throw new Error(`Message schema ${type} must declare a topic`);
+    }
+
+    this.topics.add(schema.topic);
+    this.schemas.set(type, { topic: schema.topic, fields: schema.fields || {} });
+  }
+
+  /**
+   * Subscribe an agent to topics ('*' subscribes to every topic)
+   */
+  subscribe(agentId, topics = ['*']) {
+    const unknownTopics = topics.filter(topic => topic !== '*' && !this.topics.has(topic));
+    if (unknownTopics.length > 0) {
+      throw new Error(`Agent ${agentId} subscribed to unknown topic(s): ${unknownTopics.join(', ')}. Available topics: ${Array.from(this.topics).join(', ')}`);
+    }
+
+    this.subscriptions.set(agentId, new Set(topics));
+  }
+
+  /**
+   * Check if an agent receives broadcasts on a topic
+   */
+  isSubscribed(agentId, topic) {
+    const topics = this.subscriptions.get(agentId);
+    return Boolean(topics) && (topics.has('*') || topics.has(topic));
+  }
+
+  /**
+   * Validate a message against its schema
+   *
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  validate(message) {
+    const errors = [];
+    const schema = this.schemas.get(message.type);
+
+    if (!schema) {
+      return [`Unknown message type: ${message.type}`];
+    }
+
+    if (typeof message.fromAgent !== 'string' || !message.fromAgent) {
+      errors.push('fromAgent must be a non-empty string');
+    }
+    if (typeof message.toAgent !== 'string' || !message.toAgent) {
+      errors.push('toAgent must be a non-empty string');
+    }
+    if (!message.content || typeof message.content !== 'object') {
+      errors.push('content must be an object');
+      return errors;
+    }
+
+    for (const [field, rule] of Object.entries(schema.fields)) {
+      const value = message.content[field];
+
+      if (value === undefined || value === null) {
+        if (rule.required) errors.push(`content.${field} is required`);
+        continue;
+      }
+
+      if (!matchesType(value, rule.type)) {
+        errors.push(`content.${field} must be ${rule.type === 'array' || rule.type === 'object' ? 'an' : 'a'} ${rule.type}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate and stamp a message for delivery
+   *
+   * @param {Object} message - { fromAgent, toAgent, type, content, correlationId? }
+   * @returns {Object|null} The message envelope, or null if it was dead-lettered
+   */
+  publish(message) {
+    const errors = this.validate(message);
+
+    if (errors.length > 0) {
+      this.stats.rejected++;
+      this.deadLetter(message, this.schemas.has(message.type) ? 'invalid_message' : 'unknown_type', errors);
+      return null;
+    }
+
+    const messageId = `msg_${++this.sequence}`;
+    this.stats.published++;
+
+    return {
+      ...message,
+      messageId: messageId,
+      correlationId: message.correlationId || messageId,
+      topic: this.schemas.get(message.type).topic
+    };
+  }
+
+  /**
+   * Resolve the recipients of a published message, in the order of `agentIds`
+   */
+  getRecipients(envelope, agentIds) {
+    if (envelope.toAgent === 'broadcast') {
+      return agentIds.filter(agentId => agentId !== envelope.fromAgent && this.isSubscribed(agentId, envelope.topic));
+    }
+
+    if (agentIds.includes(envelope.toAgent)) {
+      return [envelope.toAgent];
+    }
+
+    this.deadLetter(envelope, 'unknown_recipient', [`No agent named ${envelope.toAgent}`]);
+    return [];
+  }
+
+  /**
+   * Count a successful delivery to one recipient
+   */
+  recordDelivery() {
+    this.stats.delivered++;
+  }
+
+  /**
+   * Move a message to the dead-letter queue
+   */
+  deadLetter(message, reason, errors = [], recipient = null) {
+    const entry = {
+      reason: reason,
+      errors: errors,
+      recipient: recipient,
+      messageId: message.messageId || null,
+      correlationId: message.correlationId || null,
+      type: message.type,
+      from: message.fromAgent,
+      to: message.toAgent,
+      content: message.content,
+      deadLetteredAt: new Date().toISOString()
+    };
+
+    this.deadLetters.push(entry);
+    console.warn(`☠️  [MessageBus] Dead-lettered ${message.type || 'message'} from ${message.fromAgent || 'unknown'} (${reason}): ${errors.join('; ')}`);
+    this.emit('dead_letter', entry);
+  }
+
+  /**
+   * Get bus statistics, subscriptions and dead letters (without their content)
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      subscriptions: Object.fromEntries(
+        Array.from(this.subscriptions.entries()).map(([agentId, topics]) => [agentId, Array.from(topics)])
+      ),
+      deadLetters: this.deadLetters.map(({ content, ...entry }) => entry)
+    };
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'any':
+      return true;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
@@ -0,0 +1,153 @@
+/**
+ * MessageSchemas - Registered agent message types
+ *
+ * Every message type agents exchange is declared here with:
+ * 1. The topic it is published on (agents subscribe to topics, not to every broadcast)
+ * 2. The content fields it carries, their types and whether they are required
+ *
+ * Field types: string, number, boolean, object, array, any.
+ * The message bus rejects unknown types and invalid content into its dead-letter queue.
+ */
+
+export const MESSAGE_TOPICS = {
+  artifacts: 'Intermediate artifacts becoming available (clean data, questions, competitors, pages)',
+  content: 'Generated pages and analysis results',
+  data: 'Direct data requests, responses and result sharing',
+  collaboration: 'Collaboration requests and knowledge sharing',
+  system: 'Platform notifications (agents joining)'
+};
+
+export const MESSAGE_SCHEMAS = {
+  clean_data_available: {
+    topic: 'artifacts',
+    fields: {
+      data: { type: 'object', required: true },
+      provider: { type: 'string' },
+      qualityScore: { type: 'number' }
+    }
+  },
+  questions_available: {
+    topic: 'artifacts',
+    fields: {
+      questions: { type: 'array', required: true },
+      provider: { type: 'string' }
+    }
+  },
+  question_bank_available: {
+    topic: 'artifacts',
+    fields: {
+      questions: { type: 'array', required: true },
+      categorizedQuestions: { type: 'object' },
+      totalQuestions: { type: 'number' },
+      categories: { type: 'array' },
+      generatedBy: { type: 'string' }
+    }
+  },
+  competitor_data_available: {
+    topic: 'artifacts',
+    fields: {
+      competitors: { type: 'array', required: true },
+      provider: { type: 'string' }
+    }
+  },
+  comparison_data_available: {
+    topic: 'artifacts',
+    fields: {
+      competitors: { type: 'array', required: true },
+      provider: { type: 'string' }
+    }
+  },
+  faq_content_available: {
+    topic: 'artifacts',
+    fields: {
+      content: { type: 'object', required: true },
+      provider: { type: 'string' }
+    }
+  },
+  product_content_available: {
+    topic: 'artifacts',
+    fields: {
+      content: { type: 'object', required: true },
+      provider: { type: 'string' }
+    }
+  },
+  comparison_content_available: {
+    topic: 'artifacts',
+    fields: {
+      content: { type: 'object', required: true },
+      provider: { type: 'string' }
+    }
+  },
+  content_generated: {
+    topic: 'content',
+    fields: {
+      contentType: { type: 'string', required: true },
+      data: { type: 'object', required: true },
+      generator: { type: 'string' }
+    }
+  },
+  analytics_completed: {
+    topic: 'content',
+    fields: {
+      analytics: { type: 'object', required: true },
+      generator: { type: 'string' }
+    }
+  },
+  seo_optimization_completed: {
+    topic: 'content',
+    fields: {
+      seo_data: { type: 'object', required: true },
+      generator: { type: 'string' }
+    }
+  },
+  data_request: {
+    topic: 'data',
+    fields: {
+      requestedData: { type: 'string', required: true },
+      requester: { type: 'string' }
+    }
+  },
+  data_response: {
+    topic: 'data',
+    fields: {
+      requestedData: { type: 'string', required: true },
+      data: { type: 'any', required: true }
+    }
+  },
+  data_share: {
+    topic: 'data',
+    fields: {
+      dataType: { type: 'string', required: true },
+      result: { type: 'object', required: true },
+      goalId: { type: 'string' },
+      goalDescription: { type: 'string' }
+    }
+  },
+  collaboration_request: {
+    topic: 'collaboration',
+    fields: {
+      capabilities: { type: 'array', required: true },
+      availableFor: { type: 'array' }
+    }
+  },
+  collaboration_accepted: {
+    topic: 'collaboration',
+    fields: {
+      myCapabilities: { type: 'array', required: true }
+    }
+  },
+  knowledge_share: {
+    topic: 'collaboration',
+    fields: {
+      knowledge: { type: 'array', required: true }
+    }
+  },
+  agent_joined: {
+    topic: 'system',
+    fields: {
+      agentId: { type: 'string', required: true },
+      type: { type: 'string', required: true },
+      capabilities: { type: 'array' }
+    }
+  }
+};
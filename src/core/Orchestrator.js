@@ -7,9 +7,38 @@
  * 3. Supporting dynamic goal formation and task creation by agents
  * 4. Enabling emergent workflows through agent collaboration
  * 5. Maintaining agent autonomy while providing coordination services
+ *
+ * With a run store, every delivered message is persisted and produced artifacts and
+ * output files are checkpointed, so an interrupted run can be resumed: agents whose
+ * artifacts (and output file) are already stored are restored instead of re-run.
+ *
+ * Agents write output files through an output sink (see src/output). Agents without
+ * one share a directory sink per output directory. When the run ends, the configured
+ * page agents' render reports (the status of every content block their template ran) are
+ * written to render_report.json, the renderers (see src/renderers) turn the pages into
+ * documents in the same sinks, and then every sink's manifest is written.
+ *
+ * In compliance mode "block", the sinks hold every file until the run ends: when the
+ * compliance agent's report has errors (or there is no report), only the report is
+ * written and the pages are dropped; otherwise the held files are written as usual.
  */
 
+import fs from 'fs';
 import { EventEmitter } from 'events';
+import { EventScheduler } from './EventScheduler.js';
+import { DependencyGraph } from './DependencyGraph.js';
+import { MessageBus } from './MessageBus.js';
+import { DirectorySink } from '../output/DirectorySink.js';
+
+export const SCHEDULER_MODES = ['polling', 'event'];
+
+// warn: the compliance report only records violations; block: errors keep the pages from being written
+export const COMPLIANCE_MODES = ['warn', 'block'];
+
+export const RENDER_REPORT_FILE = 'render_report.json';
+
+// Artifacts supplied by the run itself rather than by an agent
+export const EXTERNAL_ARTIFACTS = ['product_data'];
 
 export class Orchestrator extends EventEmitter {
   constructor(config = {}) {
@@ -19,13 +48,44 @@ export class Orchestrator extends EventEmitter {
     this.agents = new Map();
     this.agentCapabilities = new Map();
     this.messageQueue = [];
+    this.messageBus = config.messageBus || new MessageBus();
     this.sharedKnowledge = new Map();
+    this.dependencyGraph = new DependencyGraph();
+    this.executionPlan = null;
+    this.maxRuntime = config.maxRuntime || null; // Optional wall-clock limit for a run (ms)
+    this.schedulerMode = config.scheduler || 'polling';
+    
+    // Output sink shared by every agent (defaults to a directory sink per output directory)
+    this.outputSink = config.outputSink || null;
+    this.directorySinks = new Map();
+    this.renderers = config.renderers || [];
+    this.outputManifests = [];
+    this.complianceMode = config.compliance || 'warn';
+    this.complianceResult = null;
+    this.renderResult = null;
+    
+    // Optional persistence (see RunStore); runConfig is stored so the run can be resumed
+    this.runStore = config.runStore || null;
+    this.runId = config.runId || (this.runStore ? this.runStore.createRunId() : null);
+    this.runConfig = config.runConfig || {};
+    this.restoredAgents = [];
+    this.checkpointedArtifacts = new Map();
+    this.checkpointedOutputs = new Map();
+    
+    if (!SCHEDULER_MODES.includes(this.schedulerMode)) {
+      throw new Error(`Unknown scheduler mode "${this.schedulerMode}". Available modes: ${SCHEDULER_MODES.join(', ')}`);
+    }
+    if (!COMPLIANCE_MODES.includes(this.complianceMode)) {
+      throw new Error(`Unknown compliance mode "${this.complianceMode}". Available modes: ${COMPLIANCE_MODES.join(', ')}`);
+    }
     
     // Coordination state (not control state)
     this.isRunning = false;
     this.facilitationRounds = 0;
     this.agentInteractions = [];
     this.emergentGoals = [];
+    this.messageLog = [];
+    this.schedulerStats = null;
     
     // Metrics for evaluation
     this.metrics = {
@@ -50,6 +110,14 @@ export class Orchestrator extends EventEmitter {
       return false;
     }
     
+    // Reject agents whose declared artifacts would create a dependency cycle
+    this.dependencyGraph.addAgent(agent.id, agent.getArtifacts());
+    this.messageBus.subscribe(agent.id, agent.topics);
+    
+    if (!agent.outputSink) {
+      agent.outputSink = this.getOutputSink(agent.outputDir);
+    }
+    
     // Register agent and its capabilities
     this.agents.set(agent.id, agent);
     this.agentCapabilities.set(agent.id, {
@@ -92,33 +160,95 @@ export class Orchestrator extends EventEmitter {
     console.log('\n🚀 [Orchestrator] Starting multi-agent coordination platform...');
     console.log('🎯 Agents will operate autonomously with coordination support');
     
+    // Reject runs where some agent can never receive its inputs
+    const externalArtifacts = Object.keys(initialContext).length > 0 ? EXTERNAL_ARTIFACTS : [];
+    this.dependencyGraph.assertSatisfiable(externalArtifacts);
+    this.executionPlan = this.dependencyGraph.computePlan(externalArtifacts);
+    
+    console.log(`🗺️  [Orchestrator] Execution plan: ${this.executionPlan.stages.map(stage => `[${stage.agents.join(', ')}]`).join(' → ')}`);
+    
+    // Blocking needs a report to decide on, and nothing may be stored before it exists
+    if (this.complianceMode === 'block') {
+      if (!this.getComplianceAgent()) {
+        throw new Error('Compliance mode "block" needs the compliance agent');
+      }
+      this.getOutputSinks().forEach(sink => sink.holdWrites());
+      console.log('⚖️  [Orchestrator] Holding output until the compliance review passes');
+    }
+    
     this.isRunning = true;
     this.metrics.startTime = Date.now();
     this.metrics.totalAgents = this.agents.size;
     
+    if (this.runStore) {
+      this.restoredAgents = this.runStore.hasRun(this.runId) ? await this.restoreCheckpoint() : [];
+      this.runStore.beginAttempt(this.runId, {
+        input: initialContext,
+        config: this.runConfig,
+        restoredAgents: this.restoredAgents
+      });
+    }
+    
     // Provide initial context to all agents
     if (Object.keys(initialContext).length > 0) {
       this.updateSharedKnowledge({ type: 'initial_context', data: initialContext });
     }
     
-    // Start all agents autonomously
-    console.log(`🤖 [Orchestrator] Starting ${this.agents.size} autonomous agents...`);
-    for (const agent of this.agents.values()) {
-      await agent.startAutonomousOperation(initialContext);
+    // Provider requests of the agents end with the run
+    if (this.maxRuntime) {
+      for (const agent of this.agents.values()) {
+        agent.setRunDeadline(this.metrics.startTime + this.maxRuntime);
+      }
+    }
+    
+    // Start all agents autonomously (event mode drives their decisions instead of timers)
+    console.log(`🤖 [Orchestrator] Starting ${this.agents.size - this.restoredAgents.length} autonomous agents (${this.schedulerMode} scheduler)...`);
+    for (const [agentId, agent] of this.agents.entries()) {
+      if (this.restoredAgents.includes(agentId)) continue;
+      
+      await agent.startAutonomousOperation(initialContext, {
+        decisionLoop: this.schedulerMode === 'polling'
+      });
     }
     
     // Begin coordination facilitation
     try {
-      await this.facilitateCoordination();
+      if (this.schedulerMode === 'event') {
+        const scheduler = new EventScheduler(this, {
+          maxRuntime: this.maxRuntime,
+          initialOrder: this.executionPlan.order
+        });
+        this.schedulerStats = await scheduler.run();
+      } else {
+        await this.facilitateCoordination();
+      }
       
       this.metrics.endTime = Date.now();
       console.log('\n🎉 [Orchestrator] Multi-agent coordination completed successfully!');
       
+      await this.finalizeOutputs();
+      
+      if (this.runStore) {
+        this.checkpoint();
+        this.runStore.completeAttempt(this.runId, { status: 'completed' });
+      }
+      
       return this.collectResults();
       
     } catch (error) {
       this.metrics.endTime = Date.now();
       console.error(`❌ [Orchestrator] Coordination failed: ${error.message}`);
+      
+      // Whatever was written still gets a manifest
+      await this.finalizeOutputs().catch(finalizeError => {
+        console.error(`❌ [Orchestrator] Could not finalize outputs: ${finalizeError.message}`);
+      });
+      
+      if (this.runStore) {
+        this.checkpoint();
+        this.runStore.completeAttempt(this.runId, { status: 'failed', error: error.message });
+      }
+      
       throw error;
     } finally {
       this.isRunning = false;
@@ -135,6 +265,11 @@ export class Orchestrator extends EventEmitter {
     const roundDuration = 1000; // Reduced from 2000ms to 1000ms
     
     while (this.facilitationRounds < maxRounds && this.isRunning) {
+      if (this.maxRuntime && Date.now() - this.metrics.startTime >= this.maxRuntime) {
+        console.log(`⏰ [Orchestrator] Run timeout of ${this.maxRuntime}ms reached, ending coordination`);
+        break;
+      }
+      
       this.facilitationRounds++;
       
       // Only log every 5th round to reduce verbosity
@@ -178,54 +313,279 @@ export class Orchestrator extends EventEmitter {
     this.messageQueue = [];
     
     for (const message of messages) {
+      this.recordMessage(message);
       await this.deliverMessage(message);
       this.metrics.agentInteractions++;
     }
   }
   
   /**
-   * Deliver message between agents
+   * Record a delivered message in the ordered message log
    */
-  async deliverMessage(message) {
-    const { fromAgent, toAgent, type, content } = message;
+  recordMessage(message) {
+    if (this.runStore) {
+      // Anything produced before this message is checkpointed ahead of it
+      this.checkpoint();
+      this.runStore.appendMessage(this.runId, message);
+    }
     
-    if (toAgent === 'broadcast') {
-      // Broadcast to all agents except sender
-      for (const [agentId, agent] of this.agents.entries()) {
-        if (agentId !== fromAgent) {
-          try {
-            await agent.receiveMessage({
-              from: fromAgent,
-              type: type,
-              content: content,
-              timestamp: Date.now()
-            });
-          } catch (error) {
-            console.error(`❌ [Orchestrator] Failed to deliver message to ${agentId}: ${error.message}`);
-          }
+    this.messageLog.push({
+      sequence: this.messageLog.length + 1,
+      messageId: message.messageId,
+      correlationId: message.correlationId,
+      type: message.type,
+      from: message.fromAgent,
+      to: message.toAgent
+    });
+  }
+  
+  /**
+   * Persist newly produced artifacts and output files to the run store
+   */
+  checkpoint() {
+    for (const [agentId, agent] of this.agents.entries()) {
+      for (const artifact of agent.produces) {
+        const value = agent.beliefs.get(artifact);
+        if (value !== undefined && value !== null && this.checkpointedArtifacts.get(artifact) !== value) {
+          this.runStore.saveArtifact(this.runId, artifact, value, { producer: agentId });
+          this.checkpointedArtifacts.set(artifact, value);
         }
       }
-    } else {
-      // Direct message to specific agent
-      const targetAgent = this.agents.get(toAgent);
-      if (targetAgent) {
-        try {
-          await targetAgent.receiveMessage({
-            from: fromAgent,
-            type: type,
-            content: content,
-            timestamp: Date.now()
-          });
-          
-          // Log data responses for debugging
-          if (type === 'data_response') {
-            console.log(`📨 [Orchestrator] Delivered ${content.requestedData} from ${fromAgent} to ${toAgent}`);
-          }
-        } catch (error) {
-          console.error(`❌ [Orchestrator] Failed to deliver message to ${toAgent}: ${error.message}`);
+      
+      // Only files written during this run are in the sink, so leftovers from earlier runs are never stored
+      const entry = agent.outputFile ? agent.outputSink.getEntry(agent.outputFile) : null;
+      if (entry && this.checkpointedOutputs.get(agentId) !== entry.sha256) {
+        this.runStore.saveOutput(this.runId, agent.outputFile, agent.outputSink.read(agent.outputFile), {
+          agentId: agentId,
+          renderReports: agent.templateEngine?.getRenderReports() || []
+        });
+        this.checkpointedOutputs.set(agentId, entry.sha256);
+      }
+    }
+  }
+  
+  /**
+   * Restore agents whose work is already checkpointed in the run store
+   *
+   * An agent is restored when every artifact it produces (and its output file, if
+   * it has one) is stored. Restored agents are not started; their artifacts are
+   * handed to the agents that consume them, their output files are written
+   * to the output sink again and their render reports go back to their template engine.
+   *
+   * @returns {Promise<string[]>} IDs of the restored agents
+   */
+  async restoreCheckpoint() {
+    const { artifacts, outputs } = this.runStore.loadCheckpoint(this.runId);
+    const restored = [];
+    
+    for (const [agentId, agent] of this.agents.entries()) {
+      const complete = agent.produces.length > 0 &&
+        agent.produces.every(artifact => artifacts.get(artifact)?.producer === agentId) &&
+        (!agent.outputFile || outputs.has(agent.outputFile));
+      
+      if (!complete) continue;
+      
+      for (const artifact of agent.produces) {
+        const value = artifacts.get(artifact).value;
+        agent.beliefs.set(artifact, value);
+        this.checkpointedArtifacts.set(artifact, value);
+      }
+      
+      if (agent.outputFile) {
+        const output = outputs.get(agent.outputFile);
+        const entry = await agent.writeOutput(agent.outputFile, fs.readFileSync(output.path));
+        this.checkpointedOutputs.set(agentId, entry.sha256);
+        // The page is not rendered again, so render_report.json keeps its checkpointed report
+        agent.templateEngine?.restoreRenderReports(output.renderReports);
+      }
+      
+      this.agentCapabilities.get(agentId).status = 'restored';
+      restored.push(agentId);
+    }
+    
+    // Hand restored artifacts to the agents that will run
+    for (const [agentId, agent] of this.agents.entries()) {
+      if (restored.includes(agentId)) continue;
+      
+      for (const artifact of agent.consumes) {
+        if (artifacts.has(artifact) && restored.includes(artifacts.get(artifact).producer)) {
+          agent.beliefs.set(artifact, artifacts.get(artifact).value);
         }
-      } else {
-        console.error(`❌ [Orchestrator] Target agent ${toAgent} not found`);
+      }
+    }
+    
+    if (restored.length > 0) {
+      console.log(`♻️  [Orchestrator] Restored ${restored.length} agents from run ${this.runId}: [${restored.join(', ')}]`);
+    }
+    
+    return restored;
+  }
+  
+  /**
+   * Get the sink for agents writing to a directory (the configured sink, if any)
+   */
+  getOutputSink(directory) {
+    if (this.outputSink) {
+      return this.outputSink;
+    }
+    
+    if (!this.directorySinks.has(directory)) {
+      this.directorySinks.set(directory, new DirectorySink({ directory }));
+    }
+    return this.directorySinks.get(directory);
+  }
+  
+  /**
+   * Render the generated pages and write the manifest of every sink the agents wrote to
+   */
+  async finalizeOutputs() {
+    this.outputManifests = [];
+    for (const sink of this.getOutputSinks()) {
+      const blocked = await this.applyComplianceResult(sink);
+      if (!blocked) {
+        await this.writeRenderReport(sink);
+        for (const renderer of this.renderers) {
+          await renderer.render(sink);
+        }
+      }
+      this.outputManifests.push(await sink.finalize());
+    }
+    
+    return this.outputManifests;
+  }
+  
+  /**
+   * Record the compliance agent's report for a sink and, in block mode, write or drop
+   * the files the sink held
+   *
+   * @returns {Promise<boolean>} Whether the sink's pages were blocked
+   */
+  async applyComplianceResult(sink) {
+    const agent = this.getComplianceAgent();
+    if (!agent || agent.getOutputSink() !== sink) {
+      if (sink.isHoldingWrites()) await sink.releaseWrites();
+      return false;
+    }
+    
+    const report = sink.readJson(agent.outputFile);
+    const blocked = this.complianceMode === 'block' && !report?.passed;
+    
+    this.complianceResult = {
+      mode: this.complianceMode,
+      reportFile: report ? agent.outputFile : null,
+      passed: Boolean(report?.passed),
+      blocked: blocked,
+      summary: report ? report.summary : null
+    };
+    
+    if (!sink.isHoldingWrites()) {
+      return false;
+    }
+    
+    if (blocked) {
+      const reason = report ? `the compliance review found ${report.summary.errors} error(s)` : 'there is no compliance report';
+      console.error(`🚫 [Orchestrator] Output blocked: ${reason}; only ${report ? agent.outputFile : 'the manifest'} is written`);
+      const kept = report ? [agent.outputFile] : [];
+      await sink.releaseWrites(kept);
+      // Pages an earlier run left in the sink would pass for this run's output
+      await sink.discard((await sink.listStoredFiles()).filter(file => !kept.includes(file)));
+      return true;
+    }
+    
+    await sink.releaseWrites();
+    return false;
+  }
+  
+  /**
+   * Write the render reports of the page agents writing to a sink (render_report.json)
+   * and record their totals and errors: pages that failed and blocks that threw, which fail
+   * the run
+   */
+  async writeRenderReport(sink) {
+    const pages = Array.from(this.agents.values())
+      .filter(agent => agent.templateEngine && agent.outputSink === sink)
+      .flatMap(agent => agent.templateEngine.getRenderReports().map(report => ({
+        agent: agent.id,
+        file: agent.outputFile,
+        ...report
+      })));
+    if (pages.length === 0) return;
+    
+    const summary = { pages: pages.length, failedPages: 0, blocks: 0, rendered: 0, null: 0, failed: 0, invalid: 0, fallback: 0 };
+    for (const page of pages) {
+      if (page.status === 'failed') summary.failedPages++;
+      for (const status of ['blocks', 'rendered', 'null', 'failed', 'invalid', 'fallback']) {
+        summary[status] += page.summary[status];
+      }
+    }
+    
+    const errors = pages.flatMap(page => [
+      ...(page.status === 'failed' ? [`${page.file}: ${page.error}`] : []),
+      ...page.blocks.filter(block => block.status === 'failed').map(block => `${page.file}: block ${block.block} at ${block.path} failed (${block.error})`)
+    ]);
+    
+    await sink.write(RENDER_REPORT_FILE, { generatedAt: new Date().toISOString(), summary: summary, pages: pages }, { writtenBy: 'orchestrator' });
+    this.renderResult = { reportFile: RENDER_REPORT_FILE, summary: summary, errors: errors };
+    
+    const issues = summary.null + summary.failed + summary.invalid + summary.fallback;
+    console.log(`📊 [Orchestrator] Render report: ${summary.pages} page(s), ${summary.failedPages} failed, ${issues} of ${summary.blocks} blocks null, failed, invalid or fallback`);
+  }
+  
+  /**
+   * The agent that writes the compliance report, if one is registered
+   */
+  getComplianceAgent() {
+    return Array.from(this.agents.values()).find(agent => agent.getType() === 'compliance') || null;
+  }
+  
+  /**
+   * The output sinks the agents write to
+   */
+  getOutputSinks() {
+    return Array.from(new Set(Array.from(this.agents.values()).map(agent => agent.outputSink).filter(Boolean)));
+  }
+  
+  /**
+   * Names of the files written during this run, across all sinks
+   */
+  getWrittenFiles() {
+    return this.getOutputSinks().flatMap(sink => sink.getManifest().files.map(entry => entry.file));
+  }
+  
+  /**
+   * Resolve the agents a message is delivered to, in registration order
+   * (broadcasts reach the agents subscribed to the message's topic)
+   */
+  getRecipients(message) {
+    return this.messageBus.getRecipients(message, Array.from(this.agents.keys()));
+  }
+  
+  /**
+   * Deliver a published message to its recipients
+   */
+  async deliverMessage(message, recipients = this.getRecipients(message)) {
+    const { fromAgent, type, content } = message;
+    
+    for (const agentId of recipients) {
+      try {
+        await this.agents.get(agentId).receiveMessage({
+          from: fromAgent,
+          type: type,
+          content: content,
+          messageId: message.messageId,
+          correlationId: message.correlationId,
+          topic: message.topic,
+          timestamp: Date.now()
+        });
+        this.messageBus.recordDelivery();
+        
+        // Log data responses for debugging
+        if (type === 'data_response') {
+          console.log(`📨 [Orchestrator] Delivered ${content.requestedData} from ${fromAgent} to ${agentId}`);
+        }
+      } catch (error) {
+        console.error(`❌ [Orchestrator] Failed to deliver message to ${agentId}: ${error.message}`);
+        this.messageBus.deadLetter(message, 'delivery_failed', [error.message], agentId);
       }
     }
   }
@@ -425,8 +785,11 @@ export class Orchestrator extends EventEmitter {
   facilitateInteraction(request) {
     console.log(`🔄 [Orchestrator] Facilitating interaction: ${request.type}`);
     
-    // All interactions should go through message queue for proper delivery
-    this.messageQueue.push(request);
+    // All interactions go through the message bus (validation) and queue for proper delivery
+    const envelope = this.messageBus.publish(request);
+    if (envelope) {
+      this.messageQueue.push(envelope);
+    }
   }
   
   /**
@@ -452,14 +815,26 @@ export class Orchestrator extends EventEmitter {
    * Broadcast message to all agents
    */
   broadcastToAgents(type, content, excludeAgent = null) {
-    for (const [agentId, agent] of this.agents.entries()) {
+    const envelope = this.messageBus.publish({
+      fromAgent: 'orchestrator',
+      toAgent: 'broadcast',
+      type: type,
+      content: content
+    });
+    if (!envelope) return;
+    
+    for (const agentId of this.getRecipients(envelope)) {
       if (agentId !== excludeAgent) {
-        agent.receiveMessage({
+        this.agents.get(agentId).receiveMessage({
           from: 'orchestrator',
           type: type,
           content: content,
+          messageId: envelope.messageId,
+          correlationId: envelope.correlationId,
+          topic: envelope.topic,
           timestamp: Date.now()
         });
+        this.messageBus.recordDelivery();
       }
     }
   }
@@ -476,7 +851,9 @@ export class Orchestrator extends EventEmitter {
       metrics: {
         ...this.metrics,
         runtime: this.metrics.endTime - this.metrics.startTime,
+        scheduler: this.schedulerMode,
         facilitationRounds: this.facilitationRounds,
+        schedulerTurns: this.schedulerStats ? this.schedulerStats.turns : null,
         autonomyRatio: this.metrics.autonomousDecisions / Math.max(this.metrics.totalAgents, 1),
         collaborationRatio: this.metrics.collaborativeActions / Math.max(this.metrics.agentInteractions, 1)
       },
@@ -484,9 +861,30 @@ export class Orchestrator extends EventEmitter {
       // Agent summaries
       agents: this.getAgentSummaries(),
       
+      // Declared dependency graph and the plan derived from it
+      executionPlan: this.executionPlan,
+      
+      // Persisted run (null without a run store)
+      run: this.runStore ? {
+        runId: this.runId,
+        storeDir: this.runStore.getRunDir(this.runId),
+        restoredAgents: this.restoredAgents
+      } : null,
+      
       // Emergent goals and interactions
       emergentGoals: this.emergentGoals,
       agentInteractions: this.agentInteractions,
+      messageLog: this.messageLog,
+      messageBus: this.messageBus.getStats(),
+      
+      // Manifests of the files written (one per output sink)
+      outputs: this.outputManifests,
+      
+      // Compliance report summary and whether it blocked the output (null without the compliance agent)
+      compliance: this.complianceResult,
+      
+      // Render report totals of the page templates (null without page agents)
+      templates: this.renderResult,
       
       // Shared knowledge
       sharedKnowledge: Object.fromEntries(this.sharedKnowledge.entries()),
@@ -509,6 +907,8 @@ export class Orchestrator extends EventEmitter {
         id: agentId,
         type: agent.getType(),
         capabilities: agent.getCapabilities(),
+        ...agent.getArtifacts(),
+        dependsOn: this.dependencyGraph.getDependencies(agentId),
         status: agentInfo.status,
         goals: agentInfo.goals,
         interactions: agentInfo.interactions.length,
@@ -0,0 +1,381 @@
+/**
+ * RunStore - File-based persistence for multi-agent runs
+ *
+ * Every run gets a run ID and a directory under the store root:
+ *   <rootDir>/<runId>/run.json        - Status, input, config, attempts, artifact/output index
+ *   <rootDir>/<runId>/messages.jsonl  - Every delivered message (with content), in order
+ *   <rootDir>/<runId>/artifacts/      - Intermediate artifacts (clean_data, questions, ...)
+ *   <rootDir>/<runId>/outputs/        - Copies of the final output files
+ *
+ * The orchestrator checkpoints artifacts and outputs as the run progresses, so:
+ * 1. A crashed or timed-out run can resume from its last completed artifacts
+ * 2. A finished run can be replayed message-by-message for debugging
+ *
+ * run.json is written via a temporary file and rename, so a crash never leaves it half-written.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const RUN_STATUSES = ['running', 'completed', 'failed'];
+
+export class RunStore {
+  constructor(config = {}) {
+    this.rootDir = config.rootDir || 'runs';
+    this.messageCounts = new Map();
+  }
+
+  /**
+   * Generate a new, unique run ID
+   */
+  createRunId() {
+    return `run_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Check if a run exists
+   */
+  hasRun(runId) {
+    return fs.existsSync(this.getRunFile(runId));
+  }
+
+  /**
+   * Start an attempt of a run, creating the run record on the first attempt
+   *
+   * @param {string} runId
+   * @param {Object} details
+   * @param {Object} details.input - Initial context (product data)
+   * @param {Object} [details.config] - Settings needed to resume the run (agents, scheduler, ...)
+   * @param {string[]} [details.restoredAgents] - Agents restored from checkpoints instead of re-run
+   */
+  beginAttempt(runId, { input, config = {}, restoredAgents = [] }) {
+    const now = new Date().toISOString();
+    const run = this.hasRun(runId)
+      ? this.loadRunRecord(runId)
+      : {
+        runId: runId,
+        status: 'running',
+        createdAt: now,
+        input: input,
+        config: config,
+        attempts: [],
+        artifacts: {},
+        outputs: {}
+      };
+
+    run.status = 'running';
+    run.updatedAt = now;
+    run.completedAt = null;
+    run.error = null;
+    run.attempts.push({
+      attempt: run.attempts.length + 1,
+      startedAt: now,
+      completedAt: null,
+      status: 'running',
+      restoredAgents: restoredAgents
+    });
+
+    fs.mkdirSync(path.join(this.getRunDir(runId), 'artifacts'), { recursive: true });
+    fs.mkdirSync(path.join(this.getRunDir(runId), 'outputs'), { recursive: true });
+    this.writeRunRecord(run);
+
+    console.log(`🗄️  [RunStore] ${run.attempts.length > 1 ? 'Resuming' : 'Recording'} run ${runId} (attempt ${run.attempts.length})`);
+
+    return run;
+  }
+
+  /**
+   * Finish the current attempt
+   */
+  completeAttempt(runId, { status, error = null }) {
+    if (!RUN_STATUSES.includes(status)) {
+      throw new Error(`Unknown run status "${status}". Available statuses: ${RUN_STATUSES.join(', ')}`);
+    }
+
+    const run = this.loadRunRecord(runId);
+    const now = new Date().toISOString();
+    const attempt = run.attempts[run.attempts.length - 1];
+
+    attempt.status = status;
+    attempt.completedAt = now;
+    run.status = status;
+    run.updatedAt = now;
+    run.completedAt = status === 'completed' ? now : null;
+    run.error = error;
+
+    this.writeRunRecord(run);
+
+    console.log(`🗄️  [RunStore] Run ${runId} ${status}`);
+    return run;
+  }
+
+  /**
+   * Append a delivered message to the run's message log
+   *
+   * @returns {number} The message's sequence number within the run (across attempts)
+   */
+  appendMessage(runId, message) {
+    const sequence = this.getMessageCount(runId) + 1;
+    const run = this.loadRunRecord(runId);
+
+    const entry = {
+      sequence: sequence,
+      attempt: run.attempts.length,
+      messageId: message.messageId || null,
+      correlationId: message.correlationId || null,
+      type: message.type,
+      from: message.fromAgent,
+      to: message.toAgent,
+      content: message.content === undefined ? null : message.content,
+      recordedAt: new Date().toISOString()
+    };
+
+    fs.appendFileSync(path.join(this.getRunDir(runId), 'messages.jsonl'), `${safeStringify(entry)}\n`);
+    this.messageCounts.set(runId, sequence);
+
+    return sequence;
+  }
+
+  /**
+   * Persist an intermediate artifact
+   */
+  saveArtifact(runId, name, value, { producer }) {
+    const run = this.loadRunRecord(runId);
+
+    writeFileAtomic(path.join(this.getRunDir(runId), 'artifacts', `${name}.json`), safeStringify(value, 2));
+    run.artifacts[name] = {
+      producer: producer,
+      afterSequence: this.getMessageCount(runId),
+      attempt: run.attempts.length,
+      savedAt: new Date().toISOString()
+    };
+    run.updatedAt = run.artifacts[name].savedAt;
+
+    this.writeRunRecord(run);
+    console.log(`🗄️  [RunStore] Checkpointed artifact ${name} from ${producer}`);
+  }
+
+  /**
+   * Persist a copy of a final output file
+   *
+   * @param {string} runId
+   * @param {string} fileName
+   * @param {Buffer|string} data - The file contents as written to the output sink
+   * @param {Object} meta
+   * @param {string} meta.agentId
+   * @param {Object[]} [meta.renderReports] - Render reports of the templates behind the file
+   */
+  saveOutput(runId, fileName, data, { agentId, renderReports = [] }) {
+    const run = this.loadRunRecord(runId);
+
+    writeFileAtomic(path.join(this.getRunDir(runId), 'outputs', fileName), data);
+    run.outputs[fileName] = {
+      agentId: agentId,
+      afterSequence: this.getMessageCount(runId),
+      attempt: run.attempts.length,
+      savedAt: new Date().toISOString(),
+      ...(renderReports.length > 0 && { renderReports: renderReports })
+    };
+    run.updatedAt = run.outputs[fileName].savedAt;
+
+    this.writeRunRecord(run);
+    console.log(`🗄️  [RunStore] Checkpointed output ${fileName} from ${agentId}`);
+  }
+
+  /**
+   * Load the artifacts and outputs checkpointed so far
+   *
+   * @returns {{ artifacts: Map<string, {value, producer}>, outputs: Map<string, {path, agentId, renderReports}> }}
+   */
+  loadCheckpoint(runId) {
+    const run = this.loadRunRecord(runId);
+    const artifacts = new Map();
+    const outputs = new Map();
+
+    for (const [name, entry] of Object.entries(run.artifacts)) {
+      const artifactPath = path.join(this.getRunDir(runId), 'artifacts', `${name}.json`);
+      if (fs.existsSync(artifactPath)) {
+        artifacts.set(name, { value: JSON.parse(fs.readFileSync(artifactPath, 'utf8')), producer: entry.producer });
+      }
+    }
+
+    for (const [fileName, entry] of Object.entries(run.outputs)) {
+      const outputPath = path.join(this.getRunDir(runId), 'outputs', fileName);
+      if (fs.existsSync(outputPath)) {
+        outputs.set(fileName, { path: outputPath, agentId: entry.agentId, renderReports: entry.renderReports || [] });
+      }
+    }
+
+    return { artifacts, outputs };
+  }
+
+  /**
+   * Load a run record, its messages and the events needed to replay it
+   */
+  loadRun(runId) {
+    return {
+      run: this.loadRunRecord(runId),
+      messages: this.loadMessages(runId)
+    };
+  }
+
+  /**
+   * Replay a run: messages in delivery order, with artifact and output checkpoints
+   * interleaved after the message they followed
+   *
+   * @returns {Array<{kind: 'message'|'artifact'|'output', sequence: number, ...}>}
+   */
+  getReplay(runId) {
+    const { run, messages } = this.loadRun(runId);
+    const checkpoints = [
+      ...Object.entries(run.artifacts).map(([name, entry]) => ({ kind: 'artifact', name, ...entry })),
+      ...Object.entries(run.outputs).map(([name, entry]) => ({ kind: 'output', name, ...entry }))
+    ].sort((a, b) => a.afterSequence - b.afterSequence);
+
+    const events = [];
+    let checkpointIndex = 0;
+
+    const flushCheckpoints = (upToSequence) => {
+      while (checkpointIndex < checkpoints.length && checkpoints[checkpointIndex].afterSequence <= upToSequence) {
+        const checkpoint = checkpoints[checkpointIndex++];
+        events.push({ ...checkpoint, sequence: checkpoint.afterSequence });
+      }
+    };
+
+    flushCheckpoints(0);
+    for (const message of messages) {
+      events.push({ kind: 'message', ...message });
+      flushCheckpoints(message.sequence);
+    }
+    flushCheckpoints(Infinity);
+
+    return events;
+  }
+
+  /**
+   * List all stored runs, newest first
+   */
+  listRuns() {
+    if (!fs.existsSync(this.rootDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.rootDir)
+      .filter(runId => this.hasRun(runId))
+      .map(runId => {
+        const run = this.loadRunRecord(runId);
+        return {
+          runId: run.runId,
+          status: run.status,
+          productName: run.input?.productName || null,
+          createdAt: run.createdAt,
+          updatedAt: run.updatedAt,
+          attempts: run.attempts.length,
+          artifacts: Object.keys(run.artifacts).length,
+          outputs: Object.keys(run.outputs).length
+        };
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Read run.json
+   */
+  loadRunRecord(runId) {
+    const runFile = this.getRunFile(runId);
+
+    if (!fs.existsSync(runFile)) {
+      throw new Error(`Run ${runId} not found in ${this.rootDir}`);
+    }
+
+    return JSON.parse(fs.readFileSync(runFile, 'utf8'));
+  }
+
+  /**
+   * Read the message log
+   */
+  loadMessages(runId) {
+    const messagesFile = path.join(this.getRunDir(runId), 'messages.jsonl');
+
+    if (!fs.existsSync(messagesFile)) {
+      return [];
+    }
+
+    return fs.readFileSync(messagesFile, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          // A crash can cut off the last line; everything before it is still usable
+          console.warn(`⚠️  [RunStore] Skipping unreadable message line ${index + 1} of ${runId}: ${error.message}`);
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Number of messages recorded for a run (cached after the first read)
+   */
+  getMessageCount(runId) {
+    if (!this.messageCounts.has(runId)) {
+      this.messageCounts.set(runId, this.loadMessages(runId).length);
+    }
+
+    return this.messageCounts.get(runId);
+  }
+
+  writeRunRecord(run) {
+    writeFileAtomic(this.getRunFile(run.runId), JSON.stringify(run, null, 2));
+  }
+
+  getRunDir(runId) {
+    // "." and ".." pass the character check but name the store itself or its parent
+    if (!/^[\w.-]+$/.test(runId) || /^\.+$/.test(runId)) {
+      throw new Error(`Invalid run ID: ${runId}`);
+    }
+
+    const runDir = path.join(this.rootDir, runId);
+    if (path.dirname(path.resolve(runDir)) !== path.resolve(this.rootDir)) {
+      throw new Error(`Invalid run ID: ${runId}`);
+    }
+
+    return runDir;
+  }
+
+  getRunFile(runId) {
+    return path.join(this.getRunDir(runId), 'run.json');
+  }
+}
+
+/**
+ * Write a file via a temporary sibling and rename
+ */
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, data);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * JSON.stringify that tolerates circular references (replaced by "[Circular]")
+ */
+function safeStringify(value, indent) {
+  const ancestors = [];
+
+  return JSON.stringify(value, function (key, current) {
+    if (!current || typeof current !== 'object') return current;
+
+    // `this` is the object holding `key`; drop ancestors we have left
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+      ancestors.pop();
+    }
+    if (ancestors.includes(current)) return '[Circular]';
+
+    ancestors.push(current);
+    return current;
+  }, indent);
+}
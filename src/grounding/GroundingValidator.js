@@ -0,0 +1,260 @@
+/**
+ * GroundingValidator - Ties generated copy back to the product data it came from
+ *
+ * 1. attributeSources() lists the input fields a piece of copy was derived from, and flags
+ *    copy that stands in fallback text for missing fields
+ * 2. validateGrounding() runs the grounding checks on a text; each check reports facts the
+ *    text asserts that the product data does not contain:
+ *    - ingredients: ingredients named in the text (dictionary names and synonyms) that are
+ *      neither the product's ingredients nor mentioned anywhere else in its data
+ *    - percentages: percentages that appear nowhere in the product data
+ *    - prices: amounts with a currency ("₹399") that are neither the product's price, sale or
+ *      unit price nor stated elsewhere in its data
+ *    - benefits: benefits (BENEFIT_CLAIMS: hydration, anti-aging, ...) the product data never
+ *      mentions
+ * 3. generateGroundedCopy() asks the text provider for copy and rejects provider text that
+ *    fails the checks, keeping the template copy instead
+ *
+ * The product's own name is not a claim: "Retinol Night Cream" may name its product even
+ * when retinol is not a listed ingredient. Add checks with registerGroundingCheck(name, check);
+ * a check gets (text, data) and returns a list of { claim, message }.
+ */
+
+import { getIngredients, findIngredientMentions } from '../ingredients/IngredientParser.js';
+import { getPrice, findAmounts, formatPrice } from '../pricing/PriceModel.js';
+
+/**
+ * Fields added to generated sections and answers; renderers leave them out of the page
+ */
+export const ATTRIBUTION_FIELDS = ['sources', 'fallback', 'groundingIssues'];
+
+// Fields that describe processing or carry generated content (the FAQ page gets the
+// generated questions with its data), not facts about the product
+const GENERATED_FIELDS = ['processed', 'processedAt', 'processedBy', 'questions'];
+
+// Benefits copy may claim, each with the words that claim it; copy may only claim the ones the
+// product data mentions
+export const BENEFIT_CLAIMS = [
+  { name: 'hydration', pattern: /\b(hydrat\w*|moisturi[sz]\w*)/i },
+  { name: 'anti-aging', pattern: /\b(anti-?\s?ag(e|ing)\w*|wrinkles?|fine lines)\b/i },
+  { name: 'brightening', pattern: /\b(brighten\w*|radian(t|ce))\b/i },
+  { name: 'even tone', pattern: /\b(dark spots?|hyperpigmentation|pigmentation|even(s|ing)? (out )?(skin )?tone)\b/i },
+  { name: 'acne care', pattern: /\b(acne|breakouts?|blemish\w*)\b/i },
+  { name: 'firming', pattern: /\b(firm(s|ing|er|ness)|elasticity)\b/i },
+  { name: 'soothing', pattern: /\b(sooth\w*|redness)\b/i },
+  { name: 'oil control', pattern: /\b(oil control|sebum|mattif\w*)\b/i },
+  { name: 'pore care', pattern: /\bpores?\b/i },
+  { name: 'sun protection', pattern: /\b(spf|sun protection|uva?|uvb)\b/i },
+  { name: 'exfoliation', pattern: /\bexfoliat\w*/i },
+  { name: 'immunity', pattern: /\bimmun\w*/i },
+  { name: 'energy', pattern: /\benerg(y|ises?|izes?|ising|izing)\b/i },
+  { name: 'sleep', pattern: /\bsleep\w*/i }
+];
+
+const groundingChecks = new Map();
+
+/**
+ * Add a grounding check
+ *
+ * @param {string} name
+ * @param {Function} check - (text, data) => [{ claim, message }]
+ */
+export function registerGroundingCheck(name, check) {
+  if (typeof check !== 'function') {
+    throw new Error(`Grounding check "${name}" must be a function`);
+  }
+  groundingChecks.set(name, check);
+}
+
+/**
+ * Get the names of the registered grounding checks
+ */
+export function getGroundingChecks() {
+  return Array.from(groundingChecks.keys());
+}
+
+registerGroundingCheck('ingredients', (text, data) => {
+  const ingredients = getIngredients(data);
+  const mentioned = findIngredientMentions(getInputText(data, ['productName']));
+
+  return findIngredientMentions(withoutProductName(text, data))
+    .filter(claim => !ingredients.some(ingredient => sameIngredient(ingredient, claim)) &&
+      !mentioned.some(mention => sameIngredient(mention, claim)))
+    .map(claim => ({
+      claim: claim.name,
+      message: `mentions ${claim.name}, which is not among the product's ingredients (${data.keyIngredients || 'none listed'})`
+    }));
+});
+
+registerGroundingCheck('percentages', (text, data) => {
+  const known = new Set([
+    ...findPercentages(getInputText(data)),
+    ...getIngredients(data).filter(ingredient => ingredient.percentage !== null).map(ingredient => ingredient.percentage)
+  ]);
+
+  return Array.from(new Set(findPercentages(withoutProductName(text, data))))
+    .filter(percentage => !known.has(percentage))
+    .map(percentage => ({
+      claim: `${percentage}%`,
+      message: `states ${percentage}%, which does not appear in the product data`
+    }));
+});
+
+registerGroundingCheck('prices', (text, data) => {
+  const price = getPrice(data);
+  const currency = price?.currency;
+  const known = [
+    ...findAmounts(getInputText(data), { currency }),
+    ...(price ? [price.amount, price.salePrice, price.unitPrice?.amount] : [])
+      .filter(amount => amount !== null && amount !== undefined)
+      .map(amount => ({ amount, currency }))
+  ];
+
+  return findAmounts(withoutProductName(text, data), { currency })
+    .filter(claim => !known.some(amount => amount.currency === claim.currency && Math.abs(amount.amount - claim.amount) < 0.01))
+    .map(claim => ({
+      claim: claim.text,
+      message: price
+        ? `states ${claim.text}, which is not the product's price (${formatPrice(price)})`
+        : `states ${claim.text}, but the product data has no price`
+    }));
+});
+
+registerGroundingCheck('benefits', (text, data) => {
+  const input = getInputText(data, ['productName']);
+  const claimed = withoutProductName(text, data);
+
+  return BENEFIT_CLAIMS
+    .filter(benefit => !benefit.pattern.test(input))
+    .map(benefit => ({ benefit, match: claimed.match(benefit.pattern) }))
+    .filter(({ match }) => match)
+    .map(({ benefit, match }) => ({
+      claim: match[0],
+      message: `claims ${match[0]} (${benefit.name}), which is not among the product's benefits (${data.benefits || 'none listed'})`
+    }));
+});
+
+/**
+ * Check that a text only asserts facts found in the product data
+ *
+ * @param {string} text
+ * @param {Object} data - Product data the text was written for
+ * @returns {{ grounded: boolean, issues: Array<{ check, claim, message }> }}
+ */
+export function validateGrounding(text, data) {
+  const issues = [];
+
+  for (const [name, check] of groundingChecks) {
+    for (const issue of check(String(text || ''), data || {})) {
+      issues.push({ check: name, ...issue });
+    }
+  }
+
+  return { grounded: issues.length === 0, issues };
+}
+
+/**
+ * The input fields copy was derived from
+ *
+ * @param {Object} data - Product data
+ * @param {string[]} fields - Fields the copy is built from; a missing one means the copy
+ *   used fallback text in its place
+ * @param {Object} [options]
+ * @param {string[]} [options.optional] - Fields used when present, with nothing filled in otherwise
+ * @param {boolean} [options.fallback] - The copy used fallback text for another reason
+ * @returns {{ sources: string[], fallback: boolean }}
+ */
+export function attributeSources(data, fields, { optional = [], fallback = false } = {}) {
+  const sources = [...new Set([...fields, ...optional])].filter(field => hasValue(data?.[field]));
+
+  return {
+    sources: sources,
+    fallback: fallback || fields.some(field => !hasValue(data?.[field]))
+  };
+}
+
+/**
+ * Generate copy through a text provider and check it against the product data
+ *
+ * Provider text that fails the grounding checks is rejected in favour of the request's
+ * template copy (`request.fallback`); so is text from a provider that fails.
+ *
+ * @param {Object|null} provider - Text provider (template copy without one)
+ * @param {Object} request - Generation request, see LlmProvider
+ * @param {Object} data - Product data the copy is for
+ * @returns {Promise<{ text: string, fallback: boolean, issues: Object[] }>} `fallback` when the
+ *   template copy stood in for provider text; `issues` of rejected provider text
+ */
+export async function generateGroundedCopy(provider, request, data) {
+  if (!provider) {
+    return { text: request.fallback, fallback: false, issues: [] };
+  }
+
+  let text;
+  try {
+    text = (await provider.generate(request)).text;
+  } catch (error) {
+    console.warn(`⚠️  [${provider.name}] ${request.task} generation failed, using template copy: ${error.message}`);
+    if (request.fallback === undefined || request.fallback === null) {
+      throw error;
+    }
+    return { text: request.fallback, fallback: true, issues: [] };
+  }
+
+  const { grounded, issues } = validateGrounding(text, data);
+  if (!grounded && request.fallback !== undefined && request.fallback !== null) {
+    console.warn(`⚠️  [${provider.name}] ${request.task} copy rejected, using template copy: ${issues.map(issue => issue.message).join('; ')}`);
+    return { text: request.fallback, fallback: true, issues };
+  }
+
+  return { text, fallback: false, issues };
+}
+
+/**
+ * Drop the attribution fields from a section before rendering it
+ */
+export function withoutAttribution(section) {
+  if (!section || typeof section !== 'object' || Array.isArray(section)) return section;
+  return Object.fromEntries(Object.entries(section).filter(([key]) => !ATTRIBUTION_FIELDS.includes(key)));
+}
+
+/**
+ * All text of the product data (except the given fields), for finding what it mentions
+ */
+function getInputText(data, excludedFields = []) {
+  const texts = [];
+  const collect = value => {
+    if (typeof value === 'string' || typeof value === 'number') texts.push(String(value));
+    else if (Array.isArray(value)) value.forEach(collect);
+    else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+  };
+
+  for (const [field, value] of Object.entries(data || {})) {
+    if (!excludedFields.includes(field) && !GENERATED_FIELDS.includes(field)) collect(value);
+  }
+
+  return texts.join('\n');
+}
+
+function withoutProductName(text, data) {
+  return data?.productName ? String(text).split(data.productName).join(' ') : String(text);
+}
+
+/**
+ * Percentages in a text as numbers ("20%", "20 %" and "2,5 %" are 20, 20 and 2.5)
+ */
+function findPercentages(text) {
+  return Array.from(String(text).matchAll(/(\d+(?:[.,]\d+)?)\s*%/g), match => Number(match[1].replace(',', '.')));
+}
+
+function sameIngredient(first, second) {
+  return first.inci.toLowerCase() === second.inci.toLowerCase() ||
+    (Boolean(first.family) && first.family === second.family);
+}
+
+function hasValue(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
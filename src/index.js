@@ -1,35 +1,21 @@
 /**
- * Main Entry Point - 8-Agent Multi-Agent Content Generation System
- * 
- * This system demonstrates true multi-agent architecture with:
- * - 8 specialized autonomous agents
- * - Dynamic coordination without central control
- * - Emergent behavior from agent interactions
- * - Template engine with reusable content blocks
- * - Machine-readable output generation
+ * Main Entry Point - 8-Agent Multi-Agent Content Generation System CLI
+ *
+ * Usage:
+ *   node src/index.js generate --input examples/product.json --output output
+ *   node src/index.js validate --input examples/catalog.csv
+ *   node src/index.js list-templates
+ *   node src/index.js list-agents
+ *   node src/index.js inspect-output output
+ *
+ * Run `node src/index.js help` for all options and exit codes.
  */
 
-import { test8AgentSystem } from './test-8-agent-system.js';
+import { runCli } from './cli/commands.js';
 
-async function main() {
-  console.log('🚀 Starting 8-Agent Multi-Agent Content Generation System');
-  console.log('=' .repeat(70));
-  
-  try {
-    const results = await test8AgentSystem();
-    
-    console.log('\n🎉 System execution completed successfully!');
-    console.log('\n📊 Final Results Summary:');
-    console.log(`   Agents: ${results.systemMetrics.totalAgents}`);
-    console.log(`   Runtime: ${Math.round(results.systemMetrics.runtime / 1000)}s`);
-    console.log(`   Autonomy: ${Math.round(results.systemMetrics.autonomyRatio * 100)}%`);
-    console.log(`   Content Generated: ${Object.keys(results.generatedContent).length} types`);
-    
-  } catch (error) {
+runCli(process.argv.slice(2))
+  .then(exitCode => process.exit(exitCode))
+  .catch(error => {
     console.error('\n❌ System execution failed:', error.message);
     process.exit(1);
-  }
-}
-
-// Run the system
-main();
\ No newline at end of file
+  });
@@ -0,0 +1,257 @@
+/**
+ * IngredientParser - Turns free-text ingredient lists into structured ingredients
+ *
+ * "20% Vitamin C, Hyaluronic Acid, Niacinamide (5%)" becomes:
+ *   [{ name: 'Vitamin C', inci: 'Ascorbic Acid', percentage: 20, role: 'antioxidant', family: 'vitamin c', known: true }, ...]
+ *
+ * 1. Names are matched against a local synonym dictionary (dictionary.json) by INCI
+ *    name or any synonym ("vitamin b3" -> Niacinamide, "cica" -> Centella Asiatica Extract)
+ * 2. Percentages are read from "20% X", "X 20%" or "X (20%)"; a product's `concentration`
+ *    ("20% Vitamin C") fills in the percentage of the matching ingredient
+ * 3. Unknown ingredients keep their name as INCI name, with role 'other'
+ *
+ * Ingredients are compared by INCI name, and by family ("vitamin c" covers ascorbic acid
+ * and its derivatives), so "Vitamin C" and "L-Ascorbic Acid" count as the same ingredient.
+ */
+
+import fs from 'fs';
+
+export const INGREDIENT_ROLES = {
+  active: 'Targets a specific skin concern',
+  antioxidant: 'Protects against environmental damage',
+  humectant: 'Draws moisture into the skin',
+  emollient: 'Softens and supports the skin barrier',
+  exfoliant: 'Removes dead skin cells',
+  soothing: 'Calms and soothes the skin',
+  sunscreen: 'Protects against UV rays',
+  preservative: 'Keeps the formula stable and safe',
+  solvent: 'Carries the other ingredients',
+  fragrance: 'Adds scent',
+  other: 'Supporting ingredient'
+};
+
+const PERCENTAGE_PATTERN = /\(?\s*(\d+(?:\.\d+)?)\s*%\s*\)?/;
+
+const dictionary = new Map();
+
+/**
+ * Add an ingredient (and its synonyms) to the dictionary
+ *
+ * @param {Object} entry - { inci, role, family?, synonyms? }
+ */
+export function registerIngredient(entry) {
+  if (!entry.inci) {
+    throw new Error(`Ingredient dictionary entry needs an "inci" name: ${JSON.stringify(entry)}`);
+  }
+  if (entry.role && !(entry.role in INGREDIENT_ROLES)) {
+    throw new Error(`Unknown ingredient role "${entry.role}" for ${entry.inci}. Available roles: ${Object.keys(INGREDIENT_ROLES).join(', ')}`);
+  }
+
+  const normalized = { inci: entry.inci, role: entry.role || 'other', family: entry.family || null };
+  for (const name of [entry.inci, ...(entry.synonyms || [])]) {
+    dictionary.set(toKey(name), normalized);
+  }
+}
+
+for (const entry of JSON.parse(fs.readFileSync(new URL('./dictionary.json', import.meta.url), 'utf8'))) {
+  registerIngredient(entry);
+}
+
+/**
+ * Look up an ingredient by INCI name or synonym
+ *
+ * @returns {{ inci, role, family }|null}
+ */
+export function findIngredient(name) {
+  return dictionary.get(toKey(name)) || null;
+}
+
+/**
+ * Find the dictionary ingredients a text mentions by INCI name or synonym
+ *
+ * Names of three letters or fewer ("HA", "AHA", "SAP") only count when written in capitals.
+ *
+ * @returns {Array<{ name, inci, role, family }>} One entry per INCI name; `name` as written
+ */
+export function findIngredientMentions(text) {
+  const source = String(text || '');
+  const mentions = new Map();
+
+  for (const [key, entry] of dictionary) {
+    if (mentions.has(entry.inci)) continue;
+
+    const short = key.replace(/[^a-z0-9]/g, '').length <= 3;
+    const words = (short ? key.toUpperCase() : key).split(' ').map(escapeRegExp).join('[^\\p{L}\\p{N}%]+');
+    const match = source.match(new RegExp(`(?<![\\p{L}\\p{N}])${words}(?![\\p{L}\\p{N}])`, short ? 'u' : 'iu'));
+    if (match) {
+      mentions.set(entry.inci, { name: match[0], ...entry });
+    }
+  }
+
+  return Array.from(mentions.values());
+}
+
+/**
+ * Parse an ingredient list
+ *
+ * @param {string|Array} input - Comma- or semicolon-separated text, or a list of names
+ *   or { name, percentage } objects
+ * @param {Object} [options]
+ * @param {string} [options.concentration] - Product concentration, e.g. "20% Vitamin C"
+ * @returns {Array<{ name, inci, percentage, role, family, known }>}
+ */
+export function parseIngredients(input, options = {}) {
+  const items = Array.isArray(input) ? input : splitList(String(input || ''));
+  const ingredients = [];
+
+  for (const item of items) {
+    const ingredient = typeof item === 'object' && item !== null
+      ? { ...parseIngredient(String(item.name || '')), ...(item.percentage !== undefined && { percentage: Number(item.percentage) }) }
+      : parseIngredient(String(item));
+
+    // The same ingredient listed twice (e.g. "Vitamin C, Ascorbic Acid") is kept once
+    if (ingredient.name && !ingredients.some(existing => existing.inci === ingredient.inci)) {
+      ingredients.push(ingredient);
+    }
+  }
+
+  if (options.concentration) {
+    const concentrated = parseIngredient(String(options.concentration));
+    const match = concentrated.percentage !== null && ingredients.find(ingredient => sameIngredient(ingredient, concentrated));
+    if (match && match.percentage === null) {
+      match.percentage = concentrated.percentage;
+    }
+  }
+
+  return ingredients;
+}
+
+/**
+ * The ingredients of a product: the parsed `ingredients` from DataParserAgent, or
+ * parsed from its `keyIngredients` and `concentration`
+ */
+export function getIngredients(data) {
+  if (!data) return [];
+  if (Array.isArray(data.ingredients)) return data.ingredients;
+
+  return parseIngredients(data.keyIngredients, { concentration: data.concentration });
+}
+
+/**
+ * Compare two ingredient lists by INCI name and family
+ *
+ * @returns {{ shared: string[], onlyFirst: string[], onlySecond: string[], overlap: number }}
+ *   Names are the first list's names for shared ingredients; `overlap` is the
+ *   share of all distinct ingredients that both lists contain (0..1)
+ */
+export function compareIngredients(first, second) {
+  const shared = first.filter(ingredient => second.some(other => sameIngredient(ingredient, other)));
+  const onlyFirst = first.filter(ingredient => !shared.includes(ingredient));
+  const onlySecond = second.filter(other => !first.some(ingredient => sameIngredient(ingredient, other)));
+  const total = shared.length + onlyFirst.length + onlySecond.length;
+
+  return {
+    shared: shared.map(ingredient => ingredient.name),
+    onlyFirst: onlyFirst.map(ingredient => ingredient.name),
+    onlySecond: onlySecond.map(ingredient => ingredient.name),
+    overlap: total > 0 ? Math.round((shared.length / total) * 100) / 100 : 0
+  };
+}
+
+/**
+ * Describe ingredients for prose: "Vitamin C at 20% (antioxidant), Hyaluronic Acid (humectant) and Zinc"
+ *
+ * With a localizer the phrases, role names, percentages and list come from its locale.
+ */
+export function describeIngredients(ingredients, localizer = null) {
+  const descriptions = ingredients.map(ingredient => {
+    if (localizer) {
+      const name = ingredient.percentage !== null
+        ? localizer.t('ingredients.withPercentage', { name: ingredient.name, percentage: localizer.formatPercent(ingredient.percentage) })
+        : ingredient.name;
+      return ingredient.role !== 'other'
+        ? localizer.t('ingredients.withRole', { ingredient: name, role: localizer.t(`ingredients.roles.${ingredient.role}.name`) })
+        : name;
+    }
+
+    const percentage = ingredient.percentage !== null ? ` at ${ingredient.percentage}%` : '';
+    const role = ingredient.role !== 'other' ? ` (${ingredient.role})` : '';
+    return `${ingredient.name}${percentage}${role}`;
+  });
+
+  if (localizer) {
+    return localizer.formatList(descriptions);
+  }
+
+  return descriptions.length > 1
+    ? `${descriptions.slice(0, -1).join(', ')} and ${descriptions[descriptions.length - 1]}`
+    : descriptions.join('');
+}
+
+function parseIngredient(text) {
+  let name = text.trim();
+  let percentage = null;
+
+  const percentageMatch = name.match(PERCENTAGE_PATTERN);
+  if (percentageMatch) {
+    percentage = parseFloat(percentageMatch[1]);
+    name = name.replace(percentageMatch[0], ' ');
+  }
+
+  // "Vitamin C (Ascorbic Acid)": either name may be the one the dictionary knows
+  const aliasMatch = name.match(/^(.*?)\s*\(([^)]+)\)\s*$/);
+  const alias = aliasMatch ? aliasMatch[2].trim() : null;
+  name = (aliasMatch ? aliasMatch[1] : name).replace(/\s+/g, ' ').trim();
+
+  const entry = findIngredient(name) || (alias && findIngredient(alias));
+
+  return {
+    name: name,
+    inci: entry ? entry.inci : toTitleCase(name),
+    percentage: percentage,
+    role: entry ? entry.role : 'other',
+    family: entry ? entry.family : null,
+    known: Boolean(entry)
+  };
+}
+
+function sameIngredient(first, second) {
+  return first.inci.toLowerCase() === second.inci.toLowerCase() ||
+    (first.family !== null && first.family === second.family);
+}
+
+/**
+ * Split on commas and semicolons outside parentheses
+ */
+function splitList(text) {
+  const items = [];
+  let depth = 0;
+  let current = '';
+
+  for (const character of text) {
+    if (character === '(') depth++;
+    if (character === ')') depth = Math.max(0, depth - 1);
+
+    if ((character === ',' || character === ';') && depth === 0) {
+      items.push(current);
+      current = '';
+    } else {
+      current += character;
+    }
+  }
+  items.push(current);
+
+  return items.map(item => item.trim()).filter(Boolean);
+}
+
+function toKey(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9%-]+/g, ' ').trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toTitleCase(name) {
+  return name.replace(/\b([a-z])/g, letter => letter.toUpperCase());
+}
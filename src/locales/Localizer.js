@@ -0,0 +1,176 @@
+/**
+ * Localizer - Per-locale copy and number formatting for generated content
+ *
+ * Every locale has a resource bundle (src/locales/<code>.json) with:
+ * 1. templates - page template strings by template and field ("templates.faq_page.title")
+ * 2. questions / answers - the FAQ question bank and the phrases its answers use
+ * 3. blocks - section copy used by the content blocks
+ * 4. ingredients / seo - ingredient role names, SEO titles and descriptions
+ *
+ * Strings use {name} placeholders. A key missing from a bundle falls back to English,
+ * so a new locale can start small. Numbers, percentages, prices and lists are
+ * formatted with Intl for the locale.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatAmount, getEffectiveAmount } from '../pricing/PriceModel.js';
+
+const LOCALES_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_LOCALE = 'en';
+
+export const LOCALE_DEFINITIONS = [
+  {
+    code: 'en',
+    file: 'en.json',
+    language: 'English',
+    numberLocale: 'en',
+    currencyLocale: null // Each currency's own convention: ₹1,29,999, $19.99, €24.00
+  },
+  {
+    code: 'hi',
+    file: 'hi.json',
+    language: 'Hindi',
+    numberLocale: 'hi-IN',
+    currencyLocale: 'hi-IN'
+  },
+  {
+    code: 'es',
+    file: 'es.json',
+    language: 'Spanish',
+    numberLocale: 'es-ES',
+    currencyLocale: 'es-ES'
+  }
+];
+
+const bundles = new Map();
+const localizers = new Map();
+
+/**
+ * Get the codes of all locales with a resource bundle
+ */
+export function getLocaleCodes() {
+  return LOCALE_DEFINITIONS.map(definition => definition.code);
+}
+
+/**
+ * Load the resource bundle of a locale (cached)
+ */
+export function loadLocaleBundle(code) {
+  const definition = getLocaleDefinition(code);
+
+  if (!bundles.has(code)) {
+    const filePath = path.join(LOCALES_DIR, definition.file);
+    try {
+      bundles.set(code, JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (error) {
+      throw new Error(`Could not read locale bundle ${filePath}: ${error.message}`);
+    }
+  }
+
+  return bundles.get(code);
+}
+
+/**
+ * Get the localizer of a locale (one shared instance per locale)
+ */
+export function createLocalizer(code = DEFAULT_LOCALE) {
+  if (!localizers.has(code)) {
+    localizers.set(code, new Localizer(code));
+  }
+  return localizers.get(code);
+}
+
+export class Localizer {
+  constructor(code = DEFAULT_LOCALE) {
+    const definition = getLocaleDefinition(code);
+
+    this.locale = definition.code;
+    this.language = definition.language;
+    this.numberLocale = definition.numberLocale;
+    this.currencyLocale = definition.currencyLocale;
+    this.bundle = loadLocaleBundle(code);
+    this.fallbackBundle = code === DEFAULT_LOCALE ? null : loadLocaleBundle(DEFAULT_LOCALE);
+  }
+
+  /**
+   * Whether the locale (or English) has a string or list at the key
+   */
+  has(key) {
+    return lookup(this.bundle, key) !== undefined || (this.fallbackBundle !== null && lookup(this.fallbackBundle, key) !== undefined);
+  }
+
+  /**
+   * Get the value at a dotted key (falling back to English)
+   */
+  get(key) {
+    const value = lookup(this.bundle, key) ?? (this.fallbackBundle && lookup(this.fallbackBundle, key));
+    if (value === undefined || value === null) {
+      throw new Error(`Missing locale string "${key}" (${this.locale})`);
+    }
+    return value;
+  }
+
+  /**
+   * Translate a key, filling {name} placeholders from params
+   */
+  t(key, params = {}) {
+    return interpolate(String(this.get(key)), params);
+  }
+
+  /**
+   * Translate a list of strings
+   */
+  list(key, params = {}) {
+    return [].concat(this.get(key)).map(item => interpolate(String(item), params));
+  }
+
+  formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(this.numberLocale, options).format(value);
+  }
+
+  /**
+   * Format a percentage given in percent (20 -> "20%", "20 %" in Spanish)
+   */
+  formatPercent(value) {
+    return new Intl.NumberFormat(this.numberLocale, { style: 'percent', maximumFractionDigits: 2 }).format(value / 100);
+  }
+
+  formatAmount(amount, currency) {
+    return formatAmount(amount, currency, this.currencyLocale);
+  }
+
+  /**
+   * Format the price a customer pays (see PriceModel)
+   */
+  formatPrice(price) {
+    return this.formatAmount(getEffectiveAmount(price), price.currency);
+  }
+
+  /**
+   * Join items as a list ("A, B and C", "A, B y C", "A, B और C")
+   */
+  formatList(items) {
+    return new Intl.ListFormat(this.numberLocale, { style: 'long', type: 'conjunction' }).format(items.map(String));
+  }
+}
+
+function getLocaleDefinition(code) {
+  const definition = LOCALE_DEFINITIONS.find(candidate => candidate.code === code);
+
+  if (!definition) {
+    throw new Error(`Unknown locale: ${code}. Available locales: ${getLocaleCodes().join(', ')}`);
+  }
+
+  return definition;
+}
+
+function lookup(bundle, key) {
+  return key.split('.').reduce((value, segment) => (value && typeof value === 'object' ? value[segment] : undefined), bundle);
+}
+
+function interpolate(template, params) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined && params[name] !== null ? String(params[name]) : match));
+}
@@ -0,0 +1,50 @@
+/**
+ * DirectorySink - Writes output files into a directory on disk
+ *
+ * Every file (and the manifest) is written to a temporary sibling and renamed into
+ * place, so readers never see a half-written file even if the process dies mid-write.
+ * Files of earlier runs stay in the directory until they are overwritten or discarded.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { OutputSink, MANIFEST_FILE } from './OutputSink.js';
+
+export class DirectorySink extends OutputSink {
+  constructor(config = {}) {
+    super({ ...config, type: 'directory' });
+
+    this.directory = config.directory || 'output';
+  }
+
+  async persist(fileName, data) {
+    const filePath = path.join(this.directory, fileName);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    try {
+      fs.writeFileSync(tempPath, data);
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw new Error(`Could not write ${filePath}: ${error.message}`);
+    }
+  }
+
+  async remove(fileName) {
+    fs.rmSync(path.join(this.directory, fileName), { force: true });
+  }
+
+  async listStoredFiles() {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(path.join(this.directory, MANIFEST_FILE), 'utf8'));
+      return (manifest.files || []).map(entry => entry.file);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  describe() {
+    return this.directory;
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * MemorySink - Keeps output files in memory
+ *
+ * Nothing touches the disk, which makes it the sink for tests and dry runs.
+ * After finalize(), the manifest is available like any other file.
+ */
+
+import { OutputSink } from './OutputSink.js';
+
+export class MemorySink extends OutputSink {
+  constructor(config = {}) {
+    super({ ...config, type: 'memory' });
+
+    this.files = new Map(); // fileName -> Buffer, including the manifest
+  }
+
+  async persist(fileName, data) {
+    this.files.set(fileName, data);
+  }
+
+  /**
+   * Get every stored file as text
+   *
+   * @returns {Object<string, string>}
+   */
+  getFiles() {
+    return Object.fromEntries(
+      Array.from(this.files.entries()).map(([fileName, data]) => [fileName, data.toString('utf8')])
+    );
+  }
+
+  describe() {
+    return 'memory';
+  }
+}
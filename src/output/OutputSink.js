@@ -0,0 +1,271 @@
+/**
+ * OutputSink - Base class for the destinations generated files are written to
+ *
+ * Agents hand their output to a sink instead of writing files themselves. The base class:
+ * 1. Serializes content (objects as pretty-printed JSON, strings and buffers as-is)
+ * 2. Delegates storage to persist() in a subclass
+ * 3. Records every file of the run in a manifest with its size and SHA-256 checksum
+ * 4. Keeps this run's files readable, so agents can consume each other's output
+ *
+ * finalize() writes the manifest (manifest.json) through the same sink and then
+ * lets the subclass flush anything it buffered (e.g. a tar bundle).
+ *
+ * While writes are held (holdWrites()), files are recorded and readable but not stored
+ * until releaseWrites(), which can also drop all but some of them (e.g. when a compliance
+ * check blocks the pages of a run). discard() drops files and deletes them from sinks that
+ * keep files across runs, so a dropped page does not leave an earlier run's copy behind.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+
+export const MANIFEST_FILE = 'manifest.json';
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.md': 'text/markdown',
+  '.mdx': 'text/markdown',
+  '.txt': 'text/plain'
+};
+
+export class OutputSink {
+  constructor(config = {}) {
+    this.type = config.type || 'sink';
+    this.entries = new Map(); // fileName -> manifest entry
+    this.contents = new Map(); // fileName -> Buffer
+    this.heldFiles = null; // fileName -> { data, entry } while writes are held
+    this.finalizedAt = null;
+  }
+
+  /**
+   * Write a file
+   *
+   * @param {string} fileName - Relative path inside the sink (e.g. faq.json)
+   * @param {Object|string|Buffer} content - Objects are written as JSON
+   * @param {Object} [options]
+   * @param {string} [options.writtenBy] - Agent that produced the file
+   * @returns {Promise<Object>} The file's manifest entry
+   */
+  async write(fileName, content, { writtenBy = null } = {}) {
+    assertFileName(fileName);
+
+    if (fileName === MANIFEST_FILE) {
+      throw new Error(`${MANIFEST_FILE} is reserved for the ${this.type} sink's manifest`);
+    }
+
+    const data = serializeContent(content);
+    const entry = {
+      file: fileName,
+      contentType: getContentType(fileName),
+      bytes: data.length,
+      sha256: computeChecksum(data),
+      writtenBy: writtenBy,
+      writtenAt: new Date().toISOString()
+    };
+
+    // Agents may save the same page more than once; unchanged content is not written again
+    const previous = this.entries.get(fileName);
+    if (previous && previous.sha256 === entry.sha256) {
+      return previous;
+    }
+
+    if (this.heldFiles) {
+      this.heldFiles.set(fileName, { data, entry });
+    } else {
+      await this.persist(fileName, data, entry);
+    }
+    this.entries.set(fileName, entry);
+    this.contents.set(fileName, data);
+
+    console.log(`💾 [${this.type} sink] ${this.heldFiles ? 'Held' : 'Wrote'} ${fileName} (${data.length} bytes${writtenBy ? ` from ${writtenBy}` : ''})`);
+    return entry;
+  }
+
+  /**
+   * Keep the files written from now on in memory until they are released or discarded
+   */
+  holdWrites() {
+    if (!this.heldFiles) {
+      this.heldFiles = new Map();
+    }
+  }
+
+  /**
+   * Store the held files and stop holding writes
+   *
+   * @param {string[]} [fileNames] - Store only these files; the others are dropped from the run
+   * @returns {Promise<string[]>} The files discarded
+   */
+  async releaseWrites(fileNames = null) {
+    const held = this.heldFiles || new Map();
+    this.heldFiles = null;
+
+    const discarded = [];
+    for (const [fileName, { data, entry }] of held.entries()) {
+      if (fileNames && !fileNames.includes(fileName)) {
+        discarded.push(fileName);
+        continue;
+      }
+      await this.persist(fileName, data, entry);
+    }
+    await this.discard(discarded);
+
+    if (discarded.length > 0) {
+      console.log(`🗑️  [${this.type} sink] Discarded ${discarded.length} held file(s): ${discarded.join(', ')}`);
+    }
+    return discarded;
+  }
+
+  /**
+   * Drop files from the run and delete what is stored under their names, e.g. by an
+   * earlier run into the same directory
+   */
+  async discard(fileNames) {
+    for (const fileName of fileNames) {
+      this.entries.delete(fileName);
+      this.contents.delete(fileName);
+      await this.remove(fileName);
+    }
+  }
+
+  /**
+   * Check if writes are being held
+   */
+  isHoldingWrites() {
+    return this.heldFiles !== null;
+  }
+
+  /**
+   * Check if a file was written during this run
+   */
+  has(fileName) {
+    return this.contents.has(fileName);
+  }
+
+  /**
+   * Read a file written during this run
+   *
+   * @returns {Buffer|null}
+   */
+  read(fileName) {
+    return this.contents.get(fileName) || null;
+  }
+
+  /**
+   * Read and parse a JSON file written during this run
+   */
+  readJson(fileName) {
+    const data = this.read(fileName);
+    return data ? JSON.parse(data.toString('utf8')) : null;
+  }
+
+  /**
+   * Get the manifest entry of a file written during this run
+   */
+  getEntry(fileName) {
+    return this.entries.get(fileName) || null;
+  }
+
+  /**
+   * Get the manifest: every file written so far with its checksum
+   */
+  getManifest() {
+    return {
+      sink: this.type,
+      location: this.describe(),
+      finalizedAt: this.finalizedAt,
+      files: Array.from(this.entries.values()).sort((a, b) => a.file.localeCompare(b.file))
+    };
+  }
+
+  /**
+   * Write the manifest and flush the sink
+   *
+   * @returns {Promise<Object>} The manifest
+   */
+  async finalize() {
+    this.finalizedAt = new Date().toISOString();
+    const manifest = this.getManifest();
+    const data = serializeContent(manifest);
+
+    await this.persist(MANIFEST_FILE, data, {
+      file: MANIFEST_FILE,
+      contentType: 'application/json',
+      bytes: data.length,
+      sha256: computeChecksum(data)
+    });
+    await this.flush();
+
+    console.log(`📋 [${this.type} sink] Manifest lists ${manifest.files.length} files${manifest.location ? ` (${manifest.location})` : ''}`);
+    return manifest;
+  }
+
+  /**
+   * Store one file (implemented by subclasses)
+   */
+  async persist(fileName, data, entry) {
+    throw new Error(`${this.constructor.name} must implement persist()`);
+  }
+
+  /**
+   * Flush buffered files after the manifest is written (optional)
+   */
+  async flush() {}
+
+  /**
+   * Delete a stored file, if there is one (optional, for sinks that keep files across runs)
+   */
+  async remove(fileName) {}
+
+  /**
+   * Files stored by an earlier run, as listed in its manifest (optional, for sinks that keep
+   * files across runs)
+   *
+   * @returns {Promise<string[]>}
+   */
+  async listStoredFiles() {
+    return [];
+  }
+
+  /**
+   * Where the files end up, for logs and the manifest (optional)
+   */
+  describe() {
+    return null;
+  }
+}
+
+/**
+ * SHA-256 checksum of file contents, hex encoded
+ */
+export function computeChecksum(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Convert content to the bytes that are written
+ */
+export function serializeContent(content) {
+  if (Buffer.isBuffer(content)) return content;
+  if (typeof content === 'string') return Buffer.from(content, 'utf8');
+  return Buffer.from(JSON.stringify(content, null, 2), 'utf8');
+}
+
+function getContentType(fileName) {
+  return CONTENT_TYPES[path.extname(fileName).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Only relative paths that stay inside the sink are allowed
+ */
+function assertFileName(fileName) {
+  if (typeof fileName !== 'string' || !fileName) {
+    throw new Error('Output file name must be a non-empty string');
+  }
+
+  const normalized = path.posix.normalize(fileName.replace(/\\/g, '/'));
+  if (path.posix.isAbsolute(normalized) || normalized.startsWith('../') || normalized === '..') {
+    throw new Error(`Output file name must be a relative path inside the sink: ${fileName}`);
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * SinkRegistry - Creates the output sink generated files are written to
+ *
+ * This registry:
+ * 1. Describes every sink type the system supports
+ * 2. Creates a sink from a plain config object ({ type, ...options })
+ */
+
+import { DirectorySink } from './DirectorySink.js';
+import { MemorySink } from './MemorySink.js';
+import { TarSink } from './TarSink.js';
+import { WebhookSink } from './WebhookSink.js';
+
+export const SINK_DEFINITIONS = [
+  {
+    type: 'directory',
+    SinkClass: DirectorySink,
+    description: 'Files in an output directory, written atomically'
+  },
+  {
+    type: 'memory',
+    SinkClass: MemorySink,
+    description: 'Files kept in memory (tests and dry runs)'
+  },
+  {
+    type: 'tar',
+    SinkClass: TarSink,
+    description: 'A single tar (or .tar.gz) bundle written when the run finishes'
+  },
+  {
+    type: 'webhook',
+    SinkClass: WebhookSink,
+    description: 'Each file POSTed as JSON to an HTTP endpoint'
+  }
+];
+
+/**
+ * Get the types of all registered sinks
+ */
+export function getSinkTypes() {
+  return SINK_DEFINITIONS.map(definition => definition.type);
+}
+
+/**
+ * Create an output sink
+ *
+ * @param {Object} [config]
+ * @param {string} [config.type='directory'] - One of getSinkTypes()
+ * @returns {OutputSink}
+ */
+export function createOutputSink(config = {}) {
+  const { type = 'directory', ...options } = config;
+  const definition = SINK_DEFINITIONS.find(candidate => candidate.type === type);
+
+  if (!definition) {
+    throw new Error(`Unknown output sink: ${type}. Available sinks: ${getSinkTypes().join(', ')}`);
+  }
+
+  return new definition.SinkClass(options);
+}
@@ -0,0 +1,99 @@
+/**
+ * TarSink - Bundles output files into a single tar archive
+ *
+ * Files are buffered in memory and the archive is written when the sink is
+ * finalized, with the manifest as its last entry. The archive is:
+ * 1. A POSIX ustar file readable by `tar -xf` (gzipped when the name ends in .gz or .tgz)
+ * 2. Written to a temporary file and renamed into place, so it is never half-written
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { OutputSink } from './OutputSink.js';
+
+const BLOCK_SIZE = 512;
+
+export class TarSink extends OutputSink {
+  constructor(config = {}) {
+    super({ ...config, type: 'tar' });
+
+    this.file = config.file || path.join(config.directory || 'output', 'bundle.tar');
+    this.gzip = config.gzip ?? /\.(tgz|gz)$/.test(this.file);
+    this.files = new Map(); // fileName -> { data, mtime }
+  }
+
+  async persist(fileName, data) {
+    if (Buffer.byteLength(fileName) > 100) {
+      throw new Error(`Tar entry name is longer than 100 bytes: ${fileName}`);
+    }
+
+    this.files.set(fileName, { data, mtime: Math.floor(Date.now() / 1000) });
+  }
+
+  /**
+   * Write the archive
+   */
+  async flush() {
+    const blocks = [];
+
+    for (const [fileName, { data, mtime }] of this.files.entries()) {
+      blocks.push(createHeader(fileName, data.length, mtime), data);
+
+      const padding = (BLOCK_SIZE - (data.length % BLOCK_SIZE)) % BLOCK_SIZE;
+      if (padding > 0) blocks.push(Buffer.alloc(padding));
+    }
+
+    // End of archive: two empty blocks
+    blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+
+    const archive = this.gzip ? zlib.gzipSync(Buffer.concat(blocks)) : Buffer.concat(blocks);
+    const tempPath = `${this.file}.${process.pid}.tmp`;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    try {
+      fs.writeFileSync(tempPath, archive);
+      fs.renameSync(tempPath, this.file);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw new Error(`Could not write ${this.file}: ${error.message}`);
+    }
+
+    console.log(`📦 [tar sink] Bundled ${this.files.size} files into ${this.file} (${archive.length} bytes)`);
+  }
+
+  describe() {
+    return this.file;
+  }
+}
+
+/**
+ * Build a ustar header block for a regular file
+ */
+function createHeader(fileName, size, mtime) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  header.write(fileName, 0, 100, 'utf8');
+  writeOctal(header, 0o644, 100, 8); // mode
+  writeOctal(header, 0, 108, 8); // uid
+  writeOctal(header, 0, 116, 8); // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, mtime, 136, 12);
+  header.fill(' ', 148, 156); // checksum is computed with its own field as spaces
+  header.write('0', 156, 1, 'ascii'); // regular file
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  let checksum = 0;
+  for (const byte of header) checksum += byte;
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+
+  return header;
+}
+
+/**
+ * Write a zero-padded, NUL-terminated octal number into a header field
+ */
+function writeOctal(header, value, offset, length) {
+  header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+}
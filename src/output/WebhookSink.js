@@ -0,0 +1,69 @@
+/**
+ * WebhookSink - Delivers output files to an HTTP endpoint
+ *
+ * Every file (and finally the manifest) is POSTed as JSON to a configurable URL,
+ * e.g. a publishing service or a local stand-in server:
+ *   { event, source, file, contentType, bytes, sha256, encoding, content }
+ * Text files are sent as utf8, everything else base64 encoded. Requests that time
+ * out or get a non-2xx response fail the write.
+ */
+
+import { OutputSink, MANIFEST_FILE } from './OutputSink.js';
+
+export class WebhookSink extends OutputSink {
+  constructor(config = {}) {
+    super({ ...config, type: 'webhook' });
+
+    if (!config.url) {
+      throw new Error('Webhook sink requires a url');
+    }
+
+    this.url = config.url;
+    this.source = config.source || null; // Identifies the run or product to the receiver
+    this.headers = config.headers || {};
+    this.timeout = config.timeout || 10000;
+    this.fetchImpl = config.fetchImpl || globalThis.fetch;
+
+    if (typeof this.fetchImpl !== 'function') {
+      throw new Error('Webhook sink requires a fetch implementation (Node 18+ or config.fetchImpl)');
+    }
+  }
+
+  async persist(fileName, data, entry) {
+    const isText = /^(text\/|application\/json)/.test(entry.contentType);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await this.fetchImpl(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.headers },
+        signal: controller.signal,
+        body: JSON.stringify({
+          event: fileName === MANIFEST_FILE ? 'manifest' : 'file',
+          source: this.source,
+          file: fileName,
+          contentType: entry.contentType,
+          bytes: entry.bytes,
+          sha256: entry.sha256,
+          encoding: isText ? 'utf8' : 'base64',
+          content: data.toString(isText ? 'utf8' : 'base64')
+        })
+      });
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? `timed out after ${this.timeout}ms` : error.message;
+      throw new Error(`Webhook ${this.url} did not accept ${fileName}: ${reason}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      throw new Error(`Webhook ${this.url} rejected ${fileName}: HTTP ${response.status}`);
+    }
+  }
+
+  describe() {
+    return this.url;
+  }
+}
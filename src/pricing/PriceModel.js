@@ -0,0 +1,498 @@
+/**
+ * PriceModel - Parses, formats and compares product prices in any supported currency
+ *
+ * A price is:
+ *   { amount, currency, original, salePrice, packSize, unitPrice }
+ * 1. `amount` is the regular (list) price and `salePrice` the discounted price, if any
+ * 2. `currency` is an ISO 4217 code, detected from a symbol or code in the text
+ *    ("₹1,299", "$19.99", "19,99 €", "1.299,00 EUR", "Rs. 1,49,999") or taken from options
+ * 3. `packSize` ({ quantity, unit }) comes from "/ 30ml", "per 100 g", "for a pack of 3",
+ *    "50 ml for $20", ... and gives the `unitPrice` used to compare products of different sizes
+ * 4. Sale prices come from "was ₹999 now ₹799", "₹999 (sale ₹799)", "₹999 → ₹799",
+ *    "₹799 (was ₹999)" or "₹799 was ₹999"
+ * 5. Multi-packs: "2 x $10" and "$10 x 2" are two at $10 each ($20 for a pack of 2),
+ *    "2 for $10" is $10 for a pack of 2
+ *
+ * Amounts use "," and "." by the locale when one is given; otherwise a separator
+ * followed by exactly three digits is read as grouping and any other as decimals.
+ * A negative amount, or an ISO code of a currency that is not supported ("CHF 12.50"),
+ * leaves the text without a price.
+ */
+
+export const DEFAULT_CURRENCY = 'INR';
+
+export const CURRENCY_DEFINITIONS = [
+  {
+    code: 'INR',
+    symbols: ['₹', 'Rs.', 'Rs'],
+    locale: 'en-IN',
+    decimals: 2,
+    wholeUnits: true,
+    priceBands: { budget: 500, premium: 1000 }
+  },
+  {
+    code: 'USD',
+    symbols: ['US$', '$'],
+    locale: 'en-US',
+    decimals: 2,
+    priceBands: { budget: 15, premium: 40 }
+  },
+  {
+    code: 'EUR',
+    symbols: ['€'],
+    locale: 'en-IE',
+    decimals: 2,
+    priceBands: { budget: 15, premium: 40 }
+  },
+  {
+    code: 'GBP',
+    symbols: ['£'],
+    locale: 'en-GB',
+    decimals: 2,
+    priceBands: { budget: 12, premium: 35 }
+  },
+  {
+    code: 'JPY',
+    symbols: ['¥', '円'],
+    locale: 'en-US',
+    decimals: 0,
+    priceBands: { budget: 2000, premium: 5000 }
+  },
+  {
+    code: 'CAD',
+    symbols: ['CA$', 'C$'],
+    locale: 'en-US',
+    decimals: 2,
+    priceBands: { budget: 20, premium: 50 }
+  },
+  {
+    code: 'AUD',
+    symbols: ['A$', 'AU$'],
+    locale: 'en-US',
+    decimals: 2,
+    priceBands: { budget: 20, premium: 55 }
+  },
+  {
+    code: 'AED',
+    symbols: ['د.إ', 'Dhs', 'Dh'],
+    locale: 'en-US',
+    decimals: 2,
+    priceBands: { budget: 50, premium: 150 }
+  }
+];
+
+// Longest symbols first, so "US$" wins over "$" and "Rs." over "Rs"
+const SYMBOLS = CURRENCY_DEFINITIONS
+  .flatMap(definition => definition.symbols.map(symbol => ({ symbol, code: definition.code })))
+  .sort((a, b) => b.symbol.length - a.symbol.length);
+
+// Each names the regular and the sale price, in the order the text gives them
+const SALE_PATTERNS = [
+  /^(?:was|mrp|list(?:\s+price)?|regular(?:\s+price)?)\s*:?\s*(?<regular>.+?)\s*[,;]?\s+(?:now|sale|offer)\s*:?\s*(?<sale>.+)$/i,
+  /^(?<regular>.+?)\s*\(\s*(?:sale|now|offer)\s*:?\s*(?<sale>[^)]+)\)$/i,
+  /^(?<sale>.+?)\s*\(\s*(?:was|mrp|regular(?:\s+price)?)\s*:?\s*(?<regular>[^)]+)\)$/i,
+  /^(?<sale>.+?)\s*[,;]?\s+(?:was|mrp)\s*:?\s*(?<regular>.+)$/i,
+  /^(?<regular>.+?)\s*(?:→|->)\s*(?<sale>.+)$/
+];
+
+// "2 x $10" and "$10 x 2" give the price of each item, "2 for $10" the price of the pack
+const MULTI_PACK_PATTERNS = [
+  { pattern: /^(?<quantity>\d+)\s*[x×]\s*(?<price>.*\d.*)$/i, each: true },
+  { pattern: /^(?<price>.*\d.*?)\s*[x×]\s*(?<quantity>\d+)$/i, each: true },
+  { pattern: /^(?<quantity>\d+)\s+for\s+(?<price>.*\d.*)$/i, each: false }
+];
+
+const PACK_UNITS = 'ml|l|g|kg|mg|fl\\.?\\s?oz|oz|capsules?|tablets?|softgels?|gummies|count|ct|pcs|pieces?|units?';
+
+const PACK_SIZE_PATTERN = new RegExp(`\\s*(?:\\/|\\bper\\b|\\bfor\\b)\\s*(?:(?:a\\s+)?pack\\s+of\\s+)?(\\d+(?:[.,]\\d+)?)?\\s*(${PACK_UNITS})?\\.?\\s*$`, 'i');
+
+// A pack size written before the price: "50 ml for $20"
+const LEADING_PACK_SIZE_PATTERN = new RegExp(`^(\\d+(?:[.,]\\d+)?)\\s*(${PACK_UNITS})\\.?\\s+(?:for|at)\\s+(.*\\d.*)$`, 'i');
+
+// A minus sign before the amount that is not a hyphen in a word: "-5", "-$5", "$-5", "Rs. -5"
+const NEGATIVE_PATTERN = /(?:^|[^\p{L}\d])[-−]\s*\D{0,4}$/u;
+
+const ISO_CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency'));
+
+const NUMBER_PATTERN = /\d[\d.,'\s  ]*\d|\d/;
+
+// An amount written with a currency symbol or code before or after it ("₹399", "19,99 €", "USD 20")
+const CURRENCY_MARK = [...SYMBOLS.map(({ symbol }) => symbol.replace(/[$.]/g, '\\$&')), ...CURRENCY_DEFINITIONS.map(({ code }) => code)].join('|');
+const AMOUNT_PATTERN = new RegExp(`(?<!\\p{L})(?:${CURRENCY_MARK})\\s?\\d(?:[\\d.,]*\\d)?|\\d(?:[\\d.,]*\\d)?\\s?(?:${CURRENCY_MARK})(?!\\p{L})`, 'gu');
+
+/**
+ * Get the codes of all supported currencies
+ */
+export function getCurrencyCodes() {
+  return CURRENCY_DEFINITIONS.map(definition => definition.code);
+}
+
+/**
+ * Get the definition of a currency (symbols, formatting locale, price bands)
+ */
+export function getCurrency(code) {
+  const definition = CURRENCY_DEFINITIONS.find(candidate => candidate.code === String(code).toUpperCase());
+
+  if (!definition) {
+    throw new Error(`Unknown currency: ${code}. Available currencies: ${getCurrencyCodes().join(', ')}`);
+  }
+
+  return definition;
+}
+
+/**
+ * Parse a price from a string ("$19.99 / 30ml"), a number or an object
+ * ({ amount, currency, salePrice, packSize })
+ *
+ * @param {string|number|Object} input
+ * @param {Object} [options]
+ * @param {string} [options.currency] - Currency when the input names none (default INR)
+ * @param {string} [options.locale] - Locale whose decimal separator the input uses
+ * @param {string|number} [options.salePrice] - Sale price given separately
+ * @param {string|Object} [options.packSize] - Pack size given separately ("30 ml")
+ * @returns {Object|null} The price, or null when the input holds no amount
+ */
+export function parsePrice(input, options = {}) {
+  if (input === null || input === undefined || input === '') {
+    return null;
+  }
+
+  if (typeof input === 'object') {
+    const { amount, currency, salePrice, packSize, original } = input;
+    return parsePrice(amount, {
+      ...options,
+      currency: currency || options.currency,
+      salePrice: salePrice ?? options.salePrice,
+      packSize: packSize ?? options.packSize,
+      original: original
+    });
+  }
+
+  const original = options.original || String(input).trim();
+  let text = String(input).trim();
+
+  let packSize = parsePackSize(options.packSize);
+  const packMatch = text.match(PACK_SIZE_PATTERN);
+  if (packMatch && (packMatch[1] || packMatch[2]) && packMatch.index > 0) {
+    packSize = packSize || {
+      quantity: packMatch[1] ? parseNumber(packMatch[1], options.locale) : 1,
+      unit: (packMatch[2] || 'units').toLowerCase().replace(/\s+/g, '')
+    };
+    text = text.slice(0, packMatch.index);
+  } else {
+    const leadingMatch = text.match(LEADING_PACK_SIZE_PATTERN);
+    if (leadingMatch) {
+      packSize = packSize || {
+        quantity: parseNumber(leadingMatch[1], options.locale),
+        unit: leadingMatch[2].toLowerCase().replace(/\s+/g, '')
+      };
+      text = leadingMatch[3];
+    }
+  }
+
+  let items = 1;
+  for (const { pattern, each } of MULTI_PACK_PATTERNS) {
+    const match = text.match(pattern);
+    if (match && Number(match.groups.quantity) > 0) {
+      const quantity = Number(match.groups.quantity);
+      items = each ? quantity : 1;
+      packSize = packSize ? { quantity: packSize.quantity * quantity, unit: packSize.unit } : { quantity, unit: 'units' };
+      text = match.groups.price;
+      break;
+    }
+  }
+
+  let saleText = options.salePrice ?? null;
+  for (const pattern of SALE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      text = match.groups.regular;
+      saleText = saleText ?? match.groups.sale;
+      break;
+    }
+  }
+
+  const regular = parseMoney(text, options);
+  if (!regular) {
+    return null;
+  }
+
+  const amount = roundAmount(regular.amount * items, regular.currency);
+  const sale = saleText === null ? null : parseMoney(String(saleText), { ...options, currency: regular.currency });
+  // A sale price in the text is per item like the regular one; options.salePrice is the pack's
+  const saleAmount = sale ? roundAmount(sale.amount * (options.salePrice == null ? items : 1), regular.currency) : null;
+  const salePrice = saleAmount !== null && saleAmount < amount ? saleAmount : null;
+
+  return buildPrice({ amount, currency: regular.currency, original, salePrice, packSize });
+}
+
+/**
+ * The price of a product: the parsed `priceDetails` from DataParserAgent, or parsed
+ * from its `price`, `currency`, `salePrice` and `packSize` fields
+ */
+export function getPrice(data, options = {}) {
+  if (!data) return null;
+  if (data.priceDetails) return data.priceDetails;
+
+  return parsePrice(data.price, {
+    ...options,
+    currency: data.currency || options.currency,
+    salePrice: data.salePrice,
+    packSize: data.packSize
+  });
+}
+
+/**
+ * The amount a customer pays: the sale price when there is one
+ */
+export function getEffectiveAmount(price) {
+  return price.salePrice ?? price.amount;
+}
+
+/**
+ * Format an amount in a currency ("₹1,299", "₹499.50", "$19.99", "€24.00"); currencies
+ * whose prices are usually written in whole units (INR) only show decimals when there are any
+ */
+export function formatAmount(amount, currency = DEFAULT_CURRENCY, locale = null) {
+  const definition = getCurrency(currency);
+  const whole = definition.decimals === 0 || (definition.wholeUnits && Number.isInteger(amount));
+
+  return new Intl.NumberFormat(locale || definition.locale, {
+    style: 'currency',
+    currency: definition.code,
+    minimumFractionDigits: whole ? 0 : undefined
+  }).format(amount);
+}
+
+/**
+ * Format the price a customer pays
+ */
+export function formatPrice(price, locale = null) {
+  return formatAmount(getEffectiveAmount(price), price.currency, locale);
+}
+
+/**
+ * Round an amount to the minor unit of its currency (paise, cents, whole yen, ...)
+ */
+export function roundAmount(amount, currency = DEFAULT_CURRENCY) {
+  const factor = 10 ** getCurrency(currency).decimals;
+  return Math.round(amount * factor) / factor;
+}
+
+/**
+ * A price in the same currency, scaled by a factor (e.g. a competitor priced 20% higher)
+ */
+export function scalePrice(price, factor) {
+  return buildPrice({
+    amount: roundAmount(getEffectiveAmount(price) * factor, price.currency),
+    currency: price.currency,
+    packSize: price.packSize
+  });
+}
+
+/**
+ * The price band of a price in its currency: 'budget', 'standard' or 'premium'
+ */
+export function getPriceBand(price) {
+  const { budget, premium } = getCurrency(price.currency).priceBands;
+  const amount = getEffectiveAmount(price);
+
+  if (amount < budget) return 'budget';
+  if (amount > premium) return 'premium';
+  return 'standard';
+}
+
+/**
+ * Compare two prices: per unit when both packs use the same unit, else by the amount paid
+ *
+ * @returns {{ comparable: boolean, basis?: string, cheaper?: string, difference?: number, reason?: string }}
+ *   `cheaper` is 'first', 'second' or 'equal'; `difference` is in the prices' currency
+ */
+export function comparePrices(first, second) {
+  if (!first || !second) {
+    return { comparable: false, reason: 'price missing' };
+  }
+  if (first.currency !== second.currency) {
+    return { comparable: false, reason: `different currencies (${first.currency}, ${second.currency})` };
+  }
+
+  const byUnit = first.unitPrice && second.unitPrice && first.unitPrice.unit === second.unitPrice.unit;
+  const a = byUnit ? first.unitPrice.amount : getEffectiveAmount(first);
+  const b = byUnit ? second.unitPrice.amount : getEffectiveAmount(second);
+
+  return {
+    comparable: true,
+    basis: byUnit ? `per ${first.unitPrice.unit}` : 'price',
+    cheaper: a === b ? 'equal' : a < b ? 'first' : 'second',
+    difference: Math.round(Math.abs(a - b) * 10000) / 10000
+  };
+}
+
+/**
+ * The schema.org Offer for a price; a sale price becomes the offer price with the
+ * regular price as its list price
+ */
+export function toSchemaOffer(price, options = {}) {
+  const { availability = 'https://schema.org/InStock' } = options;
+  if (!price) return null;
+
+  const offer = {
+    '@type': 'Offer',
+    'price': String(getEffectiveAmount(price)),
+    'priceCurrency': price.currency,
+    'availability': availability
+  };
+
+  if (price.salePrice !== null) {
+    offer.priceSpecification = {
+      '@type': 'UnitPriceSpecification',
+      'priceType': 'https://schema.org/ListPrice',
+      'price': String(price.amount),
+      'priceCurrency': price.currency
+    };
+  }
+  if (price.packSize) {
+    offer.eligibleQuantity = {
+      '@type': 'QuantitativeValue',
+      'value': price.packSize.quantity,
+      'unitText': price.packSize.unit
+    };
+  }
+
+  return offer;
+}
+
+function buildPrice({ amount, currency, original = null, salePrice = null, packSize = null }) {
+  const price = {
+    amount: amount,
+    currency: currency,
+    original: original ?? formatAmount(amount, currency),
+    salePrice: salePrice,
+    packSize: packSize,
+    unitPrice: null
+  };
+
+  if (packSize && packSize.quantity > 0) {
+    price.unitPrice = {
+      amount: Math.round((getEffectiveAmount(price) / packSize.quantity) * 10000) / 10000,
+      unit: packSize.unit
+    };
+  }
+
+  return price;
+}
+
+/**
+ * Find the currency and amount in a piece of text
+ */
+function parseMoney(text, options) {
+  const numberMatch = text.match(NUMBER_PATTERN);
+  if (!numberMatch) return null;
+  if (NEGATIVE_PATTERN.test(text.slice(0, numberMatch.index))) return null;
+  if (findUnsupportedCurrency(text)) return null;
+
+  const amount = parseNumber(numberMatch[0], options.locale);
+  if (!Number.isFinite(amount)) return null;
+
+  return { amount, currency: detectCurrency(text, options.currency) };
+}
+
+/**
+ * The money amounts a text names with a currency ("It costs ₹399, or $5 per ml")
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.currency] - Currency a bare "$" stands for when it is CAD or AUD
+ * @returns {Array<{ text: string, amount: number, currency: string }>}
+ */
+export function findAmounts(text, options = {}) {
+  return Array.from(String(text).matchAll(AMOUNT_PATTERN), ([match]) => ({
+    text: match,
+    amount: parseNumber(match.match(NUMBER_PATTERN)[0]),
+    currency: detectCurrency(match, options.currency)
+  }));
+}
+
+/**
+ * Why a price text holds no usable price although it has an amount: a negative amount or
+ * an unsupported currency ("CHF 12.50"); null otherwise
+ */
+export function findPriceProblem(text) {
+  const value = String(text);
+  const currency = findUnsupportedCurrency(value);
+  if (currency) {
+    return `is in ${currency}, which is not a supported currency (${getCurrencyCodes().join(', ')})`;
+  }
+
+  const numberMatch = value.match(NUMBER_PATTERN);
+  return numberMatch && NEGATIVE_PATTERN.test(value.slice(0, numberMatch.index)) ? 'is negative' : null;
+}
+
+/**
+ * ISO code in a price text of a currency that is not supported, if any
+ */
+function findUnsupportedCurrency(text) {
+  return text.match(/\b[A-Z]{3}\b/g)?.find(code => ISO_CURRENCY_CODES.has(code) && !getCurrencyCodes().includes(code)) || null;
+}
+
+/**
+ * Currency named in the text (ISO code or symbol); a bare "$" keeps a configured
+ * dollar currency (CAD, AUD) and is USD otherwise
+ */
+function detectCurrency(text, fallback) {
+  const configured = fallback ? getCurrency(fallback).code : DEFAULT_CURRENCY;
+
+  const code = text.toUpperCase().match(/\b[A-Z]{3}\b/g)?.find(candidate => getCurrencyCodes().includes(candidate));
+  if (code) return code;
+
+  const found = SYMBOLS.find(({ symbol }) => text.includes(symbol));
+  if (!found) return configured;
+  if (found.symbol === '$' && ['CAD', 'AUD'].includes(configured)) return configured;
+
+  return found.code;
+}
+
+/**
+ * Turn "1,299.50", "1.299,50", "1,49,999" or "19,99" into a number
+ */
+function parseNumber(text, locale = null) {
+  const digits = text.replace(/['\s  ]/g, '');
+  const lastComma = digits.lastIndexOf(',');
+  const lastDot = digits.lastIndexOf('.');
+  let decimal = null;
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    decimal = lastComma > lastDot ? ',' : '.';
+  } else if (lastComma !== -1 || lastDot !== -1) {
+    const separator = lastComma !== -1 ? ',' : '.';
+    const occurrences = digits.split(separator).length - 1;
+    const localeDecimal = locale ? getDecimalSeparator(locale) : null;
+
+    if (localeDecimal) {
+      decimal = occurrences === 1 && separator === localeDecimal ? separator : null;
+    } else {
+      decimal = occurrences === 1 && digits.length - digits.lastIndexOf(separator) - 1 !== 3 ? separator : null;
+    }
+  }
+
+  if (decimal === null) {
+    return Number(digits.replace(/[.,]/g, ''));
+  }
+
+  const grouping = decimal === ',' ? '.' : ',';
+  return Number(digits.split(grouping).join('').replace(decimal, '.'));
+}
+
+function getDecimalSeparator(locale) {
+  return new Intl.NumberFormat(locale).formatToParts(1.1).find(part => part.type === 'decimal')?.value || '.';
+}
+
+function parsePackSize(packSize) {
+  if (!packSize) return null;
+  if (typeof packSize === 'object') {
+    return { quantity: Number(packSize.quantity), unit: String(packSize.unit || 'units').toLowerCase() };
+  }
+
+  const match = String(packSize).match(/(\d+(?:[.,]\d+)?)\s*([a-zA-Z. ]+)?/);
+  return match ? { quantity: parseNumber(match[1]), unit: (match[2] || 'units').trim().toLowerCase().replace(/\s+/g, '') } : null;
+}
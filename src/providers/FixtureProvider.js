@@ -0,0 +1,83 @@
+/**
+ * FixtureProvider - Deterministic offline text provider
+ *
+ * Answers requests from a fixture map instead of a model:
+ * 1. `responses[request.key]` - exact response for one request
+ * 2. `responses[request.task]` - response for every request of a task
+ *    ({{placeholders}} are filled from request.variables)
+ * 3. The request's template fallback copy (counted as a miss, with no token usage)
+ *
+ * With `strict: true` a request without a fixture fails instead of using the fallback,
+ * which makes missing fixtures visible in tests.
+ */
+
+import fs from 'fs';
+import { LlmProvider } from './LlmProvider.js';
+
+export class FixtureProvider extends LlmProvider {
+  constructor(config = {}) {
+    super({ ...config, name: config.name || 'fixture', model: config.model || 'fixture' });
+
+    this.responses = { ...(config.responses || {}) };
+    this.strict = config.strict || false;
+    this.calls = [];
+    this.misses = 0;
+
+    if (config.fixturesFile) {
+      Object.assign(this.responses, loadFixtures(config.fixturesFile));
+    }
+  }
+
+  /**
+   * Look up the response for a request
+   */
+  async complete(request) {
+    this.calls.push({ task: request.task, key: request.key });
+
+    const fixture = (request.key && this.responses[request.key]) ?? this.responses[request.task];
+
+    if (fixture !== undefined) {
+      const text = typeof fixture === 'string' ? fixture : fixture.text;
+      return {
+        text: fillPlaceholders(text, request.variables || {}),
+        usage: typeof fixture === 'object' ? fixture.usage : undefined
+      };
+    }
+
+    if (this.strict || request.fallback === null) {
+      throw new Error(`No fixture for ${request.key || request.task}`);
+    }
+
+    this.misses++;
+    return { text: request.fallback, usage: { promptTokens: 0, completionTokens: 0 } };
+  }
+
+  /**
+   * Include fixture misses in the usage snapshot
+   */
+  getUsage() {
+    return { ...super.getUsage(), misses: this.misses };
+  }
+}
+
+/**
+ * Load a fixtures file: either a response map or { responses: { ... } }
+ */
+export function loadFixtures(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Fixtures file not found: ${filePath}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid fixtures file ${filePath}: ${error.message}`);
+  }
+
+  return parsed.responses || parsed;
+}
+
+function fillPlaceholders(text, variables) {
+  return String(text).replace(/\{\{(\w+)\}\}/g, (match, name) => variables[name] ?? match);
+}
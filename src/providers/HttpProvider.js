@@ -0,0 +1,206 @@
+/**
+ * HttpProvider - Text provider backed by an HTTP completion endpoint
+ *
+ * POSTs each request as JSON to a configurable URL (a hosted model gateway or a
+ * local mock server) and:
+ * 1. Aborts requests, reading the reply included, that exceed the timeout or the request's
+ *    deadline (the run's end)
+ * 2. Retries network errors, timeouts, 429 and 5xx responses with exponential backoff,
+ *    while the deadline leaves time for another attempt
+ * 3. Fails fast on other 4xx responses (bad request, auth) without retrying
+ * 4. Opens a circuit breaker after `failureThreshold` failed attempts in a row: requests fail
+ *    without calling the endpoint until `circuitResetTime` has passed, then one attempt
+ *    tries it again
+ * 5. Reads the reply as { text, usage } or an OpenAI-style { choices, usage } body
+ */
+
+import { LlmProvider } from './LlmProvider.js';
+
+export class HttpProvider extends LlmProvider {
+  constructor(config = {}) {
+    super({ ...config, name: config.name || 'http' });
+
+    if (!config.url) {
+      throw new Error('HTTP provider requires a url');
+    }
+
+    this.url = config.url;
+    this.apiKey = config.apiKey || null;
+    this.headers = config.headers || {};
+    this.timeout = config.timeout || 10000;
+    this.maxRetries = config.maxRetries ?? 2;
+    this.retryDelay = config.retryDelay ?? 250;
+    this.fetchImpl = config.fetchImpl || globalThis.fetch;
+    this.failureThreshold = config.failureThreshold ?? 3;
+    this.circuitResetTime = config.circuitResetTime ?? 30000;
+    this.retries = 0;
+    this.consecutiveFailures = 0;
+    this.circuitOpenedAt = null;
+
+    if (typeof this.fetchImpl !== 'function') {
+      throw new Error('HTTP provider requires a fetch implementation (Node 18+ or config.fetchImpl)');
+    }
+  }
+
+  /**
+   * Send the request, retrying transient failures, unless the circuit breaker is open
+   */
+  async complete(request) {
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (this.isCircuitOpen()) {
+        throw new Error(`${this.name} provider is not calling ${this.url} after ${this.consecutiveFailures} failed attempts in a row${lastError ? `: ${lastError.message}` : ''}`);
+      }
+      if (attempt > 0) {
+        const delay = this.retryDelay * Math.pow(2, attempt - 1);
+        if (getRemainingTime(request) <= delay) {
+          throw new Error(`${this.name} provider gave up at the run's deadline after ${attempt} attempt(s): ${lastError.message}`);
+        }
+        this.retries++;
+        console.warn(`🔁 [${this.name}] Retrying ${request.task} (attempt ${attempt + 1}/${this.maxRetries + 1}) in ${delay}ms: ${lastError.message}`);
+        await sleep(delay);
+      }
+
+      try {
+        const completion = await this.send(request);
+        this.consecutiveFailures = 0;
+        this.circuitOpenedAt = null;
+        return completion;
+      } catch (error) {
+        lastError = error;
+        this.recordFailure();
+        if (!error.retryable) {
+          throw error;
+        }
+      }
+    }
+
+    throw new Error(`${this.name} provider failed after ${this.maxRetries + 1} attempts: ${lastError.message}`);
+  }
+
+  /**
+   * Count a failed attempt; `failureThreshold` of them in a row open the circuit breaker
+   */
+  recordFailure() {
+    this.consecutiveFailures++;
+    if (this.consecutiveFailures < this.failureThreshold) return;
+
+    if (!this.isCircuitOpen()) {
+      console.warn(`🔌 [${this.name}] ${this.consecutiveFailures} failed attempts in a row, pausing calls to ${this.url} for ${this.circuitResetTime}ms`);
+    }
+    this.circuitOpenedAt = Date.now();
+  }
+
+  /**
+   * Whether calls are held back: until `circuitResetTime` after the last failed attempt
+   */
+  isCircuitOpen() {
+    return this.circuitOpenedAt !== null && Date.now() - this.circuitOpenedAt < this.circuitResetTime;
+  }
+
+  /**
+   * Perform a single HTTP call, within the timeout and the request's deadline
+   */
+  async send(request) {
+    const timeout = Math.max(0, Math.min(this.timeout, getRemainingTime(request)));
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    const headers = { 'Content-Type': 'application/json', ...this.headers };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    // The timer stays armed until the body has been read: a server may stall mid-body
+    try {
+      let response;
+      try {
+        response = await this.fetchImpl(this.url, {
+          method: 'POST',
+          headers: headers,
+          signal: controller.signal,
+          body: JSON.stringify({
+            model: this.model,
+            task: request.task,
+            key: request.key,
+            system: request.system,
+            prompt: request.prompt,
+            maxTokens: request.maxTokens,
+            temperature: request.temperature
+          })
+        });
+      } catch (error) {
+        throw requestError(error, timeout);
+      }
+
+      if (!response.ok) {
+        const retryable = response.status === 429 || response.status >= 500;
+        throw providerError(`HTTP ${response.status} from ${this.url}`, retryable);
+      }
+
+      let body;
+      try {
+        body = await response.json();
+      } catch (error) {
+        throw error.name === 'AbortError' ? requestError(error, timeout) : providerError(`invalid JSON response: ${error.message}`, false);
+      }
+
+      return parseCompletion(body);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Include retry count and circuit breaker state in the usage snapshot
+   */
+  getUsage() {
+    return { ...super.getUsage(), retries: this.retries, circuitOpen: this.isCircuitOpen() };
+  }
+}
+
+/**
+ * Normalize the supported response shapes to { text, usage, model }
+ */
+function parseCompletion(body) {
+  const choice = Array.isArray(body.choices) ? body.choices[0] : null;
+  const text = body.text ?? choice?.message?.content ?? choice?.text;
+
+  if (typeof text !== 'string') {
+    throw providerError('response did not contain any text', false);
+  }
+
+  const usage = body.usage
+    ? {
+      promptTokens: body.usage.promptTokens ?? body.usage.prompt_tokens,
+      completionTokens: body.usage.completionTokens ?? body.usage.completion_tokens
+    }
+    : undefined;
+
+  return { text: text, usage: usage, model: body.model };
+}
+
+/**
+ * Milliseconds until the request's deadline (Infinity without one)
+ */
+function getRemainingTime(request) {
+  return request.deadline ? request.deadline - Date.now() : Infinity;
+}
+
+function providerError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * A retryable error for a request that timed out or could not be sent
+ */
+function requestError(error, timeout) {
+  return providerError(error.name === 'AbortError' ? `request timed out after ${timeout}ms` : `request failed: ${error.message}`, true);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
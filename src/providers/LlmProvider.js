@@ -0,0 +1,156 @@
+/**
+ * LlmProvider - Base class for pluggable text generation providers
+ *
+ * Agents and content blocks ask a provider for copy through generate(). The base class:
+ * 1. Normalizes requests ({ task, key, prompt, system, maxTokens, temperature, fallback,
+ *    deadline }) and fails those whose deadline (the end of the run) has passed
+ * 2. Delegates the actual completion to complete() in a subclass
+ * 3. Keeps token accounting per provider and per task (reported or estimated)
+ *
+ * Subclasses implement complete(request) and resolve to { text, usage?, model? }.
+ */
+
+export class LlmProvider {
+  constructor(config = {}) {
+    this.name = config.name || 'llm';
+    this.model = config.model || null;
+    this.defaultMaxTokens = config.maxTokens || 256;
+    this.defaultTemperature = config.temperature ?? 0.2;
+
+    this.usage = {
+      requests: 0,
+      failures: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      byTask: {}
+    };
+  }
+
+  /**
+   * Generate text for a request
+   *
+   * @param {Object} request
+   * @param {string} request.task - What the text is for (e.g. faq_answer, product_overview)
+   * @param {string} [request.key] - Stable identifier of this exact request (used by fixtures)
+   * @param {string} request.prompt - Prompt text
+   * @param {string} [request.system] - System instructions
+   * @param {string} [request.fallback] - Template copy used when the provider cannot answer
+   * @param {Object} [request.variables] - Values describing the request (product name, question, ...)
+   * @param {number} [request.deadline] - Time (ms since the epoch) the request must finish by
+   * @returns {Promise<{text: string, usage: Object, provider: string, model: string|null}>}
+   */
+  async generate(request) {
+    const normalized = {
+      task: request.task || 'general',
+      key: request.key || null,
+      prompt: request.prompt || '',
+      system: request.system || null,
+      maxTokens: request.maxTokens || this.defaultMaxTokens,
+      temperature: request.temperature ?? this.defaultTemperature,
+      fallback: request.fallback ?? null,
+      variables: request.variables || {},
+      deadline: request.deadline || null
+    };
+
+    if (!normalized.prompt) {
+      throw new Error(`${this.name} provider: request for task "${normalized.task}" has no prompt`);
+    }
+
+    try {
+      if (normalized.deadline && Date.now() >= normalized.deadline) {
+        throw new Error(`${this.name} provider: the run's deadline has passed`);
+      }
+
+      const completion = await this.complete(normalized);
+      const text = typeof completion.text === 'string' ? completion.text.trim() : '';
+
+      if (!text) {
+        throw new Error(`${this.name} provider returned empty text for task "${normalized.task}"`);
+      }
+
+      const usage = {
+        promptTokens: completion.usage?.promptTokens ?? estimateTokens(`${normalized.system || ''} ${normalized.prompt}`),
+        completionTokens: completion.usage?.completionTokens ?? estimateTokens(text)
+      };
+      usage.totalTokens = usage.promptTokens + usage.completionTokens;
+
+      this.recordUsage(normalized.task, usage);
+
+      return {
+        text: text,
+        usage: usage,
+        provider: this.name,
+        model: completion.model || this.model
+      };
+    } catch (error) {
+      this.usage.requests++;
+      this.usage.failures++;
+      throw error;
+    }
+  }
+
+  /**
+   * Produce a completion (implemented by subclasses)
+   */
+  async complete(request) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Add a successful request to the token accounting
+   */
+  recordUsage(task, usage) {
+    this.usage.requests++;
+    this.usage.promptTokens += usage.promptTokens;
+    this.usage.completionTokens += usage.completionTokens;
+    this.usage.totalTokens += usage.totalTokens;
+
+    const taskUsage = this.usage.byTask[task] || { requests: 0, totalTokens: 0 };
+    taskUsage.requests++;
+    taskUsage.totalTokens += usage.totalTokens;
+    this.usage.byTask[task] = taskUsage;
+  }
+
+  /**
+   * Get a snapshot of the token accounting
+   */
+  getUsage() {
+    return {
+      provider: this.name,
+      model: this.model,
+      ...this.usage,
+      byTask: Object.fromEntries(Object.entries(this.usage.byTask).map(([task, usage]) => [task, { ...usage }]))
+    };
+  }
+}
+
+/**
+ * Generate copy with an optional provider, falling back to template text
+ *
+ * This is the single entry point agents and content blocks use, so running without
+ * a provider (or with a failing one) always yields the existing template copy.
+ */
+export async function generateCopy(provider, request) {
+  if (!provider) {
+    return request.fallback;
+  }
+
+  try {
+    const result = await provider.generate(request);
+    return result.text;
+  } catch (error) {
+    console.warn(`⚠️  [${provider.name}] ${request.task} generation failed, using template copy: ${error.message}`);
+    if (request.fallback === undefined || request.fallback === null) {
+      throw error;
+    }
+    return request.fallback;
+  }
+}
+
+/**
+ * Rough token estimate (~4 characters per token) for providers that do not report usage
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').trim().length / 4);
+}
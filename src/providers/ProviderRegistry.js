@@ -0,0 +1,54 @@
+/**
+ * ProviderRegistry - Creates the text provider used for answer and copy generation
+ *
+ * This registry:
+ * 1. Describes every provider type the system supports
+ * 2. Creates a provider from a plain config object ({ type, ...options })
+ * 3. Returns null for type 'none', so agents keep their template copy
+ */
+
+import { FixtureProvider } from './FixtureProvider.js';
+import { HttpProvider } from './HttpProvider.js';
+
+export const PROVIDER_DEFINITIONS = [
+  {
+    type: 'none',
+    ProviderClass: null,
+    description: 'No text generation; agents use their built-in template copy'
+  },
+  {
+    type: 'fixture',
+    ProviderClass: FixtureProvider,
+    description: 'Deterministic offline responses from a fixtures file'
+  },
+  {
+    type: 'http',
+    ProviderClass: HttpProvider,
+    description: 'JSON completion endpoint with retry, timeout and token accounting'
+  }
+];
+
+/**
+ * Get the types of all registered providers
+ */
+export function getProviderTypes() {
+  return PROVIDER_DEFINITIONS.map(definition => definition.type);
+}
+
+/**
+ * Create a text provider
+ *
+ * @param {Object} [config]
+ * @param {string} [config.type='none'] - One of getProviderTypes()
+ * @returns {LlmProvider|null}
+ */
+export function createTextProvider(config = {}) {
+  const { type = 'none', ...options } = config;
+  const definition = PROVIDER_DEFINITIONS.find(candidate => candidate.type === type);
+
+  if (!definition) {
+    throw new Error(`Unknown text provider: ${type}. Available providers: ${getProviderTypes().join(', ')}`);
+  }
+
+  return definition.ProviderClass ? new definition.ProviderClass(options) : null;
+}
@@ -0,0 +1,47 @@
+/**
+ * Prompts - Shared prompt construction for text providers
+ *
+ * Keeps prompts consistent between agents and content blocks:
+ * 1. describeProduct() renders the clean product data as a compact fact list
+ * 2. buildPrompt() combines an instruction with those facts, asking for copy in the
+ *    run's language when it is not English
+ *
+ * Only facts from the product data are included, so providers are asked to
+ * write copy grounded in the input rather than invent claims.
+ */
+
+export const COPY_SYSTEM_PROMPT = 'You write concise, factual product copy. Only use the facts provided. Do not invent claims, prices or ingredients.';
+
+const PRODUCT_FACTS = [
+  ['productName', 'Product'],
+  ['concentration', 'Concentration'],
+  ['skinType', 'Skin type'],
+  ['keyIngredients', 'Key ingredients'],
+  ['benefits', 'Benefits'],
+  ['howToUse', 'How to use'],
+  ['sideEffects', 'Side effects'],
+  ['price', 'Price']
+];
+
+/**
+ * Render product data as "Label: value" lines
+ */
+export function describeProduct(data = {}) {
+  return PRODUCT_FACTS
+    .filter(([field]) => data[field] !== undefined && data[field] !== null && data[field] !== '')
+    .map(([field, label]) => `${label}: ${Array.isArray(data[field]) ? data[field].join(', ') : data[field]}`)
+    .join('\n');
+}
+
+/**
+ * Build a prompt from an instruction and the product facts
+ *
+ * @param {string} instruction
+ * @param {Object} data - Clean product data
+ * @param {Object} [options]
+ * @param {string} [options.language] - Language to write in (e.g. 'Hindi')
+ */
+export function buildPrompt(instruction, data, { language = 'English' } = {}) {
+  const languageInstruction = language !== 'English' ? ` Write in ${language}.` : '';
+  return `${instruction}${languageInstruction}\n\nProduct facts:\n${describeProduct(data)}`;
+}
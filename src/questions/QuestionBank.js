@@ -0,0 +1,492 @@
+/**
+ * QuestionBank - FAQ questions and template answers from per-vertical bank files
+ *
+ * Each product vertical has a bank file (src/questions/banks/<vertical>.json or .yaml) that
+ * lists, per category, { id, question, answer, when?, weight?, importance?, requires?, fallbackAnswer? }.
+ * Question and answer texts are a string, or a map of locale code to text (missing locales
+ * fall back to English). Building the questions for a product:
+ * 1. Picks the bank of the product's `category` (else the configured vertical, else skincare);
+ *    a category without a bank gets the generic bank, never another vertical's questions
+ * 2. Skips questions whose `when` conditions the product does not meet
+ * 3. Orders each category by weight (highest first) and keeps at most its `limit`
+ * 4. Drops questions whose id or text was already asked
+ * 5. Pads with the `general` category, by weight, up to the minimum
+ *
+ * Placeholders are filled from the product data:
+ * 1. {productName}, {skinType}, {benefits}, ... come from the data, or the locale's defaults
+ * 2. {ingredientsDescription} describes the parsed ingredients, {price} is the formatted price
+ * 3. {routineTime} and {precaution} pick a phrase from the usage instructions
+ * 4. Any other {field} is the product's own value of that field; dotted names such as
+ *    {specifications.batteryLife} read nested fields
+ *
+ * An entry whose `requires` field is missing from the data uses its fallbackAnswer, or is
+ * left out when it has none. Each question lists the fields it was filled from (see
+ * src/grounding/GroundingValidator.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLocalizer, DEFAULT_LOCALE } from '../locales/Localizer.js';
+import { getIngredients, describeIngredients } from '../ingredients/IngredientParser.js';
+import { DEFAULT_CATEGORY } from '../schemas/ProductSchemas.js';
+import { parseYaml } from './YamlParser.js';
+
+const BANKS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'banks');
+
+export const QUESTION_CATEGORIES = ['informational', 'usage', 'safety', 'purchase', 'comparison'];
+
+export const QUESTION_IMPORTANCE = ['high', 'medium', 'low'];
+
+/**
+ * Conditions of a question's `when`, all of which must hold:
+ * anyOf / allOf / noneOf list data fields (dotted paths allowed) that must be present;
+ * matches maps a field to a case-insensitive regular expression its value must match
+ */
+export const QUESTION_CONDITIONS = ['anyOf', 'allOf', 'noneOf', 'matches'];
+
+// Bank of the categories that have none of their own
+export const GENERIC_VERTICAL = 'generic';
+
+export const QUESTION_BANK_DEFINITIONS = [
+  {
+    vertical: 'skincare',
+    file: 'skincare.json',
+    description: 'Serums, moisturisers, cleansers and other skincare products'
+  },
+  {
+    vertical: 'supplements',
+    file: 'supplements.yaml',
+    description: 'Vitamins, minerals and other supplements'
+  },
+  {
+    vertical: 'electronics',
+    file: 'electronics.yaml',
+    description: 'Headphones, speakers, wearables and other consumer electronics'
+  },
+  {
+    vertical: GENERIC_VERTICAL,
+    file: 'generic.yaml',
+    description: 'Any product; used for categories without their own question bank'
+  }
+];
+
+// Product fields behind the placeholders that are not named after one
+const PLACEHOLDER_FIELDS = {
+  ingredientsDescription: 'keyIngredients',
+  routineTime: 'howToUse',
+  precaution: 'howToUse'
+};
+
+// {field} or {nested.field}
+const PLACEHOLDER_PATTERN = /\{(\w+(?:\.\w+)*)\}/g;
+
+const loadedBanks = new Map();
+const registeredBanks = new Map();
+
+/**
+ * Get the verticals with a question bank (shipped or registered)
+ */
+export function getQuestionBankVerticals() {
+  return [...new Set([...QUESTION_BANK_DEFINITIONS.map(definition => definition.vertical), ...registeredBanks.keys()])];
+}
+
+/**
+ * Load the question bank of a vertical (cached); a registered bank replaces the shipped one
+ */
+export function loadQuestionBank(vertical) {
+  if (registeredBanks.has(vertical)) {
+    return registeredBanks.get(vertical);
+  }
+
+  const definition = QUESTION_BANK_DEFINITIONS.find(candidate => candidate.vertical === vertical);
+  if (!definition) {
+    throw new Error(`Unknown question bank vertical: ${vertical}. Available verticals: ${getQuestionBankVerticals().join(', ')}`);
+  }
+
+  if (!loadedBanks.has(vertical)) {
+    loadedBanks.set(vertical, loadQuestionBankFile(path.join(BANKS_DIR, definition.file)));
+  }
+
+  return loadedBanks.get(vertical);
+}
+
+/**
+ * Load a question bank from a JSON or YAML (.yaml, .yml) file and check it
+ *
+ * A bank that `extends` a vertical starts from that vertical's questions: its entries add
+ * questions, replace the ones with the same id, or remove them with `disabled: true`.
+ */
+export function loadQuestionBankFile(filePath) {
+  let bank;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    bank = /\.ya?ml$/i.test(filePath) ? parseYaml(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not read question bank ${filePath}: ${error.message}`);
+  }
+
+  return normalizeQuestionBank(bank, filePath);
+}
+
+/**
+ * Use a question bank for its vertical (e.g. from --questions), in place of the shipped one
+ *
+ * @param {Object} bank - Raw bank ({ vertical?, extends?, categories }) or one from loadQuestionBankFile
+ * @returns {Object} The registered bank
+ */
+export function registerQuestionBank(bank) {
+  const normalized = bank.normalized ? bank : normalizeQuestionBank(bank, `question bank ${bank.vertical || DEFAULT_CATEGORY}`);
+  registeredBanks.set(normalized.vertical, normalized);
+  return normalized;
+}
+
+/**
+ * Pick the question bank for a product
+ *
+ * @param {Object} data - Product data
+ * @param {Object} [options]
+ * @param {string} [options.vertical] - Vertical of products that do not name their own category
+ * @returns {{ vertical: string, bank: Object, warnings: string[] }}
+ */
+export function resolveQuestionBank(data, options = {}) {
+  const vertical = data?.category || options.vertical || DEFAULT_CATEGORY;
+
+  if (!getQuestionBankVerticals().includes(vertical)) {
+    return {
+      vertical: GENERIC_VERTICAL,
+      bank: loadQuestionBank(GENERIC_VERTICAL),
+      warnings: [`No question bank for "${vertical}", used the ${GENERIC_VERTICAL} questions`]
+    };
+  }
+
+  return { vertical, bank: loadQuestionBank(vertical), warnings: [] };
+}
+
+/**
+ * Build the questions and template answers for a product
+ *
+ * @param {Object} data - Clean product data
+ * @param {Object} [options]
+ * @param {Localizer} [options.localizer] - Locale of the questions (English by default)
+ * @param {Object} [options.bank] - Question bank (default: the product's, see resolveQuestionBank)
+ * @param {string} [options.vertical] - Vertical of products that do not name their own category
+ * @param {string[]} [options.categories]
+ * @param {number} [options.minQuestions] - Padded up with general questions when short
+ * @returns {Object[]} [{ id, category, question, answer, importance, sources, fallback }]:
+ *   `sources` are the product fields the text was filled from, `fallback` is set when a
+ *   missing field was filled with the locale's default, the fallbackAnswer was used or the
+ *   answer is stock copy filled from no field but the product name
+ */
+export function buildQuestions(data, { localizer = createLocalizer(), bank = null, vertical = null, categories = QUESTION_CATEGORIES, minQuestions = 0 } = {}) {
+  const questionBank = bank || resolveQuestionBank(data, { vertical }).bank;
+  const variables = getAnswerVariables(data, localizer);
+  const asked = { ids: new Set(), texts: new Set() };
+  const questions = [];
+
+  const ask = (category, count = Infinity) => {
+    const { limit, questions: templates } = questionBank.categories[category] || { limit: null, questions: [] };
+    const maximum = Math.min(limit ?? Infinity, count);
+    let added = 0;
+
+    for (const template of sortByWeight(templates.filter(template => meetsConditions(data, template.when)))) {
+      if (added >= maximum) break;
+
+      const question = fillQuestion(template, category, data, variables, localizer);
+      const textKey = question && toTextKey(question.question);
+      if (!question || asked.ids.has(question.id) || asked.texts.has(textKey)) continue;
+
+      asked.ids.add(question.id);
+      asked.texts.add(textKey);
+      questions.push(question);
+      added++;
+    }
+  };
+
+  categories.forEach(category => ask(category));
+  if (questions.length < minQuestions) {
+    ask('general', minQuestions - questions.length);
+  }
+
+  return questions;
+}
+
+/**
+ * Check a bank and bring it to one shape: texts as locale maps, conditions as lists,
+ * categories as { limit, questions }
+ */
+function normalizeQuestionBank(bank, source) {
+  if (!bank || typeof bank !== 'object' || Array.isArray(bank)) {
+    throw new Error(`Invalid question bank ${source}: expected an object with "categories"`);
+  }
+  if (!bank.categories || typeof bank.categories !== 'object' || Array.isArray(bank.categories)) {
+    throw new Error(`Invalid question bank ${source}: "categories" must map category names to questions`);
+  }
+
+  const base = bank.extends ? loadQuestionBank(bank.extends) : null;
+  const normalized = {
+    vertical: bank.vertical || base?.vertical || DEFAULT_CATEGORY,
+    description: bank.description || base?.description || '',
+    source: source,
+    categories: {},
+    normalized: true
+  };
+
+  for (const [category, entry] of Object.entries(base?.categories || {})) {
+    normalized.categories[category] = { limit: entry.limit, questions: [...entry.questions] };
+  }
+
+  for (const [category, entry] of Object.entries(bank.categories)) {
+    // A category is { limit?, questions } or just its list of questions
+    const { limit = null, questions = [] } = Array.isArray(entry) ? { questions: entry } : (entry || {});
+    const where = `${source}, category "${category}"`;
+
+    if (limit !== null && !(Number.isInteger(limit) && limit >= 0)) {
+      throw new Error(`Invalid question bank ${where}: "limit" must be a whole number`);
+    }
+    if (!Array.isArray(questions)) {
+      throw new Error(`Invalid question bank ${where}: "questions" must be a list`);
+    }
+
+    const target = normalized.categories[category] || { limit: null, questions: [] };
+    if (entry && !Array.isArray(entry) && 'limit' in entry) target.limit = limit;
+
+    for (const question of questions) {
+      const index = target.questions.findIndex(existing => existing.id === question?.id);
+      if (question?.disabled) {
+        if (index >= 0) target.questions.splice(index, 1);
+        continue;
+      }
+
+      const checked = normalizeQuestion(question, where);
+      if (index >= 0) target.questions[index] = checked;
+      else target.questions.push(checked);
+    }
+
+    normalized.categories[category] = target;
+  }
+
+  return normalized;
+}
+
+function normalizeQuestion(question, where) {
+  if (!question || typeof question !== 'object' || !question.id) {
+    throw new Error(`Invalid question bank ${where}: every question needs an "id"`);
+  }
+
+  const at = `${where}, question "${question.id}"`;
+  for (const field of ['question', 'answer']) {
+    if (!question[field]) {
+      throw new Error(`Invalid question bank ${at}: missing "${field}"`);
+    }
+  }
+
+  const weight = question.weight ?? 1;
+  if (typeof weight !== 'number' || weight < 0) {
+    throw new Error(`Invalid question bank ${at}: "weight" must be a number of at least 0`);
+  }
+
+  const importance = question.importance || 'low';
+  if (!QUESTION_IMPORTANCE.includes(importance)) {
+    throw new Error(`Invalid question bank ${at}: unknown importance "${importance}". Use one of: ${QUESTION_IMPORTANCE.join(', ')}`);
+  }
+
+  return {
+    id: String(question.id),
+    question: toLocaleTexts(question.question, at, 'question'),
+    answer: toLocaleTexts(question.answer, at, 'answer'),
+    fallbackAnswer: question.fallbackAnswer ? toLocaleTexts(question.fallbackAnswer, at, 'fallbackAnswer') : null,
+    requires: question.requires || null,
+    when: normalizeConditions(question.when, at),
+    weight: weight,
+    importance: importance
+  };
+}
+
+function toLocaleTexts(value, at, field) {
+  if (typeof value === 'string') return { [DEFAULT_LOCALE]: value };
+
+  if (!value || typeof value !== 'object' || Array.isArray(value) || Object.values(value).some(text => typeof text !== 'string')) {
+    throw new Error(`Invalid question bank ${at}: "${field}" must be a text or a map of locale to text`);
+  }
+  if (!value[DEFAULT_LOCALE]) {
+    throw new Error(`Invalid question bank ${at}: "${field}" needs a "${DEFAULT_LOCALE}" text to fall back to`);
+  }
+  return value;
+}
+
+/**
+ * Check and compile `when` conditions (see QUESTION_CONDITIONS); also used by compliance rules
+ *
+ * @param {Object} when
+ * @param {string} at - Where the conditions are, for error messages
+ * @param {string} [kind] - What they belong to, for error messages
+ */
+export function normalizeConditions(when, at, kind = 'question bank') {
+  if (when === undefined || when === null) return null;
+  if (typeof when !== 'object' || Array.isArray(when)) {
+    throw new Error(`Invalid ${kind} ${at}: "when" must be an object of conditions (${QUESTION_CONDITIONS.join(', ')})`);
+  }
+
+  const conditions = {};
+  for (const [name, value] of Object.entries(when)) {
+    if (!QUESTION_CONDITIONS.includes(name)) {
+      throw new Error(`Invalid ${kind} ${at}: unknown condition "${name}". Use one of: ${QUESTION_CONDITIONS.join(', ')}`);
+    }
+
+    if (name === 'matches') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error(`Invalid ${kind} ${at}: "matches" must map fields to patterns`);
+      }
+      conditions.matches = Object.entries(value).map(([field, pattern]) => {
+        try {
+          return { field, pattern: new RegExp(String(pattern), 'i') };
+        } catch (error) {
+          throw new Error(`Invalid ${kind} ${at}: bad pattern for "${field}": ${error.message}`);
+        }
+      });
+      continue;
+    }
+
+    const fields = Array.isArray(value) ? value : [value];
+    if (fields.length === 0 || fields.some(field => typeof field !== 'string')) {
+      throw new Error(`Invalid ${kind} ${at}: "${name}" must list field names`);
+    }
+    conditions[name] = fields;
+  }
+
+  return conditions;
+}
+
+/**
+ * Check that product data meets compiled `when` conditions (none always match)
+ */
+export function meetsConditions(data, when) {
+  if (!when) return true;
+
+  return (!when.anyOf || when.anyOf.some(field => hasValue(readField(data, field))))
+    && (!when.allOf || when.allOf.every(field => hasValue(readField(data, field))))
+    && (!when.noneOf || !when.noneOf.some(field => hasValue(readField(data, field))))
+    && (!when.matches || when.matches.every(({ field, pattern }) => {
+      const value = readField(data, field);
+      return hasValue(value) && pattern.test(Array.isArray(value) ? value.join(', ') : String(value));
+    }));
+}
+
+function sortByWeight(templates) {
+  return [...templates].sort((a, b) => b.weight - a.weight);
+}
+
+function fillQuestion(template, category, data, variables, localizer) {
+  const hasRequired = !template.requires || hasValue(readField(data, template.requires));
+  if (!hasRequired && !template.fallbackAnswer) return null;
+
+  const questionText = localText(template.question, localizer);
+  const answerText = localText(hasRequired ? template.answer : template.fallbackAnswer, localizer);
+  const fields = [...new Set([...getPlaceholders(questionText), ...getPlaceholders(answerText)]
+    .map(name => PLACEHOLDER_FIELDS[name] || name))];
+  // An answer filled from nothing but the product's name is the bank's stock copy
+  const isStock = getPlaceholders(answerText).every(name => (PLACEHOLDER_FIELDS[name] || name) === 'productName');
+
+  return {
+    id: template.id,
+    category: category,
+    question: capitalize(fill(questionText, variables)),
+    answer: capitalize(fill(answerText, variables)),
+    importance: template.importance,
+    sources: fields.filter(field => hasValue(readField(data, field))),
+    fallback: !hasRequired || isStock || fields.some(field => !hasValue(readField(data, field)))
+  };
+}
+
+/**
+ * Names of the {placeholders} in a text
+ */
+function getPlaceholders(text) {
+  return Array.from(text.matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+}
+
+function localText(texts, localizer) {
+  return texts[localizer.locale] ?? texts[DEFAULT_LOCALE];
+}
+
+/**
+ * Values for the {placeholders} of questions and answers
+ */
+function getAnswerVariables(data, localizer) {
+  const defaults = localizer.get('defaults');
+  const howToUse = data.howToUse || '';
+  const fields = {};
+
+  addFieldTexts(fields, data, '', localizer);
+
+  return {
+    ...fields,
+    productName: data.productName || defaults.productName,
+    concentration: data.concentration || defaults.concentration,
+    keyIngredients: data.keyIngredients || defaults.keyIngredients,
+    ingredientsDescription: describeIngredients(getIngredients(data), localizer) || defaults.ingredientsDescription,
+    skinType: data.skinType || defaults.skinType,
+    benefits: data.benefits || defaults.benefits,
+    howToUse: howToUse || defaults.howToUse,
+    sideEffects: data.sideEffects ? data.sideEffects.toLowerCase() : '',
+    price: data.price || defaults.price,
+    routineTime: localizer.t(`answers.routineTime.${howToUse.includes('morning') ? 'morning' : 'default'}`),
+    precaution: localizer.t(`answers.precaution.${howToUse.includes('sunscreen') ? 'sunscreen' : 'default'}`)
+  };
+}
+
+/**
+ * Texts of the product's fields, nested objects under dotted names (specifications.weight)
+ */
+function addFieldTexts(fields, value, prefix, localizer) {
+  for (const [name, field] of Object.entries(value)) {
+    const text = toText(field, localizer);
+    if (text) {
+      fields[prefix + name] = text;
+    } else if (field && typeof field === 'object' && !Array.isArray(field)) {
+      addFieldTexts(fields, field, `${prefix}${name}.`, localizer);
+    }
+  }
+}
+
+/**
+ * Text of a product field for a placeholder: strings, numbers, lists of them, and
+ * measures such as { amount: 2, unit: 'capsules' }
+ */
+function toText(value, localizer) {
+  if (typeof value === 'string' || typeof value === 'number') return String(value);
+  if (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' || typeof item === 'number')) {
+    return localizer.formatList(value.map(String));
+  }
+  if (value && typeof value === 'object' && value.amount !== undefined && value.unit) {
+    return `${localizer.formatNumber(value.amount)} ${value.unit}`;
+  }
+  return null;
+}
+
+function readField(data, field) {
+  return field.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), data);
+}
+
+function hasValue(value) {
+  if (value === undefined || value === null) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+/**
+ * Questions that differ only in case, spacing or punctuation count as the same question
+ */
+function toTextKey(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function fill(template, variables) {
+  return template.replace(PLACEHOLDER_PATTERN, (match, name) => variables[name] ?? match);
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
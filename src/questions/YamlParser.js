@@ -0,0 +1,260 @@
+/**
+ * YamlParser - Reads the YAML subset used by question bank files
+ *
+ * Supported:
+ * 1. Block mappings (`key: value`) and sequences (`- item`, `- key: value`), nested by indentation
+ * 2. Flow sequences and mappings on one line (`[a, b]`, `{ anyOf: [skinType, sideEffects] }`)
+ * 3. Plain, 'single' and "double" quoted scalars; numbers, true/false and null
+ * 4. `#` comments and a leading `---`
+ *
+ * Block scalars (`|`, `>`), anchors and tags are not supported and raise an error.
+ */
+
+/**
+ * Parse a YAML document
+ *
+ * @param {string} text
+ * @returns {*} The document's value (null for an empty document)
+ */
+export function parseYaml(text) {
+  const lines = [];
+
+  String(text).split(/\r?\n/).forEach((raw, index) => {
+    const content = stripComment(raw).replace(/\s+$/, '');
+    if (content.trim() === '' || (lines.length === 0 && content === '---')) return;
+    if (/^\s*\t/.test(content)) {
+      throw yamlError(index + 1, 'Tabs are not allowed for indentation');
+    }
+    lines.push({ number: index + 1, text: content });
+  });
+
+  if (lines.length === 0) return null;
+
+  const state = { lines, index: 0 };
+  const value = parseBlock(state, indentOf(lines[0]));
+
+  if (state.index < lines.length) {
+    throw yamlError(lines[state.index].number, 'Unexpected indentation');
+  }
+  return value;
+}
+
+function parseBlock(state, indent) {
+  return isSequenceItem(state.lines[state.index]) ? parseSequence(state, indent) : parseMapping(state, indent);
+}
+
+function parseSequence(state, indent) {
+  const items = [];
+
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+    const lineIndent = indentOf(line);
+    if (lineIndent < indent || !isSequenceItem(line)) break;
+    if (lineIndent > indent) throw yamlError(line.number, 'Unexpected indentation');
+
+    const trimmed = line.text.trim();
+    const rest = trimmed.slice(1).trimStart();
+
+    if (rest === '') {
+      state.index++;
+      items.push(parseNested(state, indent));
+    } else if (isMappingEntry(rest) || rest === '-' || rest.startsWith('- ')) {
+      // "- key: value" (or "- - item") starts a block that lines up with the text after the dash
+      const itemIndent = lineIndent + trimmed.length - rest.length;
+      state.lines[state.index] = { number: line.number, text: ' '.repeat(itemIndent) + rest };
+      items.push(parseBlock(state, itemIndent));
+    } else {
+      state.index++;
+      items.push(parseValue(rest, line.number));
+    }
+  }
+
+  return items;
+}
+
+function parseMapping(state, indent) {
+  const mapping = {};
+
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+    const lineIndent = indentOf(line);
+    if (lineIndent < indent || isSequenceItem(line)) break;
+    if (lineIndent > indent) throw yamlError(line.number, 'Unexpected indentation');
+
+    const entry = readMappingEntry(line.text.trim());
+    if (!entry) throw yamlError(line.number, `Expected "key: value", got "${line.text.trim()}"`);
+    if (Object.prototype.hasOwnProperty.call(mapping, entry.key)) {
+      throw yamlError(line.number, `Duplicate key "${entry.key}"`);
+    }
+
+    state.index++;
+    if (entry.value !== '') {
+      mapping[entry.key] = parseValue(entry.value, line.number);
+      continue;
+    }
+
+    // A sequence may sit at the same indentation as its key
+    const next = state.lines[state.index];
+    mapping[entry.key] = next && indentOf(next) === indent && isSequenceItem(next)
+      ? parseSequence(state, indent)
+      : parseNested(state, indent);
+  }
+
+  return mapping;
+}
+
+function parseNested(state, parentIndent) {
+  const next = state.lines[state.index];
+  if (!next || indentOf(next) <= parentIndent) return null;
+  return parseBlock(state, indentOf(next));
+}
+
+function parseValue(text, lineNumber) {
+  if (text === '|' || text === '>' || /^[|>][-+]?\d*$/.test(text)) {
+    throw yamlError(lineNumber, 'Block scalars (| and >) are not supported, use a quoted string');
+  }
+  if (/^[&*!]/.test(text)) {
+    throw yamlError(lineNumber, 'Anchors, aliases and tags are not supported');
+  }
+  if (text.startsWith('[') || text.startsWith('{')) {
+    const reader = { text, position: 0, lineNumber };
+    const value = readFlowValue(reader);
+    skipSpaces(reader);
+    if (reader.position < text.length) throw yamlError(lineNumber, `Unexpected "${text.slice(reader.position)}"`);
+    return value;
+  }
+  return parseScalar(text, lineNumber);
+}
+
+function parseScalar(text, lineNumber) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw yamlError(lineNumber, `Invalid double-quoted string ${text}`);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(text)) throw yamlError(lineNumber, `Invalid single-quoted string ${text}`);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text === 'null' || text === '~') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+function readFlowValue(reader) {
+  skipSpaces(reader);
+  const char = reader.text[reader.position];
+
+  if (char === '[') {
+    reader.position++;
+    const items = [];
+    while (!consume(reader, ']')) {
+      if (items.length > 0 && !consume(reader, ',')) throw yamlError(reader.lineNumber, 'Expected "," or "]"');
+      if (consume(reader, ']')) break;
+      items.push(readFlowValue(reader));
+    }
+    return items;
+  }
+
+  if (char === '{') {
+    reader.position++;
+    const mapping = {};
+    let first = true;
+    while (!consume(reader, '}')) {
+      if (!first && !consume(reader, ',')) throw yamlError(reader.lineNumber, 'Expected "," or "}"');
+      if (consume(reader, '}')) break;
+      const key = readFlowScalar(reader, ':');
+      if (!consume(reader, ':')) throw yamlError(reader.lineNumber, `Expected ":" after "${key}"`);
+      mapping[key] = readFlowValue(reader);
+      first = false;
+    }
+    return mapping;
+  }
+
+  return readFlowScalar(reader, '');
+}
+
+function readFlowScalar(reader, extraStop) {
+  skipSpaces(reader);
+  const { text } = reader;
+  const start = reader.position;
+
+  if (text[start] === '"' || text[start] === "'") {
+    const quote = text[start];
+    let end = start + 1;
+    while (end < text.length) {
+      if (quote === '"' && text[end] === '\\') end += 2;
+      else if (text[end] === quote && quote === "'" && text[end + 1] === "'") end += 2;
+      else if (text[end] === quote) break;
+      else end++;
+    }
+    if (end >= text.length) throw yamlError(reader.lineNumber, 'Unterminated quoted string');
+    reader.position = end + 1;
+    return parseScalar(text.slice(start, end + 1), reader.lineNumber);
+  }
+
+  const stops = `,[]{}${extraStop}`;
+  while (reader.position < text.length && !stops.includes(text[reader.position])) reader.position++;
+  const raw = text.slice(start, reader.position).trim();
+  if (raw === '') throw yamlError(reader.lineNumber, 'Expected a value');
+  return parseScalar(raw, reader.lineNumber);
+}
+
+function consume(reader, char) {
+  skipSpaces(reader);
+  if (reader.text[reader.position] !== char) return false;
+  reader.position++;
+  return true;
+}
+
+function skipSpaces(reader) {
+  while (reader.text[reader.position] === ' ') reader.position++;
+}
+
+function readMappingEntry(text) {
+  const match = text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'[\]{}#,-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*))?$/);
+  if (!match) return null;
+  return { key: String(parseScalar(match[1], 0)), value: (match[2] || '').trim() };
+}
+
+function isMappingEntry(text) {
+  return readMappingEntry(text) !== null;
+}
+
+function isSequenceItem(line) {
+  const trimmed = line.text.trim();
+  return trimmed === '-' || trimmed.startsWith('- ');
+}
+
+function indentOf(line) {
+  return line.text.length - line.text.trimStart().length;
+}
+
+/**
+ * Drop a `#` comment that is not inside quotes
+ */
+function stripComment(line) {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      if (i === 0 || /[\s:[{,-]/.test(line[i - 1])) quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+
+  return line;
+}
+
+function yamlError(lineNumber, message) {
+  return new Error(`YAML line ${lineNumber}: ${message}`);
+}
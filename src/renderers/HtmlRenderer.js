@@ -0,0 +1,100 @@
+/**
+ * HtmlRenderer - Turns the generated JSON pages into static HTML pages
+ *
+ * After a run, the renderer reads the pages written to the output sink and writes one
+ * HTML document per page (faq.html, product_page.html, comparison_page.html) to the
+ * same sink. Every document:
+ * 1. Carries the title, meta description, keywords and OpenGraph tags from the SEO agent
+ * 2. Embeds the SEO agent's JSON-LD (FAQPage on the FAQ, Product on the other pages)
+ * 3. Uses landmarks, a skip link, labelled sections and captioned tables for accessibility
+ *
+ * Layouts (see htmlLayouts.js) can be overridden with functions in `layouts` or with a
+ * JavaScript module (`layoutsFile`) exporting layouts by name.
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { collectPages } from './pages.js';
+import { DEFAULT_LAYOUTS, HTML_HELPERS } from './htmlLayouts.js';
+
+export class HtmlRenderer {
+  constructor(config = {}) {
+    this.name = 'html';
+    this.lang = config.lang || 'en';
+    this.siteName = config.siteName || null;
+    this.layoutsFile = config.layoutsFile || null;
+    this.layouts = { ...DEFAULT_LAYOUTS };
+    this.layoutsLoaded = false;
+
+    this.registerLayouts(config.layouts || {});
+  }
+
+  /**
+   * Override layouts by name
+   */
+  registerLayouts(layouts) {
+    for (const [name, layout] of Object.entries(layouts)) {
+      if (!(name in DEFAULT_LAYOUTS)) {
+        throw new Error(`Unknown HTML layout "${name}". Available layouts: ${Object.keys(DEFAULT_LAYOUTS).join(', ')}`);
+      }
+      if (typeof layout !== 'function') {
+        throw new Error(`HTML layout "${name}" must be a function`);
+      }
+
+      this.layouts[name] = layout;
+    }
+  }
+
+  /**
+   * Render every page written to the sink and write the HTML documents back to it
+   *
+   * @returns {Promise<string[]>} Names of the files written
+   */
+  async render(sink) {
+    await this.prepare();
+
+    const pages = collectPages(sink).map(page => ({ ...page, fileName: `${page.key}.html` }));
+    const written = [];
+
+    for (const page of pages) {
+      await sink.write(page.fileName, this.renderPage(page, pages), { writtenBy: 'html_renderer' });
+      written.push(page.fileName);
+    }
+
+    console.log(`🖼️  [HtmlRenderer] Rendered ${written.length} HTML pages${written.length > 0 ? `: ${written.join(', ')}` : ''}`);
+    return written;
+  }
+
+  /**
+   * Render one page to a complete HTML document
+   */
+  renderPage(page, pages = [page]) {
+    const layout = this.layouts[page.key];
+    if (!layout) {
+      throw new Error(`No HTML layout for page ${page.key}`);
+    }
+
+    const context = { page, pages, lang: this.lang, siteName: this.siteName };
+    const body = layout(context, HTML_HELPERS);
+
+    return this.layouts.document({ ...context, body }, HTML_HELPERS);
+  }
+
+  /**
+   * Load layout overrides from the layouts module (once); call it up front to
+   * catch a broken layouts module before the agents run
+   */
+  async prepare() {
+    if (!this.layoutsFile || this.layoutsLoaded) return;
+
+    let layoutsModule;
+    try {
+      layoutsModule = await import(pathToFileURL(path.resolve(this.layoutsFile)).href);
+    } catch (error) {
+      throw new Error(`Could not load HTML layouts from ${this.layoutsFile}: ${error.message}`);
+    }
+
+    this.registerLayouts(layoutsModule.default || layoutsModule);
+    this.layoutsLoaded = true;
+  }
+}
@@ -0,0 +1,338 @@
+/**
+ * MarkdownRenderer - Exports the generated pages as Markdown or MDX
+ *
+ * For docs sites and headless CMS imports, every page becomes one document
+ * (faq.md, product_page.md, comparison_page.md, or .mdx) with:
+ * 1. YAML front matter: title, description and keywords from the SEO agent, plus the
+ *    page type and product name
+ * 2. The page content as headings, lists and tables
+ * 3. On the comparison page, tables for the products side by side, for the comparison
+ *    by dimension and for the scoring matrix, with the verdict
+ *
+ * Text is escaped so product data cannot inject markup: Markdown characters are backslashed
+ * and &, < and > become entities (raw HTML passes through Markdown), in the front matter too.
+ * MDX output also escapes the braces MDX would parse as expressions.
+ */
+
+import { collectPages, humanize } from './pages.js';
+import { withoutAttribution } from '../grounding/GroundingValidator.js';
+
+export const MARKDOWN_FORMATS = ['md', 'mdx'];
+
+// Page fields that describe how the page was generated rather than the product
+const HIDDEN_FIELDS = new Set(['metadata', 'generatedBy', 'timestamp']);
+
+// Attributes compared side by side for every product on the comparison page
+const PRODUCT_ATTRIBUTES = ['price', 'keyIngredients', 'benefits', 'skinType', 'concentration', 'usage', 'sideEffects'];
+
+// Fields of a comparison dimension that are not a product's value
+const COMPARISON_FIELDS = ['winner', 'analysis'];
+
+export class MarkdownRenderer {
+  constructor(config = {}) {
+    this.format = config.format || 'md';
+
+    if (!MARKDOWN_FORMATS.includes(this.format)) {
+      throw new Error(`Unknown Markdown format "${this.format}". Available formats: ${MARKDOWN_FORMATS.join(', ')}`);
+    }
+
+    this.name = this.format;
+    this.escapeText = this.format === 'mdx' ? escapeMdx : escapeMarkdown;
+  }
+
+  /**
+   * Export every page written to the sink and write the documents back to it
+   *
+   * @returns {Promise<string[]>} Names of the files written
+   */
+  async render(sink) {
+    const written = [];
+
+    for (const page of collectPages(sink)) {
+      const fileName = `${page.key}.${this.format}`;
+      await sink.write(fileName, this.renderPage(page), { writtenBy: `${this.format}_renderer` });
+      written.push(fileName);
+    }
+
+    console.log(`📝 [MarkdownRenderer] Exported ${written.length} ${this.format.toUpperCase()} pages${written.length > 0 ? `: ${written.join(', ')}` : ''}`);
+    return written;
+  }
+
+  /**
+   * Render one page to a document with front matter
+   */
+  renderPage(page) {
+    const frontMatter = renderFrontMatter({
+      title: page.seo.title,
+      description: page.seo.description,
+      keywords: page.seo.keywords,
+      page: page.key,
+      product: page.content.productName || page.content.productOverview?.name || null
+    });
+
+    let blocks;
+    switch (page.key) {
+      case 'faq':
+        blocks = this.renderFaq(page.content);
+        break;
+      case 'product_page':
+        blocks = this.renderProductPage(page.content);
+        break;
+      case 'comparison_page':
+        blocks = this.renderComparisonPage(page.content);
+        break;
+      default:
+        blocks = [`# ${this.escapeText(page.content.title || page.label)}`, this.renderValue(page.content)];
+    }
+
+    return `${frontMatter}\n${blocks.filter(Boolean).join('\n\n')}\n`;
+  }
+
+  /**
+   * FAQ: questions grouped by category
+   */
+  renderFaq(content) {
+    const blocks = [`# ${this.escapeText(content.title || 'Frequently Asked Questions')}`];
+    if (content.description) blocks.push(this.escapeText(content.description));
+
+    const categories = new Map();
+    for (const question of content.questions || []) {
+      const category = question.category || 'general';
+      if (!categories.has(category)) categories.set(category, []);
+      categories.get(category).push(question);
+    }
+
+    for (const [category, questions] of categories.entries()) {
+      blocks.push(`## ${this.escapeText(humanize(category))}`);
+      for (const question of questions) {
+        blocks.push(`### ${this.escapeText(question.question)}`, this.escapeText(question.answer));
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Product page: overview, every section, specifications and recommendations
+   */
+  renderProductPage(content) {
+    const overview = content.productOverview || {};
+    const { name, description, keyFeatures, ...overviewDetails } = withoutAttribution(overview);
+    const blocks = [`# ${this.escapeText(content.title || name || 'Product')}`];
+
+    if (description) blocks.push(this.escapeText(description));
+    if (keyFeatures) blocks.push(this.renderValue(keyFeatures));
+    if (Object.keys(overviewDetails).length > 0) blocks.push(this.renderValue(overviewDetails));
+
+    for (const [key, section] of Object.entries(content.sections || {})) {
+      const { title, ...fields } = withoutAttribution(section) || {};
+      blocks.push(`## ${this.escapeText(title || humanize(key))}`, ...this.renderFields(fields));
+    }
+
+    if (content.specifications) {
+      blocks.push('## Specifications', this.renderValue(content.specifications));
+    }
+    if (content.recommendations) {
+      blocks.push('## Recommendations', this.renderValue(content.recommendations));
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Comparison page: products side by side, the comparison by dimension, then the scoring
+   * matrix and verdict
+   */
+  renderComparisonPage(content) {
+    const blocks = [`# ${this.escapeText(content.title || 'Product Comparison')}`];
+    const primary = content.products?.primary;
+    const competitors = content.products?.competitors || [];
+
+    if (content.comparisonOverview?.purpose) {
+      blocks.push(this.escapeText(content.comparisonOverview.purpose));
+    }
+
+    if (primary) {
+      const products = [primary, ...competitors];
+      const attributes = PRODUCT_ATTRIBUTES.filter(attribute => products.some(product => product[attribute]));
+
+      blocks.push('## Products Compared', this.renderTable(
+        ['', ...products.map(product => `${product.name}${product.fictional ? ' *' : ''}`)],
+        attributes.map(attribute => [humanize(attribute), ...products.map(product => product[attribute] || '—')])
+      ));
+
+      if (products.some(product => product.fictional)) {
+        blocks.push(`${this.escapeText('*')} Illustrative competitor profile, not a real product.`);
+      }
+    }
+
+    const criteria = Object.keys(content.comparison || {});
+    if (criteria.length > 0) {
+      // Each dimension maps product names to values, next to its winner and analysis
+      const productNames = Array.from(new Set(criteria.flatMap(criterion =>
+        Object.keys(content.comparison[criterion]).filter(key => !COMPARISON_FIELDS.includes(key))
+      )));
+
+      blocks.push('## Comparison by Dimension', this.renderTable(
+        ['Criterion', ...productNames, 'Winner'],
+        criteria.map(criterion => {
+          const comparison = content.comparison[criterion];
+          return [humanize(criterion), ...productNames.map(productName => comparison[productName] || '—'), comparison.winner || '—'];
+        })
+      ));
+
+      const analyses = criteria
+        .filter(criterion => content.comparison[criterion].analysis)
+        .map(criterion => `- **${this.escapeText(humanize(criterion))}:** ${this.escapeText(content.comparison[criterion].analysis)}`);
+      if (analyses.length > 0) blocks.push(analyses.join('\n'));
+    }
+
+    if (content.scoring?.matrix) {
+      // Normalized scores (0-1) per compared dimension, with each product's weighted total
+      const dimensions = content.scoring.dimensions.filter(dimension => dimension.compared);
+      blocks.push('## Scoring', this.renderTable(
+        ['Product', ...dimensions.map(dimension => `${humanize(dimension.name)} (${Math.round(dimension.weight * 100)}%)`), 'Score', 'Rank'],
+        content.scoring.matrix.map(row => [
+          row.product,
+          ...dimensions.map(dimension => row.scores[dimension.name] ?? '—'),
+          row.total ?? '—',
+          row.rank ?? '—'
+        ])
+      ));
+
+      const { verdict } = content.scoring;
+      blocks.push(this.escapeText(verdict.summary));
+      if (verdict.reasons.length > 0) {
+        blocks.push(verdict.reasons.map(reason => `- ${this.escapeText(reason)}`).join('\n'));
+      }
+    }
+
+    for (const key of ['analysis', 'summary', 'recommendations']) {
+      if (content[key]) {
+        blocks.push(`## ${humanize(key)}`, this.renderValue(content[key]));
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Render the fields of a section: text as labelled paragraphs, lists and nested
+   * objects under their own subheading
+   */
+  renderFields(fields) {
+    return Object.entries(fields)
+      .filter(([key, value]) => !HIDDEN_FIELDS.has(key) && value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => typeof value === 'object'
+        ? `### ${this.escapeText(humanize(key))}\n\n${this.renderValue(value)}`
+        : `**${this.escapeText(humanize(key))}:** ${this.escapeText(value)}`);
+  }
+
+  /**
+   * Render any JSON value: strings as paragraphs, lists as bullet lists, lists of
+   * records as tables (inline records when nested) and objects as labelled bullet lists
+   */
+  renderValue(value, depth = 0) {
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+
+    const indent = '  '.repeat(depth);
+
+    if (Array.isArray(value)) {
+      if (value.length > 0 && value.every(isRecord) && depth === 0) {
+        const columns = Array.from(new Set(value.flatMap(record => Object.keys(record))));
+        return this.renderTable(columns.map(humanize), value.map(record => columns.map(column => record[column])));
+      }
+
+      return value.map(item => typeof item === 'object' && item !== null
+        ? `${indent}- ${this.renderInline(item)}`
+        : `${indent}- ${this.escapeText(item)}`).join('\n');
+    }
+
+    if (isRecord(value)) {
+      return Object.entries(value)
+        .filter(([key, item]) => !HIDDEN_FIELDS.has(key) && item !== null && item !== undefined && item !== '')
+        .map(([key, item]) => typeof item === 'object'
+          ? `${indent}- **${this.escapeText(humanize(key))}:**\n${this.renderValue(item, depth + 1)}`
+          : `${indent}- **${this.escapeText(humanize(key))}:** ${this.escapeText(item)}`)
+        .join('\n');
+    }
+
+    return depth === 0 ? this.escapeText(value) : `${indent}- ${this.escapeText(value)}`;
+  }
+
+  /**
+   * Render a nested value on one line ("Label: value; Label: value")
+   */
+  renderInline(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.renderInline(item)).join(', ');
+    }
+    if (isRecord(value)) {
+      return Object.entries(value)
+        .map(([key, item]) => `${this.escapeText(humanize(key))}: ${typeof item === 'object' && item !== null ? this.renderInline(item) : this.escapeText(item)}`)
+        .join('; ');
+    }
+    return this.escapeText(value);
+  }
+
+  /**
+   * Render a GitHub-flavoured Markdown table
+   */
+  renderTable(headers, rows) {
+    const formatCell = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = Array.isArray(value) ? value.join(', ') : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return this.escapeText(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    };
+
+    return [
+      `| ${headers.map(formatCell).join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(formatCell).join(' | ')} |`)
+    ].join('\n');
+  }
+}
+
+/**
+ * YAML front matter; strings are double-quoted (JSON strings are valid YAML scalars)
+ */
+function renderFrontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => Array.isArray(value)
+      ? `${key}:${value.length > 0 ? `\n${value.map(item => `  - ${JSON.stringify(escapeEntities(item))}`).join('\n')}` : ' []'}`
+      : `${key}: ${JSON.stringify(escapeEntities(value))}`);
+
+  return `---\n${lines.join('\n')}\n---\n`;
+}
+
+/**
+ * Escape characters with Markdown meaning at the start of or inside plain text, and the
+ * characters of raw HTML
+ */
+function escapeMarkdown(value) {
+  return escapeEntities(String(value ?? '').replace(/([\\`*_[\]#])/g, '\\$1'));
+}
+
+/**
+ * MDX additionally treats braces as expressions
+ */
+function escapeMdx(value) {
+  return escapeMarkdown(value).replace(/([{}])/g, '\\$1');
+}
+
+/**
+ * &, < and > as entities (quotes stay readable, unlike htmlLayouts escapeHtml)
+ */
+function escapeEntities(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function isRecord(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
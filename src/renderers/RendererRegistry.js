@@ -0,0 +1,58 @@
+/**
+ * RendererRegistry - Creates the renderers that turn generated pages into documents
+ *
+ * This registry:
+ * 1. Describes every output format the system can render
+ * 2. Creates a renderer from a plain config object ({ type, ...options })
+ *
+ * Renderers run after the agents finish, read the pages from the output sink and write
+ * their documents back to it, so rendered files appear in the sink's manifest.
+ * A renderer implements render(sink) and may implement prepare() to load its resources.
+ */
+
+import { HtmlRenderer } from './HtmlRenderer.js';
+import { MarkdownRenderer } from './MarkdownRenderer.js';
+
+export const RENDERER_DEFINITIONS = [
+  {
+    type: 'html',
+    RendererClass: HtmlRenderer,
+    description: 'Static, accessible HTML pages with SEO meta tags and JSON-LD'
+  },
+  {
+    type: 'md',
+    RendererClass: MarkdownRenderer,
+    options: { format: 'md' },
+    description: 'Markdown with YAML front matter and comparison tables'
+  },
+  {
+    type: 'mdx',
+    RendererClass: MarkdownRenderer,
+    options: { format: 'mdx' },
+    description: 'MDX (Markdown with JSX-safe escaping) with YAML front matter'
+  }
+];
+
+/**
+ * Get the types of all registered renderers
+ */
+export function getRendererTypes() {
+  return RENDERER_DEFINITIONS.map(definition => definition.type);
+}
+
+/**
+ * Create a renderer
+ *
+ * @param {Object} config
+ * @param {string} config.type - One of getRendererTypes()
+ */
+export function createRenderer(config = {}) {
+  const { type, ...options } = config;
+  const definition = RENDERER_DEFINITIONS.find(candidate => candidate.type === type);
+
+  if (!definition) {
+    throw new Error(`Unknown renderer: ${type}. Available renderers: ${getRendererTypes().join(', ')}`);
+  }
+
+  return new definition.RendererClass({ ...definition.options, ...options });
+}
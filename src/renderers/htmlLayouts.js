@@ -0,0 +1,313 @@
+/**
+ * Default HTML layouts
+ *
+ * A layout is a function (context, helpers) => string:
+ * 1. `document` wraps a page body in the full HTML document (head, navigation, landmarks)
+ * 2. `faq`, `product_page` and `comparison_page` render the body of each page
+ *
+ * Any of them can be replaced through HtmlRenderer's `layouts` option or a layouts
+ * module; replacements get the same context and helpers as the defaults.
+ */
+
+import { humanize } from './pages.js';
+import { withoutAttribution } from '../grounding/GroundingValidator.js';
+
+// Page fields that describe how the page was generated rather than the product
+const HIDDEN_FIELDS = new Set(['metadata', 'generatedBy', 'timestamp']);
+
+const STYLES = `
+    body { font-family: system-ui, sans-serif; line-height: 1.6; max-width: 60rem; margin: 0 auto; padding: 0 1rem; color: #1a1a1a; }
+    .skip-link { position: absolute; left: -999px; }
+    .skip-link:focus { left: 1rem; top: 1rem; background: #fff; padding: 0.5rem; }
+    nav ul { list-style: none; display: flex; gap: 1rem; padding: 0; }
+    [aria-current="page"] { font-weight: bold; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 0.5rem; text-align: left; vertical-align: top; }
+    caption { font-weight: bold; text-align: left; padding: 0.5rem 0; }
+    dt { font-weight: bold; }`;
+
+export const DEFAULT_LAYOUTS = {
+  /**
+   * Full document: head with title, meta, OpenGraph and JSON-LD; skip link; header, main, footer
+   */
+  document({ page, pages, body, lang, siteName }, helpers) {
+    const { escapeHtml } = helpers;
+    const meta = [
+      `<meta name="description" content="${escapeHtml(page.seo.description)}">`,
+      page.seo.keywords.length > 0 ? `<meta name="keywords" content="${escapeHtml(page.seo.keywords.join(', '))}">` : null,
+      ...Object.entries(page.seo.openGraph).map(([property, value]) => `<meta property="${escapeHtml(property)}" content="${escapeHtml(value)}">`)
+    ].filter(Boolean);
+
+    const navigation = pages.map(other => other.key === page.key
+      ? `<li><a href="${other.fileName}" aria-current="page">${escapeHtml(other.label)}</a></li>`
+      : `<li><a href="${other.fileName}">${escapeHtml(other.label)}</a></li>`);
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(page.seo.title)}</title>
+  ${meta.join('\n  ')}
+${page.seo.jsonLd ? `  ${helpers.renderJsonLd(page.seo.jsonLd)}\n` : ''}  <style>${STYLES}
+  </style>
+</head>
+<body>
+  <a class="skip-link" href="#main">Skip to main content</a>
+  <header>
+    ${siteName ? `<p>${escapeHtml(siteName)}</p>\n    ` : ''}<nav aria-label="Product pages">
+      <ul>
+        ${navigation.join('\n        ')}
+      </ul>
+    </nav>
+  </header>
+  <main id="main">
+${body}
+  </main>
+  <footer>
+    <p>${escapeHtml(page.content.productName || page.content.productOverview?.name || '')}</p>
+  </footer>
+</body>
+</html>
+`;
+  },
+
+  /**
+   * FAQ: questions grouped by category, one heading per question
+   */
+  faq({ page }, helpers) {
+    const { escapeHtml } = helpers;
+    const { content } = page;
+    const categories = new Map();
+
+    for (const question of content.questions || []) {
+      const category = question.category || 'general';
+      if (!categories.has(category)) categories.set(category, []);
+      categories.get(category).push(question);
+    }
+
+    const sections = Array.from(categories.entries()).map(([category, questions]) => `    <section aria-labelledby="faq-${helpers.slugify(category)}">
+      <h2 id="faq-${helpers.slugify(category)}">${escapeHtml(humanize(category))}</h2>
+${questions.map(question => `      <h3>${escapeHtml(question.question)}</h3>
+      <p>${escapeHtml(question.answer)}</p>`).join('\n')}
+    </section>`);
+
+    return `    <h1>${escapeHtml(content.title || page.seo.title)}</h1>
+${content.description ? `    <p>${escapeHtml(content.description)}</p>\n` : ''}${sections.join('\n')}`;
+  },
+
+  /**
+   * Product page: overview, then every section and the specifications
+   */
+  product_page({ page }, helpers) {
+    const { escapeHtml } = helpers;
+    const { content } = page;
+    const overview = content.productOverview || {};
+    const { name, description, keyFeatures, ...overviewDetails } = withoutAttribution(overview);
+
+    const sections = Object.entries(content.sections || {}).map(([key, section]) => {
+      const { title, ...fields } = withoutAttribution(section) || {};
+      return helpers.renderSection(key, title || humanize(key), fields);
+    });
+
+    if (content.specifications) {
+      sections.push(helpers.renderSection('specifications', 'Specifications', content.specifications));
+    }
+    if (content.recommendations) {
+      sections.push(helpers.renderSection('recommendations', 'Recommendations', content.recommendations));
+    }
+
+    return `    <h1>${escapeHtml(content.title || name || page.seo.title)}</h1>
+    <section aria-labelledby="section-overview">
+      <h2 id="section-overview">Overview</h2>
+${description ? `      <p>${escapeHtml(description)}</p>\n` : ''}${keyFeatures ? `${helpers.renderValue(keyFeatures)}\n` : ''}${Object.keys(overviewDetails).length > 0 ? `${helpers.renderValue(overviewDetails)}\n` : ''}    </section>
+${sections.join('\n')}`;
+  },
+
+  /**
+   * Comparison page: side-by-side table of all products, the comparison by dimension, then
+   * the scoring matrix and verdict
+   */
+  comparison_page({ page }, helpers) {
+    const { escapeHtml } = helpers;
+    const { content } = page;
+    const primary = content.products?.primary;
+    const competitors = content.products?.competitors || [];
+    const sections = [];
+
+    if (primary) {
+      sections.push(helpers.renderComparisonTable([primary, ...competitors]));
+    }
+
+    if (content.comparison) {
+      const criteria = Object.entries(content.comparison).map(([criterion, details]) => helpers.renderSection(`criterion-${criterion}`, humanize(criterion), details, 3));
+      sections.push(`    <section aria-labelledby="section-criteria">
+      <h2 id="section-criteria">Comparison by dimension</h2>
+${criteria.join('\n').replace(/^/gm, '  ')}
+    </section>`);
+    }
+
+    if (content.scoring?.matrix) {
+      sections.push(helpers.renderScoringTable(content.scoring));
+    }
+
+    for (const key of ['analysis', 'summary', 'recommendations']) {
+      if (content[key]) {
+        sections.push(helpers.renderSection(key, humanize(key), content[key]));
+      }
+    }
+
+    const overview = content.comparisonOverview || {};
+
+    return `    <h1>${escapeHtml(content.title || page.seo.title)}</h1>
+${overview.purpose ? `    <p>${escapeHtml(overview.purpose)}</p>\n` : ''}${sections.join('\n')}`;
+  }
+};
+
+/**
+ * Helpers passed to every layout
+ */
+export const HTML_HELPERS = {
+  escapeHtml,
+  slugify,
+  renderJsonLd,
+  renderValue,
+  renderSection,
+  renderComparisonTable,
+  renderScoringTable
+};
+
+/**
+ * Escape text for use in element content and attribute values
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Embed structured data; "<" is escaped so the JSON can never close the script element
+ */
+function renderJsonLd(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+}
+
+/**
+ * Render any JSON value: strings as paragraphs, lists as lists, lists of records as
+ * tables and objects as description lists
+ */
+function renderValue(value, indent = '      ') {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length > 0 && value.every(isRecord)) {
+      return renderRecordTable(value, indent);
+    }
+    return `${indent}<ul>\n${value.map(item => `${indent}  <li>${isRecord(item) || Array.isArray(item) ? `\n${renderValue(item, `${indent}    `)}\n${indent}  ` : escapeHtml(item)}</li>`).join('\n')}\n${indent}</ul>`;
+  }
+
+  if (isRecord(value)) {
+    const entries = Object.entries(value).filter(([key, item]) => !HIDDEN_FIELDS.has(key) && item !== null && item !== undefined && item !== '');
+    if (entries.length === 0) return '';
+
+    return `${indent}<dl>\n${entries.map(([key, item]) => `${indent}  <dt>${escapeHtml(humanize(key))}</dt>\n${indent}  <dd>${typeof item === 'object' ? `\n${renderValue(item, `${indent}    `)}\n${indent}  ` : escapeHtml(item)}</dd>`).join('\n')}\n${indent}</dl>`;
+  }
+
+  return `${indent}<p>${escapeHtml(value)}</p>`;
+}
+
+/**
+ * A titled section with its own heading id, so it is reachable from assistive technology
+ */
+function renderSection(key, title, fields, level = 2) {
+  const id = `section-${slugify(key)}`;
+
+  return `    <section aria-labelledby="${id}">
+      <h${level} id="${id}">${escapeHtml(title)}</h${level}>
+${renderValue(fields)}
+    </section>`;
+}
+
+/**
+ * Products as columns, attributes as rows; fictional competitors are marked
+ */
+function renderComparisonTable(products) {
+  const attributes = ['price', 'keyIngredients', 'benefits', 'skinType', 'concentration', 'usage', 'sideEffects']
+    .filter(attribute => products.some(product => product[attribute]));
+  const hasFictional = products.some(product => product.fictional);
+
+  const header = products.map(product => `<th scope="col">${escapeHtml(product.name)}${product.fictional ? '<sup>*</sup>' : ''}</th>`).join('');
+  const rows = attributes.map(attribute => `          <tr><th scope="row">${escapeHtml(humanize(attribute))}</th>${products.map(product => `<td>${escapeHtml(product[attribute] || '—')}</td>`).join('')}</tr>`);
+
+  return `    <section aria-labelledby="section-products">
+      <h2 id="section-products">Products compared</h2>
+      <table>
+        <caption>Side-by-side comparison</caption>
+        <thead>
+          <tr><td></td>${header}</tr>
+        </thead>
+        <tbody>
+${rows.join('\n')}
+        </tbody>
+      </table>
+${hasFictional ? '      <p><sup>*</sup> Illustrative competitor profile, not a real product.</p>\n' : ''}    </section>`;
+}
+
+/**
+ * Normalized scores per compared dimension (weight in the header), each product's total and
+ * rank, then the verdict
+ */
+function renderScoringTable({ dimensions, matrix, verdict }) {
+  const compared = dimensions.filter(dimension => dimension.compared);
+  const header = compared.map(dimension => `<th scope="col">${escapeHtml(humanize(dimension.name))} (${Math.round(dimension.weight * 100)}%)</th>`).join('');
+  const rows = matrix.map(row => `          <tr><th scope="row">${escapeHtml(row.product)}</th>${compared.map(dimension => `<td>${escapeHtml(row.scores[dimension.name] ?? '—')}</td>`).join('')}<td>${escapeHtml(row.total ?? '—')}</td><td>${escapeHtml(row.rank ?? '—')}</td></tr>`);
+  const reasons = verdict.reasons.length > 0
+    ? `      <ul>\n${verdict.reasons.map(reason => `        <li>${escapeHtml(reason)}</li>`).join('\n')}\n      </ul>\n`
+    : '';
+
+  return `    <section aria-labelledby="section-scoring">
+      <h2 id="section-scoring">Scoring</h2>
+      <table>
+        <caption>Normalized scores (0-1) by dimension</caption>
+        <thead>
+          <tr><td></td>${header}<th scope="col">Score</th><th scope="col">Rank</th></tr>
+        </thead>
+        <tbody>
+${rows.join('\n')}
+        </tbody>
+      </table>
+      <p>${escapeHtml(verdict.summary)}</p>
+${reasons}    </section>`;
+}
+
+function renderRecordTable(records, indent) {
+  const columns = Array.from(new Set(records.flatMap(record => Object.keys(record))));
+
+  return `${indent}<table>
+${indent}  <thead><tr>${columns.map(column => `<th scope="col">${escapeHtml(humanize(column))}</th>`).join('')}</tr></thead>
+${indent}  <tbody>
+${records.map(record => `${indent}    <tr>${columns.map(column => `<td>${formatCell(record[column])}</td>`).join('')}</tr>`).join('\n')}
+${indent}  </tbody>
+${indent}</table>`;
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return escapeHtml(value.join(', '));
+  if (typeof value === 'object') return escapeHtml(JSON.stringify(value));
+  return escapeHtml(value);
+}
+
+function isRecord(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,82 @@
+/**
+ * Rendered pages - The generated pages renderers turn into documents
+ *
+ * Every renderer (HTML, Markdown, ...) works on the same page list:
+ * 1. The JSON page written by a page agent (faq.json, product_page.json, comparison_page.json)
+ * 2. The SEO metadata for that page from seo_optimization.json (title, description,
+ *    keywords, OpenGraph tags, JSON-LD), falling back to the page's own title and
+ *    description when the SEO agent did not run
+ */
+
+export const SEO_FILE = 'seo_optimization.json';
+
+export const PAGE_DEFINITIONS = [
+  {
+    key: 'faq',
+    sourceFile: 'faq.json',
+    label: 'FAQ',
+    schema: 'faq_schema'
+  },
+  {
+    key: 'product_page',
+    sourceFile: 'product_page.json',
+    label: 'Product',
+    schema: 'product_schema'
+  },
+  {
+    key: 'comparison_page',
+    sourceFile: 'comparison_page.json',
+    label: 'Comparison',
+    schema: 'product_schema'
+  }
+];
+
+/**
+ * Collect the pages written to a sink during this run, with their SEO metadata
+ *
+ * @param {OutputSink} sink
+ * @returns {Array<{key, sourceFile, label, content, seo}>}
+ */
+export function collectPages(sink) {
+  const seoData = sink.has(SEO_FILE) ? sink.readJson(SEO_FILE) : null;
+
+  return PAGE_DEFINITIONS
+    .filter(definition => sink.has(definition.sourceFile))
+    .map(definition => {
+      const content = sink.readJson(definition.sourceFile);
+      return { ...definition, content, seo: getPageSeo(seoData, definition, content) };
+    });
+}
+
+/**
+ * Resolve the SEO metadata of one page
+ */
+export function getPageSeo(seoData, definition, content) {
+  const metadata = seoData?.metadata || {};
+
+  return {
+    title: metadata.title_tags?.[definition.key] || content.title || definition.label,
+    description: metadata.meta_descriptions?.[definition.key] || content.description || '',
+    keywords: seoData?.keywords?.primary || [],
+    openGraph: metadata.og_tags || {},
+    jsonLd: metadata.schema_markup?.[definition.schema] || null
+  };
+}
+
+/**
+ * Turn a camelCase or snake_case key into a label ("keyIngredients" -> "Key ingredients");
+ * keys that are already text (e.g. product names) are kept as they are
+ */
+export function humanize(key) {
+  if (/\s/.test(String(key).trim())) {
+    return String(key).trim();
+  }
+
+  const words = String(key)
+    .replace(/_/g, ' ')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .trim()
+    .toLowerCase();
+
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
@@ -0,0 +1,106 @@
+/**
+ * ProductSchemas - Product schemas per category, used by DataParserAgent validation
+ *
+ * This registry:
+ * 1. Describes the categories that ship with a schema (src/schemas/products/<category>.json)
+ * 2. Loads and checks a schema by category, or from any JSON file
+ * 3. Picks the schema for a product: an explicit schema, else the product's own
+ *    `category`, else the configured category, else skincare
+ *
+ * Schemas use the keywords documented in SchemaValidator.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { assertValidSchema } from './SchemaValidator.js';
+
+const SCHEMAS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'products');
+
+export const DEFAULT_CATEGORY = 'skincare';
+
+export const PRODUCT_SCHEMA_DEFINITIONS = [
+  {
+    category: 'skincare',
+    file: 'skincare.json',
+    description: 'Serums, creams, cleansers and other topical skincare'
+  },
+  {
+    category: 'supplements',
+    file: 'supplements.json',
+    description: 'Vitamins, minerals and other supplements (servings, dosages, dietary labels)'
+  },
+  {
+    category: 'electronics',
+    file: 'electronics.json',
+    description: 'Devices with nested specifications (battery, display, connectivity)'
+  }
+];
+
+const loadedSchemas = new Map();
+
+/**
+ * Get the categories that ship with a schema
+ */
+export function getSchemaCategories() {
+  return PRODUCT_SCHEMA_DEFINITIONS.map(definition => definition.category);
+}
+
+/**
+ * Load the schema of a category (cached)
+ */
+export function loadProductSchema(category) {
+  const definition = PRODUCT_SCHEMA_DEFINITIONS.find(candidate => candidate.category === category);
+
+  if (!definition) {
+    throw new Error(`Unknown product category: ${category}. Available categories: ${getSchemaCategories().join(', ')}`);
+  }
+
+  if (!loadedSchemas.has(category)) {
+    loadedSchemas.set(category, loadSchemaFile(path.join(SCHEMAS_DIR, definition.file)));
+  }
+
+  return loadedSchemas.get(category);
+}
+
+/**
+ * Load a schema from a JSON file and check it
+ */
+export function loadSchemaFile(filePath) {
+  let schema;
+  try {
+    schema = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read product schema ${filePath}: ${error.message}`);
+  }
+
+  assertValidSchema(schema, filePath);
+  return schema;
+}
+
+/**
+ * Pick the schema a product is validated against
+ *
+ * @param {Object} product
+ * @param {Object} [options]
+ * @param {Object} [options.schema] - Schema used for every product (e.g. from --schema)
+ * @param {string} [options.category] - Category of products that do not name their own
+ * @returns {{ category: string|null, schema: Object, warnings: string[] }}
+ */
+export function resolveProductSchema(product, options = {}) {
+  if (options.schema) {
+    return { category: product?.category || options.category || null, schema: options.schema, warnings: [] };
+  }
+
+  const category = product?.category || options.category || DEFAULT_CATEGORY;
+
+  if (!getSchemaCategories().includes(category)) {
+    return {
+      category: DEFAULT_CATEGORY,
+      schema: loadProductSchema(DEFAULT_CATEGORY),
+      warnings: [`Unknown category "${category}", validated with the ${DEFAULT_CATEGORY} schema`]
+    };
+  }
+
+  return { category, schema: loadProductSchema(category), warnings: [] };
+}
@@ -0,0 +1,321 @@
+/**
+ * SchemaValidator - Validates product data against a JSON Schema-style product schema
+ *
+ * Supported keywords:
+ * 1. Structure: type (one type or a list), properties, required, items
+ * 2. Strings: minLength, maxLength, pattern
+ * 3. Numbers: minimum, maximum (also applied to the number of a value with a unit)
+ * 4. Lists: minItems, maxItems, uniqueItems; `separator` validates a delimited string
+ *    ("Vitamin C, Niacinamide") as a list
+ * 5. enum (strings compare case-insensitively)
+ * 6. unit: allowed unit(s) for values like "500 mg", "20%" or { value: 500, unit: "mg" }
+ * 7. validator: name(s) of custom validators (see registerValidator)
+ * 8. severity ('error' or 'warning') and penalty (points) for a field's violations
+ *
+ * A missing required field is always an error and makes the data invalid; other
+ * violations are warnings unless the field's severity is 'error'. Every violation
+ * deducts points from a score of 100, and the report attributes each deduction to
+ * the field that caused it.
+ */
+
+import { parsePrice, findPriceProblem } from '../pricing/PriceModel.js';
+
+// Points deducted per violation unless a field sets its own penalty
+export const DEFAULT_PENALTIES = {
+  required: 20,
+  type: 5,
+  constraint: 10
+};
+
+const SEVERITIES = ['error', 'warning'];
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+
+// A number followed by its unit: "500 mg", "20%", "4.5 hours"
+const UNIT_VALUE_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*(%|[a-zA-Zµ]+)/;
+
+const validators = new Map();
+
+/**
+ * Register a custom validator usable from schemas as `"validator": "<name>"`
+ *
+ * @param {string} name
+ * @param {Function} validator - (value, { path, schema, data }) => null when valid,
+ *   otherwise a message or { message, severity }
+ */
+export function registerValidator(name, validator) {
+  if (typeof validator !== 'function') {
+    throw new Error(`Validator "${name}" must be a function`);
+  }
+  validators.set(name, validator);
+}
+
+/**
+ * Get the names of all registered custom validators
+ */
+export function getValidatorNames() {
+  return Array.from(validators.keys());
+}
+
+registerValidator('positiveAmount', (value) => {
+  const problem = typeof value === 'object' ? null : findPriceProblem(value);
+  if (problem) {
+    return { message: problem, severity: 'error' };
+  }
+  const price = parsePrice(value);
+  return price && price.amount > 0 ? null : 'must contain an amount greater than zero';
+});
+
+registerValidator('noPlaceholder', (value) => {
+  return /^\s*(tbd|tba|n\/a|na|todo|lorem ipsum.*|-+)\s*$/i.test(String(value)) ? 'is a placeholder, not real content' : null;
+});
+
+/**
+ * Check that a schema only uses known types, severities and validators
+ *
+ * @param {Object} schema
+ * @param {string} source - Where the schema came from, for error messages
+ * @param {string} [path]
+ * @param {string} [kind] - What the schema describes, for error messages
+ */
+export function assertValidSchema(schema, source, path = '', kind = 'product schema') {
+  const location = `${source}${path ? ` at ${path}` : ''}`;
+
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error(`Invalid ${kind} ${location}: expected an object`);
+  }
+
+  for (const type of [].concat(schema.type || [])) {
+    if (!TYPES.includes(type)) {
+      throw new Error(`Invalid ${kind} ${location}: unknown type "${type}" (use ${TYPES.join(', ')})`);
+    }
+  }
+  if (schema.severity && !SEVERITIES.includes(schema.severity)) {
+    throw new Error(`Invalid ${kind} ${location}: unknown severity "${schema.severity}" (use ${SEVERITIES.join(', ')})`);
+  }
+  for (const name of [].concat(schema.validator || [])) {
+    if (!validators.has(name)) {
+      throw new Error(`Invalid ${kind} ${location}: unknown validator "${name}". Available validators: ${getValidatorNames().join(', ')}`);
+    }
+  }
+  if (schema.pattern) {
+    try {
+      new RegExp(schema.pattern);
+    } catch (error) {
+      throw new Error(`Invalid ${kind} ${location}: ${error.message}`);
+    }
+  }
+
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    assertValidSchema(property, source, path ? `${path}.${key}` : key, kind);
+  }
+  if (schema.items) {
+    assertValidSchema(schema.items, source, `${path}[]`, kind);
+  }
+}
+
+/**
+ * Validate data against a schema
+ *
+ * @param {Object} data
+ * @param {Object} schema - Root schema (an object schema with properties)
+ * @returns {Object} Report: { schema, isValid, score, errors, warnings, issues, fields }
+ */
+export function validateAgainstSchema(data, schema) {
+  const issues = [];
+  const fields = {};
+
+  visit(data, schema, '', { data, issues, fields });
+
+  const errors = issues.filter(issue => issue.severity === 'error');
+  const penalty = issues.reduce((total, issue) => total + issue.penalty, 0);
+
+  return {
+    schema: schema.$id || schema.title || 'product',
+    isValid: errors.length === 0,
+    score: Math.max(0, 100 - penalty),
+    errors: errors.map(issue => issue.message),
+    warnings: issues.filter(issue => issue.severity === 'warning').map(issue => issue.message),
+    issues: issues,
+    fields: fields
+  };
+}
+
+/**
+ * Validate one value and, for objects and lists, everything inside it
+ */
+function visit(value, schema, path, context) {
+  const report = (keyword, message, severity = schema.severity || 'warning') => {
+    const penalty = schema.penalty ?? (keyword === 'required' ? DEFAULT_PENALTIES.required : keyword === 'type' ? DEFAULT_PENALTIES.type : DEFAULT_PENALTIES.constraint);
+    context.issues.push({ path, keyword, severity, penalty, message });
+
+    if (path) {
+      const field = context.fields[path];
+      field.status = severity === 'error' || field.status === 'error' ? 'error' : 'warning';
+      field.contribution -= penalty;
+      field.issues.push(message);
+    }
+  };
+
+  if (path) {
+    context.fields[path] = { status: 'valid', contribution: 0, issues: [] };
+  }
+
+  const label = path || 'product';
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    report('type', `Field ${label} should be ${types.join(' or ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    checkString(value, schema, label, report);
+  }
+  if (typeof value === 'number') {
+    checkRange(value, schema, label, report);
+  }
+
+  const list = Array.isArray(value)
+    ? value
+    : typeof value === 'string' && schema.separator
+      ? value.split(schema.separator).map(item => item.trim()).filter(Boolean)
+      : null;
+  if (list) {
+    checkList(list, schema, path, label, report, context);
+  }
+
+  if (schema.enum && !Array.isArray(value) && !schema.enum.some(option => sameOption(option, value))) {
+    report('enum', `Field ${label} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.unit) {
+    checkUnit(value, schema, label, report);
+  }
+
+  for (const name of [].concat(schema.validator || [])) {
+    const result = validators.get(name)(value, { path, schema, data: context.data });
+    if (result) {
+      const { message, severity } = typeof result === 'string' ? { message: result } : result;
+      report(`validator:${name}`, `Field ${label} ${message}`, severity || schema.severity || 'warning');
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value) && schema.properties) {
+    checkProperties(value, schema, path, context);
+  }
+}
+
+/**
+ * Check the declared properties of an object: missing required fields are errors
+ */
+function checkProperties(value, schema, path, context) {
+  const required = new Set(schema.required || []);
+
+  for (const [key, property] of Object.entries(schema.properties)) {
+    const fieldPath = path ? `${path}.${key}` : key;
+    const fieldValue = value[key];
+
+    if (isEmpty(fieldValue)) {
+      if (required.has(key)) {
+        const penalty = property.penalty ?? DEFAULT_PENALTIES.required;
+        const message = `Missing required field: ${fieldPath}`;
+        context.issues.push({ path: fieldPath, keyword: 'required', severity: 'error', penalty, message });
+        context.fields[fieldPath] = { status: 'missing', contribution: -penalty, issues: [message] };
+      }
+      continue;
+    }
+
+    visit(fieldValue, property, fieldPath, context);
+  }
+}
+
+function checkString(value, schema, label, report) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    report('minLength', `Field ${label} too short (minimum ${schema.minLength} characters)`);
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    report('maxLength', `Field ${label} too long (maximum ${schema.maxLength} characters)`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    report('pattern', `Field ${label} format invalid`);
+  }
+}
+
+function checkRange(number, schema, label, report, suffix = '') {
+  if (schema.minimum !== undefined && number < schema.minimum) {
+    report('minimum', `Field ${label} must be at least ${schema.minimum}${suffix}`);
+  }
+  if (schema.maximum !== undefined && number > schema.maximum) {
+    report('maximum', `Field ${label} must be at most ${schema.maximum}${suffix}`);
+  }
+}
+
+function checkList(list, schema, path, label, report, context) {
+  if (schema.minItems !== undefined && list.length < schema.minItems) {
+    report('minItems', `Field ${label} needs at least ${schema.minItems} item(s)`);
+  }
+  if (schema.maxItems !== undefined && list.length > schema.maxItems) {
+    report('maxItems', `Field ${label} allows at most ${schema.maxItems} item(s)`);
+  }
+  if (schema.uniqueItems) {
+    const seen = list.map(item => JSON.stringify(typeof item === 'string' ? item.toLowerCase() : item));
+    if (new Set(seen).size !== seen.length) {
+      report('uniqueItems', `Field ${label} contains duplicate items`);
+    }
+  }
+
+  if (schema.items) {
+    list.forEach((item, index) => visit(item, schema.items, `${path}[${index}]`, context));
+  }
+}
+
+function checkUnit(value, schema, label, report) {
+  const units = [].concat(schema.unit);
+  let number;
+  let unit;
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    number = Number(value.value);
+    unit = value.unit;
+  } else {
+    const match = String(value).match(UNIT_VALUE_PATTERN);
+    if (match) {
+      number = parseFloat(match[1]);
+      unit = match[2];
+    }
+  }
+
+  if (unit === undefined || !Number.isFinite(number)) {
+    report('unit', `Field ${label} needs an amount with a unit (${units.join(', ')})`);
+    return;
+  }
+  if (!units.some(option => sameOption(option, unit))) {
+    report('unit', `Field ${label} has unit "${unit}", expected ${units.join(', ')}`);
+    return;
+  }
+
+  checkRange(number, schema, label, report, unit === '%' ? unit : ` ${unit}`);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function sameOption(option, value) {
+  return typeof option === 'string' && typeof value === 'string'
+    ? option.toLowerCase() === value.toLowerCase()
+    : option === value;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
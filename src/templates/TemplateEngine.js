@@ -6,47 +6,163 @@
  * 2. Content block execution
  * 3. Field mapping and variable interpolation
  * 4. Reusable transformation functions
+ *
+ * Content blocks are called as `block(data, params, context)`, where `context`
+ * carries the optional text provider used for copy generation (with the run's deadline,
+ * `deadline`, for its requests) and the localizer;
+ * `params` are the defaults of the block's contract, overlaid with its registered config
+ * and then the template's params. A block registered with a contract (see
+ * BlockContracts.js) only accepts the params it declares, and its output is checked
+ * against the contract's output schema each time it runs.
+ *
+ * With a localizer, template strings are read from its locale bundle
+ * (`templates.<template name>.<field path>`, e.g. "templates.faq_page.title"),
+ * falling back to the string in the template definition. Templates loaded from a
+ * template directory (with a `source` file) are rendered as written.
+ *
+ * Template strings use the template language (see TemplateLanguage.js): dotted paths,
+ * filters, defaults and {{#if}}/{{#each}} sections. Unknown variables render empty with a
+ * warning; a strict engine (`strict: true`) fails the template instead.
+ *
+ * Templates may extend a registered template, fill its slots and include registered
+ * partials (see TemplateInheritance.js); registration resolves the hierarchy.
+ *
+ * Registration also checks a template against the template schema (see TemplateSchema.js):
+ * node shapes, registered content blocks (so register the blocks first), block params and
+ * field mappings of known input fields. Each processed template leaves a render report
+ * (getRenderReport) with the status of every block it ran: rendered, null (the block returned
+ * nothing), failed (it threw or is missing), invalid (its output breaks its contract) or
+ * fallback (its output stands in for missing input).
  */
 
+import { createLocalizer, DEFAULT_LOCALE } from '../locales/Localizer.js';
+import { renderTemplate, getTemplateValue } from './TemplateLanguage.js';
+import { resolveTemplate } from './TemplateInheritance.js';
+import { validateTemplate, validateBlockParams, getTemplateInputFields, suggest, TemplateValidationError } from './TemplateSchema.js';
+import { assertValidBlockContract, checkBlockOutput, getParamDefaults } from '../blocks/BlockContracts.js';
+
 export class TemplateEngine {
-  constructor() {
+  constructor(config = {}) {
+    this.textProvider = config.textProvider || null;
+    this.deadline = config.deadline || null;
+    this.localizer = config.localizer || createLocalizer(DEFAULT_LOCALE);
+    this.strict = Boolean(config.strict);
     this.templates = new Map();
+    this.partials = new Map();
     this.contentBlocks = new Map();
+    this.blockConfigs = new Map();
     this.fieldMappings = new Map();
+    this.renderReports = new Map();
+    this.inputFields = config.inputFields || getTemplateInputFields();
   }
   
   /**
    * Register a template
+   *
+   * A template that extends another is resolved against it, so the parent and the partials
+   * it includes must be registered first.
+   *
+   * @returns {Object} The resolution report (parent chain, slots, overrides, partials)
+   * @throws {TemplateValidationError} When the template does not match the template schema
+   *   (e.g. an unknown content block) or the hierarchy does not resolve (unknown parent,
+   *   partial or slot, required slots left unfilled)
    */
   registerTemplate(name, template) {
+    assertValidTemplate(name, validateTemplate(template));
+    
+    let resolved;
+    try {
+      resolved = resolveTemplate(name, template, {
+        parent: template.extends ? this.templates.get(template.extends) : null,
+        partials: this.partials
+      });
+    } catch (error) {
+      throw new TemplateValidationError(`template "${name}"`, [error.message]);
+    }
+    
+    assertValidTemplate(name, validateTemplate(template, {
+      resolved: resolved,
+      blocks: this.getBlockContracts(),
+      inputFields: this.inputFields
+    }));
+    
     this.templates.set(name, {
-      ...template,
+      ...resolved,
       registeredAt: Date.now()
     });
     
-    console.log(`📋 [TemplateEngine] Registered template: ${name}`);
+    console.log(`📋 [TemplateEngine] Registered template: ${name}${describeResolution(resolved.resolution)}`);
+    return resolved.resolution;
+  }
+  
+  /**
+   * Register a partial: a structure (or string) templates include with
+   * `{ type: 'partial', partial: name }`
+   */
+  registerPartial(name, partial) {
+    this.partials.set(name, partial);
+    
+    console.log(`🧱 [TemplateEngine] Registered partial: ${name}`);
   }
   
   /**
    * Register a content block
+   *
+   * @param {string} name
+   * @param {Function} blockFunction - (data, params, context) => output
+   * @param {Object} [contract] - { description, params, output } (see BlockContracts.js)
+   * @throws {Error} For an invalid contract
    */
-  registerContentBlock(name, blockFunction) {
+  registerContentBlock(name, blockFunction, contract = null) {
+    if (contract) {
+      assertValidBlockContract(name, contract);
+    }
+    
     this.contentBlocks.set(name, {
       execute: blockFunction,
+      contract: contract,
       registeredAt: Date.now()
     });
     
     console.log(`🧩 [TemplateEngine] Registered content block: ${name}`);
   }
   
+  /**
+   * Register a content block config: default params of a block, under the params a
+   * template passes to it
+   *
+   * @throws {TemplateValidationError} For an unregistered block or params that break its contract
+   */
+  registerBlockConfig(name, params) {
+    if (!this.contentBlocks.has(name)) {
+      throw new TemplateValidationError('block config', [`unknown content block "${name}"${suggest(name, this.getAvailableContentBlocks())}`]);
+    }
+    const problems = validateBlockParams(params, name, this.contentBlocks.get(name).contract);
+    if (problems.length > 0) {
+      throw new TemplateValidationError('block config', problems);
+    }
+    
+    this.blockConfigs.set(name, params);
+    
+    console.log(`🔧 [TemplateEngine] Registered block config: ${name}`);
+  }
+  
   /**
    * Process template with data
+   *
+   * @param {string} templateName
+   * @param {Object} data
+   * @param {Object} [options]
+   * @param {boolean} [options.strict] - Fail on unknown variables (default: the engine's setting)
    */
   async processTemplate(templateName, data, options = {}) {
     const template = this.templates.get(templateName);
     if (!template) {
       throw new Error(`Template not found: ${templateName}`);
     }
+    if (template.abstract) {
+      throw new Error(`Template ${templateName} is abstract; process a template that extends it`);
+    }
     
     console.log(`⚡ [TemplateEngine] Processing template: ${templateName}`);
     
@@ -55,45 +171,85 @@ export class TemplateEngine {
       processedAt: new Date().toISOString(),
       data: {}
     };
+    const report = { blocks: [] };
     
-    // Process template structure
-    if (template.structure) {
-      result.data = await this.processTemplateStructure(template.structure, data, options);
-    }
-    
-    // Apply field mappings
-    if (template.fieldMappings) {
-      result.data = this.applyFieldMappings(result.data, template.fieldMappings, data);
-    }
-    
-    // Execute content blocks
-    if (template.contentBlocks) {
-      result.data = await this.executeContentBlocks(result.data, template.contentBlocks, data);
+    try {
+      // Process template structure
+      if (template.structure) {
+        result.data = await this.processTemplateStructure(template.structure, data, { ...options, templateName: templateName, slots: template.slots, path: [], report: report });
+      }
+      
+      // Apply field mappings
+      if (template.fieldMappings) {
+        result.data = this.applyFieldMappings(result.data, template.fieldMappings, data);
+      }
+      
+      // Execute content blocks
+      if (template.contentBlocks) {
+        result.data = await this.executeContentBlocks(result.data, template.contentBlocks, data, report);
+      }
+    } catch (error) {
+      this.renderReports.set(templateName, createRenderReport(templateName, result.processedAt, report.blocks, error));
+      throw error;
     }
     
+    this.renderReports.set(templateName, createRenderReport(templateName, result.processedAt, report.blocks));
     return result.data;
   }
   
+  /**
+   * Get the render report of the last time a template was processed (null before)
+   *
+   * @returns {Object|null} { template, status (rendered or failed), error?, renderedAt,
+   *   blocks: [{ path, block, status, error?, issues?, fallbackItems? }], summary: counts by block status }
+   */
+  getRenderReport(templateName) {
+    return this.renderReports.get(templateName) || null;
+  }
+
+  /**
+   * Get the render reports of every template processed so far
+   */
+  getRenderReports() {
+    return Array.from(this.renderReports.values());
+  }
+
+  /**
+   * Take over render reports of an earlier process (e.g. a page restored from a run checkpoint)
+   */
+  restoreRenderReports(reports) {
+    for (const report of reports) {
+      this.renderReports.set(report.template, report);
+    }
+  }
+  
   /**
    * Process template structure
    */
-  async processTemplateStructure(structure, data, options) {
+  async processTemplateStructure(structure, data, options = {}) {
     const processed = {};
     
     for (const [key, value] of Object.entries(structure)) {
       if (typeof value === 'string') {
         // Simple field mapping
-        processed[key] = this.interpolateVariables(value, data);
+        const path = [...(options.path || []), key];
+        processed[key] = this.interpolateVariables(this.localizeString(value, path, options), data, { ...options, path: path });
       } else if (typeof value === 'object' && value !== null) {
-        if (value.type === 'block') {
+        if (value.type === 'slot') {
+          // Slot content, localized as the template that filled it (empty optional slots are left out)
+          const slot = options.slots?.[value.name];
+          if (slot?.value === undefined || slot.value === null) continue;
+          const filled = await this.processTemplateStructure({ [key]: slot.value }, data, { ...options, templateName: slot.filledBy });
+          processed[key] = filled[key];
+        } else if (value.type === 'block') {
           // Content block execution
-          processed[key] = await this.executeBlock(value.block, data, value.params || {});
+          processed[key] = await this.executeBlock(value.block, data, value.params || {}, { report: options.report, path: [...(options.path || []), key].join('.') });
         } else if (value.type === 'list') {
           // List processing
-          processed[key] = await this.processList(value, data);
+          processed[key] = await this.processList(value, data, { ...options, path: [...(options.path || []), key] });
         } else {
           // Nested structure
-          processed[key] = await this.processTemplateStructure(value, data, options);
+          processed[key] = await this.processTemplateStructure(value, data, { ...options, path: [...(options.path || []), key] });
         }
       } else {
         processed[key] = value;
@@ -110,8 +266,9 @@ export class TemplateEngine {
     const mapped = { ...processedData };
     
     for (const [targetField, sourceField] of Object.entries(mappings)) {
-      if (originalData[sourceField] !== undefined) {
-        mapped[targetField] = originalData[sourceField];
+      const value = getTemplateValue(originalData, sourceField);
+      if (value !== undefined) {
+        mapped[targetField] = value;
       }
     }
     
@@ -121,16 +278,16 @@ export class TemplateEngine {
   /**
    * Execute content blocks
    */
-  async executeContentBlocks(processedData, blockConfigs, originalData) {
+  async executeContentBlocks(processedData, blockConfigs, originalData, report = null) {
     const enhanced = { ...processedData };
     
     for (const [field, blockConfig] of Object.entries(blockConfigs)) {
       if (typeof blockConfig === 'string') {
         // Simple block execution
-        enhanced[field] = await this.executeBlock(blockConfig, originalData);
+        enhanced[field] = await this.executeBlock(blockConfig, originalData, {}, { report, path: field });
       } else if (typeof blockConfig === 'object') {
         // Block with parameters
-        enhanced[field] = await this.executeBlock(blockConfig.block, originalData, blockConfig.params || {});
+        enhanced[field] = await this.executeBlock(blockConfig.block, originalData, blockConfig.params || {}, { report, path: field });
       }
     }
     
@@ -139,39 +296,69 @@ export class TemplateEngine {
   
   /**
    * Execute a single content block
+   *
+   * @param {string} blockName
+   * @param {Object} data
+   * @param {Object} [params]
+   * @param {Object} [options]
+   * @param {Object} [options.report] - Render report the block's status is added to
+   * @param {string} [options.path] - Output field of the block, for the report
    */
-  async executeBlock(blockName, data, params = {}) {
+  async executeBlock(blockName, data, params = {}, { report = null, path = blockName } = {}) {
+    const record = (status, details = {}) => report?.blocks.push({ path: path, block: blockName, status: status, ...details });
+    
     const block = this.contentBlocks.get(blockName);
     if (!block) {
       console.warn(`⚠️  [TemplateEngine] Content block not found: ${blockName}`);
+      record('failed', { error: 'Content block not found' });
       return null;
     }
     
+    let output;
     try {
-      return await block.execute(data, params);
+      output = await block.execute(data, { ...getParamDefaults(block.contract), ...this.blockConfigs.get(blockName), ...params }, { textProvider: this.textProvider, deadline: this.deadline, localizer: this.localizer, blockName: blockName });
     } catch (error) {
       console.error(`❌ [TemplateEngine] Error executing block ${blockName}:`, error.message);
+      record('failed', { error: error.message });
       return null;
     }
+    
+    const issues = output === null || output === undefined ? [] : checkBlockOutput(output, block.contract);
+    if (output === null || output === undefined) {
+      record('null');
+    } else if (issues.length > 0) {
+      console.warn(`⚠️  [TemplateEngine] Output of block ${blockName} breaks its contract: ${issues.join('; ')}`);
+      record('invalid', { issues: issues });
+    } else if (countFallbacks(output) > 0) {
+      record('fallback', Array.isArray(output) ? { fallbackItems: countFallbacks(output) } : {});
+    } else {
+      record('rendered');
+    }
+    return output;
   }
   
   /**
    * Process list items
+   *
+   * The source is a dotted path into the data ("competitors", "comparison.products"); item
+   * template strings see the item's fields first, then the enclosing data, and the item's
+   * position as {{@index}}, {{@first}} and {{@last}}.
    */
-  async processList(listConfig, data) {
+  async processList(listConfig, data, options = {}) {
     const items = [];
+    const sourceData = listConfig.source ? getTemplateValue(data, listConfig.source) : undefined;
     
-    if (listConfig.source && data[listConfig.source]) {
-      const sourceData = data[listConfig.source];
-      
-      if (Array.isArray(sourceData)) {
-        for (const item of sourceData) {
-          if (listConfig.itemTemplate) {
-            const processedItem = await this.processTemplateStructure(listConfig.itemTemplate, item);
-            items.push(processedItem);
-          } else {
-            items.push(item);
-          }
+    if (Array.isArray(sourceData)) {
+      for (const [index, item] of sourceData.entries()) {
+        if (listConfig.itemTemplate) {
+          const processedItem = await this.processTemplateStructure(listConfig.itemTemplate, item, {
+            ...options,
+            outer: [...(options.outer || []), data],
+            loop: { index: index, count: sourceData.length }
+          });
+          items.push(processedItem);
+        } else {
+          items.push(item);
         }
       }
     }
@@ -179,13 +366,49 @@ export class TemplateEngine {
     return items;
   }
   
+  /**
+   * Get the locale bundle's version of a template string (the string itself without one)
+   */
+  localizeString(value, path, options) {
+    // Templates loaded from files carry their own strings
+    if (!options.templateName || this.templates.get(options.templateName)?.source) return value;
+    
+    const key = `templates.${options.templateName}.${path.join('.')}`;
+    return this.localizer.has(key) ? String(this.localizer.get(key)) : value;
+  }
+  
   /**
    * Interpolate variables in strings
+   *
+   * @throws {Error} On template syntax errors, and on unknown variables when strict
    */
-  interpolateVariables(template, data) {
-    return template.replace(/\{\{(\w+)\}\}/g, (match, variable) => {
-      return data[variable] || match;
-    });
+  interpolateVariables(template, data, options = {}) {
+    const location = [options.templateName, ...(options.path || [])].filter(Boolean).join('.') || 'template string';
+    
+    try {
+      const { text, missing } = renderTemplate(template, data, {
+        strict: options.strict ?? this.strict,
+        localizer: this.localizer,
+        outer: options.outer,
+        loop: options.loop
+      });
+      
+      for (const { variable, reason } of missing) {
+        console.warn(`⚠️  [TemplateEngine] Template variable "${variable}" in ${location} ${reason}; rendered empty`);
+      }
+      
+      return text;
+    } catch (error) {
+      console.error(`❌ [TemplateEngine] Error rendering ${location}:`, error.message);
+      throw new Error(`Template ${location}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get a registered template, resolved
+   */
+  getTemplate(name) {
+    return this.templates.get(name) || null;
   }
   
   /**
@@ -202,15 +425,70 @@ export class TemplateEngine {
     return Array.from(this.contentBlocks.keys());
   }
   
+  /**
+   * Get the contract of every registered content block (null for blocks without one)
+   *
+   * @returns {Map<string, Object|null>}
+   */
+  getBlockContracts() {
+    return new Map(Array.from(this.contentBlocks, ([name, block]) => [name, block.contract]));
+  }
+  
   /**
    * Get engine information
    */
   getInfo() {
     return {
       templates: this.getAvailableTemplates(),
+      partials: Array.from(this.partials.keys()),
       contentBlocks: this.getAvailableContentBlocks(),
       totalTemplates: this.templates.size,
       totalContentBlocks: this.contentBlocks.size
     };
   }
-}
\ No newline at end of file
+}
+
+function assertValidTemplate(name, problems) {
+  if (problems.length > 0) {
+    throw new TemplateValidationError(`template "${name}"`, problems);
+  }
+}
+
+/**
+ * Render report of a processed template (see getRenderReport)
+ */
+function createRenderReport(templateName, renderedAt, blocks, error = null) {
+  const summary = { blocks: blocks.length, rendered: 0, null: 0, failed: 0, invalid: 0, fallback: 0 };
+  blocks.forEach(entry => summary[entry.status]++);
+  
+  return {
+    template: templateName,
+    status: error ? 'failed' : 'rendered',
+    ...(error && { error: error.message }),
+    renderedAt: renderedAt,
+    blocks: blocks,
+    summary: summary
+  };
+}
+
+/**
+ * Items of a block's output flagged `fallback` (the output itself, or the items of a list)
+ */
+function countFallbacks(output) {
+  return (Array.isArray(output) ? output : [output]).filter(item => item?.fallback === true).length;
+}
+
+/**
+ * Summary of a template's resolution for the registration log
+ */
+function describeResolution({ extends: parents, filledSlots, overriddenSlots, missingSlots, overrides }) {
+  const parts = [];
+  
+  if (parents.length > 0) parts.push(`extends ${parents.join(' → ')}`);
+  if (filledSlots.length > 0) parts.push(`fills ${filledSlots.join(', ')}`);
+  if (overriddenSlots.length > 0) parts.push(`overrides slot(s) ${overriddenSlots.map(({ slot, filledBy }) => `${slot} of ${filledBy}`).join(', ')}`);
+  if (overrides.length > 0) parts.push(`overrides ${overrides.join(', ')}`);
+  if (missingSlots.length > 0) parts.push(`open slot(s) ${missingSlots.join(', ')}`);
+  
+  return parts.length > 0 ? ` (${parts.join('; ')})` : '';
+}
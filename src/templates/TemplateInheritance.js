@@ -0,0 +1,173 @@
+/**
+ * TemplateInheritance - Resolves template hierarchies (extends), slots and partials
+ *
+ * 1. Partials: `{ type: 'partial', partial: 'page_metadata' }` anywhere in a structure (or a
+ *    slot value) is replaced by a copy of that registered partial; partials may include others
+ * 2. Slots: a template declares `{ type: 'slot', default?: value }` where an extending template
+ *    fills in content through its `slots` ({ title: '{{productName}} - Guide' }); a slot
+ *    without a default is required (unless `required: false`), and only abstract templates
+ *    may leave a required slot unfilled; an optional slot left empty is omitted
+ * 3. Extends: a template with `extends: '<name>'` starts from its (already resolved) parent:
+ *    structure fields are merged (nested plain objects field by field), field mappings and
+ *    content blocks are merged, and slots filled by the parent may be filled again
+ *
+ * The resolution report lists the parent chain (nearest first), the slots a template filled,
+ * overrode (filled again after an ancestor) or left missing, the parent fields it overrode and
+ * the partials it used.
+ */
+
+/**
+ * Resolve a template against its parent and the registered partials
+ *
+ * @param {string} name - Template name
+ * @param {Object} template - Template definition
+ * @param {Object} [options]
+ * @param {Object} [options.parent] - Resolved parent template (required with `extends`)
+ * @param {Map<string, *>} [options.partials] - Registered partials by name
+ * @returns {Object} The template with merged `structure`, `fieldMappings`, `contentBlocks`,
+ *   its `slots` ({ [name]: { value, required, definedBy, filledBy } }) and `resolution`
+ * @throws {Error} On an unknown parent or partial, a partial cycle, an unknown slot, a structure
+ *   field over a parent slot, or required slots left unfilled by a concrete template
+ */
+export function resolveTemplate(name, template, { parent = null, partials = new Map() } = {}) {
+  if (template.extends && !parent) {
+    throw new Error(`Template "${name}" extends unknown template "${template.extends}" (register the parent first)`);
+  }
+
+  const usedPartials = new Set();
+  const expand = value => expandPartials(value, partials, usedPartials, [], name);
+
+  const overrides = [];
+  const structure = parent
+    ? mergeStructures(parent.structure, expand(template.structure || {}), overrides, name, [])
+    : expand(template.structure || {});
+
+  const slots = Object.fromEntries(Object.entries(parent?.slots || {}).map(([slot, definition]) => [slot, { ...definition }]));
+  for (const [slot, node] of findSlots(structure)) {
+    if (slots[slot]) {
+      if (slots[slot].node !== node) throw new Error(`Template "${name}" declares slot "${slot}" more than once`);
+      continue;
+    }
+    slots[slot] = {
+      node: node,
+      value: node.default,
+      required: node.default === undefined && node.required !== false,
+      definedBy: name,
+      filledBy: node.default === undefined ? null : name
+    };
+  }
+
+  const filled = [];
+  const overridden = [];
+  for (const [slot, value] of Object.entries(template.slots || {})) {
+    if (!slots[slot]) {
+      const known = Object.keys(slots);
+      throw new Error(`Template "${name}" fills unknown slot "${slot}"${known.length > 0 ? `. Slots: ${known.join(', ')}` : ' (it has no slots)'}`);
+    }
+    if (slots[slot].filledBy !== null) {
+      overridden.push({ slot: slot, filledBy: slots[slot].filledBy });
+    }
+    slots[slot] = { ...slots[slot], value: expand(value), filledBy: name };
+    filled.push(slot);
+  }
+
+  const missing = Object.keys(slots).filter(slot => slots[slot].required && slots[slot].filledBy === null);
+  if (missing.length > 0 && !template.abstract) {
+    throw new Error(`Template "${name}" leaves required slot(s) unfilled: ${missing.join(', ')}`);
+  }
+
+  return {
+    ...template,
+    structure: structure,
+    fieldMappings: { ...parent?.fieldMappings, ...template.fieldMappings },
+    contentBlocks: { ...parent?.contentBlocks, ...template.contentBlocks },
+    slots: slots,
+    resolution: {
+      extends: parent ? [template.extends, ...parent.resolution.extends] : [],
+      filledSlots: filled,
+      overriddenSlots: overridden,
+      missingSlots: missing,
+      overrides: overrides,
+      partials: Array.from(usedPartials)
+    }
+  };
+}
+
+/**
+ * Copy a structure value with its partials replaced by their content
+ */
+function expandPartials(value, partials, used, stack, templateName) {
+  if (Array.isArray(value)) return value.map(item => expandPartials(item, partials, used, stack, templateName));
+  if (!value || typeof value !== 'object') return value;
+
+  if (value.type === 'partial') {
+    const partial = value.partial;
+    if (!partials.has(partial)) {
+      const known = Array.from(partials.keys());
+      throw new Error(`Template "${templateName}" includes unknown partial "${partial}"${known.length > 0 ? `. Partials: ${known.join(', ')}` : ''}`);
+    }
+    if (stack.includes(partial)) {
+      throw new Error(`Template "${templateName}" includes partial "${partial}" within itself (${[...stack, partial].join(' → ')})`);
+    }
+    used.add(partial);
+    return expandPartials(partials.get(partial), partials, used, [...stack, partial], templateName);
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandPartials(item, partials, used, stack, templateName)]));
+}
+
+/**
+ * Merge a child structure over its parent's, recording the parent fields it replaces
+ */
+function mergeStructures(parent, child, overrides, templateName, path) {
+  const merged = { ...parent };
+
+  for (const [key, value] of Object.entries(child)) {
+    const at = [...path, key].join('.');
+    const inherited = parent[key];
+
+    if (isSlot(inherited)) {
+      throw new Error(`Template "${templateName}" sets "${at}", a slot of its parent; fill it through "slots" instead`);
+    }
+    if (isPlainStructure(inherited) && isPlainStructure(value)) {
+      merged[key] = mergeStructures(inherited, value, overrides, templateName, [...path, key]);
+    } else {
+      if (inherited !== undefined) overrides.push(at);
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Slot nodes of a structure by slot name (named after their field unless they have a `name`)
+ */
+function findSlots(structure) {
+  const slots = [];
+
+  const visit = (node, key) => {
+    if (!node || typeof node !== 'object') return;
+    if (isSlot(node)) {
+      if (!node.name) node.name = key;
+      slots.push([node.name, node]);
+      return;
+    }
+    if (node.type === 'block') return;
+    for (const [childKey, child] of Object.entries(node)) visit(child, childKey);
+  };
+
+  for (const [key, node] of Object.entries(structure)) visit(node, key);
+  return slots;
+}
+
+function isSlot(value) {
+  return Boolean(value) && typeof value === 'object' && value.type === 'slot';
+}
+
+/**
+ * A nested structure object (not a block, list, slot or partial)
+ */
+function isPlainStructure(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && value.type === undefined;
+}
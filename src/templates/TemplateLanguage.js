@@ -0,0 +1,352 @@
+/**
+ * TemplateLanguage - Parses and renders the strings of page templates
+ *
+ * Syntax:
+ * 1. {{productName}}, {{priceDetails.amount}}, {{keyIngredients.0}} - a value by dotted path
+ * 2. {{brand | default: "our brand"}}, {{description | truncate: 80}} - a value passed through
+ *    filters (see TEMPLATE_FILTER_DEFINITIONS), left to right; filter arguments are
+ *    "double" or 'single' quoted strings and numbers
+ * 3. {{#if brand}}...{{else}}...{{/if}} - a section rendered when the value is present
+ *    (anything but null, false, an empty string or an empty list)
+ * 4. {{#each benefits}}...{{else}}...{{/each}} - a section rendered per item of a list (the
+ *    else section when it is empty); inside it {{this}} is the item, {{@index}}, {{@first}}
+ *    and {{@last}} its position, and other names are looked up in the item first
+ *
+ * A variable that resolves to nothing after its filters, or to an object, is unknown: strict
+ * rendering throws, otherwise it renders as an empty string and is reported as missing.
+ */
+
+import { DEFAULT_CURRENCY, parsePrice, formatAmount, formatPrice } from '../pricing/PriceModel.js';
+
+export const TEMPLATE_FILTER_DEFINITIONS = [
+  {
+    name: 'default',
+    description: 'The argument when the value is missing or empty',
+    apply: (value, [fallback = '']) => hasValue(value) ? value : fallback
+  },
+  {
+    name: 'upper',
+    description: 'Upper-case text',
+    apply: value => mapText(value, text => text.toUpperCase())
+  },
+  {
+    name: 'lower',
+    description: 'Lower-case text',
+    apply: value => mapText(value, text => text.toLowerCase())
+  },
+  {
+    name: 'truncate',
+    description: 'Text cut to at most the given length, ending with "…" (or the second argument)',
+    apply: (value, [length, ending = '…']) => {
+      if (!(Number(length) > 0)) {
+        throw new Error('truncate needs a length above 0, e.g. {{description | truncate: 80}}');
+      }
+      return mapText(value, text => text.length <= length ? text : text.slice(0, Math.max(0, length - ending.length)).trimEnd() + ending);
+    }
+  },
+  {
+    name: 'join',
+    description: 'A list joined with the separator (a locale list such as "A, B and C" without one)',
+    apply: (value, [separator], { localizer }) => {
+      if (!Array.isArray(value)) return value;
+      if (separator !== undefined) return value.map(toText).join(separator);
+      return localizer ? localizer.formatList(value) : value.map(toText).join(', ');
+    }
+  },
+  {
+    name: 'currency',
+    description: 'A price, or an amount in the given currency (INR by default), formatted for the locale',
+    apply: (value, [currency], { localizer }) => {
+      if (value === undefined || value === null) return value;
+      const format = price => localizer ? localizer.formatPrice(price) : formatPrice(price);
+      if (typeof value === 'number') {
+        const code = currency || DEFAULT_CURRENCY;
+        return localizer ? localizer.formatAmount(value, code) : formatAmount(value, code);
+      }
+      if (value && typeof value === 'object' && 'amount' in value) return format(value);
+
+      const price = parsePrice(value, { currency });
+      return price ? format(price) : value;
+    }
+  }
+];
+
+const filters = new Map(TEMPLATE_FILTER_DEFINITIONS.map(definition => [definition.name, definition]));
+
+const LOOP_VARIABLES = ['@index', '@first', '@last'];
+
+const PATH_PATTERN = /^(?:@(?:index|first|last)|(?:this|[A-Za-z_$][\w$-]*)(?:\.[\w$-]+)*)$/;
+
+// Parsed templates by source text; templates are few and reused for every product
+const parsedTemplates = new Map();
+
+/**
+ * Add (or replace) a template filter
+ *
+ * @param {Object} definition - { name, description?, apply(value, args, { localizer }) => value }
+ */
+export function registerTemplateFilter(definition) {
+  if (!definition?.name || typeof definition.apply !== 'function') {
+    throw new Error('A template filter needs a "name" and an "apply" function');
+  }
+
+  filters.set(definition.name, { description: '', ...definition });
+}
+
+/**
+ * Get the names of the template filters
+ */
+export function getTemplateFilterNames() {
+  return Array.from(filters.keys());
+}
+
+/**
+ * Parse a template string into its nodes (text, output, if and each)
+ *
+ * @throws {Error} On a syntax error: unclosed or unexpected tags, invalid paths, unknown filters
+ */
+export function parseTemplate(text) {
+  const source = String(text);
+  if (parsedTemplates.has(source)) return parsedTemplates.get(source);
+
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const tagPattern = /\{\{([\s\S]*?)\}\}/g;
+  let position = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const append = node => (current().inElse ? current().otherwise : current().children).push(node);
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    if (match.index > position) append({ type: 'text', value: source.slice(position, match.index) });
+    position = tagPattern.lastIndex;
+
+    const tag = match[1].trim();
+    const opening = tag.match(/^#(if|each)\s+([\s\S]+)$/);
+    const closing = tag.match(/^\/(if|each)$/);
+
+    if (opening) {
+      const node = { type: opening[1], expression: parseExpression(opening[2], match[0]), tag: match[0], children: [], otherwise: [], inElse: false };
+      append(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      if (current().type === 'root' || current().inElse) {
+        throw new Error(`Unexpected {{else}} at character ${match.index + 1}`);
+      }
+      current().inElse = true;
+    } else if (closing) {
+      if (current().type !== closing[1]) {
+        const open = current().type === 'root' ? 'no open section' : `open ${current().tag}`;
+        throw new Error(`Unexpected ${match[0]} at character ${match.index + 1} (${open})`);
+      }
+      stack.pop();
+    } else if (/^[#/]/.test(tag)) {
+      throw new Error(`Unknown section ${match[0]}; sections are {{#if …}} and {{#each …}}`);
+    } else {
+      append({ type: 'output', expression: parseExpression(tag, match[0]) });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed ${current().tag} (add {{/${current().type}}})`);
+  }
+  if (position < source.length) append({ type: 'text', value: source.slice(position) });
+
+  parsedTemplates.set(source, root.children);
+  return root.children;
+}
+
+/**
+ * Render a template string with data
+ *
+ * @param {string} text - Template string
+ * @param {Object} data - Values the variables are looked up in
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Throw on unknown variables instead of rendering them empty
+ * @param {Object} [options.localizer] - Localizer for the join and currency filters
+ * @param {Array<Object>} [options.outer] - Enclosing data (outermost first) looked up after `data`
+ * @param {Object} [options.loop] - { index, count } of `data` in the list it was taken from
+ * @returns {{ text: string, missing: Array<{ variable: string, reason: string }> }}
+ */
+export function renderTemplate(text, data, { strict = false, localizer = null, outer = [], loop = null } = {}) {
+  const scopes = [...outer.map(value => ({ value, loop: null })), { value: data, loop }];
+  const state = { strict, localizer, missing: [] };
+
+  return { text: renderNodes(parseTemplate(text), scopes, state), missing: state.missing };
+}
+
+/**
+ * Get the value at a dotted path ("priceDetails.amount", "keyIngredients.0") of some data
+ */
+export function getTemplateValue(data, path) {
+  return String(path).split('.').reduce((value, segment) => readProperty(value, segment), data);
+}
+
+function renderNodes(nodes, scopes, state) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'output') {
+      output += renderOutput(node.expression, scopes, state);
+    } else if (node.type === 'if') {
+      const value = evaluate(node.expression, scopes, state);
+      output += renderNodes(hasValue(value) ? node.children : node.otherwise, scopes, state);
+    } else if (node.type === 'each') {
+      const value = evaluate(node.expression, scopes, state);
+      const items = Array.isArray(value) ? value : (hasValue(value) ? [value] : []);
+
+      if (items.length === 0) {
+        output += renderNodes(node.otherwise, scopes, state);
+      }
+      items.forEach((item, index) => {
+        output += renderNodes(node.children, [...scopes, { value: item, loop: { index, count: items.length } }], state);
+      });
+    }
+  }
+
+  return output;
+}
+
+function renderOutput(expression, scopes, state) {
+  const value = evaluate(expression, scopes, state);
+  const reason = value === undefined || value === null
+    ? 'has no value'
+    : (typeof value === 'object' && !Array.isArray(value) ? 'is an object (use one of its fields)' : null);
+
+  if (reason === null) return toText(value);
+
+  const message = `Template variable "${expression.path}" ${reason}`;
+  if (state.strict) {
+    const scope = scopes[scopes.length - 1].value;
+    const known = scope && typeof scope === 'object' && !Array.isArray(scope) ? Object.keys(scope) : [];
+    throw new Error(`${message}${known.length > 0 ? `; known variables: ${known.join(', ')}` : ''}`);
+  }
+
+  state.missing.push({ variable: expression.path, reason: reason });
+  return '';
+}
+
+function evaluate({ path, filters: steps }, scopes, state) {
+  return steps.reduce((value, { name, args }) => {
+    try {
+      return filters.get(name).apply(value, args, { localizer: state.localizer });
+    } catch (error) {
+      throw new Error(`Filter "${name}" failed on "${path}": ${error.message}`);
+    }
+  }, lookup(path, scopes));
+}
+
+/**
+ * Look a path up in the innermost scope that has its first segment
+ */
+function lookup(path, scopes) {
+  const [head, ...rest] = path.split('.');
+  const innermost = scopes[scopes.length - 1];
+
+  if (LOOP_VARIABLES.includes(head)) {
+    const loop = [...scopes].reverse().find(scope => scope.loop)?.loop;
+    if (!loop) return undefined;
+    return { '@index': loop.index, '@first': loop.index === 0, '@last': loop.index === loop.count - 1 }[head];
+  }
+  if (head === 'this') {
+    return rest.reduce((value, segment) => readProperty(value, segment), innermost.value);
+  }
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const value = readProperty(scopes[i].value, head);
+    if (value !== undefined) return rest.reduce((result, segment) => readProperty(result, segment), value);
+  }
+  return undefined;
+}
+
+function readProperty(value, key) {
+  if (value === null || typeof value !== 'object') return undefined;
+  return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+}
+
+/**
+ * Parse `path | filter: arg, arg | filter`
+ */
+function parseExpression(text, tag) {
+  const tokens = tokenize(text, tag);
+  const path = tokens.shift();
+
+  if (!path || path.type !== 'word' || !PATH_PATTERN.test(path.value)) {
+    throw new Error(`Invalid variable in ${tag}: expected a name or dotted path`);
+  }
+
+  const steps = [];
+  while (tokens.length > 0) {
+    if (tokens.shift().value !== '|' || tokens[0]?.type !== 'word') {
+      throw new Error(`Invalid filter in ${tag}: expected "| filter" or "| filter: argument"`);
+    }
+
+    const name = tokens.shift().value;
+    if (!filters.has(name)) {
+      throw new Error(`Unknown filter "${name}" in ${tag}. Available filters: ${getTemplateFilterNames().join(', ')}`);
+    }
+
+    const args = [];
+    if (tokens[0]?.value === ':') {
+      do {
+        tokens.shift();
+        const arg = tokens.shift();
+        if (!arg || (arg.type !== 'string' && arg.type !== 'number')) {
+          throw new Error(`Invalid argument for filter "${name}" in ${tag}: use a quoted string or a number`);
+        }
+        args.push(arg.value);
+      } while (tokens[0]?.value === ',');
+    }
+
+    steps.push({ name, args });
+  }
+
+  return { path: path.value, filters: steps };
+}
+
+function tokenize(text, tag) {
+  const tokens = [];
+  const pattern = /\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?)(?![\w.])|([|:,])|([@\w$.-]+))/y;
+  let position = 0;
+  let match;
+
+  while (position < text.length && (match = pattern.exec(text)) !== null) {
+    position = pattern.lastIndex;
+    if (match[1] !== undefined || match[2] !== undefined) {
+      tokens.push({ type: 'string', value: (match[1] ?? match[2]).replace(/\\(.)/g, '$1') });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'number', value: Number(match[3]) });
+    } else if (match[4] !== undefined) {
+      tokens.push({ type: 'symbol', value: match[4] });
+    } else {
+      tokens.push({ type: 'word', value: match[5] });
+    }
+  }
+
+  if (position < text.trimEnd().length) {
+    throw new Error(`Invalid expression in ${tag} at "${text.slice(position).trim()}"`);
+  }
+  return tokens;
+}
+
+function hasValue(value) {
+  if (value === undefined || value === null || value === false) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return String(value).trim() !== '';
+}
+
+/**
+ * Apply a text transform to a value (missing values stay missing)
+ */
+function mapText(value, transform) {
+  return value === undefined || value === null ? value : transform(toText(value));
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  return String(value);
+}
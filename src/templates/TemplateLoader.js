@@ -0,0 +1,169 @@
+/**
+ * TemplateLoader - Reads page templates, partials and content-block configs from a directory
+ *
+ * Directory layout (JSON or YAML files, .json, .yaml, .yml):
+ * 1. <dir>/<template>.json - one template per file ({ name?, extends?, description, slots,
+ *    structure, fieldMappings, contentBlocks }); the name defaults to the file name, and a
+ *    template named like a shipped one (faq_page) replaces it
+ * 2. <dir>/partials/<partial>.json - one partial per file, named after the file
+ * 3. <dir>/blocks.json - content-block configs: default params per block
+ *    ({ generateFaqQuestions: { minQuestions: 20 } }), under the params a template passes
+ *
+ * Every file is checked against the template schema when it is loaded (see TemplateSchema.js):
+ * it must parse, structure nodes must be known and every template string must be valid template
+ * language. Hierarchies (extends, slots, partials), block names and field mappings are checked
+ * when the templates are registered with a TemplateEngine.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseYaml } from '../questions/YamlParser.js';
+import { validateTemplate, validateStructureValue, validateBlockParams, TemplateValidationError } from './TemplateSchema.js';
+
+export const TEMPLATE_FILE_PATTERN = /\.(json|ya?ml)$/i;
+
+export const PARTIALS_DIRECTORY = 'partials';
+
+export const BLOCK_CONFIG_FILE = 'blocks';
+
+// Changes within this many milliseconds are reported together
+const WATCH_DEBOUNCE = 200;
+
+/**
+ * Load the templates, partials and block configs of a template directory
+ *
+ * @param {string} directory
+ * @returns {{ directory: string, templates: Object, partials: Object, blockConfigs: Object,
+ *   files: Object }} Definitions by name; `files` maps each file to what it defines
+ *   (template:<name>, partial:<name> or blocks)
+ */
+export function loadTemplateDirectory(directory) {
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    throw new Error(`Template directory not found: ${directory}`);
+  }
+
+  const loaded = { directory, templates: {}, partials: {}, blockConfigs: {}, files: {} };
+
+  for (const file of listTemplateFiles(directory)) {
+    const filePath = path.join(directory, file);
+    const content = readDefinitionFile(filePath);
+    const baseName = path.basename(file).replace(TEMPLATE_FILE_PATTERN, '');
+
+    if (path.dirname(file) === PARTIALS_DIRECTORY) {
+      if (loaded.partials[baseName] !== undefined) {
+        throw new TemplateValidationError(`template file ${filePath}`, [`partial "${baseName}" is defined twice`]);
+      }
+      assertValid(validateStructureValue(content, baseName), filePath);
+      loaded.partials[baseName] = content;
+      loaded.files[filePath] = `partial:${baseName}`;
+    } else if (baseName === BLOCK_CONFIG_FILE) {
+      if (Object.values(loaded.files).includes('blocks')) {
+        throw new TemplateValidationError(`template file ${filePath}`, [`block configs are also defined in ${findFile(loaded.files, 'blocks')}`]);
+      }
+      loaded.blockConfigs = normalizeBlockConfigs(content, filePath);
+      loaded.files[filePath] = 'blocks';
+    } else {
+      const template = normalizeTemplate(content, filePath, baseName);
+      if (loaded.templates[template.name]) {
+        throw new TemplateValidationError(`template file ${filePath}`, [`template "${template.name}" is also defined in ${findFile(loaded.files, `template:${template.name}`)}`]);
+      }
+      loaded.templates[template.name] = template;
+      loaded.files[filePath] = `template:${template.name}`;
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Watch a template directory and report changed template files
+ *
+ * @param {string} directory
+ * @param {Function} onChange - Called with the changed file paths (debounced)
+ * @returns {Function} Stops watching
+ */
+export function watchTemplateDirectory(directory, onChange) {
+  const changed = new Set();
+  let timer = null;
+
+  const watcher = fs.watch(directory, { recursive: true }, (eventType, file) => {
+    if (!file || !TEMPLATE_FILE_PATTERN.test(file)) return;
+
+    changed.add(path.join(directory, file));
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = Array.from(changed);
+      changed.clear();
+      onChange(files);
+    }, WATCH_DEBOUNCE);
+  });
+
+  return () => {
+    clearTimeout(timer);
+    watcher.close();
+  };
+}
+
+/**
+ * Template, partial and block config files of a directory, relative to it
+ */
+function listTemplateFiles(directory) {
+  const files = fs.readdirSync(directory)
+    .filter(file => TEMPLATE_FILE_PATTERN.test(file) && fs.statSync(path.join(directory, file)).isFile());
+
+  const partialsDirectory = path.join(directory, PARTIALS_DIRECTORY);
+  if (fs.existsSync(partialsDirectory)) {
+    fs.readdirSync(partialsDirectory)
+      .filter(file => TEMPLATE_FILE_PATTERN.test(file))
+      .forEach(file => files.push(path.join(PARTIALS_DIRECTORY, file)));
+  }
+
+  return files.sort();
+}
+
+function readDefinitionFile(filePath) {
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    return /\.ya?ml$/i.test(filePath) ? parseYaml(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Could not read template file ${filePath}: ${error.message}`);
+  }
+}
+
+function normalizeTemplate(content, filePath, baseName) {
+  assertValid(validateTemplate(content), filePath);
+
+  const name = content.name || baseName;
+  return {
+    ...content,
+    name: name,
+    description: content.description || `Template from ${filePath}`,
+    source: filePath
+  };
+}
+
+function normalizeBlockConfigs(content, filePath) {
+  if (!isObject(content)) {
+    throw new TemplateValidationError(`template file ${filePath}`, ['block configs must map block names to params']);
+  }
+
+  for (const [block, params] of Object.entries(content)) {
+    assertValid(validateBlockParams(params, block), filePath);
+  }
+
+  return content;
+}
+
+function assertValid(problems, filePath) {
+  if (problems.length > 0) {
+    throw new TemplateValidationError(`template file ${filePath}`, problems);
+  }
+}
+
+function findFile(files, entry) {
+  return Object.keys(files).find(file => files[file] === entry);
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
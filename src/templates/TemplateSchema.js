@@ -0,0 +1,312 @@
+/**
+ * TemplateSchema - Checks page templates against the template schema
+ *
+ * A template is an object with these fields (TEMPLATE_FIELDS):
+ * 1. name, description, extends (strings), abstract (boolean), source (file it was loaded from)
+ * 2. structure and slots: structure values (see below); a template needs a structure or extends
+ * 3. fieldMappings: output field → dotted path into the input data, whose first segment must be
+ *    an input field (a product schema field or one the page agents add, see PAGE_DATA_FIELDS)
+ * 4. contentBlocks: output field → block name or { block, params }
+ *
+ * Structure values are template strings (valid template language), static values, nested
+ * objects, and nodes with a `type` (TEMPLATE_NODE_DEFINITIONS) and only that type's fields.
+ * Block nodes must name a registered content block (when the registered blocks are known),
+ * and block params must be an object of JSON values that matches the block's contract, if it
+ * has one (see BlockContracts.js).
+ */
+
+import { getSchemaCategories, loadProductSchema } from '../schemas/ProductSchemas.js';
+import { parseTemplate } from './TemplateLanguage.js';
+import { checkParamValues } from '../blocks/BlockContracts.js';
+
+export const TEMPLATE_FIELDS = ['name', 'description', 'extends', 'abstract', 'source', 'structure', 'slots', 'fieldMappings', 'contentBlocks'];
+
+// Fields of each structure node type: required ones and their kinds, then optional ones
+export const TEMPLATE_NODE_DEFINITIONS = {
+  block: { required: { block: 'string' }, optional: { params: 'object' } },
+  list: { required: { source: 'string' }, optional: { itemTemplate: 'object' } },
+  slot: { required: {}, optional: { default: 'any', required: 'boolean', name: 'string' } },
+  partial: { required: { partial: 'string' }, optional: {} }
+};
+
+// Fields the page agents add to the product data they render
+export const PAGE_DATA_FIELDS = ['id', 'category', 'priceDetails', 'ingredients', 'processed', 'processedAt', 'processedBy', 'questions', 'competitors', 'comparisonWeights'];
+
+/**
+ * Error raised for a template, partial or block config that breaks the template schema;
+ * `problems` lists each problem, with a suggestion where a name is close to a known one
+ */
+export class TemplateValidationError extends Error {
+  constructor(subject, problems) {
+    super(`Invalid ${subject}: ${problems.join('; ')}`);
+    this.name = 'TemplateValidationError';
+    this.subject = subject;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Input fields a field mapping may start with: the fields of every shipped product schema
+ * (and of a custom schema) plus PAGE_DATA_FIELDS
+ *
+ * @param {Object} [productSchema] - Custom product schema (e.g. from --schema)
+ * @returns {string[]}
+ */
+export function getTemplateInputFields(productSchema = null) {
+  const fields = new Set(PAGE_DATA_FIELDS);
+
+  for (const category of getSchemaCategories()) {
+    Object.keys(loadProductSchema(category).properties || {}).forEach(field => fields.add(field));
+  }
+  Object.keys(productSchema?.properties || {}).forEach(field => fields.add(field));
+
+  return Array.from(fields).sort();
+}
+
+/**
+ * Problems of a template, e.g. `structure.summary: unknown content block "generateFaqSumary"`
+ *
+ * @param {Object} template - Template definition
+ * @param {Object} [options]
+ * @param {Object} [options.resolved] - The template resolved against its parent and partials;
+ *   its structure, slots, field mappings and content blocks are checked instead
+ * @param {Map<string, Object|null>} [options.blocks] - Registered content blocks and their
+ *   contracts (block names and params are not checked without)
+ * @param {string[]} [options.inputFields] - Input fields (field mappings are not checked without)
+ * @returns {string[]} Problems, empty when the template is valid
+ */
+export function validateTemplate(template, { resolved = null, blocks = null, inputFields = null } = {}) {
+  if (!isObject(template)) {
+    return ['a template must be an object'];
+  }
+
+  const problems = [];
+  const context = { blocks, problems };
+
+  for (const field of Object.keys(template)) {
+    if (!TEMPLATE_FIELDS.includes(field)) {
+      problems.push(`unknown field "${field}"${suggest(field, TEMPLATE_FIELDS)}. Fields: ${TEMPLATE_FIELDS.join(', ')}`);
+    }
+  }
+  for (const field of ['name', 'description', 'extends', 'source']) {
+    if (template[field] !== undefined && typeof template[field] !== 'string') problems.push(`"${field}" must be a string`);
+  }
+  if (template.abstract !== undefined && typeof template.abstract !== 'boolean') {
+    problems.push('"abstract" must be true or false');
+  }
+  for (const field of ['structure', 'slots', 'fieldMappings', 'contentBlocks']) {
+    if (template[field] !== undefined && !isObject(template[field])) problems.push(`"${field}" must be an object`);
+  }
+  if (!template.structure && !template.extends) {
+    problems.push('a template needs a "structure" or "extends"');
+  }
+  if (problems.length > 0) return problems;
+
+  const checked = resolved || template;
+  checkStructure(checked.structure || {}, 'structure', context);
+
+  if (resolved) {
+    for (const [slot, { value }] of Object.entries(resolved.slots || {})) {
+      if (value !== undefined) checkStructureValue(value, `slots.${slot}`, context);
+    }
+  } else {
+    for (const [slot, value] of Object.entries(template.slots || {})) {
+      checkStructureValue(value, `slots.${slot}`, context);
+    }
+  }
+
+  for (const [field, source] of Object.entries(checked.fieldMappings || {})) {
+    if (typeof source !== 'string' || source === '') {
+      problems.push(`fieldMappings.${field} must name an input field`);
+    } else if (inputFields && !inputFields.includes(source.split('.')[0])) {
+      problems.push(`fieldMappings.${field} maps unknown input field "${source}"${suggest(source.split('.')[0], inputFields)}`);
+    }
+  }
+
+  for (const [field, config] of Object.entries(checked.contentBlocks || {})) {
+    const at = `contentBlocks.${field}`;
+    if (typeof config === 'string') {
+      checkBlockName(config, at, context);
+    } else if (isObject(config) && typeof config.block === 'string') {
+      checkBlockName(config.block, at, context);
+      if (config.params !== undefined) checkParams(config.params, `${at}.params`, context, getContract(config.block, context));
+    } else {
+      problems.push(`${at} must be a block name or { block, params }`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Problems of a structure value (a partial, slot value or template structure field)
+ *
+ * @param {*} value
+ * @param {string} at - Where the value sits, for the messages
+ * @param {Object} [options]
+ * @param {Map<string, Object|null>} [options.blocks] - Registered content blocks and their contracts
+ * @returns {string[]}
+ */
+export function validateStructureValue(value, at, { blocks = null } = {}) {
+  const problems = [];
+  checkStructureValue(value, at, { blocks, problems });
+  return problems;
+}
+
+/**
+ * Problems of a content block's params: an object of JSON values, and with a contract only
+ * the params it declares, matching their schemas
+ *
+ * @param {Object} params
+ * @param {string} at - Where the params sit, for the messages
+ * @param {Object} [contract] - The block's contract
+ * @returns {string[]}
+ */
+export function validateBlockParams(params, at, contract = null) {
+  const problems = [];
+  checkParams(params, at, { problems }, contract);
+  return problems;
+}
+
+/**
+ * The closest of some names to a misspelt one, as a hint (' (did you mean "x"?)'), or ''
+ */
+export function suggest(name, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(String(name).toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return best && bestDistance <= Math.max(2, Math.floor(String(name).length / 4)) ? ` (did you mean "${best}"?)` : '';
+}
+
+function checkStructure(structure, at, context) {
+  for (const [key, value] of Object.entries(structure)) {
+    checkStructureValue(value, `${at}.${key}`, context);
+  }
+}
+
+function checkStructureValue(value, at, context) {
+  const { problems } = context;
+
+  if (typeof value === 'string') {
+    try {
+      parseTemplate(value);
+    } catch (error) {
+      problems.push(`${at}: ${error.message}`);
+    }
+    return;
+  }
+  if (!isObject(value)) return;
+
+  if (value.type === undefined) {
+    checkStructure(value, at, context);
+    return;
+  }
+
+  const definition = TEMPLATE_NODE_DEFINITIONS[value.type];
+  if (!definition) {
+    const types = Object.keys(TEMPLATE_NODE_DEFINITIONS);
+    problems.push(`${at} has unknown type "${value.type}"${suggest(value.type, types)}. Types: ${types.join(', ')}`);
+    return;
+  }
+
+  const fields = ['type', ...Object.keys(definition.required), ...Object.keys(definition.optional)];
+  for (const field of Object.keys(value)) {
+    if (!fields.includes(field)) {
+      problems.push(`${at} (${value.type}) has unknown field "${field}"${suggest(field, fields)}`);
+    }
+  }
+  for (const [field, kind] of Object.entries({ ...definition.required, ...definition.optional })) {
+    const required = field in definition.required;
+    if (value[field] === undefined) {
+      if (required) problems.push(`${at} (${value.type}) needs "${field}"`);
+    } else if (!isKind(value[field], kind)) {
+      problems.push(`${at} (${value.type}) "${field}" must be ${kind === 'object' ? 'an object' : `a ${kind}`}`);
+    }
+  }
+
+  if (value.type === 'block' && typeof value.block === 'string') {
+    checkBlockName(value.block, at, context);
+    if (isObject(value.params)) checkParams(value.params, `${at}.params`, context, getContract(value.block, context));
+  }
+  if (value.type === 'list' && isObject(value.itemTemplate)) {
+    checkStructure(value.itemTemplate, `${at}.itemTemplate`, context);
+  }
+  if (value.type === 'slot' && value.default !== undefined) {
+    checkStructureValue(value.default, `${at}.default`, context);
+  }
+}
+
+function checkBlockName(block, at, { blocks, problems }) {
+  if (blocks && !blocks.has(block)) {
+    problems.push(`${at} uses unknown content block "${block}"${suggest(block, Array.from(blocks.keys()))}`);
+  }
+}
+
+function getContract(block, { blocks }) {
+  return blocks?.get(block) || null;
+}
+
+function checkParams(params, at, { problems }, contract = null) {
+  if (!isObject(params)) {
+    problems.push(`${at} must be an object`);
+    return;
+  }
+
+  if (contract) {
+    const declared = Object.keys(contract.params || {});
+    for (const param of Object.keys(params).filter(param => !declared.includes(param))) {
+      problems.push(`${at}.${param} is not a param of the block${declared.length > 0 ? `${suggest(param, declared)}. Params: ${declared.join(', ')}` : ' (it takes none)'}`);
+    }
+    checkParamValues(params, contract).forEach(message => problems.push(`${at}: ${message}`));
+  }
+
+  const visit = (value, path) => {
+    if (value === null || ['string', 'boolean'].includes(typeof value)) return;
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) problems.push(`${path} must be a finite number`);
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => visit(item, `${path}.${index}`));
+      return;
+    }
+    if (isObject(value) && Object.getPrototypeOf(value) === Object.prototype) {
+      Object.entries(value).forEach(([key, item]) => visit(item, `${path}.${key}`));
+      return;
+    }
+    problems.push(`${path} must be a JSON value (string, number, boolean, null, list or object)`);
+  };
+  Object.entries(params).forEach(([key, value]) => visit(value, `${at}.${key}`));
+}
+
+function isKind(value, kind) {
+  if (kind === 'any') return true;
+  if (kind === 'object') return isObject(value);
+  return typeof value === kind;
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
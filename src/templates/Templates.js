@@ -6,18 +6,47 @@
  * 2. Field mappings
  * 3. Content block configurations
  * 4. Variable interpolation rules
+ *
+ * The page templates extend BASE_PAGE_TEMPLATE, which holds the title and description
+ * slots, the metadata partial and the product name mapping; brand variants can extend a
+ * page template in turn and override only what differs (see TemplateInheritance.js).
+ *
+ * Templates, partials and block configs loaded from a template directory (see
+ * TemplateLoader.js) are registered alongside these and replace the ones of the same name.
  */
 
+import { TemplateValidationError } from './TemplateSchema.js';
+
+export const TEMPLATE_PARTIALS = {
+  page_metadata: {
+    generatedAt: new Date().toISOString(),
+    templateVersion: '1.0'
+  }
+};
+
+export const BASE_PAGE_TEMPLATE = {
+  name: 'base_page',
+  description: 'Base of the page templates: title, description and metadata',
+  abstract: true,
+  structure: {
+    title: { type: 'slot' },
+    description: { type: 'slot', required: false },
+    metadata: { type: 'partial', partial: 'page_metadata' }
+  },
+  fieldMappings: {
+    productName: 'productName'
+  }
+};
+
 export const FAQ_TEMPLATE = {
   name: 'faq_page',
+  extends: 'base_page',
   description: 'FAQ page template with categorized questions',
-  structure: {
+  slots: {
     title: 'Frequently Asked Questions - {{productName}}',
-    description: 'Common questions and answers about {{productName}}',
-    metadata: {
-      generatedAt: new Date().toISOString(),
-      templateVersion: '1.0'
-    },
+    description: 'Common questions and answers about {{productName}}'
+  },
+  structure: {
     questions: {
       type: 'block',
       block: 'generateFaqQuestions',
@@ -32,7 +61,6 @@ export const FAQ_TEMPLATE = {
     }
   },
   fieldMappings: {
-    productName: 'productName',
     productPrice: 'price',
     keyIngredients: 'keyIngredients'
   },
@@ -44,9 +72,12 @@ export const FAQ_TEMPLATE = {
 
 export const PRODUCT_PAGE_TEMPLATE = {
   name: 'product_page',
+  extends: 'base_page',
   description: 'Comprehensive product page template',
+  slots: {
+    title: '{{productName}} - Product Information'
+  },
   structure: {
-    title: '{{productName}} - Product Information',
     productOverview: {
       type: 'block',
       block: 'generateProductOverview'
@@ -72,14 +103,9 @@ export const PRODUCT_PAGE_TEMPLATE = {
         type: 'block',
         block: 'generatePricingSection'
       }
-    },
-    metadata: {
-      generatedAt: new Date().toISOString(),
-      templateVersion: '1.0'
     }
   },
   fieldMappings: {
-    productName: 'productName',
     concentration: 'concentration',
     skinType: 'skinType',
     price: 'price'
@@ -92,9 +118,12 @@ export const PRODUCT_PAGE_TEMPLATE = {
 
 export const COMPARISON_PAGE_TEMPLATE = {
   name: 'comparison_page',
+  extends: 'base_page',
   description: 'Product comparison template',
+  slots: {
+    title: 'Product Comparison - {{productName}} vs Competitors'
+  },
   structure: {
-    title: 'Product Comparison - {{productName}} vs Competitors',
     comparisonOverview: {
       type: 'block',
       block: 'generateComparisonOverview'
@@ -116,20 +145,19 @@ export const COMPARISON_PAGE_TEMPLATE = {
       type: 'block',
       block: 'generateDetailedComparison',
       params: {
-        comparisonPoints: ['price', 'ingredients', 'benefits', 'usage', 'suitability']
+        dimensions: ['price', 'concentration', 'ingredientOverlap', 'rating', 'skinTypeFit']
       }
     },
+    scoring: {
+      type: 'block',
+      block: 'generateComparisonScoring'
+    },
     analysis: {
       type: 'block',
       block: 'generateComparisonAnalysis'
-    },
-    metadata: {
-      generatedAt: new Date().toISOString(),
-      templateVersion: '1.0'
     }
   },
   fieldMappings: {
-    productName: 'productName',
     basePrice: 'price',
     targetSkinType: 'skinType'
   },
@@ -139,15 +167,55 @@ export const COMPARISON_PAGE_TEMPLATE = {
   }
 };
 
+let loadedTemplates = null;
+
+/**
+ * Use the templates, partials and block configs of a template directory (from
+ * loadTemplateDirectory) alongside the shipped ones; null goes back to the shipped ones
+ */
+export function registerTemplateDirectory(loaded) {
+  loadedTemplates = loaded;
+}
+
 /**
- * Get all available templates
+ * Get all available templates (parents before the templates that extend them)
  */
 export function getAllTemplates() {
-  return {
+  const templates = {
+    base_page: BASE_PAGE_TEMPLATE,
     faq_page: FAQ_TEMPLATE,
     product_page: PRODUCT_PAGE_TEMPLATE,
-    comparison_page: COMPARISON_PAGE_TEMPLATE
+    comparison_page: COMPARISON_PAGE_TEMPLATE,
+    ...loadedTemplates?.templates
   };
+  
+  const ordered = {};
+  const visit = (name, stack = []) => {
+    if (ordered[name]) return;
+    if (stack.includes(name)) {
+      throw new TemplateValidationError('templates', [`templates extend each other: ${[...stack, name].join(' → ')}`]);
+    }
+    const parent = templates[name].extends;
+    if (parent && templates[parent]) visit(parent, [...stack, name]);
+    ordered[name] = templates[name];
+  };
+  Object.keys(templates).forEach(name => visit(name));
+  
+  return ordered;
+}
+
+/**
+ * Get all partials by name
+ */
+export function getTemplatePartials() {
+  return { ...TEMPLATE_PARTIALS, ...loadedTemplates?.partials };
+}
+
+/**
+ * Get the content-block configs (default params) by block name
+ */
+export function getBlockConfigs() {
+  return { ...loadedTemplates?.blockConfigs };
 }
 
 /**
@@ -163,4 +231,21 @@ export function getTemplate(name) {
  */
 export function getTemplateNames() {
   return Object.keys(getAllTemplates());
+}
+
+/**
+ * Register the partials, block configs and templates with a template engine
+ */
+export function registerAllTemplates(engine) {
+  Object.entries(getTemplatePartials()).forEach(([name, partial]) => {
+    engine.registerPartial(name, partial);
+  });
+  
+  Object.entries(getBlockConfigs()).forEach(([name, params]) => {
+    engine.registerBlockConfig(name, params);
+  });
+  
+  Object.entries(getAllTemplates()).forEach(([name, template]) => {
+    engine.registerTemplate(name, template);
+  });
 }
\ No newline at end of file
@@ -13,14 +13,7 @@
  */
 
 import { TrueMultiAgentSystem } from './TrueMultiAgentSystem.js';
-import { DataParserAgent } from './agents/DataParserAgent.js';
-import { QuestionGeneratorAgent } from './agents/QuestionGeneratorAgent.js';
-import { ComparisonDataAgent } from './agents/ComparisonDataAgent.js';
-import { FaqPageAgent } from './agents/FaqPageAgent.js';
-import { ProductPageAgent } from './agents/ProductPageAgent.js';
-import { ComparisonPageAgent } from './agents/ComparisonPageAgent.js';
-import { AnalyticsAgent } from './agents/AnalyticsAgent.js';
-import { SeoOptimizationAgent } from './agents/SeoOptimizationAgent.js';
+import { createAgents } from './agents/AgentRegistry.js';
 
 async function test8AgentSystem() {
   console.log('🚀 Starting 8-Agent Multi-Agent System Test');
@@ -35,16 +28,7 @@ async function test8AgentSystem() {
     // Create all 8 agents
     console.log('\n📝 Creating 8 Autonomous Agents...');
     
-    const agents = [
-      new DataParserAgent({ id: 'data_parser_001' }),
-      new QuestionGeneratorAgent({ id: 'question_generator_001' }),
-      new ComparisonDataAgent({ id: 'comparison_data_001' }),
-      new FaqPageAgent({ id: 'faq_page_001' }),
-      new ProductPageAgent({ id: 'product_page_001' }),
-      new ComparisonPageAgent({ id: 'comparison_page_001' }),
-      new AnalyticsAgent({ id: 'analytics_001' }),
-      new SeoOptimizationAgent({ id: 'seo_optimization_001' })
-    ];
+    const agents = createAgents();
     
     // Register all agents for autonomous coordination
     console.log('\n🤖 Registering Agents for Autonomous Coordination...');
@@ -157,6 +141,7 @@ async function test8AgentSystem() {
     try {
       const fs = await import('fs');
       const outputFiles = [
+        'output/validation_report.json',
         'output/faq.json',
         'output/product_page.json', 
         'output/comparison_page.json',
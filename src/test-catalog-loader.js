@@ -0,0 +1,123 @@
+/**
+ * Test CatalogLoader parsing of product catalogs
+ *
+ * 1. parseCsv: quoted cells holding commas, newlines and escaped quotes; CRLF line ends;
+ *    a last row without a line end
+ * 2. CSV catalogs: header fields, empty cells left out, blank rows skipped, dotted headers
+ *    filling nested fields
+ * 3. JSON and JSONL catalogs, and the format detected from the file extension
+ */
+
+import assert from 'assert/strict';
+import { parseCsv, parseCatalog, detectCatalogFormat } from './batch/CatalogLoader.js';
+
+const CSV_CASES = [
+  {
+    name: 'plain cells',
+    input: 'a,b,c\n1,2,3\n',
+    expected: [['a', 'b', 'c'], ['1', '2', '3']]
+  },
+  {
+    name: 'quoted comma, newline and escaped quote',
+    input: 'name,notes\n"Serum, 30ml","Line one\nline two"\n"Say ""hi""",x',
+    expected: [['name', 'notes'], ['Serum, 30ml', 'Line one\nline two'], ['Say "hi"', 'x']]
+  },
+  {
+    name: 'CRLF line ends',
+    input: 'a,b\r\n1,2\r\n',
+    expected: [['a', 'b'], ['1', '2']]
+  },
+  {
+    name: 'last row without a line end, empty cells',
+    input: 'a,b,c\n1,,3',
+    expected: [['a', 'b', 'c'], ['1', '', '3']]
+  },
+  {
+    name: 'empty text',
+    input: '',
+    expected: []
+  }
+];
+
+const CATALOG_CASES = [
+  {
+    name: 'CSV catalog',
+    format: 'csv',
+    input: 'productName, price ,skinType\nC Serum,₹699,\n,,\nNight Cream,₹899,Dry\n',
+    expected: [{ productName: 'C Serum', price: '₹699' }, { productName: 'Night Cream', price: '₹899', skinType: 'Dry' }]
+  },
+  {
+    name: 'CSV catalog with dotted headers',
+    format: 'csv',
+    input: 'productName,specifications.batteryLife,specifications.display.size\nAurix Buds,24 hours,1.2 in\nVoltra,,\n',
+    expected: [
+      { productName: 'Aurix Buds', specifications: { batteryLife: '24 hours', display: { size: '1.2 in' } } },
+      { productName: 'Voltra' }
+    ]
+  },
+  {
+    name: 'JSON { products } catalog',
+    format: 'json',
+    input: '{ "products": [{ "productName": "A" }, { "productName": "B" }] }',
+    expected: [{ productName: 'A' }, { productName: 'B' }]
+  },
+  {
+    name: 'JSONL catalog with blank lines',
+    format: 'jsonl',
+    input: '{"productName":"A"}\n\n{"productName":"B"}\n',
+    expected: [{ productName: 'A' }, { productName: 'B' }]
+  }
+];
+
+const FORMATS = {
+  'catalog.csv': 'csv',
+  'catalog.JSON': 'json',
+  'catalog.jsonl': 'jsonl',
+  'catalog.ndjson': 'jsonl'
+};
+
+function testCatalogLoader() {
+  console.log('📦 Starting CatalogLoader Test');
+  console.log('='.repeat(60));
+
+  const failures = [];
+  const check = (name, test) => {
+    try {
+      test();
+      console.log(`   ✅ ${name}`);
+    } catch (error) {
+      console.log(`   ❌ ${name}: ${error.message}`);
+      failures.push(name);
+    }
+  };
+
+  for (const { name, input, expected } of CSV_CASES) {
+    check(name, () => assert.deepEqual(parseCsv(input), expected));
+  }
+
+  for (const { name, format, input, expected } of CATALOG_CASES) {
+    check(name, () => assert.deepEqual(parseCatalog(input, format), expected));
+  }
+
+  check('invalid JSONL line', () => assert.throws(() => parseCatalog('{"a":1}\n{oops', 'jsonl'), { message: /^Invalid JSON on line 2/ }));
+
+  for (const [file, format] of Object.entries(FORMATS)) {
+    check(`${file} is ${format}`, () => assert.equal(detectCatalogFormat(file), format));
+  }
+  check('unsupported extension', () => assert.throws(() => detectCatalogFormat('catalog.xlsx'), { message: /Unsupported catalog format "\.xlsx"/ }));
+
+  const total = CSV_CASES.length + CATALOG_CASES.length + Object.keys(FORMATS).length + 2;
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} of ${total} check(s) failed: ${failures.join('; ')}`);
+  }
+
+  console.log(`\n✨ ${total} catalog checks passed`);
+}
+
+try {
+  testCatalogLoader();
+  process.exit(0);
+} catch (error) {
+  console.error('\n💥 CatalogLoader test failed:', error.message);
+  process.exit(1);
+}
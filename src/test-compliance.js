@@ -0,0 +1,73 @@
+/**
+ * Test compliance checks across locales
+ *
+ * 1. checkCompliance finds English claims from product fields inside hi/es copy
+ * 2. `generate --compliance block` blocks the pages of a product claiming cures in en, hi and es
+ *    (exit code 5, no pages written)
+ */
+
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import { checkCompliance } from './compliance/ComplianceChecker.js';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const LOCALES = ['en', 'hi', 'es'];
+const CLAIM = 'Cures acne, Heals eczema';
+
+function testTranslatedCopy() {
+  for (const locale of ['hi', 'es']) {
+    const report = checkCompliance(
+      [{ file: 'product_page.json', content: { benefits: { summary: CLAIM } } }],
+      { productName: 'Test Serum', category: 'skincare', benefits: CLAIM },
+      { locale }
+    );
+    assert.ok(report.violations.some(violation => violation.match === 'Cures'), `"Cures" is not reported in ${locale} copy`);
+    assert.equal(report.passed, false, `${locale} copy with a cure claim passes`);
+    console.log(`   ✅ ${locale} copy: English claim reported`);
+  }
+}
+
+function testBlockMode() {
+  const product = JSON.parse(fs.readFileSync(path.join(ROOT, 'examples/product.json'), 'utf8'));
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'compliance-test-'));
+  const inputPath = path.join(workDir, 'product.json');
+  fs.writeFileSync(inputPath, JSON.stringify({ ...product, benefits: CLAIM }));
+
+  try {
+    for (const locale of LOCALES) {
+      const outputDir = path.join(workDir, locale);
+      const run = spawnSync(process.execPath, [
+        'src/index.js', 'generate', '--input', inputPath, '--output', outputDir,
+        '--locales', locale, '--compliance', 'block', '--no-store'
+      ], { cwd: ROOT, encoding: 'utf8', timeout: 120000 });
+
+      assert.equal(run.status, 5, `${locale} run exited with ${run.status}, expected 5`);
+      assert.ok(!fs.existsSync(path.join(outputDir, 'product_page.json')), `${locale} run wrote product_page.json`);
+      console.log(`   ✅ ${locale} run blocked (exit 5, no pages)`);
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+function testCompliance() {
+  console.log('🛡️  Starting Compliance Test');
+  console.log('='.repeat(60));
+
+  testTranslatedCopy();
+  testBlockMode();
+
+  console.log('\n✨ Claims are blocked in every locale');
+}
+
+try {
+  testCompliance();
+  process.exit(0);
+} catch (error) {
+  console.error('\n💥 Compliance test failed:', error.message);
+  process.exit(1);
+}
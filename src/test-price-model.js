@@ -0,0 +1,101 @@
+/**
+ * Test PriceModel price parsing
+ *
+ * Checks the price strings the parser reads into { amount, currency, salePrice, packSize }:
+ * 1. Sale prices, with the regular price first ("was ₹999 now ₹799") or last ("₹799 (was ₹999)")
+ * 2. Multi-packs ("2 x $10", "$10 x 2", "2 for $10")
+ * 3. Plain prices and pack sizes, which must parse as before
+ * 4. Decimals in every currency ("₹499.50"), and no price for unsupported currencies or
+ *    negative amounts
+ */
+
+import assert from 'assert/strict';
+import { parsePrice, formatPrice } from './pricing/PriceModel.js';
+
+const CASES = [
+  // Sale prices
+  { input: 'was ₹999 now ₹799', amount: 999, currency: 'INR', salePrice: 799 },
+  { input: '₹999 (sale ₹799)', amount: 999, currency: 'INR', salePrice: 799 },
+  { input: '₹999 → ₹799', amount: 999, currency: 'INR', salePrice: 799 },
+  { input: '₹899 (was ₹1,099)', amount: 1099, currency: 'INR', salePrice: 899 },
+  { input: '₹899 was ₹1,099', amount: 1099, currency: 'INR', salePrice: 899 },
+  { input: '$27.50 (MRP $34)', amount: 34, currency: 'USD', salePrice: 27.5 },
+  { input: '₹1,099 (was ₹899)', amount: 899, currency: 'INR', salePrice: null },
+
+  // Multi-packs
+  { input: '2 x $10', amount: 20, currency: 'USD', salePrice: null, packSize: { quantity: 2, unit: 'units' }, unitPrice: 10 },
+  { input: '$10 x 2', amount: 20, currency: 'USD', salePrice: null, packSize: { quantity: 2, unit: 'units' }, unitPrice: 10 },
+  { input: '3 × ₹499', amount: 1497, currency: 'INR', salePrice: null, packSize: { quantity: 3, unit: 'units' }, unitPrice: 499 },
+  { input: '2 for $10', amount: 10, currency: 'USD', salePrice: null, packSize: { quantity: 2, unit: 'units' }, unitPrice: 5 },
+  { input: '2 x $19.99 / 30ml', amount: 39.98, currency: 'USD', salePrice: null, packSize: { quantity: 60, unit: 'ml' } },
+  { input: '2 x $10 (was $12)', amount: 24, currency: 'USD', salePrice: 20, packSize: { quantity: 2, unit: 'units' } },
+
+  // Plain prices and pack sizes
+  { input: '₹899', amount: 899, currency: 'INR', salePrice: null, packSize: null },
+  { input: 'Rs. 1,49,999', amount: 149999, currency: 'INR', salePrice: null },
+  { input: '19,99 €', amount: 19.99, currency: 'EUR', salePrice: null },
+  { input: '$19.99 / 30ml', amount: 19.99, currency: 'USD', salePrice: null, packSize: { quantity: 30, unit: 'ml' } },
+  { input: '₹499 for a pack of 3', amount: 499, currency: 'INR', salePrice: null, packSize: { quantity: 3, unit: 'units' } },
+  { input: '50 ml for $20', amount: 20, currency: 'USD', salePrice: null, packSize: { quantity: 50, unit: 'ml' }, unitPrice: 0.4 },
+
+  // Decimals are kept in every currency
+  { input: '₹499.50', amount: 499.5, currency: 'INR', salePrice: null, formatted: '₹499.50' },
+  { input: 'Rs. 99.99', amount: 99.99, currency: 'INR', salePrice: null, formatted: '₹99.99' },
+  { input: '19.99', amount: 19.99, currency: 'INR', salePrice: null },
+  { input: '₹1,299', amount: 1299, currency: 'INR', salePrice: null, formatted: '₹1,299' },
+  { input: '2 x ₹249.50', amount: 499, currency: 'INR', salePrice: null, unitPrice: 249.5 }
+];
+
+// Texts that hold no usable price
+const REJECTED = ['CHF 12.50', '-5', '-$5', '$-5', 'Rs. -5', 'N/A'];
+
+function testPriceModel() {
+  console.log('💰 Starting PriceModel Test');
+  console.log('='.repeat(60));
+
+  const failures = [];
+
+  for (const { input, unitPrice, formatted, ...expected } of CASES) {
+    try {
+      const price = parsePrice(input);
+      assert.ok(price, 'no price parsed');
+      for (const [field, value] of Object.entries(expected)) {
+        assert.deepEqual(price[field], value, `${field} is ${JSON.stringify(price[field])}, expected ${JSON.stringify(value)}`);
+      }
+      if (unitPrice !== undefined) {
+        assert.equal(price.unitPrice?.amount, unitPrice, `unit price is ${price.unitPrice?.amount}, expected ${unitPrice}`);
+      }
+      if (formatted !== undefined) {
+        assert.equal(formatPrice(price), formatted, `formatted as ${formatPrice(price)}, expected ${formatted}`);
+      }
+      console.log(`   ✅ ${input}`);
+    } catch (error) {
+      console.log(`   ❌ ${input}: ${error.message}`);
+      failures.push(input);
+    }
+  }
+
+  for (const input of REJECTED) {
+    const price = parsePrice(input);
+    if (price === null) {
+      console.log(`   ✅ ${input} (no price)`);
+    } else {
+      console.log(`   ❌ ${input}: parsed to ${price.amount} ${price.currency}, expected no price`);
+      failures.push(input);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} of ${CASES.length + REJECTED.length} price(s) parsed wrongly: ${failures.join('; ')}`);
+  }
+
+  console.log(`\n✨ ${CASES.length + REJECTED.length} prices parsed correctly`);
+}
+
+try {
+  testPriceModel();
+  process.exit(0);
+} catch (error) {
+  console.error('\n💥 PriceModel test failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,141 @@
+/**
+ * Test SchemaValidator on product data
+ *
+ * 1. Each keyword reports its violation with the field path, severity and penalty
+ *    (required, type, strings, lists, enum, unit, custom validators)
+ * 2. Errors fail validation; warnings only deduct points from the score
+ * 3. The shipped electronics schema takes specifications as an object, a string or not at all,
+ *    and reports nested fields by their dotted path
+ * 4. assertValidSchema rejects unknown types, severities and validators
+ */
+
+import assert from 'assert/strict';
+import { validateAgainstSchema, assertValidSchema } from './schemas/SchemaValidator.js';
+import { loadProductSchema } from './schemas/ProductSchemas.js';
+
+const SCHEMA = {
+  $id: 'test',
+  type: 'object',
+  required: ['productName', 'price'],
+  properties: {
+    productName: { type: 'string', minLength: 3, validator: 'noPlaceholder' },
+    price: { type: ['string', 'number'], validator: 'positiveAmount' },
+    sku: { type: 'string', pattern: '^[A-Z]{2}-\\d+$', severity: 'error' },
+    benefits: { type: ['string', 'array'], separator: ',', minItems: 2, uniqueItems: true },
+    form: { type: 'string', enum: ['Serum', 'Cream'] },
+    servingSize: { type: ['string', 'object'], unit: ['mg', 'g'], minimum: 1 },
+    rating: { type: 'number', maximum: 5, penalty: 3 },
+    actives: { type: 'array', items: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } } }
+  }
+};
+
+const VALID = { productName: 'Vitamin C Serum', price: '₹899' };
+
+// Each case adds fields to VALID and lists the issues it must raise as path/keyword/severity
+const CASES = [
+  { name: 'valid product', data: {}, issues: [], score: 100 },
+  { name: 'missing required field', data: { price: '' }, issues: ['price/required/error'], score: 80 },
+  { name: 'wrong type', data: { rating: 'five' }, issues: ['rating/type/warning'], score: 97 },
+  { name: 'placeholder text', data: { productName: 'TBD' }, issues: ['productName/validator:noPlaceholder/warning'], score: 90 },
+  { name: 'pattern with error severity', data: { sku: 'ab-1' }, issues: ['sku/pattern/error'], score: 90 },
+  { name: 'delimited list with duplicates', data: { benefits: 'Hydration, hydration' }, issues: ['benefits/uniqueItems/warning'], score: 90 },
+  { name: 'list too short', data: { benefits: ['Hydration'] }, issues: ['benefits/minItems/warning'], score: 90 },
+  { name: 'enum (case-insensitive)', data: { form: 'serum' }, issues: [], score: 100 },
+  { name: 'enum violation', data: { form: 'Gel' }, issues: ['form/enum/warning'], score: 90 },
+  { name: 'unit as text and object', data: { servingSize: { value: 500, unit: 'mg' } }, issues: [], score: 100 },
+  { name: 'wrong unit', data: { servingSize: '2 ml' }, issues: ['servingSize/unit/warning'], score: 90 },
+  { name: 'unit amount below minimum', data: { servingSize: '0.5 g' }, issues: ['servingSize/minimum/warning'], score: 90 },
+  { name: 'maximum with own penalty', data: { rating: 7 }, issues: ['rating/maximum/warning'], score: 97 },
+  { name: 'negative price is an error', data: { price: '-5' }, issues: ['price/validator:positiveAmount/error'], score: 90 },
+  { name: 'nested required field', data: { actives: [{ name: 'Niacinamide' }, {}] }, issues: ['actives[1].name/required/error'], score: 80 }
+];
+
+// Specifications for the shipped electronics schema, with the issues each must raise
+const SPECIFICATIONS = [
+  ['missing', undefined, []],
+  ['a string', 'Bluetooth 5.3, 24 hours battery', []],
+  ['an object', { batteryLife: '24 hours', display: { size: '1.2 in' } }, []],
+  ['with a wrong nested unit', { display: { size: '3 kg' } }, ['specifications.display.size/unit/warning']],
+  ['a number', 42, ['specifications/type/error']]
+];
+
+// Invalid schemas, with the error each must raise
+const REJECTED = [
+  [{ type: 'text' }, /unknown type "text"/],
+  [{ properties: { a: { severity: 'fatal' } } }, /at a: unknown severity "fatal"/],
+  [{ properties: { a: { validator: 'isShiny' } } }, /unknown validator "isShiny". Available validators: positiveAmount/],
+  [{ items: { pattern: '(' } }, /at \[\]: Invalid regular expression/]
+];
+
+function describeIssues(report) {
+  return report.issues.map(issue => `${issue.path}/${issue.keyword}/${issue.severity}`);
+}
+
+function testKeywords(failures) {
+  for (const { name, data, issues, score } of CASES) {
+    try {
+      const report = validateAgainstSchema({ ...VALID, ...data }, SCHEMA);
+      assert.deepEqual(describeIssues(report), issues);
+      assert.equal(report.isValid, !issues.some(issue => issue.endsWith('/error')), `isValid is ${report.isValid}`);
+      assert.equal(report.score, score, `score is ${report.score}, expected ${score}`);
+      console.log(`   ✅ ${name}`);
+    } catch (error) {
+      console.log(`   ❌ ${name}: ${error.message}`);
+      failures.push(name);
+    }
+  }
+}
+
+function testElectronicsSpecifications(failures) {
+  const schema = loadProductSchema('electronics');
+  const product = { productName: 'Aurix Buds', price: '$99' };
+
+  for (const [name, value, issues] of SPECIFICATIONS) {
+    try {
+      const report = validateAgainstSchema({ ...product, ...(value !== undefined && { specifications: value }) }, schema);
+      assert.deepEqual(describeIssues(report), issues);
+      assert.equal(report.isValid, !issues.some(issue => issue.endsWith('/error')), `isValid is ${report.isValid}`);
+      console.log(`   ✅ electronics specifications ${name}`);
+    } catch (error) {
+      console.log(`   ❌ electronics specifications ${name}: ${error.message}`);
+      failures.push(`specifications ${name}`);
+    }
+  }
+}
+
+function testSchemaChecks(failures) {
+  for (const [schema, message] of REJECTED) {
+    try {
+      assert.throws(() => assertValidSchema(schema, 'test.json'), { message });
+      console.log(`   ✅ rejects ${JSON.stringify(schema)}`);
+    } catch (error) {
+      console.log(`   ❌ ${JSON.stringify(schema)}: ${error.message}`);
+      failures.push(JSON.stringify(schema));
+    }
+  }
+}
+
+function testSchemaValidator() {
+  console.log('📋 Starting SchemaValidator Test');
+  console.log('='.repeat(60));
+
+  const failures = [];
+  testKeywords(failures);
+  testElectronicsSpecifications(failures);
+  testSchemaChecks(failures);
+
+  const total = CASES.length + SPECIFICATIONS.length + REJECTED.length;
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} of ${total} check(s) failed: ${failures.join('; ')}`);
+  }
+
+  console.log(`\n✨ ${total} schema checks passed`);
+}
+
+try {
+  testSchemaValidator();
+  process.exit(0);
+} catch (error) {
+  console.error('\n💥 SchemaValidator test failed:', error.message);
+  process.exit(1);
+}
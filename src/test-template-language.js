@@ -0,0 +1,131 @@
+/**
+ * Test TemplateLanguage rendering of page template strings
+ *
+ * 1. Variables by dotted path, filters and their arguments
+ * 2. {{#if}} and {{#each}} sections with {{else}}, loop variables and scope lookup
+ * 3. Missing variables: reported (or thrown in strict mode)
+ * 4. Syntax errors: unclosed and unexpected tags, unknown filters, invalid variables
+ */
+
+import assert from 'assert/strict';
+import { renderTemplate } from './templates/TemplateLanguage.js';
+import { createLocalizer } from './locales/Localizer.js';
+
+const DATA = {
+  productName: 'Vitamin C Serum',
+  brand: '',
+  price: '₹899',
+  priceDetails: { amount: 899, currency: 'INR' },
+  keyIngredients: ['Vitamin C', 'Hyaluronic Acid'],
+  benefits: ['Brightening', 'Hydration', 'Anti-aging'],
+  specifications: { size: '30ml' },
+  reviews: []
+};
+
+const CASES = [
+  // Variables and filters
+  { template: '{{productName}} ({{specifications.size}})', expected: 'Vitamin C Serum (30ml)' },
+  { template: '{{keyIngredients.1}}', expected: 'Hyaluronic Acid' },
+  { template: '{{brand | default: "our brand"}}', expected: 'our brand' },
+  { template: '{{productName | upper}} {{productName | lower}}', expected: 'VITAMIN C SERUM vitamin c serum' },
+  { template: '{{productName | truncate: 10}}', expected: 'Vitamin C…' },
+  { template: "{{productName | truncate: 12, '...'}}", expected: 'Vitamin C...' },
+  { template: '{{benefits | join: " / "}}', expected: 'Brightening / Hydration / Anti-aging' },
+  { template: '{{benefits | join}}', expected: 'Brightening, Hydration, and Anti-aging', localizer: 'en' },
+  { template: '{{priceDetails | currency}}', expected: '₹899' },
+  { template: '{{priceDetails.amount | currency: "USD"}}', expected: '$899.00' },
+  { template: '{{missing | default: "n/a" | upper}}', expected: 'N/A' },
+
+  // Sections
+  { template: '{{#if brand}}by {{brand}}{{else}}no brand{{/if}}', expected: 'no brand' },
+  { template: '{{#if benefits}}{{benefits.0}}{{/if}}', expected: 'Brightening' },
+  { template: '{{#each reviews}}{{this}}{{else}}No reviews{{/each}}', expected: 'No reviews' },
+  {
+    template: '{{#each benefits}}{{@index}}:{{this}}{{#if @last}}.{{else}}, {{/if}}{{/each}}',
+    expected: '0:Brightening, 1:Hydration, 2:Anti-aging.'
+  },
+  { template: '{{#each keyIngredients}}{{this}} in {{productName}}; {{/each}}', expected: 'Vitamin C in Vitamin C Serum; Hyaluronic Acid in Vitamin C Serum; ' },
+  { template: '{{#each items}}{{name}}={{@first}} {{/each}}', expected: 'a=true b=false ', data: { items: [{ name: 'a' }, { name: 'b' }] } }
+];
+
+// Syntax errors, with the error each must raise when parsed
+const REJECTED = [
+  { template: '{{#if brand}}unclosed', message: /^Unclosed \{\{#if brand\}\}/ },
+  { template: '{{/each}}', message: /^Unexpected \{\{\/each\}\} at character 1 \(no open section\)/ },
+  { template: '{{#if a}}{{/each}}', message: /^Unexpected \{\{\/each\}\}.*open \{\{#if a\}\}/ },
+  { template: 'x {{else}}', message: /^Unexpected \{\{else\}\} at character 3/ },
+  { template: '{{#unless brand}}{{/unless}}', message: /^Unknown section/ },
+  { template: '{{productName | shout}}', message: /^Unknown filter "shout".*Available filters: default/ },
+  { template: '{{productName | truncate: words}}', message: /^Invalid argument for filter "truncate"/ },
+  { template: '{{ 1abc }}', message: /^Invalid variable/ },
+  { template: '{{productName | truncate: 0}}', message: /^Filter "truncate" failed on "productName"/ }
+];
+
+function testRendering(failures) {
+  for (const { template, expected, localizer, data = DATA } of CASES) {
+    try {
+      const { text, missing } = renderTemplate(template, data, { localizer: localizer ? createLocalizer(localizer) : null });
+      assert.equal(text, expected);
+      assert.deepEqual(missing, []);
+      console.log(`   ✅ ${template}`);
+    } catch (error) {
+      console.log(`   ❌ ${template}: ${error.message}`);
+      failures.push(template);
+    }
+  }
+}
+
+function testMissingVariables(failures) {
+  const template = 'Hi {{nickname}}, see {{specifications}}';
+
+  try {
+    const { text, missing } = renderTemplate(template, DATA);
+    assert.equal(text, 'Hi , see ');
+    assert.deepEqual(missing, [
+      { variable: 'nickname', reason: 'has no value' },
+      { variable: 'specifications', reason: 'is an object (use one of its fields)' }
+    ]);
+    assert.throws(() => renderTemplate(template, DATA, { strict: true }), { message: /^Template variable "nickname" has no value; known variables: productName/ });
+    console.log('   ✅ missing variables (reported, strict throws)');
+  } catch (error) {
+    console.log(`   ❌ missing variables: ${error.message}`);
+    failures.push('missing variables');
+  }
+}
+
+function testSyntaxErrors(failures) {
+  for (const { template, message } of REJECTED) {
+    try {
+      assert.throws(() => renderTemplate(template, DATA), { message });
+      console.log(`   ✅ ${template} (rejected)`);
+    } catch (error) {
+      console.log(`   ❌ ${template}: ${error.message}`);
+      failures.push(template);
+    }
+  }
+}
+
+function testTemplateLanguage() {
+  console.log('🧩 Starting TemplateLanguage Test');
+  console.log('='.repeat(60));
+
+  const failures = [];
+  testRendering(failures);
+  testMissingVariables(failures);
+  testSyntaxErrors(failures);
+
+  const total = CASES.length + 1 + REJECTED.length;
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} of ${total} template(s) rendered wrongly: ${failures.join('; ')}`);
+  }
+
+  console.log(`\n✨ ${total} templates rendered correctly`);
+}
+
+try {
+  testTemplateLanguage();
+  process.exit(0);
+} catch (error) {
+  console.error('\n💥 TemplateLanguage test failed:', error.message);
+  process.exit(1);
+}
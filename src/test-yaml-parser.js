@@ -0,0 +1,122 @@
+/**
+ * Test YamlParser on the YAML subset of question banks and other config files
+ *
+ * 1. Block mappings and sequences, nested by indentation, including "- key: value" items and
+ *    sequences at the indentation of their key
+ * 2. Flow sequences and mappings, quoted and plain scalars, numbers, booleans and null
+ * 3. Comments (outside quotes), a leading "---" and empty documents
+ * 4. Errors with the line number for unsupported or malformed YAML
+ */
+
+import assert from 'assert/strict';
+import { parseYaml } from './questions/YamlParser.js';
+
+const CASES = [
+  {
+    name: 'block mapping',
+    input: 'name: Vitamin C Serum\nrating: 4.5\nactive: true\nnotes: ~',
+    expected: { name: 'Vitamin C Serum', rating: 4.5, active: true, notes: null }
+  },
+  {
+    name: 'nested mappings',
+    input: 'specifications:\n  display:\n    size: 1.4 in\n  weight: 50 g',
+    expected: { specifications: { display: { size: '1.4 in' }, weight: '50 g' } }
+  },
+  {
+    name: 'sequence of mappings',
+    input: 'questions:\n  - id: usage\n    weight: 2\n  - id: safety\n    requires: sideEffects',
+    expected: { questions: [{ id: 'usage', weight: 2 }, { id: 'safety', requires: 'sideEffects' }] }
+  },
+  {
+    name: 'sequence at the indentation of its key',
+    input: 'benefits:\n- Hydration\n- Brightening',
+    expected: { benefits: ['Hydration', 'Brightening'] }
+  },
+  {
+    name: 'nested sequences',
+    input: '- - a\n  - b\n- - c',
+    expected: [['a', 'b'], ['c']]
+  },
+  {
+    name: 'flow sequences and mappings',
+    input: 'when: { anyOf: [skinType, sideEffects] }\ntags: [a, "b, c", \'d\']',
+    expected: { when: { anyOf: ['skinType', 'sideEffects'] }, tags: ['a', 'b, c', 'd'] }
+  },
+  {
+    name: 'quoted scalars',
+    input: 'double: "Say \\"hi\\": now"\nsingle: \'It\'\'s 20%\'\nnumber: "42"',
+    expected: { double: 'Say "hi": now', single: "It's 20%", number: '42' }
+  },
+  {
+    name: 'plain scalars that look like other types',
+    input: 'price: ₹499\nversion: 1.2.3\nnegative: -5\nyes: yes',
+    expected: { price: '₹499', version: '1.2.3', negative: -5, yes: 'yes' }
+  },
+  {
+    name: 'comments and document start',
+    input: '---\n# A bank\nname: Bank # trailing comment\nhash: "not # a comment"',
+    expected: { name: 'Bank', hash: 'not # a comment' }
+  },
+  {
+    name: 'empty value',
+    input: 'answer:\nnext: 1',
+    expected: { answer: null, next: 1 }
+  },
+  {
+    name: 'empty document',
+    input: '# nothing here\n\n',
+    expected: null
+  }
+];
+
+// Unsupported or malformed YAML, with the error each must raise
+const REJECTED = [
+  { name: 'block scalar', input: 'answer: |\n  text', message: /^YAML line 1: Block scalars/ },
+  { name: 'anchor', input: 'base: &base value', message: /^YAML line 1: Anchors, aliases and tags/ },
+  { name: 'tab indentation', input: 'a:\n\tb: 1', message: /^YAML line 2: Tabs are not allowed/ },
+  { name: 'duplicate key', input: 'a: 1\nb: 2\na: 3', message: /^YAML line 3: Duplicate key "a"/ },
+  { name: 'unexpected indentation', input: 'a: 1\n    b: 2', message: /^YAML line 2: Unexpected indentation/ },
+  { name: 'line without a key', input: 'a: 1\njust text', message: /^YAML line 2: Expected "key: value"/ },
+  { name: 'unclosed flow sequence', input: 'tags: [a, b', message: /^YAML line 1:/ }
+];
+
+function testYamlParser() {
+  console.log('📄 Starting YamlParser Test');
+  console.log('='.repeat(60));
+
+  const failures = [];
+
+  for (const { name, input, expected } of CASES) {
+    try {
+      assert.deepEqual(parseYaml(input), expected);
+      console.log(`   ✅ ${name}`);
+    } catch (error) {
+      console.log(`   ❌ ${name}: ${error.message}`);
+      failures.push(name);
+    }
+  }
+
+  for (const { name, input, message } of REJECTED) {
+    try {
+      assert.throws(() => parseYaml(input), { message });
+      console.log(`   ✅ ${name} (rejected)`);
+    } catch (error) {
+      console.log(`   ❌ ${name}: ${error.message}`);
+      failures.push(name);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`${failures.length} of ${CASES.length + REJECTED.length} document(s) parsed wrongly: ${failures.join('; ')}`);
+  }
+
+  console.log(`\n✨ ${CASES.length + REJECTED.length} documents parsed correctly`);
+}
+
+try {
+  testYamlParser();
+  process.exit(0);
+} catch (error) {
+  console.error('\n💥 YamlParser test failed:', error.message);
+  process.exit(1);
+}